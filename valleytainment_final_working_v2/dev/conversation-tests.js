@@ -0,0 +1,705 @@
+/**
+ * =====================================================================
+ * | VALLEYTAINMENT PRODUCTIONS - CONVERSATION TESTS                   |
+ * | Version: 1.0.0                                                    |
+ * | Last Updated: October 19, 2026                                    |
+ * =====================================================================
+ * | Runs scripted conversations against ValleyBot in Node, without a  |
+ * | browser, so changes to the intents, the knowledge base or the     |
+ * | chatbot code can't silently break answers visitors rely on.       |
+ * =====================================================================
+ *
+ * Usage:
+ *   node dev/conversation-tests.js                  (every script in dev/conversations)
+ *   node dev/conversation-tests.js dev/conversations/pricing.yaml --verbose
+ *
+ * A script is a JSON or YAML file with a name and a list of turns. Each
+ * turn is something the visitor says and what the reply must look like:
+ *
+ *   name: Studio hours
+ *   turns:
+ *     - user: what are your hours
+ *       intent: hours
+ *       contains: [Monday, Friday]
+ *
+ * Script settings:
+ *   language  - browser language the visitor starts with (default "en-US")
+ *   provider  - the AI's answer to every question; leave it out to have
+ *               the AI fail, so answers come from getLocalResponse()
+ *   settings  - CHATBOT_CONFIG overrides, laid over TEST_SETTINGS
+ *   events    - events to use instead of content/events.json
+ *
+ * Turn settings:
+ *   user      - the visitor's message (required)
+ *   method    - bot (default): the whole pipeline, as if it were typed;
+ *               local: getLocalResponse(); enhanced: getEnhancedResponse()
+ *   provider  - the AI's answer to this turn only (false makes it fail)
+ *
+ * Expectations (all optional; text matching ignores case):
+ *   intent       - intent the message is classified as (null for none)
+ *   status       - classification status: matched, clarify or none
+ *   contains     - text, or a list of texts, the reply must include
+ *   excludes     - text, or a list of texts, the reply must not include
+ *   cards        - card types the reply must show ([] for no cards)
+ *   quickReplies - button labels the reply must offer ([] for none)
+ *   source       - ai when the provider's answer was used, local when not
+ *   lead         - whether lead capture is waiting for an answer after the turn
+ *
+ * The chatbot scripts run in one shared context with a stand-in for the
+ * browser: files are read from the website directory, /api/chat answers
+ * with the script's provider, form posts and the other /api functions
+ * answer OK, and nothing is stored. Artist and merch cards are read from
+ * index.html in the browser, so they're empty here. Exits with 1 when a
+ * script fails.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+// Configuration object - Edit these values to change how conversations are run
+const CONVERSATION_TESTS_CONFIG = {
+  root: path.resolve(__dirname, '..'),
+  scriptsDir: path.join(__dirname, 'conversations'),
+  configFile: 'content/chatbot-config.json',
+  origin: 'http://localhost:8787', // where the stand-in page pretends to be
+  // Loaded in this order from js/; keep in step with VALLEY_BOT_ELEMENT_CONFIG.scripts in js/valley-bot-element.js
+  scripts: [
+    'security-features.js',
+    'chatbot-knowledge.js',
+    'chatbot-intents.js',
+    'chatbot-leads.js',
+    'chatbot-booking.js',
+    'chatbot-voice.js',
+    'chatbot-i18n.js',
+    'chatbot-markdown.js',
+    'chatbot-cards.js',
+    'chatbot-threads.js',
+    'chatbot-analytics.js',
+    'chatbot-suggestions.js',
+    'chatbot-offline.js',
+    'chatbot-moderation.js',
+    'chatbot-config.js',
+    'advanced-chatbot.js'
+  ]
+};
+
+// Settings for every conversation, laid over CHATBOT_CONFIG and content/chatbot-config.json
+// Features that need a browser or today's date are off; scripts can turn them back on with `settings`
+const TEST_SETTINGS = {
+  ui: { saveHistory: false },
+  api: { stream: false },
+  booking: { enabled: false }, // open times depend on the day the tests run
+  threads: { enabled: false },
+  offline: { enabled: false },
+  voice: { enabled: false },
+  analytics: { enabled: false }
+};
+
+// Expectations a turn may have, checked in this order
+const EXPECTATIONS = ['intent', 'status', 'contains', 'excludes', 'cards', 'quickReplies', 'source', 'lead'];
+const TURN_KEYS = ['user', 'method', 'provider', ...EXPECTATIONS];
+const SCRIPT_KEYS = ['name', 'language', 'provider', 'settings', 'events', 'turns'];
+const METHODS = ['bot', 'local', 'enhanced'];
+
+/**
+ * Parse a YAML script
+ * Supports the subset scripts need: nested mappings and lists, [flow, lists],
+ * quoted and plain scalars, and # comments. Anchors and multi-line strings aren't supported.
+ * @param {string} text - File contents
+ * @returns {*} - Parsed value
+ * @throws {Error} - With the line number for anything outside the subset
+ */
+function parseYaml(text) {
+  const lines = [];
+
+  text.split(/\r?\n/).forEach((raw, index) => {
+    const content = stripComment(raw).trimEnd();
+    if (!content.trim() || content.trim() === '---') return;
+
+    if (/^\t/.test(raw)) {
+      throw new Error(`Line ${index + 1}: use spaces, not tabs, to indent`);
+    }
+
+    lines.push({ number: index + 1, indent: content.length - content.trimStart().length, content: content.trim() });
+  });
+
+  if (!lines.length) return null;
+
+  const [value, next] = parseBlock(lines, 0, lines[0].indent);
+  if (next < lines.length) {
+    throw new Error(`Line ${lines[next].number}: unexpected indentation`);
+  }
+
+  return value;
+}
+
+/**
+ * Parse the mapping or list starting at a line
+ * @param {Array<Object>} lines - { number, indent, content }
+ * @param {number} start - Index of the first line
+ * @param {number} indent - Indentation of the block
+ * @returns {Array} - [value, index of the line after the block]
+ */
+function parseBlock(lines, start, indent) {
+  const isList = /^-( |$)/.test(lines[start].content);
+  const result = isList ? [] : {};
+  let index = start;
+
+  while (index < lines.length && lines[index].indent === indent) {
+    const line = lines[index];
+
+    if (isList) {
+      if (!/^-( |$)/.test(line.content)) break;
+
+      const rest = line.content.slice(1).trim();
+      index++;
+
+      if (!rest) {
+        const [value, next] = parseNested(lines, index, indent);
+        result.push(value);
+        index = next;
+      } else if (/^[^'"[\s][^:]*:( |$)/.test(rest)) {
+        // "- key: value" starts a mapping indented to where the key is
+        const itemIndent = indent + line.content.indexOf(rest);
+        const [value, next] = parseBlock([...lines.slice(0, index - 1), { ...line, indent: itemIndent, content: rest }, ...lines.slice(index)], index - 1, itemIndent);
+        result.push(value);
+        index = next;
+      } else {
+        result.push(parseScalar(rest, line.number));
+      }
+      continue;
+    }
+
+    const match = line.content.match(/^([^'"[\s][^:]*|"[^"]*"|'[^']*'):(?: (.*)|$)/);
+    if (!match) {
+      throw new Error(`Line ${line.number}: expected "key: value"`);
+    }
+
+    const key = parseScalar(match[1], line.number);
+    const rest = (match[2] || '').trim();
+    index++;
+
+    if (rest) {
+      result[key] = parseScalar(rest, line.number);
+    } else {
+      const [value, next] = parseNested(lines, index, indent);
+      result[key] = value;
+      index = next;
+    }
+  }
+
+  if (index < lines.length && lines[index].indent > indent) {
+    throw new Error(`Line ${lines[index].number}: unexpected indentation`);
+  }
+
+  return [result, index];
+}
+
+/**
+ * Parse the block under a key or an empty list item
+ * @param {Array<Object>} lines - Lines
+ * @param {number} index - Index of the line after the key
+ * @param {number} indent - Indentation of the key
+ * @returns {Array} - [value, index of the line after it]; null when nothing is nested
+ */
+function parseNested(lines, index, indent) {
+  const line = lines[index];
+
+  // A list may sit at the same indentation as its key
+  if (line && (line.indent > indent || (line.indent === indent && /^-( |$)/.test(line.content)))) {
+    return parseBlock(lines, index, line.indent);
+  }
+
+  return [null, index];
+}
+
+/**
+ * Parse a scalar or a flow list
+ * @param {string} text - Value text
+ * @param {number} lineNumber - For errors
+ * @returns {*} - String, number, boolean, null or list
+ */
+function parseScalar(text, lineNumber) {
+  if (/^[|>]/.test(text) || /^[&*!{]/.test(text)) {
+    throw new Error(`Line ${lineNumber}: "${text}" isn't supported; use a quoted string, or JSON for the script`);
+  }
+
+  if (text.startsWith('[')) {
+    if (!text.endsWith(']')) {
+      throw new Error(`Line ${lineNumber}: lists in [brackets] must end on the same line`);
+    }
+    return splitFlowList(text.slice(1, -1)).map(item => parseScalar(item, lineNumber));
+  }
+
+  if (text.startsWith('"')) {
+    try {
+      return JSON.parse(text);
+    } catch (error) {
+      throw new Error(`Line ${lineNumber}: bad double-quoted string`);
+    }
+  }
+
+  if (text.startsWith('\'')) {
+    if (!text.endsWith('\'') || text.length < 2) {
+      throw new Error(`Line ${lineNumber}: bad single-quoted string`);
+    }
+    return text.slice(1, -1).replace(/''/g, '\'');
+  }
+
+  if (/^(true|false)$/i.test(text)) return text.toLowerCase() === 'true';
+  if (/^(null|~)$/i.test(text)) return null;
+  if (/^-?\d+(\.\d+)?$/.test(text)) return Number(text);
+
+  return text;
+}
+
+/**
+ * Split the inside of a [flow, list] on commas outside quotes
+ * @param {string} text - Text between the brackets
+ * @returns {Array<string>} - Item texts
+ */
+function splitFlowList(text) {
+  const items = [];
+  let current = '';
+  let quote = null;
+
+  for (const char of text) {
+    if (quote) {
+      if (char === quote) quote = null;
+    } else if (char === '"' || char === '\'') {
+      quote = char;
+    } else if (char === ',') {
+      items.push(current.trim());
+      current = '';
+      continue;
+    }
+    current += char;
+  }
+
+  if (current.trim()) items.push(current.trim());
+  return items;
+}
+
+/**
+ * Remove a # comment from a line
+ * @param {string} line - Raw line
+ * @returns {string} - Line without the comment
+ */
+function stripComment(line) {
+  let quote = null;
+
+  for (let index = 0; index < line.length; index++) {
+    const char = line[index];
+
+    if (quote) {
+      if (char === quote) quote = null;
+    } else if (char === '"' || char === '\'') {
+      quote = char;
+    } else if (char === '#' && (index === 0 || /\s/.test(line[index - 1]))) {
+      return line.slice(0, index);
+    }
+  }
+
+  return line;
+}
+
+/**
+ * Read and check a conversation script
+ * @param {string} file - Path to a .json, .yaml or .yml file
+ * @returns {Object} - Script
+ * @throws {Error} - When the file can't be parsed or has unknown keys
+ */
+function loadScript(file) {
+  const text = fs.readFileSync(file, 'utf8');
+  const script = path.extname(file) === '.json' ? JSON.parse(text) : parseYaml(text);
+
+  if (!script || typeof script !== 'object' || !Array.isArray(script.turns) || !script.turns.length) {
+    throw new Error('A script needs a list of turns');
+  }
+
+  const unknownScriptKeys = Object.keys(script).filter(key => !SCRIPT_KEYS.includes(key));
+  if (unknownScriptKeys.length) {
+    throw new Error(`Unknown script setting ${unknownScriptKeys.join(', ')}; use ${SCRIPT_KEYS.join(', ')}`);
+  }
+
+  script.turns.forEach((turn, index) => {
+    if (!turn || typeof turn.user !== 'string' || !turn.user.trim()) {
+      throw new Error(`Turn ${index + 1} needs a user message`);
+    }
+
+    const unknownKeys = Object.keys(turn).filter(key => !TURN_KEYS.includes(key));
+    if (unknownKeys.length) {
+      throw new Error(`Turn ${index + 1}: unknown setting ${unknownKeys.join(', ')}; use ${TURN_KEYS.join(', ')}`);
+    }
+
+    if (turn.method && !METHODS.includes(turn.method)) {
+      throw new Error(`Turn ${index + 1}: method must be ${METHODS.join(', ')}`);
+    }
+  });
+
+  return script;
+}
+
+/**
+ * Create an in-memory Storage
+ * @returns {Object} - localStorage stand-in
+ */
+function createStorage() {
+  const items = new Map();
+
+  return {
+    getItem: key => (items.has(key) ? items.get(key) : null),
+    setItem: (key, value) => items.set(key, String(value)),
+    removeItem: key => items.delete(key),
+    clear: () => items.clear()
+  };
+}
+
+/**
+ * Create the stand-in browser the chatbot scripts run in
+ * @param {Object} script - Conversation script
+ * @param {Object} state - Shared with the test: provider answer and the provider calls so far
+ * @returns {Object} - vm context with the chatbot scripts loaded
+ */
+function createBrowser(script, state) {
+  const { origin, root } = CONVERSATION_TESTS_CONFIG;
+  const quiet = () => {};
+
+  const json = (data, status = 200) => new Response(JSON.stringify(data), {
+    status,
+    headers: { 'Content-Type': 'application/json' }
+  });
+
+  const fetch = async (input, options = {}) => {
+    const url = new URL(String(input), `${origin}/`);
+    const method = (options.method || 'GET').toUpperCase();
+
+    if (url.pathname === '/api/chat' && method === 'POST') {
+      if (typeof state.provider !== 'string') {
+        return json({ error: { message: 'Provider unavailable' } }, 503);
+      }
+
+      state.providerCalls.push(JSON.parse(options.body));
+      return json({ choices: [{ message: { role: 'assistant', content: state.provider } }] });
+    }
+
+    if (url.pathname.startsWith('/api/') || method !== 'GET') {
+      return json({ ok: true });
+    }
+
+    if (url.pathname === '/content/events.json' && script.events) {
+      return json({ events: script.events });
+    }
+
+    const file = path.join(root, decodeURIComponent(url.pathname));
+    if (!file.startsWith(root) || !fs.existsSync(file) || !fs.statSync(file).isFile()) {
+      return new Response('Not found', { status: 404 });
+    }
+
+    return new Response(fs.readFileSync(file));
+  };
+
+  const element = () => ({ dataset: {}, style: {}, setAttribute: quiet, appendChild: quiet, remove: quiet });
+
+  const sandbox = {
+    // Failing providers and the like are expected here, so the chatbot's logging is dropped
+    console: { log: quiet, info: quiet, warn: quiet, error: quiet, debug: quiet },
+    setTimeout,
+    clearTimeout,
+    setInterval,
+    clearInterval,
+    URL,
+    URLSearchParams,
+    Request,
+    Response,
+    Headers,
+    AbortController,
+    TextEncoder,
+    TextDecoder,
+    Blob,
+    crypto: globalThis.crypto,
+    fetch,
+    location: new URL(`${origin}/`),
+    navigator: { language: script.language || 'en-US', languages: [script.language || 'en-US'], userAgent: 'ValleyBot conversation tests', onLine: true },
+    localStorage: createStorage(),
+    sessionStorage: createStorage(),
+    document: {
+      baseURI: `${origin}/`,
+      currentScript: null,
+      visibilityState: 'visible',
+      addEventListener: quiet,
+      removeEventListener: quiet,
+      createElement: element,
+      getElementById: () => null,
+      querySelector: () => null,
+      querySelectorAll: () => []
+    },
+    addEventListener: quiet,
+    removeEventListener: quiet
+  };
+  sandbox.window = sandbox;
+
+  const context = vm.createContext(sandbox);
+
+  CONVERSATION_TESTS_CONFIG.scripts.forEach(file => {
+    const filename = path.join(root, 'js', file);
+    vm.runInContext(fs.readFileSync(filename, 'utf8'), context, { filename });
+  });
+
+  return context;
+}
+
+/**
+ * Build ValleyBot's configuration
+ * CHATBOT_CONFIG, then content/chatbot-config.json, then TEST_SETTINGS and the script's settings
+ * @param {Object} context - Browser from createBrowser()
+ * @param {Object} script - Conversation script
+ * @returns {Object} - Configuration
+ * @throws {Error} - When content/chatbot-config.json breaks the schema
+ */
+function getConfig(context, script) {
+  const { CHATBOT_CONFIG, ValleyConfig } = vm.runInContext('({ CHATBOT_CONFIG, ValleyConfig })', context);
+  const validator = new ValleyConfig();
+  const file = path.join(CONVERSATION_TESTS_CONFIG.root, CONVERSATION_TESTS_CONFIG.configFile);
+  let config = JSON.parse(JSON.stringify(CHATBOT_CONFIG));
+
+  // The widget skips a broken file, but a test run should say so
+  if (fs.existsSync(file)) {
+    const settings = ValleyConfig.parse(fs.readFileSync(file, 'utf8'));
+    const errors = validator.validate(settings);
+
+    if (errors.length) {
+      throw new Error(`${CONVERSATION_TESTS_CONFIG.configFile}: ${errors.map(ValleyConfig.formatError).join('; ')}`);
+    }
+
+    config = validator.apply(config, settings);
+  }
+
+  return validator.apply(validator.apply(config, TEST_SETTINGS), script.settings || {});
+}
+
+/**
+ * Create a headless ValleyBot
+ * Its widget is never built; replies are read from its chat history
+ * @param {Object} context - Browser from createBrowser()
+ * @param {Object} config - Configuration from getConfig()
+ * @returns {Promise<ValleyBot>} - Bot with the knowledge base and events loaded
+ */
+async function createBot(context, config) {
+  const ValleyBot = vm.runInContext('ValleyBot', context);
+  const bot = new ValleyBot(config, { getElementById: () => null });
+
+  await bot.loadChatHistory();
+
+  if (bot.knowledgeBase) {
+    await bot.knowledgeBase.load();
+  }
+
+  if (bot.cards) {
+    await bot.cards.loadEvents();
+  }
+
+  return bot;
+}
+
+/**
+ * Describe replies the way the expectations see them
+ * @param {Array<string|Object>} messages - Text or rich messages
+ * @returns {Object} - { text, cards (types), quickReplies (labels) }
+ */
+function summarizeReplies(messages) {
+  return {
+    text: messages.map(message => (typeof message === 'object' ? message.text : message)).join('\n\n'),
+    cards: messages.flatMap(message => (typeof message === 'object' && message.cards ? message.cards.map(card => card.type) : [])),
+    quickReplies: messages.flatMap(message => (typeof message === 'object' && message.quickReplies ? message.quickReplies.map(reply => reply.label) : []))
+  };
+}
+
+/**
+ * Play one turn
+ * @param {ValleyBot} bot - Headless bot
+ * @param {Object} turn - Turn from the script
+ * @param {Object} state - Provider answer and calls
+ * @returns {Promise<Object>} - { classification, reply, source, lead }
+ */
+async function playTurn(bot, turn, state) {
+  const message = turn.user;
+  const classification = bot.classifyMessage(message);
+  const providerCalls = state.providerCalls.length;
+  let messages;
+
+  if (!turn.method || turn.method === 'bot') {
+    const start = bot.chatHistory.length;
+
+    bot.addUserMessage(message);
+    await bot.getBotResponse(message);
+
+    messages = bot.chatHistory.slice(start)
+      .filter(entry => entry.role === 'assistant')
+      .map(entry => entry.rich || entry.content);
+  } else {
+    // The bot detects the language before answering, so these do too
+    bot.updateLanguage(message);
+    messages = [turn.method === 'local' ? bot.getLocalResponse(message) : bot.getEnhancedResponse(message)];
+  }
+
+  return {
+    classification,
+    reply: summarizeReplies(messages),
+    source: state.providerCalls.length > providerCalls ? 'ai' : 'local',
+    lead: Boolean(bot.leadCapture && bot.leadCapture.isActive())
+  };
+}
+
+/**
+ * Check a turn's result against its expectations
+ * @param {Object} turn - Turn from the script
+ * @param {Object} result - Result of playTurn()
+ * @returns {Array<string>} - What didn't match; empty when the turn passed
+ */
+function checkTurn(turn, result) {
+  const failures = [];
+  const list = value => (Array.isArray(value) ? value : [value]).map(String);
+  const includes = (values, expected) => values.some(value => value.toLowerCase() === expected.toLowerCase());
+  const text = result.reply.text.toLowerCase();
+  const { classification } = result;
+
+  EXPECTATIONS.filter(key => key in turn).forEach(key => {
+    const expected = turn[key];
+
+    switch (key) {
+      case 'intent': {
+        const intent = classification.status === 'matched' ? classification.intent.name : null;
+        if (intent !== expected) failures.push(`intent is ${intent}, expected ${expected}`);
+        break;
+      }
+
+      case 'status':
+        if (classification.status !== expected) failures.push(`status is ${classification.status}, expected ${expected}`);
+        break;
+
+      case 'contains':
+        list(expected).filter(part => !text.includes(part.toLowerCase())).forEach(part => {
+          failures.push(`reply doesn't contain "${part}"`);
+        });
+        break;
+
+      case 'excludes':
+        list(expected).filter(part => text.includes(part.toLowerCase())).forEach(part => {
+          failures.push(`reply contains "${part}"`);
+        });
+        break;
+
+      case 'cards':
+      case 'quickReplies': {
+        const actual = result.reply[key];
+        const name = key === 'cards' ? 'cards' : 'quick replies';
+
+        if (!list(expected).length && actual.length) {
+          failures.push(`reply has ${name} (${actual.join(', ')}), expected none`);
+        }
+        list(expected).filter(value => !includes(actual, value)).forEach(value => {
+          failures.push(`reply has no "${value}" ${key === 'cards' ? 'card' : 'quick reply'} (${name}: ${actual.join(', ') || 'none'})`);
+        });
+        break;
+      }
+
+      case 'source':
+        if (result.source !== expected) failures.push(`answer came from ${result.source}, expected ${expected}`);
+        break;
+
+      case 'lead':
+        if (result.lead !== expected) failures.push(expected ? 'lead capture isn\'t waiting for an answer' : 'lead capture is still waiting for an answer');
+        break;
+
+      default:
+        break;
+    }
+  });
+
+  return failures;
+}
+
+/**
+ * Run a conversation script
+ * Each script gets a fresh browser and bot, so nothing carries over between scripts
+ * @param {string} file - Script path
+ * @param {boolean} verbose - Print every turn
+ * @returns {Promise<boolean>} - Whether every turn passed
+ */
+async function runScript(file, verbose) {
+  const label = path.relative(process.cwd(), file);
+  let script;
+
+  try {
+    script = loadScript(file);
+  } catch (error) {
+    console.log(`FAIL ${label}\n  ${error.message}`);
+    return false;
+  }
+
+  const state = { provider: script.provider, providerCalls: [] };
+  const failures = [];
+
+  try {
+    const context = createBrowser(script, state);
+    const bot = await createBot(context, getConfig(context, script));
+
+    for (const [index, turn] of script.turns.entries()) {
+      state.provider = 'provider' in turn ? turn.provider : script.provider;
+
+      const result = await playTurn(bot, turn, state);
+      const turnFailures = checkTurn(turn, result);
+
+      if (verbose) {
+        console.log(`  ${index + 1}. ${turn.user}\n     ${result.reply.text.replace(/\n+/g, ' ').slice(0, 200)}`);
+      }
+
+      if (turnFailures.length) {
+        failures.push(`turn ${index + 1} "${turn.user}":\n    ${turnFailures.join('\n    ')}\n    reply: ${result.reply.text.replace(/\n+/g, ' ').slice(0, 200)}`);
+      }
+    }
+  } catch (error) {
+    failures.push(error.stack || error.message);
+  }
+
+  console.log(`${failures.length ? 'FAIL' : 'PASS'} ${script.name || label}${script.name ? ` (${label})` : ''}`);
+  failures.forEach(failure => console.log(`  ${failure}`));
+
+  return !failures.length;
+}
+
+/**
+ * Find the scripts to run
+ * @param {Array<string>} args - Command-line arguments
+ * @returns {Array<string>} - Script paths
+ */
+function getScriptFiles(args) {
+  const files = args.filter(arg => !arg.startsWith('--'));
+  if (files.length) return files.map(file => path.resolve(file));
+
+  return fs.readdirSync(CONVERSATION_TESTS_CONFIG.scriptsDir)
+    .filter(file => /\.(json|ya?ml)$/.test(file))
+    .sort()
+    .map(file => path.join(CONVERSATION_TESTS_CONFIG.scriptsDir, file));
+}
+
+/**
+ * Run every script and report the totals
+ */
+async function main() {
+  const args = process.argv.slice(2);
+  const verbose = args.includes('--verbose');
+  const files = getScriptFiles(args);
+  let passed = 0;
+
+  for (const file of files) {
+    if (await runScript(file, verbose)) passed++;
+  }
+
+  console.log(`\n${files.length} scripts, ${passed} passed, ${files.length - passed} failed`);
+  process.exitCode = passed === files.length ? 0 : 1;
+}
+
+main();
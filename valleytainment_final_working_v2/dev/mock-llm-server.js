@@ -0,0 +1,322 @@
+/**
+ * =====================================================================
+ * | VALLEYTAINMENT PRODUCTIONS - MOCK LLM SERVER                      |
+ * | Version: 1.0.0                                                    |
+ * | Last Updated: October 19, 2026                                    |
+ * =====================================================================
+ * | Local development server that serves the website and answers     |
+ * | OpenAI-compatible chat-completions requests with a streamed (SSE) |
+ * | mock reply, so ValleyBot can be tested without network access.    |
+ * =====================================================================
+ *
+ * Usage:
+ *   node dev/mock-llm-server.js
+ *   open http://localhost:8787
+ *
+ * The `/api/chat` endpoint in CHATBOT_CONFIG is served from the same
+ * origin. Form posts to `/` (the contact form and ValleyBot's lead
+ * capture) are logged and accepted like Netlify Forms would. Paths in
+ * FUNCTION_ROUTES run the real Netlify Function from netlify/functions
+ * (set HANDOFF_STAFF_PASSWORD to try the staff inbox and analytics dashboard). To point another endpoint at the mock, use
+ * http://localhost:8787/v1/chat/completions and add `?mode=` to test
+ * failover:
+ *   mode=stream (default) - streams the reply word by word
+ *   mode=json             - answers with a single non-streamed JSON body
+ *   mode=error            - responds with HTTP 500
+ *   mode=stall            - sends headers, then never sends data (timeout)
+ *   mode=drop             - streams half the reply, then drops the connection
+ */
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+
+// Configuration object - Override with environment variables
+const MOCK_SERVER_CONFIG = {
+  port: parseInt(process.env.PORT, 10) || 8787,
+  root: path.resolve(__dirname, '..'),
+  tokenDelay: parseInt(process.env.MOCK_LLM_DELAY, 10) || 60, // milliseconds between tokens
+  defaultMode: process.env.MOCK_LLM_MODE || 'stream'
+};
+
+const MIME_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.json': 'application/json; charset=utf-8',
+  '.md': 'text/markdown; charset=utf-8',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.ico': 'image/x-icon',
+  '.svg': 'image/svg+xml'
+};
+
+const CHAT_PATHS = ['/api/chat', '/v1/chat/completions'];
+
+// Path prefixes served by the real Netlify Functions instead of a mock
+const FUNCTION_ROUTES = {
+  '/api/handoff': 'handoff.mjs',
+  '/api/analytics': 'analytics.mjs',
+  '/api/moderation': 'moderation.mjs',
+  '/api/bookings': 'bookings.mjs',
+  '/api/image': 'image.mjs'
+};
+
+/**
+ * Build the mock reply for a chat request
+ * @param {Array} messages - Chat messages from the request body
+ * @returns {string} - Reply text
+ */
+function buildReply(messages) {
+  const lastUserMessage = [...(messages || [])].reverse().find(message => message.role === 'user');
+  const question = lastUserMessage ? lastUserMessage.content : 'nothing yet';
+
+  return `This is the **mock LLM server** answering "${question}". ` +
+    'Every word of this reply arrives as its own server-sent event, so you can watch ValleyBot stream it in. :music:';
+}
+
+/**
+ * Split reply text into stream tokens (words with their trailing space)
+ * @param {string} text - Reply text
+ * @returns {Array<string>} - Tokens
+ */
+function tokenize(text) {
+  return text.match(/\S+\s*/g) || [];
+}
+
+/**
+ * Write a single SSE chunk in chat-completions format
+ * @param {http.ServerResponse} res - Response
+ * @param {string} token - Token text
+ */
+function writeChunk(res, token) {
+  const chunk = {
+    id: 'chatcmpl-mock',
+    object: 'chat.completion.chunk',
+    created: Math.floor(Date.now() / 1000),
+    model: 'valleytainment-mock',
+    choices: [{ index: 0, delta: { content: token }, finish_reason: null }]
+  };
+
+  res.write(`data: ${JSON.stringify(chunk)}\n\n`);
+}
+
+/**
+ * Handle a chat-completions request
+ * @param {http.IncomingMessage} req - Request
+ * @param {http.ServerResponse} res - Response
+ * @param {URL} url - Parsed request URL
+ */
+function handleChat(req, res, url) {
+  let body = '';
+
+  req.on('data', (chunk) => {
+    body += chunk;
+  });
+
+  req.on('end', () => {
+    let payload;
+
+    try {
+      payload = JSON.parse(body || '{}');
+    } catch (error) {
+      res.writeHead(400, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: { message: 'Invalid JSON body' } }));
+      return;
+    }
+
+    const mode = url.searchParams.get('mode') || MOCK_SERVER_CONFIG.defaultMode;
+    const reply = buildReply(payload.messages);
+
+    console.log(`[mock-llm] ${url.pathname} mode=${mode} messages=${(payload.messages || []).length}`);
+
+    if (mode === 'error') {
+      res.writeHead(500, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: { message: 'Mock provider failure' } }));
+      return;
+    }
+
+    if (mode === 'json' || payload.stream === false) {
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({
+        id: 'chatcmpl-mock',
+        object: 'chat.completion',
+        model: 'valleytainment-mock',
+        choices: [{ index: 0, message: { role: 'assistant', content: reply }, finish_reason: 'stop' }]
+      }));
+      return;
+    }
+
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive'
+    });
+
+    // Leave the connection open without data so the client's timeout fires
+    if (mode === 'stall') {
+      res.on('close', () => res.end());
+      return;
+    }
+
+    const tokens = tokenize(reply);
+    const dropAt = mode === 'drop' ? Math.floor(tokens.length / 2) : -1;
+    let index = 0;
+
+    const timer = setInterval(() => {
+      if (index === dropAt) {
+        clearInterval(timer);
+        res.destroy();
+        return;
+      }
+
+      if (index < tokens.length) {
+        writeChunk(res, tokens[index]);
+        index++;
+        return;
+      }
+
+      clearInterval(timer);
+      res.write('data: [DONE]\n\n');
+      res.end();
+    }, MOCK_SERVER_CONFIG.tokenDelay);
+
+    res.on('close', () => clearInterval(timer));
+  });
+}
+
+/**
+ * Handle a Netlify Forms style submission
+ * @param {http.IncomingMessage} req - Request
+ * @param {http.ServerResponse} res - Response
+ */
+function handleForm(req, res) {
+  let body = '';
+
+  req.on('data', (chunk) => {
+    body += chunk;
+  });
+
+  req.on('end', () => {
+    const fields = Object.fromEntries(new URLSearchParams(body));
+
+    console.log(`[mock-forms] ${fields['form-name'] || 'unknown'} submission:`, fields);
+
+    res.writeHead(200, { 'Content-Type': 'text/plain; charset=utf-8' });
+    res.end('Form submitted');
+  });
+}
+
+/**
+ * Run a Netlify Function for a request
+ * Functions are ES modules, so they're loaded with import() and called with a fetch Request
+ * @param {http.IncomingMessage} req - Request
+ * @param {http.ServerResponse} res - Response
+ * @param {URL} url - Parsed request URL
+ * @param {string} file - Function file in netlify/functions
+ */
+function handleFunction(req, res, url, file) {
+  const chunks = [];
+
+  req.on('data', (chunk) => {
+    chunks.push(chunk);
+  });
+
+  req.on('end', async () => {
+    try {
+      const { default: handler } = await import(path.join(MOCK_SERVER_CONFIG.root, 'netlify', 'functions', file));
+      const request = new Request(url, {
+        method: req.method,
+        headers: req.headers,
+        body: ['GET', 'HEAD'].includes(req.method) ? undefined : Buffer.concat(chunks)
+      });
+
+      const response = await handler(request, { ip: req.socket.remoteAddress });
+
+      console.log(`[mock-functions] ${req.method} ${url.pathname} -> ${response.status}`);
+
+      res.writeHead(response.status, Object.fromEntries(response.headers));
+      res.end(Buffer.from(await response.arrayBuffer()));
+    } catch (error) {
+      console.error(`[mock-functions] ${file} failed:`, error);
+      res.writeHead(500, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: { message: 'Function error' } }));
+    }
+  });
+}
+
+/**
+ * Serve a static file from the website directory
+ * @param {http.ServerResponse} res - Response
+ * @param {URL} url - Parsed request URL
+ */
+function serveStatic(res, url) {
+  const pathname = decodeURIComponent(url.pathname === '/' ? '/index.html' : url.pathname);
+  const filePath = path.join(MOCK_SERVER_CONFIG.root, pathname);
+
+  // Refuse anything outside the website directory
+  if (!filePath.startsWith(MOCK_SERVER_CONFIG.root)) {
+    res.writeHead(403);
+    res.end('Forbidden');
+    return;
+  }
+
+  fs.readFile(filePath, (error, data) => {
+    if (error) {
+      res.writeHead(404);
+      res.end('Not found');
+      return;
+    }
+
+    const type = MIME_TYPES[path.extname(filePath).toLowerCase()] || 'application/octet-stream';
+    res.writeHead(200, { 'Content-Type': type });
+    res.end(data);
+  });
+}
+
+const server = http.createServer((req, res) => {
+  const url = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+
+  // Allow the site to be served from another origin during development
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, Accept');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+
+  if (req.method === 'OPTIONS') {
+    res.writeHead(204);
+    res.end();
+    return;
+  }
+
+  if (req.method === 'POST' && CHAT_PATHS.includes(url.pathname)) {
+    handleChat(req, res, url);
+    return;
+  }
+
+  const functionPrefix = Object.keys(FUNCTION_ROUTES).find(prefix => {
+    return url.pathname === prefix || url.pathname.startsWith(`${prefix}/`);
+  });
+
+  if (functionPrefix) {
+    handleFunction(req, res, url, FUNCTION_ROUTES[functionPrefix]);
+    return;
+  }
+
+  if (req.method === 'POST' && url.pathname === '/') {
+    handleForm(req, res);
+    return;
+  }
+
+  if (req.method === 'GET') {
+    serveStatic(res, url);
+    return;
+  }
+
+  res.writeHead(405);
+  res.end('Method not allowed');
+});
+
+server.listen(MOCK_SERVER_CONFIG.port, () => {
+  console.log(`Mock LLM server running at http://localhost:${MOCK_SERVER_CONFIG.port}`);
+});
@@ -0,0 +1,56 @@
+/**
+ * =====================================================================
+ * | VALLEYTAINMENT PRODUCTIONS - SERVICE WORKER STAMP                 |
+ * | Version: 1.0.0                                                    |
+ * | Last Updated: October 19, 2026                                    |
+ * =====================================================================
+ * | Writes the deploy's commit into SERVICE_WORKER_CONFIG.version so  |
+ * | every deploy ships a new service worker with new cache names, and |
+ * | its activate step throws away what the last deploy cached.        |
+ * =====================================================================
+ *
+ * Usage (the Netlify build command in netlify.toml):
+ *   node valleytainment_final_working_v2/dev/stamp-service-worker.js
+ *
+ * The version is Netlify's COMMIT_REF (shortened), then DEPLOY_ID, then
+ * the current time when run anywhere else. Don't commit a stamped file.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// Configuration object - Edit these values to change what gets stamped
+const STAMP_CONFIG = {
+  file: path.resolve(__dirname, '..', 'service-worker.js'),
+  // Matches the version line in SERVICE_WORKER_CONFIG
+  pattern: /^(\s*version:\s*)'[^']*'/m
+};
+
+/**
+ * Pick the version for this deploy
+ * @returns {string}
+ */
+function getVersion() {
+  if (process.env.COMMIT_REF) return process.env.COMMIT_REF.slice(0, 12);
+  if (process.env.DEPLOY_ID) return process.env.DEPLOY_ID;
+  return String(Date.now());
+}
+
+/**
+ * Stamp the service worker
+ */
+function main() {
+  const source = fs.readFileSync(STAMP_CONFIG.file, 'utf8');
+
+  if (!STAMP_CONFIG.pattern.test(source)) {
+    console.error(`No version line found in ${STAMP_CONFIG.file}`);
+    process.exitCode = 1;
+    return;
+  }
+
+  const version = getVersion();
+  fs.writeFileSync(STAMP_CONFIG.file, source.replace(STAMP_CONFIG.pattern, `$1'${version}'`));
+  console.log(`Service worker version: ${version}`);
+}
+
+main();
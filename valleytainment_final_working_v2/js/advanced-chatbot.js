@@ -11,6 +11,8 @@
  */
 
 // Configuration object - Edit these values to customize the chatbot
+// personality, ui.suggestionChips and welcome are read from content/chatbot-config.json when it exists
+// (edit it on staff/config.html); the values here are used when it doesn't
 const CHATBOT_CONFIG = {
   // Chatbot personality settings
   personality: {
@@ -21,12 +23,25 @@ const CHATBOT_CONFIG = {
     creativity: 0.7 // 0.0 = very conservative, 1.0 = very creative
   },
   
+  // Welcome message per language: a greeting for the time of day, then the message ({greeting} and {name} are filled in)
+  // Languages left out use the translations in js/chatbot-i18n.js
+  welcome: {
+    en: {
+      morning: "Good morning",
+      afternoon: "Good afternoon",
+      evening: "Good evening",
+      message: "{greeting}! 👋 I'm {name}, your AI assistant for Valleytainment Productions. How can I help you today? Feel free to ask about our services, upcoming events, or collaboration opportunities."
+    }
+  },
+  
   // UI settings
   ui: {
     avatarPath: "images/valleybot-avatar.png",
     typingIndicatorDelay: 1500, // milliseconds
     messageDelay: 300, // milliseconds between messages
-    maxHistoryItems: 50, // maximum number of messages to store
+    maxHistoryItems: 500, // maximum number of messages kept per conversation
+    inline: false, // show the chat open in the page instead of behind a floating button
+    saveHistory: true, // false starts every visit with a new chat and stores nothing (staff/config.html's preview)
     suggestionChips: [
       "Tell me about Valleytainment",
       "What services do you offer?",
@@ -36,27 +51,102 @@ const CHATBOT_CONFIG = {
     ]
   },
   
+  // Suggestion chip settings - chips per intent and page section live in js/chatbot-suggestions.js
+  // ui.suggestionChips fill whatever the conversation and page don't
+  suggestions: {
+    enabled: true,
+    maxChips: 5
+  },
+  
   // API settings
+  // Every endpoint must speak the OpenAI chat-completions protocol.
+  // Set `timeout` on an endpoint to override the global timeout for it.
+  // Provider keys live in the /api/chat function (netlify/functions/chat.mjs), never here.
   api: {
     useLocalFallback: true, // Use local responses if API fails
+    stream: true, // Stream tokens into the message bubble as they arrive (SSE)
+    maxTokens: 500,
     endpoints: [
-      {
-        name: "huggingface",
-        url: "https://api-inference.huggingface.co/models/mistralai/Mixtral-8x7B-Instruct-v0.1",
-        priority: 1
-      },
-      {
-        name: "openai-compatible",
-        url: "https://api.together.xyz/v1/chat/completions",
-        priority: 2
-      },
       {
         name: "local",
         url: "/api/chat",
-        priority: 3
+        priority: 1,
+        timeout: 15000
       }
     ],
-    timeout: 10000 // milliseconds
+    timeout: 10000 // milliseconds without data before an endpoint is abandoned
+  },
+  
+  // Moderation settings - patterns live in js/chatbot-moderation.js
+  // Questions are checked before they reach an AI provider and answers before they're shown; violations are logged to endpoint
+  moderation: {
+    enabled: true,
+    endpoint: "/api/moderation",
+    factCheck: "note" // prices or dates missing from the knowledge base: "note" adds a warning, "local" answers from the knowledge base instead, "off"
+  },
+  
+  // Knowledge base settings - facts live in content/knowledge/, not in this file
+  knowledge: {
+    enabled: true,
+    manifestUrl: "content/knowledge/index.json",
+    maxPassages: 3 // passages retrieved per question
+  },
+  
+  // Intent settings - intents and thresholds live in js/chatbot-intents.js
+  intents: {
+    enabled: true
+  },
+  
+  // Lead capture settings - questions live in js/chatbot-leads.js
+  // Requests are posted to the same Netlify form as #contact-form
+  leadCapture: {
+    enabled: true,
+    triggerIntents: ["pricing", "booking", "collaborate"],
+    endpoint: "/",
+    formName: "contact"
+  },
+  
+  // Human handoff settings - the team answers from staff/inbox.html
+  // Needs lead capture to collect the visitor's name and email first
+  handoff: {
+    enabled: true,
+    endpoint: "/api/handoff",
+    pollInterval: 5000 // milliseconds between checks for team replies
+  },
+  
+  // Booking settings - open times come from endpoint, worked out from content/availability.json
+  // The booking intent offers them instead of a booking request; needs lead capture for the visitor's details
+  booking: {
+    enabled: true,
+    endpoint: "/api/bookings"
+  },
+  
+  // Language settings - detection words and translations live in js/chatbot-i18n.js
+  // The visitor's browser language is used until they write in a supported language
+  language: {
+    enabled: true,
+    autoDetect: true // switch language when the visitor writes in another one
+  },
+  
+  // Conversation settings - storage, search and export live in js/chatbot-threads.js
+  // Conversations are kept in IndexedDB; visitors switch between them from the popup
+  threads: {
+    enabled: true,
+    maxThreads: 50 // oldest conversations are deleted beyond this
+  },
+  
+  // Rich message settings - card markup lives in js/chatbot-cards.js
+  // Artist and merch cards are read from index.html; events come from eventsUrl
+  cards: {
+    enabled: true,
+    eventsUrl: "content/events.json"
+  },
+  
+  // Offline settings - connection tracking, the answer cache and the outbox live in js/chatbot-offline.js
+  // Without a connection ValleyBot answers locally right away and holds lead and handoff requests until it's back
+  offline: {
+    enabled: true,
+    cacheSize: 50 // recent AI answers kept for repeated questions
   },
   
   // Voice settings
@@ -64,39 +154,57 @@ const CHATBOT_CONFIG = {
     enabled: true,
     language: "en-US",
     continuous: false,
-    interimResults: true
+    interimResults: true,
+    // Spoken replies (js/chatbot-voice.js) - visitors can change these from the popup, and their choices are saved under storageKey
+    speakReplies: false,
+    handsFree: false, // listen again after each spoken reply
+    voiceName: "", // empty for the browser's default voice
+    rate: 1,
+    pitch: 1,
+    storageKey: "valleybot_voice_settings"
   },
   
   // Analytics settings
+  // Anonymous usage events are uploaded to endpoint (js/chatbot-analytics.js) once the visitor agrees;
+  // the team reads them on staff/analytics.html
   analytics: {
     enabled: true,
     trackQuestions: true,
     trackResponses: false, // For privacy
-    storageKey: "valleybot_analytics"
+    storageKey: "valleybot_analytics",
+    upload: true,
+    endpoint: "/api/analytics"
   }
 };
 
-// Wait for DOM to be fully loaded before initializing
-document.addEventListener('DOMContentLoaded', () => {
-  // Initialize the chatbot
-  const valleyBot = new ValleyBot(CHATBOT_CONFIG);
-  valleyBot.init();
-});
-
 /**
  * ValleyBot Class
  * Main chatbot implementation with GPT-4 level capabilities
+ * Pages don't create it directly: the <valley-bot> element (js/valley-bot-element.js) creates one in its shadow root.
  */
 class ValleyBot {
-  constructor(config) {
+  /**
+   * @param {Object} config - Chatbot configuration (CHATBOT_CONFIG)
+   * @param {Document|ShadowRoot} root - Where the widget markup (#chatbot-toggle and #chatbot-popup) lives
+   */
+  constructor(config, root = document) {
     // Configuration
     this.config = config;
+    this.root = root;
     
     // State
     this.chatHistory = [];
+    this.thread = null; // open conversation: { id, title, createdAt, updatedAt }
+    this.isThreadStored = false; // conversations are stored once the visitor says something
     this.isListening = false;
     this.recognition = null;
     this.currentApiIndex = 0;
+    this.handoffSession = null; // { id, token, lastMessageId } while a team member has the chat
+    this.handoffPollTimer = null;
+    this.hasUserInteracted = false; // browsers only allow speech after the visitor has done something
+    this.isAwaitingVoiceReply = false; // a spoken question waits for its reply
+    this.isVoiceQuestion = false; // the next question came from the microphone
+    this.isAnswerCacheChecked = false; // cached answers are only used once they're known to match the content
     this.analytics = {
       totalInteractions: 0,
       popularQuestions: {},
@@ -104,8 +212,82 @@ class ValleyBot {
       lastInteractionTime: null
     };
     
-    // Load previous chat history from localStorage if available
-    this.loadChatHistory();
+    // Knowledge base (js/chatbot-knowledge.js must be loaded first)
+    this.knowledgeBase = this.config.knowledge.enabled && typeof ValleyKnowledgeBase !== 'undefined'
+      ? new ValleyKnowledgeBase(this.config.knowledge)
+      : null;
+    
+    // Intent classifier (js/chatbot-intents.js must be loaded first)
+    this.intentClassifier = this.config.intents.enabled && typeof ValleyIntentClassifier !== 'undefined'
+      ? new ValleyIntentClassifier(this.config.intents)
+      : null;
+    
+    // Lead capture (js/chatbot-leads.js and js/security-features.js must be loaded first)
+    this.leadCapture = this.config.leadCapture.enabled && typeof ValleyLeadCapture !== 'undefined' && typeof SecurityManager !== 'undefined'
+      ? new ValleyLeadCapture(this.config.leadCapture, new SecurityManager(SECURITY_CONFIG))
+      : null;
+    
+    // Booking (js/chatbot-booking.js must be loaded first); its open times are the options of the appointment flow
+    this.booking = this.config.booking.enabled && this.leadCapture && typeof ValleyBooking !== 'undefined'
+      ? new ValleyBooking({ endpoint: this.config.booking.endpoint })
+      : null;
+    
+    if (this.booking) {
+      this.leadCapture.setChoices((slot, values, language) => this.booking.getChoices(slot, values, language));
+    }
+    
+    // Spoken replies (js/chatbot-voice.js must be loaded first)
+    this.voice = this.config.voice.enabled && typeof ValleyVoice !== 'undefined'
+      ? new ValleyVoice(this.config.voice)
+      : null;
+    
+    // Message rendering (js/chatbot-markdown.js must be loaded first; without it messages are shown as plain text)
+    this.markdown = typeof ValleyMarkdown !== 'undefined'
+      ? new ValleyMarkdown({ emoji: this.config.personality.emoji })
+      : null;
+    
+    // Cards and quick replies (js/chatbot-cards.js must be loaded first; without it replies are text only)
+    this.cards = this.config.cards.enabled && typeof ValleyCards !== 'undefined'
+      ? new ValleyCards(this.config.cards)
+      : null;
+    
+    // Visitor language (js/chatbot-i18n.js must be loaded first)
+    this.i18n = this.config.language.enabled && typeof ValleyLanguage !== 'undefined'
+      ? new ValleyLanguage({}, navigator.language)
+      : null;
+    this.applyLanguage();
+    
+    // Suggestion chips (js/chatbot-suggestions.js must be loaded first; without it the default chips are shown)
+    this.suggestions = this.config.suggestions.enabled && typeof ValleySuggestions !== 'undefined'
+      ? new ValleySuggestions(this.config.suggestions)
+      : null;
+    
+    // Conversations (js/chatbot-threads.js must be loaded first; without it one conversation is kept in localStorage)
+    this.threads = this.config.threads.enabled && typeof ValleyThreads !== 'undefined'
+      ? new ValleyThreads(this.config.threads)
+      : null;
+    
+    // Offline mode (js/chatbot-offline.js must be loaded first; without it every question waits for the network)
+    this.offline = this.config.offline.enabled && typeof ValleyOffline !== 'undefined'
+      ? new ValleyOffline({ cacheSize: this.config.offline.cacheSize })
+      : null;
+    
+    // Guardrails (js/chatbot-moderation.js and js/security-features.js must be loaded first)
+    this.moderation = this.config.moderation.enabled && typeof ValleyModeration !== 'undefined' && typeof SecurityManager !== 'undefined'
+      ? new ValleyModeration({
+        endpoint: this.config.moderation.endpoint,
+        factCheck: this.config.moderation.factCheck
+      }, new SecurityManager(SECURITY_CONFIG))
+      : null;
+    
+    // Usage events for the team (js/chatbot-analytics.js and js/security-features.js must be loaded first)
+    this.analyticsEvents = this.config.analytics.enabled && this.config.analytics.upload &&
+      typeof ValleyAnalytics !== 'undefined' && typeof SecurityManager !== 'undefined'
+      ? new ValleyAnalytics({
+        endpoint: this.config.analytics.endpoint,
+        trackQuestions: this.config.analytics.trackQuestions
+      }, new SecurityManager(SECURITY_CONFIG))
+      : null;
     
     // Load analytics data if enabled
     if (this.config.analytics.enabled) {
@@ -117,27 +299,80 @@ class ValleyBot {
    * Initialize the chatbot
    * Sets up event listeners and UI
    */
-  init() {
-    // Get DOM elements
-    this.chatMessages = document.getElementById('chat-messages');
-    this.chatInput = document.getElementById('chat-input-field');
-    this.sendButton = document.getElementById('send-message-btn');
-    this.voiceButton = document.getElementById('voice-input-btn');
-    this.suggestionChips = document.querySelectorAll('.suggestion-chip');
-    this.chatbotToggle = document.getElementById('chatbot-toggle');
-    this.chatbotPopup = document.getElementById('chatbot-popup');
-    
-    // Initialize chatbot popup
+  async init() {
+    // Get DOM elements; the chat itself is built by initChatbotPopup()
+    this.chatbotToggle = this.root.getElementById('chatbot-toggle');
+    this.chatbotPopup = this.root.getElementById('chatbot-popup');
+    
+    const contentLoads = [];
+    
+    // Load the knowledge base in the background; answers fall back to defaults until it's ready
+    if (this.knowledgeBase) {
+      contentLoads.push(this.knowledgeBase.load().catch(error => {
+        console.warn('ValleyBot knowledge base unavailable:', error);
+      }));
+    }
+    
+    // Read the artist and merch cards on the page, and load events in the background
+    if (this.cards) {
+      this.cards.loadFromPage(document);
+      contentLoads.push(this.cards.loadEvents().catch(error => {
+        console.warn('ValleyBot events unavailable:', error);
+      }));
+    }
+    
+    // Cached answers may quote old prices or events, so they're checked against the content once it's loaded
+    Promise.all(contentLoads).then(() => this.checkAnswerCache());
+    
+    // Upload usage events left from the last visit, and whatever is queued when the visitor leaves
+    if (this.analyticsEvents) {
+      this.analyticsEvents.start();
+    }
+    
+    // Open the last conversation before anything can be added to it
+    await this.loadChatHistory();
+    
+    // Build the chat inside the popup
     this.initChatbotPopup();
     
     // Add event listeners
     this.addEventListeners();
     
-    // Add welcome message
-    this.addBotMessage(this.getWelcomeMessage());
+    // Show when the visitor is offline, and send held requests once they're back
+    if (this.offline) {
+      this.offline.start(online => this.handleConnectionChange(online));
+      this.updateConnectionStatus();
+    }
+    
+    // Show the open conversation, or welcome the visitor to a new one
+    if (this.chatHistory.length) {
+      this.renderChatHistory();
+    } else {
+      this.addBotMessage(this.getWelcomeMessage());
+    }
+    
+    // Pick up a lead request that was interrupted by a reload
+    if (this.leadCapture && this.leadCapture.isActive()) {
+      await this.prepareBooking();
+      this.addBotMessage(this.leadMessage(`${this.t('leadResume', 'Welcome back! Let\'s finish your request.')}\n\n${this.leadCapture.getPrompt()}`), { leadCapture: true });
+    }
     
-    // Add suggestion chips
+    // Resume a human handoff that was open before a reload
+    if (this.handoffSession) {
+      this.addBotMessage(this.t('handoffResumed', 'You\'re still connected with the team. Their replies will show up here.'), { handoff: true });
+      this.startHandoffPolling();
+    }
+    
+    // Send requests held while offline on an earlier visit
+    if (this.offline && this.offline.hasQueued()) {
+      this.flushOutbox();
+    }
+    
+    // Add suggestion chips, and refresh them as the visitor scrolls between page sections
     this.updateSuggestionChips();
+    if (this.suggestions) {
+      this.suggestions.observeSections(() => this.updateSuggestionChips());
+    }
     
     console.log('ValleyBot 2.0 initialized successfully!');
   }
@@ -168,48 +403,53 @@ class ValleyBot {
       this.voiceButton.style.display = 'none';
     }
     
-    // Suggestion chips
-    this.suggestionChips.forEach(chip => {
-      chip.addEventListener('click', () => {
-        this.chatInput.value = chip.textContent;
-        this.sendMessage();
-      });
-    });
+    // An inline chat is always open
+    if (this.config.ui.inline) {
+      this.chatbotToggle.hidden = true;
+      this.chatbotPopup.classList.add('active', 'inline');
+      return;
+    }
     
     // Toggle popup on button click
     this.chatbotToggle.addEventListener('click', () => {
-      this.chatbotPopup.classList.toggle('active');
-      
-      // Focus input when popup is opened
-      if (this.chatbotPopup.classList.contains('active')) {
-        setTimeout(() => {
-          const popupInput = this.chatbotPopup.querySelector('#chat-input-field');
-          if (popupInput) popupInput.focus();
-        }, 300);
-      }
+      this.setPopupOpen(!this.chatbotPopup.classList.contains('active'));
     });
     
     // Close popup when clicking outside
+    // The event path is checked rather than the target, since buttons such as quick replies remove themselves when clicked,
+    // and clicks inside the widget's shadow root reach the document retargeted to the <valley-bot> element
     document.addEventListener('click', (e) => {
+      const path = e.composedPath();
+      
       if (this.chatbotPopup.classList.contains('active') && 
-          !this.chatbotPopup.contains(e.target) && 
-          e.target !== this.chatbotToggle) {
-        this.chatbotPopup.classList.remove('active');
+          !path.includes(this.chatbotPopup) && 
+          !path.includes(this.chatbotToggle)) {
+        this.setPopupOpen(false);
       }
     });
   }
   
+  /**
+   * Open or close the popup
+   * @param {boolean} open - Whether the popup should be open
+   */
+  setPopupOpen(open) {
+    this.chatbotPopup.classList.toggle('active', open);
+    this.chatbotToggle.setAttribute('aria-expanded', String(open));
+    
+    // Focus input when popup is opened
+    if (open) {
+      setTimeout(() => {
+        this.chatInput.focus();
+      }, 300);
+    }
+  }
+  
   /**
    * Initialize chatbot popup
-   * Creates a floating chatbot widget
+   * Builds the header, side panels and chat inside #chatbot-popup
    */
   initChatbotPopup() {
-    // Clone main chatbot content
-    const chatbotSection = document.getElementById('chatbot-section');
-    if (!chatbotSection) return;
-    
-    const chatbotContent = chatbotSection.querySelector('.chatbot-container').cloneNode(true);
-    
     // Clear existing content in popup
     while (this.chatbotPopup.firstChild) {
       this.chatbotPopup.removeChild(this.chatbotPopup.firstChild);
@@ -219,61 +459,108 @@ class ValleyBot {
     const popupHeader = document.createElement('div');
     popupHeader.className = 'chatbot-popup-header';
     popupHeader.innerHTML = `
-      <h3>${this.config.personality.name}</h3>
-      <button class="chatbot-popup-close"><i class="fas fa-times"></i></button>
+      <h3></h3>
+      ${this.offline ? '<span class="chatbot-popup-status" role="status" hidden></span>' : ''}
+      ${this.threads ? '<button class="chatbot-popup-threads" title="Conversations" aria-label="Conversations" aria-expanded="false"><i class="fas fa-comments"></i></button>' : ''}
+      ${this.canSpeak() ? '<button class="chatbot-popup-voice" title="Voice settings" aria-label="Voice settings" aria-expanded="false"><i class="fas fa-volume-up"></i></button>' : ''}
+      ${this.canHandoff() ? '<button class="chatbot-popup-handoff" title="Talk to a human" aria-label="Talk to a human"><i class="fas fa-headset"></i></button>' : ''}
+      ${this.config.ui.inline ? '' : '<button class="chatbot-popup-close" title="Close" aria-label="Close"><i class="fas fa-times"></i></button>'}
     `;
     
+    // The name is editable on /staff/config.html, so it's set as text, never as HTML
+    popupHeader.querySelector('h3').textContent = this.config.personality.name;
+    
     // Add close button functionality
-    popupHeader.querySelector('.chatbot-popup-close').addEventListener('click', () => {
-      this.chatbotPopup.classList.remove('active');
-    });
+    const closeButton = popupHeader.querySelector('.chatbot-popup-close');
+    if (closeButton) {
+      closeButton.addEventListener('click', () => {
+        this.setPopupOpen(false);
+      });
+    }
+    
+    // Escalate to the team from the header
+    const handoffButton = popupHeader.querySelector('.chatbot-popup-handoff');
+    if (handoffButton) {
+      handoffButton.addEventListener('click', () => {
+        this.requestHandoff();
+      });
+    }
     
     // Add header and content to popup
     this.chatbotPopup.appendChild(popupHeader);
-    this.chatbotPopup.appendChild(chatbotContent);
+    this.connectionStatus = popupHeader.querySelector('.chatbot-popup-status');
     
-    // Update references for popup elements
-    const popupChatMessages = this.chatbotPopup.querySelector('.chat-messages');
-    const popupChatInput = this.chatbotPopup.querySelector('#chat-input-field');
-    const popupSendButton = this.chatbotPopup.querySelector('#send-message-btn');
-    const popupVoiceButton = this.chatbotPopup.querySelector('#voice-input-btn');
-    
-    // Add event listeners for popup elements
-    popupSendButton.addEventListener('click', () => {
-      const message = popupChatInput.value.trim();
-      if (!message) return;
+    // Conversations sidebar, opened from the header
+    if (this.threads) {
+      this.threadsButton = popupHeader.querySelector('.chatbot-popup-threads');
+      this.threadsPanel = this.createThreadsPanel();
+      
+      this.threadsButton.addEventListener('click', () => {
+        this.toggleThreadsPanel(this.threadsPanel.hidden);
+      });
       
-      // Add user message to both chats
-      this.addUserMessage(message);
+      this.chatbotPopup.appendChild(this.threadsPanel);
+    }
+    
+    // Voice settings panel, opened from the header
+    if (this.canSpeak()) {
+      const voicePanel = this.createVoiceSettingsPanel();
+      const voiceButton = popupHeader.querySelector('.chatbot-popup-voice');
       
-      // Clear input
-      popupChatInput.value = '';
+      voiceButton.addEventListener('click', () => {
+        voicePanel.hidden = !voicePanel.hidden;
+        voiceButton.setAttribute('aria-expanded', String(!voicePanel.hidden));
+      });
       
-      // Get bot response
-      this.getBotResponse(message);
-    });
+      this.chatbotPopup.appendChild(voicePanel);
+    }
     
-    popupChatInput.addEventListener('keydown', (e) => {
-      if (e.key === 'Enter') {
-        e.preventDefault();
-        popupSendButton.click();
-      }
-    });
+    const chatbotContent = this.createChatContainer();
+    this.chatbotPopup.appendChild(chatbotContent);
     
-    if (this.config.voice.enabled && popupVoiceButton) {
-      popupVoiceButton.addEventListener('click', () => {
-        this.toggleVoiceInput(true); // true indicates popup
-      });
+    // Ask once before any usage events are recorded
+    if (this.analyticsEvents && this.analyticsEvents.needsConsent()) {
+      const chatMessages = chatbotContent.querySelector('.chat-messages');
+      chatMessages.parentNode.insertBefore(this.createAnalyticsConsent(), chatMessages.nextSibling);
     }
     
-    // Add suggestion chips to popup
-    const popupSuggestionChips = this.chatbotPopup.querySelectorAll('.suggestion-chip');
-    popupSuggestionChips.forEach(chip => {
-      chip.addEventListener('click', () => {
-        popupChatInput.value = chip.textContent;
-        popupSendButton.click();
-      });
-    });
+    // Keep references to the chat elements
+    this.chatMessages = chatbotContent.querySelector('.chat-messages');
+    this.chatSuggestions = chatbotContent.querySelector('.chat-suggestions');
+    this.chatInput = chatbotContent.querySelector('#chat-input-field');
+    this.sendButton = chatbotContent.querySelector('#send-message-btn');
+    this.voiceButton = chatbotContent.querySelector('#voice-input-btn');
+  }
+  
+  /**
+   * Create the chat
+   * @returns {HTMLElement} - Message list, suggestion chips and input row
+   */
+  createChatContainer() {
+    const container = document.createElement('div');
+    container.className = 'chatbot-container';
+    container.innerHTML = `
+      <div class="chat-messages" id="chat-messages" role="log" aria-live="polite"></div>
+      <div class="chat-suggestions"></div>
+      <div class="chat-input">
+        <button type="button" class="voice-btn" id="voice-input-btn" title="Voice input" aria-label="Voice input"><i class="fas fa-microphone"></i></button>
+        <input type="text" id="chat-input-field" autocomplete="off">
+        <button type="button" class="send-btn" id="send-message-btn" title="Send" aria-label="Send"><i class="fas fa-paper-plane"></i></button>
+      </div>
+    `;
+    
+    this.translateChatInput(container.querySelector('#chat-input-field'));
+    
+    return container;
+  }
+  
+  /**
+   * Set the input's placeholder and label in the visitor's language
+   * @param {HTMLInputElement} input - The chat input
+   */
+  translateChatInput(input) {
+    input.placeholder = this.t('inputPlaceholder', 'Ask {name} anything...', { name: this.config.personality.name });
+    input.setAttribute('aria-label', this.t('inputLabel', 'Message'));
   }
   
   /**
@@ -285,17 +572,29 @@ class ValleyBot {
     
     if (!message) return;
     
-    // Add user message to chat
-    this.addUserMessage(message);
-    
     // Clear input
     this.chatInput.value = '';
     
+    this.submitMessage(message);
+  }
+  
+  /**
+   * Submit message
+   * Shared by the input field and quick-reply buttons
+   * @param {string} message - The user's message
+   */
+  submitMessage(message) {
+    // Lead answers (names, emails, phone numbers) are never tracked
+    const isLeadReply = Boolean(this.leadCapture && this.leadCapture.isActive());
+    
+    // Add user message to chat
+    this.addUserMessage(message);
+    
     // Get bot response
     this.getBotResponse(message);
     
     // Track analytics
-    if (this.config.analytics.enabled) {
+    if (this.config.analytics.enabled && !isLeadReply) {
       this.trackInteraction(message);
     }
   }
@@ -305,21 +604,29 @@ class ValleyBot {
    * @param {string} message - The user's message
    */
   addUserMessage(message) {
-    // Add to main chat
-    this.addMessageToChat(message, 'user');
-    
-    // Add to popup chat if it exists
-    const popupChatMessages = this.chatbotPopup.querySelector('.chat-messages');
-    if (popupChatMessages) {
-      this.addMessageToElement(message, 'user', popupChatMessages);
+    // A new question cuts off the reply still being read out
+    this.hasUserInteracted = true;
+    if (this.voice) {
+      this.voice.stop();
     }
     
-    // Add to chat history
-    this.chatHistory.push({
+    // Quick replies only answer the message they came with
+    this.getChatContainers().forEach(container => {
+      container.querySelectorAll('.message-quick-replies').forEach(replies => replies.remove());
+    });
+    
+    const entry = {
+      id: this.createMessageId(),
       role: 'user',
       content: message,
       timestamp: new Date().toISOString()
-    });
+    };
+    
+    // Add to chat
+    this.addMessageToChat(message, 'user', entry);
+    
+    // Add to chat history
+    this.chatHistory.push(entry);
     
     // Save chat history
     this.saveChatHistory();
@@ -327,42 +634,61 @@ class ValleyBot {
   
   /**
    * Add bot message to chat
-   * @param {string} message - The bot's message
+   * @param {string|Object} message - The bot's message, or a rich message from createRichMessage()
+   * @param {Object} meta - Extra fields stored with the message in chat history
    */
-  addBotMessage(message) {
-    // Add to main chat
-    this.addMessageToChat(message, 'bot');
+  addBotMessage(message, meta = {}) {
+    const entry = { id: this.createMessageId(), timestamp: new Date().toISOString() };
     
-    // Add to popup chat if it exists
-    const popupChatMessages = this.chatbotPopup.querySelector('.chat-messages');
-    if (popupChatMessages) {
-      this.addMessageToElement(message, 'bot', popupChatMessages);
-    }
+    // Add to chat
+    this.addMessageToChat(message, 'bot', entry);
     
-    // Add to chat history
+    this.recordBotMessage(message, { ...meta, ...entry });
+  }
+  
+  /**
+   * Record bot message
+   * Stores a rendered bot message in history and refreshes the chips
+   * @param {string|Object} message - The bot's message, or a rich message
+   * @param {Object} meta - Extra fields stored with the message, including its id and timestamp
+   */
+  recordBotMessage(message, meta = {}) {
+    const rich = typeof message === 'object' ? message : null;
+    
+    // Add to chat history; cards are summarized as text so AI providers know what the visitor saw
     this.chatHistory.push({
       role: 'assistant',
-      content: message,
-      timestamp: new Date().toISOString()
+      content: rich ? ValleyCards.toText(rich) : message,
+      timestamp: new Date().toISOString(),
+      ...(rich ? { rich } : {}),
+      ...meta
     });
     
     // Save chat history
     this.saveChatHistory();
     
-    // Update suggestion chips based on context
-    this.updateSuggestionChips();
+    // Update suggestion chips based on context, and read them out to screen readers
+    this.updateSuggestionChips(true);
+    
+    // Read the reply aloud in voice mode
+    this.speakReply(rich ? rich.text : message);
   }
   
   /**
    * Add message to chat element
-   * @param {string} message - The message text
+   * @param {string|Object} message - The message text, or a rich message from createRichMessage()
    * @param {string} sender - 'user' or 'bot'
    * @param {HTMLElement} element - The chat messages element
+   * @param {Object} entry - Chat history entry the message belongs to (id and timestamp)
    */
-  addMessageToElement(message, sender, element) {
+  addMessageToElement(message, sender, element, entry = {}) {
     const messageElement = document.createElement('div');
     messageElement.className = `message ${sender}`;
     
+    if (entry.id) {
+      messageElement.dataset.messageId = entry.id;
+    }
+    
     let avatar;
     if (sender === 'user') {
       avatar = '<div class="message-avatar"><i class="fas fa-user"></i></div>';
@@ -370,636 +696,2388 @@ class ValleyBot {
       avatar = `<div class="message-avatar"><img src="${this.config.ui.avatarPath}" alt="ValleyBot"></div>`;
     }
     
-    // Process message text (add links, emojis, etc.)
-    const processedMessage = this.processMessageText(message);
+    // Bot messages can be replayed out loud
+    const replayButton = sender === 'bot' && this.canSpeak()
+      ? '<button class="message-replay" title="Read aloud" aria-label="Read aloud"><i class="fas fa-volume-up"></i></button>'
+      : '';
+    
+    // Stored messages can be deleted one at a time
+    const deleteButton = entry.id
+      ? '<button class="message-delete" title="Delete message" aria-label="Delete message"><i class="fas fa-trash-alt"></i></button>'
+      : '';
     
     messageElement.innerHTML = `
       ${avatar}
       <div class="message-content">
-        <p>${processedMessage}</p>
-        <span class="message-time">${this.formatTime(new Date())}</span>
+        <div class="message-text"></div>
+        <span class="message-time">${this.formatTime(entry.timestamp ? new Date(entry.timestamp) : new Date())}</span>
+        ${replayButton}
+        ${deleteButton}
       </div>
     `;
     
+    this.renderMessageContent(messageElement, message, sender);
+    
+    const replay = messageElement.querySelector('.message-replay');
+    if (replay) {
+      replay.addEventListener('click', () => {
+        this.speakMessage(messageElement.speechText, true);
+      });
+    }
+    
+    const remove = messageElement.querySelector('.message-delete');
+    if (remove) {
+      remove.addEventListener('click', () => {
+        this.deleteMessage(entry.id);
+      });
+    }
+    
     element.appendChild(messageElement);
     
     // Scroll to bottom
     element.scrollTop = element.scrollHeight;
+    
+    return messageElement;
   }
   
   /**
-   * Add message to main chat
-   * @param {string} message - The message text
+   * Render message content
+   * Fills in the text, then any cards and quick replies of a rich message
+   * @param {HTMLElement} messageElement - Element from addMessageToElement()
+   * @param {string|Object} message - The message text, or a rich message
    * @param {string} sender - 'user' or 'bot'
    */
-  addMessageToChat(message, sender) {
-    if (!this.chatMessages) return;
-    this.addMessageToElement(message, sender, this.chatMessages);
+  renderMessageContent(messageElement, message, sender = 'bot') {
+    const rich = typeof message === 'object' ? message : null;
+    const text = rich ? rich.text : message;
+    const textElement = messageElement.querySelector('.message-text');
+    
+    // Process message text (add links, emojis, etc.)
+    textElement.innerHTML = text ? this.processMessageText(text, sender) : '';
+    
+    // Streaming bubbles start empty, so the text to replay is kept on the element
+    messageElement.speechText = text;
+    
+    if (!rich || !this.cards) return;
+    
+    const cards = this.cards.renderCards(rich.cards, {
+      locale: this.i18n ? this.i18n.getLocale() : undefined,
+      labels: {
+        tickets: this.t('cardTickets', 'Get tickets'),
+        shop: this.t('cardShop', 'Shop now'),
+        calendar: this.t('cardCalendar', 'Add to calendar')
+      }
+    });
+    textElement.insertAdjacentHTML('afterend', cards + this.cards.renderQuickReplies(rich.quickReplies));
+    
+    messageElement.querySelectorAll('.quick-reply').forEach(button => {
+      button.addEventListener('click', () => {
+        this.submitMessage(button.dataset.message);
+      });
+    });
   }
   
   /**
-   * Process message text
-   * Converts URLs to links, adds formatting, etc.
-   * @param {string} text - The raw message text
-   * @returns {string} - The processed message text
-   */
-  processMessageText(text) {
-    // Convert URLs to links
-    text = text.replace(
-      /(https?:\/\/[^\s]+)/g, 
-      '<a href="$1" target="_blank" rel="noopener noreferrer">$1</a>'
-    );
-    
-    // Convert email addresses to links
-    text = text.replace(
-      /([a-zA-Z0-9._%+-]+@[a-zA-Z0-9.-]+\.[a-zA-Z]{2,})/g,
-      '<a href="mailto:$1">$1</a>'
-    );
-    
-    // Convert phone numbers to links
-    text = text.replace(
-      /(\+?[0-9]{1,3}[-\s]?)?(\([0-9]{3}\)|[0-9]{3})[-\s]?[0-9]{3}[-\s]?[0-9]{4}/g,
-      '<a href="tel:$&">$&</a>'
-    );
-    
-    // Add basic markdown-like formatting
-    // Bold
-    text = text.replace(/\*\*(.*?)\*\*/g, '<strong>$1</strong>');
-    
-    // Italic
-    text = text.replace(/\*(.*?)\*/g, '<em>$1</em>');
-    
-    // Add emojis if enabled
-    if (this.config.personality.emoji) {
-      // Replace common emoji shortcodes
-      const emojiMap = {
-        ':)': '😊',
-        ':(': '😔',
-        ':D': '😁',
-        ';)': '😉',
-        ':P': '😛',
-        '<3': '❤️',
-        ':music:': '🎵',
-        ':mic:': '🎤',
-        ':fire:': '🔥',
-        ':star:': '⭐',
-        ':bulb:': '💡'
-      };
-      
-      for (const [shortcode, emoji] of Object.entries(emojiMap)) {
-        text = text.replace(new RegExp(shortcode, 'g'), emoji);
-      }
-    }
+   * Create rich message
+   * @param {string} text - Message text
+   * @param {Object} extras - cards (from ValleyCards) and quickReplies (strings or { label, message })
+   * @returns {string|Object} - Rich message, or just the text when there's nothing else to show
+   */
+  createRichMessage(text, { cards = [], quickReplies = [] } = {}) {
+    if (!this.cards || (!cards.length && !quickReplies.length)) return text;
     
-    return text;
+    return {
+      text,
+      cards: cards.slice(0, this.cards.config.maxCards),
+      quickReplies: this.cards.normalizeQuickReplies(quickReplies)
+    };
   }
   
   /**
-   * Get bot response
-   * Fetches response from AI model or falls back to local responses
-   * @param {string} message - The user's message
+   * Attach an intent's cards to an answer
+   * @param {string} text - Answer text
+   * @param {Object} intent - Matched intent; its `cards` names the collection to show
+   * @returns {string|Object} - Rich message, or the text when there are no cards
    */
-  async getBotResponse(message) {
-    // Show typing indicator
-    this.showTypingIndicator();
+  attachCards(text, intent) {
+    if (!this.cards || !intent || !intent.cards) return text;
     
-    try {
-      // Try to get response from API
-      const response = await this.fetchAIResponse(message);
-      
-      // Remove typing indicator
-      this.hideTypingIndicator();
-      
-      // Add bot response to chat
-      this.addBotMessage(response);
-    } catch (error) {
-      console.error('Error getting bot response:', error);
-      
-      // Remove typing indicator
-      this.hideTypingIndicator();
-      
-      // Fall back to local response
-      if (this.config.api.useLocalFallback) {
-        const fallbackResponse = this.getLocalResponse(message);
-        this.addBotMessage(fallbackResponse);
-      } else {
-        this.addBotMessage("Sorry, I'm having trouble connecting right now. Please try again later.");
-      }
-    }
+    return this.createRichMessage(text, { cards: this.cards.getCollection(intent.cards) });
   }
   
   /**
-   * Fetch AI response from API
-   * Tries multiple endpoints with fallback
-   * @param {string} message - The user's message
-   * @returns {Promise<string>} - The AI response
+   * Create a lead capture message
+   * Adds buttons for the current step (yes / edit / cancel, field names, skip)
+   * @param {string} text - Lead capture reply
+   * @returns {string|Object} - Rich message, or the text when the step has no buttons
    */
-  async fetchAIResponse(message) {
-    // Sort endpoints by priority
-    const endpoints = [...this.config.api.endpoints].sort((a, b) => a.priority - b.priority);
+  leadMessage(text) {
+    return this.createRichMessage(text, { quickReplies: this.leadCapture.getQuickReplies() });
+  }
+  
+  /**
+   * Create streaming bot message
+   * Adds an empty bot bubble that fills in as tokens arrive
+   * @returns {Object} - Handle with append(token), finalize(message) and discard()
+   */
+  createStreamingBotMessage() {
+    const entry = { id: this.createMessageId(), timestamp: new Date().toISOString() };
     
-    // Try each endpoint in order
-    for (const endpoint of endpoints) {
-      try {
-        // Simulate API call for now
-        // In a real implementation, this would make an actual API request
-        
-        // Add artificial delay to simulate network request
-        await new Promise(resolve => setTimeout(resolve, 1500));
-        
-        // For demonstration purposes, return a simulated response
-        return this.getEnhancedResponse(message);
+    const bubbles = this.getChatContainers().map(container => {
+      const element = this.addMessageToElement('', 'bot', container, entry);
+      element.classList.add('streaming');
+      return { container, element };
+    });
+    
+    let text = '';
+    
+    return {
+      append: (token) => {
+        text += token;
         
-        /* 
-        // Real implementation would look something like this:
-        const response = await fetch(endpoint.url, {
-          method: 'POST',
-          headers: {
-            'Content-Type': 'application/json',
-            'Authorization': `Bearer ${apiKey}`
-          },
-          body: JSON.stringify({
-            messages: this.formatChatHistoryForAPI(),
-            max_tokens: 500,
-            temperature: this.config.personality.creativity
-          }),
-          signal: AbortSignal.timeout(this.config.api.timeout)
+        // Raw text while streaming; formatting is applied once the reply is complete
+        bubbles.forEach(({ container, element }) => {
+          element.querySelector('.message-text').textContent = text;
+          container.scrollTop = container.scrollHeight;
+        });
+      },
+      
+      finalize: (message) => {
+        bubbles.forEach(({ element }) => {
+          element.classList.remove('streaming');
+          this.renderMessageContent(element, message);
         });
         
-        if (!response.ok) {
-          throw new Error(`API error: ${response.status}`);
-        }
-        
-        const data = await response.json();
-        return data.choices[0].message.content;
-        */
-      } catch (error) {
-        console.warn(`Error with endpoint ${endpoint.name}:`, error);
-        
-        // Continue to next endpoint
-        continue;
+        this.recordBotMessage(message, entry);
+      },
+      
+      discard: () => {
+        bubbles.forEach(({ element }) => element.remove());
       }
-    }
-    
-    // If all endpoints fail, throw error
-    throw new Error('All API endpoints failed');
+    };
   }
   
   /**
-   * Format chat history for API request
-   * @returns {Array} - Formatted chat history
+   * Add message to chat
+   * @param {string|Object} message - The message text, or a rich message
+   * @param {string} sender - 'user' or 'bot'
+   * @param {Object} entry - Chat history entry the message belongs to
    */
-  formatChatHistoryForAPI() {
-    // Limit history to last 10 messages to avoid token limits
-    const recentHistory = this.chatHistory.slice(-10);
-    
-    // Add system message at the beginning
-    return [
-      {
-        role: 'system',
-        content: this.getSystemPrompt()
+  addMessageToChat(message, sender, entry = {}) {
+    if (!this.chatMessages) return;
+    this.addMessageToElement(message, sender, this.chatMessages, entry);
+  }
+  
+  /**
+   * Get chat containers
+   * @returns {Array<HTMLElement>} - The message list, once the chat has been built
+   */
+  getChatContainers() {
+    return [this.chatMessages].filter(Boolean);
+  }
+  
+  /**
+   * Render chat history
+   * Replaces the chat with the open conversation
+   */
+  renderChatHistory() {
+    this.getChatContainers().forEach(container => {
+      container.innerHTML = '';
+      
+      this.chatHistory.forEach(entry => {
+        this.addMessageToElement(entry.rich || entry.content, entry.role === 'user' ? 'user' : 'bot', container, entry);
+      });
+      
+      // Only the last message's quick replies still apply
+      container.querySelectorAll('.message:not(:last-child) .message-quick-replies').forEach(replies => replies.remove());
+    });
+  }
+  
+  /**
+   * Delete a message
+   * Removes it from the chat and the conversation
+   * @param {string} id - Chat history entry id
+   */
+  deleteMessage(id) {
+    this.chatHistory = this.chatHistory.filter(entry => entry.id !== id);
+    
+    this.getChatContainers().forEach(container => {
+      container.querySelectorAll('.message').forEach(element => {
+        if (element.dataset.messageId === id) {
+          element.remove();
+        }
+      });
+    });
+    
+    this.saveChatHistory();
+  }
+  
+  /**
+   * Highlight a message
+   * Scrolls the chat to it, e.g. after opening a search result
+   * @param {string} id - Chat history entry id
+   */
+  highlightMessage(id) {
+    this.getChatContainers().forEach(container => {
+      const element = [...container.querySelectorAll('.message')].find(message => message.dataset.messageId === id);
+      if (!element) return;
+      
+      container.scrollTop += element.getBoundingClientRect().top - container.getBoundingClientRect().top - container.clientHeight / 3;
+      element.classList.add('highlight');
+      setTimeout(() => element.classList.remove('highlight'), 2000);
+    });
+  }
+  
+  /**
+   * Create a message id
+   * @returns {string} - Id unique within the visitor's conversations
+   */
+  createMessageId() {
+    return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+  }
+  
+  /**
+   * Process message text
+   * Bot messages are rendered as Markdown; visitor messages as plain text with links.
+   * Either way the result is escaped, so neither side can inject HTML.
+   * @param {string} text - The raw message text
+   * @param {string} sender - 'user' or 'bot'
+   * @returns {string} - The processed message HTML
+   */
+  processMessageText(text, sender = 'bot') {
+    if (this.markdown) {
+      return sender === 'bot' ? this.markdown.render(text) : this.markdown.renderText(text);
+    }
+    
+    const entities = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', '\'': '&#39;' };
+    return String(text).replace(/[&<>"']/g, character => entities[character]).replace(/\n/g, '<br>');
+  }
+  
+  /**
+   * Get bot response
+   * Streams the response from an AI model or falls back to local responses
+   * @param {string} message - The user's message
+   */
+  async getBotResponse(message) {
+    this.updateLanguage(message);
+    
+    // Whether this question was spoken, for analytics
+    const voiceInput = this.isVoiceQuestion;
+    this.isVoiceQuestion = false;
+    
+    // While a team member has the conversation, messages go to them instead
+    if (this.handoffSession) {
+      await this.sendHandoffMessage(message);
+      return;
+    }
+    
+    // Lead capture answers locally until the request is sent or cancelled
+    if (this.leadCapture && this.leadCapture.isActive()) {
+      await this.handleLeadReply(message);
+      return;
+    }
+    
+    // Blocked messages never reach an AI provider, the lead flows or the team
+    if (this.moderation && !this.moderateQuestion(message, voiceInput)) {
+      return;
+    }
+    
+    const intentResult = this.classifyMessage(message);
+    const track = (outcome, source = 'local') => this.trackQuestion(message, { outcome, source, intentResult, voiceInput });
+    
+    if (intentResult.status === 'matched' && intentResult.intent.action === 'handoff' && this.canHandoff()) {
+      this.startHandoff();
+      track('handoff');
+      return;
+    }
+    
+    // Sessions, workshops and consultations are booked straight away; without open times it's a booking request
+    if (this.booking && intentResult.status === 'matched' && intentResult.intent.name === 'booking' && await this.startBooking()) {
+      track('lead');
+      return;
+    }
+    
+    if (this.leadCapture && intentResult.status === 'matched' &&
+        this.config.leadCapture.triggerIntents.includes(intentResult.intent.name)) {
+      this.addBotMessage(this.leadMessage(this.leadCapture.start(intentResult.intent.name)), { leadCapture: true });
+      track('lead');
+      return;
+    }
+    
+    // Repeated questions are answered from the cache without asking the AI again; follow-ups depend on the conversation
+    const canCache = Boolean(this.offline && this.isAnswerCacheChecked && this.isOpeningQuestion());
+    const cachedResponse = canCache ? this.offline.getAnswer(message, this.getLanguage()) : null;
+    if (cachedResponse) {
+      this.addBotMessage((this.cards && this.cards.parseMessage(cachedResponse)) || cachedResponse);
+      track('answered', 'ai');
+      return;
+    }
+    
+    // Without a connection, answer locally straight away instead of waiting for every endpoint to time out
+    if (this.config.api.useLocalFallback && this.isOffline()) {
+      this.addLocalResponse(message, intentResult, track);
+      return;
+    }
+    
+    // Show typing indicator
+    this.showTypingIndicator();
+    
+    // Answers that arrive after the visitor switched conversations are dropped
+    const threadId = this.thread.id;
+    
+    const handlers = this.createStreamHandlers(threadId);
+    
+    try {
+      // Try to get response from API
+      const response = await this.fetchAIResponse(message, handlers);
+      if (this.thread.id !== threadId) return;
+      
+      // Models may answer with a JSON card message instead of text
+      const parsed = (this.cards && this.cards.parseMessage(response)) || response;
+      
+      // Abusive answers are replaced, and made-up prices or dates flagged, before the streamed text is final
+      const { reply, isClean } = this.moderation ? this.moderateAnswer(message, parsed) : { reply: parsed, isClean: true };
+      
+      // Remove typing indicator
+      this.hideTypingIndicator();
+      
+      // Add bot response to chat
+      const streamingMessage = handlers.getMessage();
+      if (streamingMessage) {
+        streamingMessage.finalize(reply);
+      } else {
+        this.addBotMessage(reply);
+      }
+      
+      if (canCache && isClean) {
+        this.offline.setAnswer(message, this.getLanguage(), response);
+      }
+      
+      track('answered', 'ai');
+    } catch (error) {
+      console.error('Error getting bot response:', error);
+      if (this.thread.id !== threadId) return;
+      
+      // Remove typing indicator and any partial answer
+      handlers.onReset();
+      this.hideTypingIndicator();
+      
+      // Fall back to local response
+      if (this.config.api.useLocalFallback) {
+        this.addLocalResponse(message, intentResult, track);
+      } else {
+        this.addBotMessage(this.t('apiError', 'Sorry, I\'m having trouble connecting right now. Please try again later, or say "talk to a human" to reach the team.'));
+        track('error');
+      }
+    }
+  }
+  
+  /**
+   * Create the fetchAIResponse() handlers that stream an answer into a bubble
+   * With moderation on, the growing answer is checked on every token: once it
+   * trips a block rule the bubble is removed and the rest of the stream held
+   * back, and moderateAnswer() puts the refusal in its place
+   * @param {string} threadId - Conversation the answer belongs to
+   * @returns {Object} - { onToken, onReset, getMessage }; getMessage() returns the bubble, or null if none is shown
+   */
+  createStreamHandlers(threadId) {
+    // Bubble is created lazily so the typing indicator stays up until the first token
+    let streamingMessage = null;
+    let isHeld = false;
+    const facts = this.moderation ? this.getKnownFacts() : null;
+    
+    return {
+      onToken: (token, text) => {
+        if (this.thread.id !== threadId || isHeld) return;
+        
+        // Structured replies are shown once they're complete, so their JSON never flashes up
+        if (this.cards && /^\s*(\{|```json)/.test(text)) return;
+        
+        if (this.moderation && !this.moderation.checkOutput(text, facts).allowed) {
+          isHeld = true;
+          if (streamingMessage) {
+            streamingMessage.discard();
+            streamingMessage = null;
+          }
+          this.showTypingIndicator();
+          return;
+        }
+        
+        if (!streamingMessage) {
+          this.hideTypingIndicator();
+          streamingMessage = this.createStreamingBotMessage();
+          streamingMessage.append(text);
+          return;
+        }
+        streamingMessage.append(token);
       },
-      ...recentHistory
-    ];
+      onReset: () => {
+        // An endpoint failed mid-stream; drop its partial answer before the next one starts
+        isHeld = false;
+        if (streamingMessage) {
+          streamingMessage.discard();
+          streamingMessage = null;
+          this.showTypingIndicator();
+        }
+      },
+      getMessage: () => streamingMessage
+    };
   }
   
   /**
-   * Get system prompt for AI model
-   * @returns {string} - System prompt
+   * Check a question against the guardrails
+   * Violations are logged for review; blocked questions get a refusal instead of an answer
+   * @param {string} message - The user's message
+   * @param {boolean} voiceInput - Whether it was spoken, for analytics
+   * @returns {boolean} - Whether the question may be answered
    */
-  getSystemPrompt() {
-    return `You are ${this.config.personality.name}, an AI assistant for Valleytainment Productions, a cutting-edge entertainment company specializing in content creation, talent management, and music production with an edgy, vibrant urban aesthetic.
+  moderateQuestion(message, voiceInput = false) {
+    const result = this.moderation.checkInput(message);
     
-Your personality is ${this.config.personality.tone} with a ${this.config.personality.style} flair.
-
-You should provide helpful, accurate information about Valleytainment Productions, including:
-- Services offered (content creation, music production, talent management, event production)
-- Team members and their roles
-- Upcoming events and releases
-- Collaboration opportunities
-- Merchandise information
-- Contact details
-
-Keep responses concise but informative. If you don't know something specific about Valleytainment, acknowledge that and offer to connect the user with a team member who can help.
-
-Current date: ${new Date().toLocaleDateString()}`;
+    if (result.reason) {
+      this.moderation.report({ stage: 'input', reason: result.reason, rule: result.rule, text: message, conversation: this.thread.id });
+    }
+    
+    if (result.allowed) return true;
+    
+    // Neither the question nor the refusal is sent to AI providers later in the conversation
+    const lastEntry = this.chatHistory[this.chatHistory.length - 1];
+    if (lastEntry && lastEntry.role === 'user') {
+      lastEntry.moderation = true;
+      this.saveChatHistory();
+    }
+    
+    const refusals = {
+      injection: ['moderationInjection', 'I can only help with Valleytainment, so I\'ll stick to my usual instructions. What would you like to know about our music, events or services? 🎤'],
+      toxic: ['moderationToxic', 'Let\'s keep it respectful. I\'m happy to help with anything about Valleytainment: music, events, services or collaborations.'],
+      explicit: ['moderationExplicit', 'I can\'t help with that kind of content. Ask me about Valleytainment\'s music, events or services instead!']
+    };
+    
+    this.addBotMessage(this.t(...refusals[result.reason]), { moderation: true });
+    this.trackQuestion(message, { outcome: 'blocked', voiceInput });
+    return false;
+  }
+  
+  /**
+   * Check an AI answer against the guardrails
+   * @param {string} message - The user's message
+   * @param {string|Object} reply - The answer, or a rich message from the cards parser
+   * @returns {Object} - { reply, isClean }: the reply to show, and whether it passed unchanged
+   */
+  moderateAnswer(message, reply) {
+    const text = typeof reply === 'object' ? reply.text : reply;
+    const result = this.moderation.checkOutput(text, this.getKnownFacts());
+    
+    if (!result.reason) {
+      return { reply, isClean: true };
+    }
+    
+    this.moderation.report({ stage: 'output', reason: result.reason, rule: result.rule, text, conversation: this.thread.id });
+    
+    if (!result.allowed) {
+      return { reply: this.t('moderationOutput', 'Sorry, I can\'t share that answer. Try asking another way, or say "talk to a human" to reach the team.'), isClean: false };
+    }
+    
+    // Prices and dates the knowledge base doesn't back up
+    if (this.config.moderation.factCheck === 'local') {
+      const localResponse = this.getLocalResponse(message);
+      if (localResponse !== this.getDefaultResponse()) {
+        return { reply: localResponse, isClean: false };
+      }
+    }
+    
+    const note = `\n\n_${this.t('unverifiedFacts', '⚠️ I couldn\'t confirm {claims} in our info, so please check with the team before you rely on it.', { claims: result.claims.join(', ') })}_`;
+    
+    return {
+      reply: typeof reply === 'object' ? { ...reply, text: `${reply.text}${note}` } : `${reply}${note}`,
+      isClean: false
+    };
+  }
+  
+  /**
+   * Get the prices and dates ValleyBot can vouch for
+   * @returns {Object} - { prices, dates } from the knowledge base, events and merch cards
+   */
+  getKnownFacts() {
+    const texts = this.knowledgeBase ? this.knowledgeBase.passages.map(passage => passage.text) : [];
+    
+    if (this.cards) {
+      const { events, merch } = this.cards.collections;
+      texts.push(ValleyCards.toText({ text: '', cards: [...events, ...merch] }));
+    }
+    
+    return this.moderation.getFacts(texts);
+  }
+  
+  /**
+   * Answer from the knowledge base and intents
+   * @param {string} message - The user's message
+   * @param {Object} intentResult - Result of classifyMessage()
+   * @param {Function} track - Records the outcome for analytics
+   */
+  addLocalResponse(message, intentResult, track) {
+    const response = this.getLocalResponse(message);
+    this.addBotMessage(response);
+    
+    if (response === this.getDefaultResponse()) {
+      track('unanswered');
+    } else {
+      track(intentResult.status === 'clarify' ? 'clarify' : 'answered');
+    }
+  }
+  
+  /**
+   * Handle a reply during lead capture
+   * Lead messages are flagged in history so they're never sent to AI providers
+   * @param {string} message - The user's message
+   */
+  async handleLeadReply(message) {
+    const lastEntry = this.chatHistory[this.chatHistory.length - 1];
+    if (lastEntry && lastEntry.role === 'user') {
+      lastEntry.leadCapture = true;
+      this.saveChatHistory();
+    }
+    
+    await this.prepareBooking();
+    
+    const result = this.leadCapture.handle(message);
+    
+    // Events, shoots and projects need the team, so "Something else" becomes a booking request
+    if (this.booking && this.leadCapture.getState().values.service === ValleyBooking.OTHER) {
+      this.addBotMessage(this.leadMessage(this.leadCapture.start('booking')), { leadCapture: true });
+      return;
+    }
+    
+    this.addBotMessage(result.status === 'submit' ? result.reply : this.leadMessage(result.reply), { leadCapture: true });
+    
+    if (result.status === 'submit') {
+      const { intent } = this.leadCapture.getState();
+      
+      if (intent === 'handoff') {
+        await this.submitHandoff();
+      } else if (intent === 'appointment') {
+        await this.submitBooking();
+      } else {
+        await this.submitLead();
+      }
+    }
+  }
+  
+  /**
+   * Submit the captured lead
+   * Posts the same fields as #contact-form to the Netlify form endpoint
+   */
+  async submitLead() {
+    const payload = this.leadCapture.buildPayload();
+    
+    if (this.isOffline()) {
+      this.queueRequest('lead', payload);
+      return;
+    }
+    
+    this.showTypingIndicator();
+    
+    try {
+      await this.sendLead(payload);
+      
+      this.leadCapture.reset();
+      this.hideTypingIndicator();
+      this.addBotMessage(this.t('leadSent', 'You\'re all set, {name}! 🎉 The team will reach out at {email} soon.', payload), { leadCapture: true });
+    } catch (error) {
+      console.error('Error submitting lead:', error);
+      this.hideTypingIndicator();
+      
+      // The connection dropped on the way; send it once it's back
+      if (this.offline && this.offline.reportFailure(error)) {
+        this.queueRequest('lead', payload);
+        return;
+      }
+      
+      // Stay on the confirmation step so "yes" retries
+      this.addBotMessage(this.leadMessage(this.t('leadFailed', 'I couldn\'t send that just now. Reply "yes" to try again, or email us at info@valleytainment.com.')), { leadCapture: true });
+    }
+  }
+  
+  /**
+   * Post a lead to the Netlify form endpoint
+   * @param {Object} payload - Fields from leadCapture.buildPayload()
+   */
+  async sendLead(payload) {
+    const endpoint = new URL(this.config.leadCapture.endpoint, window.location.href);
+    // Netlify Forms can't answer CORS, so from a partner site the post goes out
+    // no-cors: the form still arrives, but the reply is opaque. A CORS failure
+    // would otherwise look like being offline and the queued resend would
+    // submit the same lead twice.
+    const crossOrigin = endpoint.origin !== window.location.origin;
+    
+    const response = await fetch(endpoint.href, {
+      method: 'POST',
+      mode: crossOrigin ? 'no-cors' : 'cors',
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+      body: new URLSearchParams(payload).toString()
+    });
+    
+    if (!crossOrigin && !response.ok) {
+      throw new Error(`Form submission error: ${response.status}`);
+    }
+  }
+  
+  /**
+   * Start a booking with the open times
+   * @returns {Promise<boolean>} - False when there are no open times to offer (offline, or nothing free)
+   */
+  async startBooking() {
+    if (this.isOffline()) return false;
+    
+    this.showTypingIndicator();
+    
+    try {
+      const openServices = await this.booking.load();
+      this.hideTypingIndicator();
+      
+      if (!openServices) return false;
+    } catch (error) {
+      console.warn('Error loading open times:', error);
+      this.hideTypingIndicator();
+      return false;
+    }
+    
+    this.addBotMessage(this.leadMessage(this.leadCapture.start('appointment')), { leadCapture: true });
+    return true;
+  }
+  
+  /**
+   * Load the open times for a booking picked up after a reload
+   */
+  async prepareBooking() {
+    if (!this.booking || this.booking.isLoaded() || this.leadCapture.getState().intent !== 'appointment') return;
+    
+    try {
+      await this.booking.load();
+    } catch (error) {
+      console.warn('Error loading open times:', error);
+    }
+  }
+  
+  /**
+   * Book the chosen time
+   * The team is told through the contact form too, like any other request
+   */
+  async submitBooking() {
+    const { answers, values } = this.leadCapture.getState();
+    const request = {
+      service: values.service,
+      start: values.time,
+      name: answers.name,
+      email: answers.email,
+      phone: answers.phone || null,
+      notes: answers.notes || null,
+      language: this.getLanguage()
+    };
+    
+    // A time can't be held offline, since someone else may take it meanwhile
+    if (this.isOffline()) {
+      this.addBotMessage(this.leadMessage(this.t('bookingOffline', 'I can\'t check the calendar while you\'re offline. Reply "yes" to try again once you\'re back online.')), { leadCapture: true });
+      return;
+    }
+    
+    this.showTypingIndicator();
+    
+    try {
+      const result = await this.booking.submit(request);
+      
+      if (result.conflict) {
+        await this.booking.load();
+        this.hideTypingIndicator();
+        
+        // Offer the other times that day, or other days when it's full
+        const slot = this.booking.getTimeChoices(values.service, values.date).length ? 'time' : 'date';
+        this.addBotMessage(this.leadMessage(`${this.t('bookingTaken', 'Sorry, someone just booked that time.')}\n\n${this.leadCapture.reask(slot)}`), { leadCapture: true });
+        return;
+      }
+      
+      const payload = this.leadCapture.buildPayload();
+      
+      this.leadCapture.reset();
+      this.hideTypingIndicator();
+      this.addBotMessage(this.createBookingMessage(result.booking, request), { leadCapture: true });
+      
+      // The booking is saved either way, so a failed notification only needs logging
+      this.sendLead(payload).catch(error => {
+        console.warn('Error notifying the team of a booking:', error);
+      });
+    } catch (error) {
+      console.error('Error booking:', error);
+      this.hideTypingIndicator();
+      
+      if (this.offline) {
+        this.offline.reportFailure(error);
+      }
+      
+      // Stay on the confirmation step so "yes" retries
+      this.addBotMessage(this.leadMessage(this.t('bookingFailed', 'I couldn\'t book that just now. Reply "yes" to try again, or email us at info@valleytainment.com.')), { leadCapture: true });
+    }
+  }
+  
+  /**
+   * Create the booking confirmation
+   * @param {Object} booking - { id, service, start, end } from the bookings endpoint
+   * @param {Object} request - { name, email } for the message
+   * @returns {string|Object} - Rich message with a calendar invite card
+   */
+  createBookingMessage(booking, request) {
+    const language = this.getLanguage();
+    const service = this.booking.getServiceName(booking.service, language);
+    const when = `${this.booking.formatDay(this.booking.getStudioDate(booking.start), language)}, ${this.booking.formatTime(booking.start, language)}`;
+    
+    const text = this.t('bookingConfirmed', 'You\'re booked, {name}! 🎉 {service}, {when}. Add it to your calendar below; the team will email {email} if anything changes.', {
+      name: request.name,
+      email: request.email,
+      service,
+      when
+    });
+    
+    return this.createRichMessage(text, {
+      cards: [{
+        type: 'booking',
+        title: service,
+        date: when,
+        venue: this.booking.config.location,
+        calendar: this.booking.createCalendarUrl(booking, language)
+      }]
+    });
+  }
+  
+  /**
+   * Whether human handoff is available
+   * @returns {boolean}
+   */
+  canHandoff() {
+    return Boolean(this.config.handoff.enabled && this.leadCapture);
+  }
+  
+  /**
+   * Request handoff from the popup button
+   */
+  requestHandoff() {
+    if (this.handoffSession) {
+      this.addBotMessage(this.t('handoffAlready', 'You\'re already connected with the team. Their replies will show up here.'), { handoff: true });
+      return;
+    }
+    
+    this.addUserMessage(this.t('handoffRequest', 'I\'d like to talk to a human.'));
+    this.startHandoff();
+  }
+  
+  /**
+   * Start a human handoff
+   * Collects the visitor's name, email and question through the lead capture flow
+   */
+  startHandoff() {
+    this.addBotMessage(this.leadMessage(this.leadCapture.start('handoff')), { leadCapture: true });
+  }
+  
+  /**
+   * Submit a human handoff
+   * Sends the transcript and contact details to the handoff endpoint and starts polling for replies
+   */
+  async submitHandoff() {
+    const { answers } = this.leadCapture.getState();
+    
+    // The team sees what the visitor asked ValleyBot, minus the contact details they just gave
+    const transcript = this.chatHistory
+      .filter(message => !message.leadCapture && !message.handoff && message.content)
+      .map(({ role, content, timestamp }) => ({ role, content, timestamp }));
+    
+    const request = {
+      name: answers.name,
+      email: answers.email,
+      question: answers.question,
+      transcript
+    };
+    
+    if (this.isOffline()) {
+      this.queueRequest('handoff', request);
+      return;
+    }
+    
+    this.showTypingIndicator();
+    
+    try {
+      const session = await this.sendHandoff(request);
+      
+      this.leadCapture.reset();
+      this.hideTypingIndicator();
+      this.connectHandoff(session, request);
+    } catch (error) {
+      console.error('Error starting handoff:', error);
+      this.hideTypingIndicator();
+      
+      // The connection dropped on the way; connect once it's back
+      if (this.offline && this.offline.reportFailure(error)) {
+        this.queueRequest('handoff', request);
+        return;
+      }
+      
+      // Stay on the confirmation step so "yes" retries
+      this.addBotMessage(this.leadMessage(this.t('handoffFailed', 'I couldn\'t reach the team just now. Reply "yes" to try again, or email us at info@valleytainment.com.')), { leadCapture: true });
+    }
+  }
+  
+  /**
+   * Open a handoff conversation
+   * @param {Object} request - { name, email, question, transcript }
+   * @returns {Promise<Object>} - The new session: { id, token }
+   */
+  async sendHandoff(request) {
+    const response = await fetch(this.config.handoff.endpoint, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(request)
+    });
+    
+    if (!response.ok) {
+      throw new Error(`Handoff error: ${response.status}`);
+    }
+    
+    return response.json();
+  }
+  
+  /**
+   * Hand the chat to the team once a handoff conversation is open
+   * @param {Object} session - { id, token } from sendHandoff()
+   * @param {Object} request - { name, email } for the confirmation message
+   */
+  connectHandoff(session, request) {
+    this.handoffSession = { id: session.id, token: session.token, lastMessageId: 0 };
+    
+    if (this.analyticsEvents) {
+      this.analyticsEvents.track('handoff', { conversation: this.thread.id });
+    }
+    this.addBotMessage(this.t('handoffConnected', 'You\'re connected, {name}! 🙌 A team member will reply right here, usually during working hours, and can follow up at {email}. Type "end chat" to go back to ValleyBot.', request), { handoff: true });
+    
+    this.startHandoffPolling();
+  }
+  
+  /**
+   * Send a visitor message to the team
+   * @param {string} message - The user's message
+   */
+  async sendHandoffMessage(message) {
+    const lastEntry = this.chatHistory[this.chatHistory.length - 1];
+    if (lastEntry && lastEntry.role === 'user') {
+      lastEntry.handoff = true;
+      this.saveChatHistory();
+    }
+    
+    if (['end chat', 'end', 'back to bot', 'terminar chat', 'terminar'].includes(message.trim().toLowerCase())) {
+      this.endHandoff(this.t('handoffEnded', 'Chat with the team ended. ValleyBot is back, ask me anything! 🤖'), true);
+      return;
+    }
+    
+    const { id, token } = this.handoffSession;
+    
+    try {
+      const response = await fetch(`${this.config.handoff.endpoint}/${encodeURIComponent(id)}/messages`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ token, message })
+      });
+      
+      if (response.status === 404 || response.status === 409) {
+        this.endHandoff(this.t('handoffClosed', 'This conversation has been closed. ValleyBot is back, ask me anything! 🤖'));
+        return;
+      }
+      
+      if (!response.ok) {
+        throw new Error(`Handoff error: ${response.status}`);
+      }
+    } catch (error) {
+      console.error('Error sending message to the team:', error);
+      this.addBotMessage(this.t('handoffSendFailed', 'That message didn\'t reach the team. Please try again, or email us at info@valleytainment.com.'), { handoff: true });
+    }
+  }
+  
+  /**
+   * Start polling for team replies
+   */
+  startHandoffPolling() {
+    this.stopHandoffPolling();
+    this.handoffPollTimer = setInterval(() => this.pollHandoff(), this.config.handoff.pollInterval);
+    this.pollHandoff();
+  }
+  
+  /**
+   * Stop polling for team replies
+   */
+  stopHandoffPolling() {
+    if (this.handoffPollTimer) {
+      clearInterval(this.handoffPollTimer);
+      this.handoffPollTimer = null;
+    }
+  }
+  
+  /**
+   * Poll for team replies
+   * Adds new replies to the chat and ends the handoff once the team closes it
+   */
+  async pollHandoff() {
+    const session = this.handoffSession;
+    
+    // Skip a tick rather than overlap a slow request
+    if (!session || this.isPollingHandoff) return;
+    this.isPollingHandoff = true;
+    
+    try {
+      const params = new URLSearchParams({ token: session.token, after: session.lastMessageId });
+      const response = await fetch(`${this.config.handoff.endpoint}/${encodeURIComponent(session.id)}?${params}`);
+      
+      // The handoff may have ended while the request was in flight
+      if (this.handoffSession !== session) return;
+      
+      if (response.status === 404) {
+        this.endHandoff(this.t('handoffUnavailable', 'This conversation is no longer available. ValleyBot is back, ask me anything! 🤖'));
+        return;
+      }
+      
+      if (!response.ok) {
+        throw new Error(`Handoff error: ${response.status}`);
+      }
+      
+      const data = await response.json();
+      
+      data.messages.forEach(reply => {
+        session.lastMessageId = Math.max(session.lastMessageId, reply.id);
+        this.addBotMessage(`**${reply.author}:** ${reply.content}`, { handoff: true });
+      });
+      
+      if (data.status === 'closed') {
+        this.endHandoff(this.t('handoffClosedByTeam', 'The team has closed this conversation. ValleyBot is back, ask me anything! 🤖'));
+      }
+    } catch (error) {
+      console.warn('Error checking for team replies:', error);
+    } finally {
+      this.isPollingHandoff = false;
+    }
+  }
+  
+  /**
+   * End the human handoff
+   * @param {string} message - Message to show, if any
+   * @param {boolean} closeConversation - Also close the conversation for the team
+   */
+  endHandoff(message, closeConversation = false) {
+    const session = this.handoffSession;
+    
+    this.stopHandoffPolling();
+    this.handoffSession = null;
+    
+    if (closeConversation && session) {
+      fetch(`${this.config.handoff.endpoint}/${encodeURIComponent(session.id)}/close`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ token: session.token })
+      }).catch(error => {
+        console.warn('Error closing handoff:', error);
+      });
+    }
+    
+    if (message) {
+      this.addBotMessage(message, { handoff: true });
+    } else {
+      this.saveChatHistory();
+    }
+  }
+  
+  /**
+   * Whether ValleyBot should skip the network
+   * @returns {boolean}
+   */
+  isOffline() {
+    return Boolean(this.offline && this.offline.isOffline());
+  }
+  
+  /**
+   * Drop cached answers when the knowledge base or events changed since they were cached
+   * Nothing is dropped when the knowledge base didn't load, so offline visitors keep their answers
+   */
+  checkAnswerCache() {
+    if (this.offline && this.knowledgeBase && this.knowledgeBase.isLoaded) {
+      const passages = this.knowledgeBase.passages.map(passage => [passage.id, passage.language, passage.text]);
+      const events = this.cards ? this.cards.collections.events : [];
+      
+      this.offline.setContent(JSON.stringify({ passages, events }));
+    }
+    
+    this.isAnswerCacheChecked = true;
+  }
+  
+  /**
+   * Hold a lead or handoff request until the connection comes back
+   * @param {string} type - 'lead' or 'handoff'
+   * @param {Object} payload - What sendLead() or sendHandoff() would have sent
+   */
+  queueRequest(type, payload) {
+    this.offline.queue(type, payload);
+    this.leadCapture.reset();
+    
+    const message = type === 'handoff'
+      ? this.t('handoffQueued', 'You\'re offline right now, {name}. I\'ll connect you with the team as soon as you\'re back online; keep this page open or come back later.', payload)
+      : this.t('leadQueued', 'You\'re offline right now, {name}. I\'ve saved your request and will send it as soon as you\'re back online.', payload);
+    
+    this.addBotMessage(message, { leadCapture: true });
+  }
+  
+  /**
+   * React to the connection going or coming back
+   * @param {boolean} online - Whether it's back
+   */
+  handleConnectionChange(online) {
+    this.updateConnectionStatus();
+    
+    if (online && this.offline.hasQueued()) {
+      this.flushOutbox();
+    }
+  }
+  
+  /**
+   * Show or hide the offline badge in the popup header
+   */
+  updateConnectionStatus() {
+    if (!this.connectionStatus) return;
+    
+    this.connectionStatus.hidden = !this.isOffline();
+    this.connectionStatus.textContent = this.t('offlineStatus', 'Offline');
+    this.connectionStatus.title = this.t('offlineStatusTitle', 'No connection. I\'m answering from what I already know, and I\'ll send requests once you\'re back online.');
+  }
+  
+  /**
+   * Send the requests held while offline
+   * @returns {Promise<number>} - Number of requests handled
+   */
+  flushOutbox() {
+    return this.offline.flush(item => this.sendQueuedRequest(item));
+  }
+  
+  /**
+   * Send one held request and tell the visitor how it went
+   * Lost connections are passed on so the request stays queued; anything else is reported and dropped
+   * @param {Object} item - Outbox item: { type, payload }
+   */
+  async sendQueuedRequest(item) {
+    const { type, payload } = item;
+    
+    try {
+      if (type === 'handoff') {
+        // A visitor who already reached the team doesn't need a second conversation
+        if (this.handoffSession) return;
+        
+        const session = await this.sendHandoff(payload);
+        this.connectHandoff(session, payload);
+      } else {
+        await this.sendLead(payload);
+        this.addBotMessage(this.t('leadSent', 'You\'re all set, {name}! 🎉 The team will reach out at {email} soon.', payload), { leadCapture: true });
+      }
+    } catch (error) {
+      if (ValleyOffline.isNetworkError(error)) throw error;
+      
+      console.error(`Error sending queued ${type}:`, error);
+      this.addBotMessage(this.t('queuedFailed', 'I couldn\'t send the request you made while offline. Please try again, or email us at info@valleytainment.com.'), { leadCapture: true });
+    }
+  }
+  
+  /**
+   * Fetch AI response from API
+   * Tries each endpoint in priority order until one answers
+   * @param {string} message - The user's message (already part of the chat history)
+   * @param {Object} handlers - Optional onToken(token, text) and onReset() stream callbacks
+   * @returns {Promise<string>} - The AI response
+   */
+  async fetchAIResponse(message, handlers = {}) {
+    // Sort endpoints by priority
+    const endpoints = [...this.config.api.endpoints].sort((a, b) => a.priority - b.priority);
+    
+    const messages = this.formatChatHistoryForAPI();
+    
+    // Try each endpoint in order
+    for (const endpoint of endpoints) {
+      try {
+        const response = await this.requestChatCompletion(endpoint, messages, handlers);
+        
+        if (this.offline) {
+          this.offline.reportSuccess();
+        }
+        return response;
+      } catch (error) {
+        console.warn(`Error with endpoint ${endpoint.name}:`, error);
+        
+        if (handlers.onReset) {
+          handlers.onReset();
+        }
+        
+        // Without a connection the other endpoints would fail too
+        if (this.offline && this.offline.reportFailure(error)) {
+          break;
+        }
+        
+        // Continue to next endpoint
+        continue;
+      }
+    }
+    
+    // If all endpoints fail, throw error
+    throw new Error('All API endpoints failed');
+  }
+  
+  /**
+   * Request chat completion
+   * Calls a single OpenAI-compatible endpoint, streaming when the server supports it
+   * @param {Object} endpoint - Endpoint entry from the API config
+   * @param {Array} messages - Messages from formatChatHistoryForAPI()
+   * @param {Object} handlers - Stream callbacks passed to readEventStream()
+   * @returns {Promise<string>} - The complete response text
+   */
+  async requestChatCompletion(endpoint, messages, handlers) {
+    const timeout = endpoint.timeout || this.config.api.timeout;
+    const controller = new AbortController();
+    
+    // The timeout is an idle timeout: it restarts whenever data arrives, so long answers can finish
+    let timer = setTimeout(() => controller.abort(), timeout);
+    const resetTimer = () => {
+      clearTimeout(timer);
+      timer = setTimeout(() => controller.abort(), timeout);
+    };
+    
+    try {
+      const response = await fetch(endpoint.url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Accept': 'text/event-stream, application/json'
+        },
+        body: JSON.stringify({
+          model: endpoint.model,
+          messages,
+          max_tokens: this.config.api.maxTokens,
+          temperature: this.config.personality.creativity,
+          stream: this.config.api.stream
+        }),
+        signal: controller.signal
+      });
+      
+      if (!response.ok) {
+        throw new Error(`API error: ${response.status}`);
+      }
+      
+      // Some providers ignore `stream` and answer with a single JSON body
+      const contentType = response.headers.get('Content-Type') || '';
+      if (!contentType.includes('text/event-stream') || !response.body) {
+        const data = await response.json();
+        const content = data.choices && data.choices[0] && data.choices[0].message
+          ? data.choices[0].message.content
+          : '';
+        
+        if (!content) {
+          throw new Error('Empty response from API');
+        }
+        
+        return content;
+      }
+      
+      return await this.readEventStream(response.body, handlers, resetTimer);
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+  
+  /**
+   * Read event stream
+   * Parses an SSE chat-completions stream and reports each token
+   * @param {ReadableStream} body - The response body
+   * @param {Object} handlers - Optional onToken(token, text) callback
+   * @param {Function} onData - Called whenever bytes arrive
+   * @returns {Promise<string>} - The complete response text
+   */
+  async readEventStream(body, handlers, onData) {
+    const reader = body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+    let content = '';
+    
+    while (true) {
+      const { value, done } = await reader.read();
+      if (done) break;
+      
+      onData();
+      buffer += decoder.decode(value, { stream: true });
+      
+      // Events are separated by a blank line; keep the trailing partial event in the buffer
+      const events = buffer.split(/\r?\n\r?\n/);
+      buffer = events.pop();
+      
+      for (const event of events) {
+        const data = event
+          .split(/\r?\n/)
+          .filter(line => line.startsWith('data:'))
+          .map(line => line.slice(5).trim())
+          .join('\n');
+        
+        if (!data) continue;
+        
+        if (data === '[DONE]') {
+          reader.cancel().catch(() => {});
+          return this.requireStreamContent(content);
+        }
+        
+        const chunk = JSON.parse(data);
+        
+        if (chunk.error) {
+          throw new Error(`Stream error: ${chunk.error.message || chunk.error}`);
+        }
+        
+        const token = chunk.choices && chunk.choices[0] && chunk.choices[0].delta
+          ? chunk.choices[0].delta.content
+          : '';
+        
+        if (token) {
+          content += token;
+          
+          if (handlers.onToken) {
+            handlers.onToken(token, content);
+          }
+        }
+      }
+    }
+    
+    return this.requireStreamContent(content);
+  }
+  
+  /**
+   * Require stream content
+   * @param {string} content - Text collected from a stream
+   * @returns {string} - The same text, if there is any
+   */
+  requireStreamContent(content) {
+    if (!content.trim()) {
+      throw new Error('Empty response from stream');
+    }
+    
+    return content;
+  }
+  
+  /**
+   * Whether the latest question is the first one the AI would see in this conversation
+   * @returns {boolean}
+   */
+  isOpeningQuestion() {
+    return this.chatHistory.filter(message => message.role === 'user' && !message.leadCapture && !message.handoff && !message.moderation).length <= 1;
+  }
+  
+  /**
+   * Format chat history for API request
+   * @returns {Array} - Formatted chat history
+   */
+  formatChatHistoryForAPI() {
+    // Limit history to last 10 messages to avoid token limits
+    // and strip local fields such as timestamps that providers reject
+    const recentHistory = this.chatHistory
+      .filter(message => !message.leadCapture && !message.handoff && !message.moderation)
+      .slice(-10)
+      .map(({ role, content }) => ({ role, content }));
+    
+    // Emails and phone numbers the visitor typed never leave the browser
+    if (this.moderation) {
+      recentHistory.forEach(message => {
+        if (message.role === 'user') {
+          message.content = this.moderation.redact(message.content);
+        }
+      });
+    }
+    
+    // Ground the model in the passages that match the latest question
+    const lastUserMessage = [...this.chatHistory].reverse().find(message => message.role === 'user');
+    const passages = lastUserMessage
+      ? this.getKnowledgePassages(lastUserMessage.content, this.classifyMessage(lastUserMessage.content).intent)
+      : [];
+    
+    // Add system message at the beginning
+    return [
+      {
+        role: 'system',
+        content: this.getSystemPrompt(passages)
+      },
+      ...recentHistory
+    ];
+  }
+  
+  /**
+   * Get system prompt for AI model
+   * @param {Array} passages - Knowledge base passages relevant to the question
+   * @returns {string} - System prompt
+   */
+  getSystemPrompt(passages = []) {
+    let knowledge = '';
+    let cards = '';
+    
+    if (this.cards) {
+      cards = `
+
+To show cards or reply buttons, answer with only a JSON object instead of text:
+{"text": "Your answer in Markdown", "show": "events", "quickReplies": ["Short reply", "Another reply"]}
+"show" adds our real "events", "artists" or "merch" cards; use it when the user asks about shows, our artists or where to buy merch, and never write card details yourself. The text must make sense without the cards. Add quickReplies only when a few short answers are obvious. Otherwise, answer in plain Markdown.`;
+    }
+    
+    if (passages.length > 0) {
+      knowledge = `
+
+Answer using these facts about Valleytainment. Never contradict them, and don't invent details they don't cover:
+
+${passages.map(passage => `### ${passage.title}\n${passage.text}`).join('\n\n')}`;
+    }
+    
+    return `You are ${this.config.personality.name}, an AI assistant for Valleytainment Productions, a Pittsburgh-based entertainment company specializing in content creation, talent management, and music production with an edgy, vibrant urban aesthetic.
+    
+Your personality is ${this.config.personality.tone} with a ${this.config.personality.style} flair.
+
+You should provide helpful, accurate information about Valleytainment Productions, including:
+- Services offered (content creation, talent management, music production, event planning, graphic design, podcasting)
+- Team members and their roles
+- Upcoming events and releases
+- Collaboration opportunities
+- Merchandise information
+- Contact details
+
+Keep responses concise but informative. If you don't know something specific about Valleytainment, acknowledge that and offer to connect the user with a team member who can help.
+
+Always reply in the language the user writes in, even when the facts below are in another language. The user is currently writing in ${this.i18n ? this.i18n.getName() : 'English'}.${cards}${knowledge}
+
+Current date: ${new Date().toLocaleDateString()}`;
+  }
+  
+  /**
+   * Classify a message
+   * @param {string} message - The user's message
+   * @returns {Object} - Classification result (status 'matched', 'clarify' or 'none')
+   */
+  classifyMessage(message) {
+    if (!this.intentClassifier) {
+      return { status: 'none', intent: null, confidence: 0, candidates: [] };
+    }
+    
+    return this.intentClassifier.classify(message);
+  }
+  
+  /**
+   * Get knowledge passages
+   * @param {string} message - The user's message
+   * @param {Object} intent - Matched intent, used to narrow the search to its passages
+   * @returns {Array} - Best matching passages, or none while the knowledge base is loading
+   */
+  getKnowledgePassages(message, intent = null) {
+    if (!this.knowledgeBase || !this.knowledgeBase.isLoaded) return [];
+    
+    if (intent && intent.knowledge) {
+      // Rank within the intent's passages; if the wording shares nothing with them, take them in order
+      const passages = this.knowledgeBase.search(message, undefined, intent.knowledge, this.getLanguage());
+      return passages.length
+        ? passages
+        : this.knowledgeBase.getPassages(intent.knowledge, this.getLanguage()).slice(0, this.knowledgeBase.config.maxPassages);
+    }
+    
+    return this.knowledgeBase.search(message, undefined, null, this.getLanguage());
+  }
+  
+  /**
+   * Get local response from the intents and knowledge base
+   * Fallback when API is unavailable
+   * @param {string} message - The user's message
+   * @returns {string|Object} - Local response, with cards or quick replies when they fit
+   */
+  getLocalResponse(message) {
+    const result = this.classifyMessage(message);
+    
+    // Small talk intents carry their own answers
+    if (result.status === 'matched' && result.intent.responses) {
+      return this.intentClassifier.getResponses(result.intent, this.getLanguage()).standard;
+    }
+    
+    // Ask rather than guess when the match is weak
+    if (result.status === 'clarify') {
+      return this.getClarification(result);
+    }
+    
+    // Answer from the best matching knowledge passage
+    const passages = this.getKnowledgePassages(message, result.intent);
+    if (passages.length > 0) {
+      return this.attachCards(passages[0].text, result.intent);
+    }
+    
+    // Default response
+    return this.getDefaultResponse();
+  }
+  
+  /**
+   * Get the default response
+   * What ValleyBot says when nothing local matches; analytics counts these questions as unanswered
+   * @returns {string} - Default response in the visitor's language
+   */
+  getDefaultResponse() {
+    return this.t('notSure', 'I\'m not sure how to respond to that. Can you try asking something about Valleytainment Productions, our services, or upcoming events? You can also say "talk to a human" to reach the team. 🤔');
+  }
+  
+  /**
+   * Get clarification
+   * Asks which intent the visitor meant, with a button for each
+   * @param {Object} result - Classification result with status 'clarify'
+   * @returns {string|Object} - Clarifying question
+   */
+  getClarification(result) {
+    const language = this.getLanguage();
+    
+    return this.createRichMessage(this.intentClassifier.getClarificationPrompt(result, language, this.t.bind(this)), {
+      quickReplies: this.intentClassifier.getClarificationReplies(result, language)
+    });
+  }
+  
+  /**
+   * Get enhanced response with more personality
+   * Builds a fuller answer from the intents and knowledge base
+   * @param {string} message - The user's message
+   * @returns {string|Object} - Enhanced response, with cards or quick replies when they fit
+   */
+  getEnhancedResponse(message) {
+    const result = this.classifyMessage(message);
+    
+    if (result.status === 'matched' && result.intent.responses) {
+      const responses = this.intentClassifier.getResponses(result.intent, this.getLanguage());
+      return responses.enhanced || responses.standard;
+    }
+    
+    if (result.status === 'clarify') {
+      return this.getClarification(result);
+    }
+    
+    // Lead with the best passage and add a related one from the same document
+    const [bestPassage, ...otherPassages] = this.getKnowledgePassages(message, result.intent);
+    if (bestPassage) {
+      let response = `**${bestPassage.title}** 🔥\n${bestPassage.text}`;
+      
+      const relatedPassage = otherPassages.find(passage => passage.source === bestPassage.source);
+      if (relatedPassage) {
+        response += `\n\n**${relatedPassage.title}**\n${relatedPassage.text}`;
+      }
+      
+      return this.attachCards(`${response}\n\n${this.t('anythingElse', 'Anything else you\'d like to know?')}`, result.intent);
+    }
+    
+    // Default enhanced response
+    return this.t('notSureEnhanced', 'Thanks for reaching out to Valleytainment Productions! 🌟 I\'m not quite sure what you\'re asking about, but I\'d be happy to tell you about our creative services, upcoming events, artist collaborations, or merchandise. You can also check out our portfolio of work or learn how to submit your ideas for potential collaboration. What aspect of Valleytainment are you most interested in exploring? If you\'d rather talk to someone, just say "talk to a human".');
+  }
+  
+  /**
+   * Show typing indicator
+   * Displays animation while bot is "typing"
+   */
+  showTypingIndicator() {
+    // Create typing indicator
+    const typingIndicator = document.createElement('div');
+    typingIndicator.className = 'message bot typing';
+    typingIndicator.id = 'typing-indicator';
+    
+    typingIndicator.innerHTML = `
+      <div class="message-avatar">
+        <img src="${this.config.ui.avatarPath}" alt="ValleyBot">
+      </div>
+      <div class="message-content">
+        <div class="typing-animation">
+          <span></span>
+          <span></span>
+          <span></span>
+        </div>
+      </div>
+    `;
+    
+    // Add to chat
+    if (this.chatMessages) {
+      this.chatMessages.appendChild(typingIndicator);
+      this.chatMessages.scrollTop = this.chatMessages.scrollHeight;
+    }
+  }
+  
+  /**
+   * Hide typing indicator
+   * Removes typing animation
+   */
+  hideTypingIndicator() {
+    const typingIndicator = this.root.getElementById('typing-indicator');
+    if (typingIndicator) {
+      typingIndicator.remove();
+    }
+  }
+  
+  /**
+   * Whether spoken replies are available
+   * @returns {boolean}
+   */
+  canSpeak() {
+    return Boolean(this.voice && this.voice.isSupported());
+  }
+  
+  /**
+   * Speak a bot reply if voice mode is on
+   * @param {string} message - The bot's message
+   */
+  speakReply(message) {
+    // Nothing is spoken before the visitor interacts (welcome and restored messages stay quiet)
+    if (!this.canSpeak() || !this.hasUserInteracted || !this.voice.shouldSpeakReplies()) return;
+    
+    this.speakMessage(message);
+  }
+  
+  /**
+   * Speak a message
+   * @param {string} message - The message text
+   * @param {boolean} interrupt - Stop whatever is being spoken first
+   */
+  speakMessage(message, interrupt = false) {
+    if (!this.canSpeak() || !message) return;
+    
+    // Speak what the visitor sees, minus links, emoji and formatting
+    const spoken = this.voice.speak(this.processMessageText(message), {
+      interrupt,
+      onEnd: () => this.resumeHandsFree()
+    });
+    
+    // Nothing left to say (an emoji-only reply) still hands the turn back
+    if (!spoken) {
+      this.resumeHandsFree();
+    }
+  }
+  
+  /**
+   * Re-arm the microphone after a spoken reply in hands-free mode
+   * Waits until the whole reply has been spoken and no answer is still loading
+   */
+  resumeHandsFree() {
+    if (!this.voice.settings.handsFree || !this.isAwaitingVoiceReply || this.isListening) return;
+    
+    const stillAnswering = this.root.getElementById('typing-indicator') ||
+      this.root.querySelector('.message.streaming');
+    
+    if (this.voice.isSpeaking() || stillAnswering) return;
+    
+    this.isAwaitingVoiceReply = false;
+    this.toggleVoiceInput();
+  }
+  
+  /**
+   * Create the voice settings panel
+   * @returns {HTMLElement} - Panel element
+   */
+  createVoiceSettingsPanel() {
+    const settings = this.voice.settings;
+    const panel = document.createElement('div');
+    panel.className = 'chatbot-voice-settings';
+    panel.hidden = true;
+    panel.innerHTML = `
+      <label><input type="checkbox" name="speakReplies"> Read replies aloud</label>
+      <label><input type="checkbox" name="handsFree"> Hands-free (listen again after each reply)</label>
+      <label>Voice <select name="voiceName"></select></label>
+      <label>Speed <input type="range" name="rate" min="0.5" max="2" step="0.1"></label>
+      <label>Pitch <input type="range" name="pitch" min="0" max="2" step="0.1"></label>
+    `;
+    
+    const fields = {
+      speakReplies: panel.querySelector('[name="speakReplies"]'),
+      handsFree: panel.querySelector('[name="handsFree"]'),
+      voiceName: panel.querySelector('[name="voiceName"]'),
+      rate: panel.querySelector('[name="rate"]'),
+      pitch: panel.querySelector('[name="pitch"]')
+    };
+    
+    fields.speakReplies.checked = Boolean(settings.speakReplies);
+    fields.handsFree.checked = Boolean(settings.handsFree);
+    fields.rate.value = settings.rate;
+    fields.pitch.value = settings.pitch;
+    
+    // Voices can arrive after the page loads, so the list is rebuilt when they change
+    const fillVoices = () => {
+      fields.voiceName.innerHTML = '<option value="">Default voice</option>';
+      this.voice.getVoices().forEach(voice => {
+        const option = document.createElement('option');
+        option.value = voice.name;
+        option.textContent = `${voice.name} (${voice.lang})`;
+        fields.voiceName.appendChild(option);
+      });
+      fields.voiceName.value = this.voice.settings.voiceName || '';
+    };
+    fillVoices();
+    this.voice.onVoicesChanged(fillVoices);
+    
+    panel.addEventListener('change', () => {
+      this.voice.updateSettings({
+        speakReplies: fields.speakReplies.checked,
+        handsFree: fields.handsFree.checked,
+        voiceName: fields.voiceName.value,
+        rate: parseFloat(fields.rate.value),
+        pitch: parseFloat(fields.pitch.value)
+      });
+    });
+    
+    return panel;
+  }
+  
+  /**
+   * Toggle voice input
+   * Starts or stops speech recognition
+   */
+  toggleVoiceInput() {
+    // Check if browser supports speech recognition
+    if (!('webkitSpeechRecognition' in window) && !('SpeechRecognition' in window)) {
+      alert('Voice recognition is not supported in your browser.');
+      return;
+    }
+    
+    const voiceButton = this.voiceButton;
+    const inputField = this.chatInput;
+    
+    if (this.isListening) {
+      // Stop listening
+      if (this.recognition) {
+        this.recognition.stop();
+      }
+      
+      voiceButton.classList.remove('recording');
+      voiceButton.innerHTML = '<i class="fas fa-microphone"></i>';
+      this.isListening = false;
+    } else {
+      // Start listening, without picking up ValleyBot's own voice
+      if (this.voice) {
+        this.voice.stop();
+      }
+      
+      const SpeechRecognition = window.SpeechRecognition || window.webkitSpeechRecognition;
+      this.recognition = new SpeechRecognition();
+      
+      this.recognition.lang = this.i18n ? this.i18n.getLocale() : this.config.voice.language;
+      this.recognition.continuous = this.config.voice.continuous;
+      this.recognition.interimResults = this.config.voice.interimResults;
+      
+      // Change button appearance
+      voiceButton.classList.add('recording');
+      voiceButton.innerHTML = '<i class="fas fa-microphone-alt"></i>';
+      this.isListening = true;
+      
+      this.recognition.start();
+      
+      // Handle results
+      this.recognition.onresult = (event) => {
+        const transcript = event.results[0][0].transcript;
+        inputField.value = transcript;
+        
+        // If not continuous, stop after getting result
+        if (!this.config.voice.continuous) {
+          setTimeout(() => {
+            // Hands-free mode listens again once this question's reply has been spoken
+            this.isAwaitingVoiceReply = true;
+            this.isVoiceQuestion = true;
+            
+            // Trigger send button click
+            this.sendButton.click();
+            
+            // Reset button
+            voiceButton.classList.remove('recording');
+            voiceButton.innerHTML = '<i class="fas fa-microphone"></i>';
+            this.isListening = false;
+          }, 500);
+        }
+      };
+      
+      // Handle errors
+      this.recognition.onerror = (event) => {
+        console.error('Speech recognition error:', event.error);
+        
+        // Reset button
+        voiceButton.classList.remove('recording');
+        voiceButton.innerHTML = '<i class="fas fa-microphone"></i>';
+        this.isListening = false;
+        
+        // Silence ends the hands-free loop quietly
+        if (event.error === 'no-speech' && this.voice && this.voice.settings.handsFree) return;
+        
+        // Show error message
+        alert(`Voice recognition error: ${event.error}`);
+      };
+      
+      // Handle end of speech recognition
+      this.recognition.onend = () => {
+        // Reset button
+        voiceButton.classList.remove('recording');
+        voiceButton.innerHTML = '<i class="fas fa-microphone"></i>';
+        this.isListening = false;
+      };
+    }
+  }
+  
+  /**
+   * Update suggestion chips
+   * Picks chips from the conversation and the page section on screen (js/chatbot-suggestions.js)
+   * @param {boolean} announce - Read the new chips out to screen readers (after a reply, not while scrolling)
+   */
+  updateSuggestionChips(announce = false) {
+    const defaults = this.t('suggestionChips', this.config.ui.suggestionChips);
+    const suggestions = this.suggestions
+      ? this.suggestions.getSuggestions(this.getSuggestionState(defaults))
+      : defaults;
+    
+    if (this.chatSuggestions) {
+      this.renderSuggestionChips(this.chatSuggestions, suggestions, announce && this.hasUserInteracted);
+    }
+  }
+  
+  /**
+   * Get what the suggestion chips are based on
+   * @param {Array<string>} defaults - Default chips in the visitor's language
+   * @returns {Object} - State for ValleySuggestions.getSuggestions()
+   */
+  getSuggestionState(defaults) {
+    // While the team has the chat, chips would be sent to them, so none are offered
+    if (this.handoffSession) {
+      return { slotSuggestions: [] };
+    }
+    
+    const messages = this.chatHistory.filter(message => !message.leadCapture && !message.handoff);
+    const lastQuestion = [...messages].reverse().find(message => message.role === 'user');
+    const lastMessage = messages[messages.length - 1];
+    const result = lastQuestion ? this.classifyMessage(lastQuestion.content) : null;
+    
+    return {
+      intent: result && result.status === 'matched' ? result.intent.name : null,
+      lastAnswer: lastMessage && lastMessage.role === 'assistant'
+        ? (lastMessage.rich ? lastMessage.rich.text : lastMessage.content)
+        : '',
+      slotSuggestions: this.leadCapture ? this.leadCapture.getSuggestions() : null,
+      defaults,
+      language: this.getLanguage()
+    };
+  }
+  
+  /**
+   * Render suggestion chips
+   * Chips form a toolbar: Tab reaches the first chip, arrow keys move between them
+   * @param {HTMLElement} container - The .chat-suggestions element
+   * @param {Array<string>} suggestions - Chip labels
+   * @param {boolean} announce - Read the chips out through a live region
+   */
+  renderSuggestionChips(container, suggestions, announce = false) {
+    if (!container.dataset.chips) {
+      this.initSuggestionChips(container);
+    }
+    
+    const labels = JSON.stringify(suggestions);
+    if (container.dataset.chips === labels) return;
+    container.dataset.chips = labels;
+    
+    // Keep keyboard focus on the same position when the chips change under it
+    const chips = [...container.querySelectorAll('.suggestion-chip')];
+    const focusedIndex = chips.indexOf(this.root.activeElement);
+    const activeIndex = Math.min(Math.max(focusedIndex, 0), suggestions.length - 1);
+    
+    container.innerHTML = '';
+    container.hidden = !suggestions.length;
+    
+    suggestions.forEach((suggestion, index) => {
+      const chip = document.createElement('button');
+      chip.type = 'button';
+      chip.className = 'suggestion-chip';
+      chip.textContent = suggestion;
+      chip.tabIndex = index === activeIndex ? 0 : -1;
+      
+      chip.addEventListener('click', () => {
+        this.submitMessage(suggestion);
+      });
+      
+      container.appendChild(chip);
+    });
+    
+    if (focusedIndex !== -1 && suggestions.length) {
+      container.children[activeIndex].focus();
+    }
+    
+    if (announce && suggestions.length) {
+      container.nextElementSibling.textContent = `${this.t('suggestionsAnnouncement', 'Suggestions:')} ${suggestions.join(', ')}`;
+    }
+  }
+  
+  /**
+   * Set up a suggestion chip container
+   * Adds the toolbar role, arrow key navigation and a live region for announcements
+   * @param {HTMLElement} container - The .chat-suggestions element
+   */
+  initSuggestionChips(container) {
+    container.setAttribute('role', 'toolbar');
+    container.setAttribute('aria-label', this.t('suggestionsLabel', 'Suggested questions'));
+    
+    const status = document.createElement('div');
+    status.className = 'sr-only';
+    status.setAttribute('aria-live', 'polite');
+    container.after(status);
+    
+    container.addEventListener('keydown', (e) => {
+      const chips = [...container.querySelectorAll('.suggestion-chip')];
+      const index = chips.indexOf(this.root.activeElement);
+      if (index === -1) return;
+      
+      const moves = {
+        ArrowRight: index + 1,
+        ArrowDown: index + 1,
+        ArrowLeft: index - 1,
+        ArrowUp: index - 1,
+        Home: 0,
+        End: chips.length - 1
+      };
+      if (!(e.key in moves)) return;
+      
+      e.preventDefault();
+      const next = chips[(moves[e.key] + chips.length) % chips.length];
+      
+      chips.forEach(chip => {
+        chip.tabIndex = chip === next ? 0 : -1;
+      });
+      next.focus();
+    });
+  }
+  
+  /**
+   * Get welcome message
+   * Returns personalized greeting
+   * @returns {string} - Welcome message
+   */
+  getWelcomeMessage() {
+    const hour = new Date().getHours();
+    const english = this.config.welcome.en;
+    const custom = this.config.welcome[this.getLanguage()] || {};
+    let greeting;
+    
+    // Welcome text set for the visitor's language wins over the translations in js/chatbot-i18n.js
+    if (hour < 12) {
+      greeting = custom.morning || this.t('greetingMorning', english.morning);
+    } else if (hour < 18) {
+      greeting = custom.afternoon || this.t('greetingAfternoon', english.afternoon);
+    } else {
+      greeting = custom.evening || this.t('greetingEvening', english.evening);
+    }
+    
+    const vars = { greeting, name: this.config.personality.name };
+    return custom.message ? this.formatText(custom.message, vars) : this.t('welcome', english.message, vars);
+  }
+  
+  /**
+   * Get the visitor's language
+   * @returns {string} - Language code
+   */
+  getLanguage() {
+    return this.i18n ? this.i18n.getLanguage() : 'en';
+  }
+  
+  /**
+   * Translate a message into the visitor's language
+   * @param {string} key - Message id in js/chatbot-i18n.js
+   * @param {string|Array} fallback - English text
+   * @param {Object} vars - Values for {placeholders}
+   * @returns {string|Array} - Translated text, or the English text
+   */
+  t(key, fallback, vars = {}) {
+    if (this.i18n) {
+      return this.i18n.t(key, fallback, vars);
+    }
+    
+    return this.formatText(fallback, vars);
+  }
+  
+  /**
+   * Fill {placeholders} in a message
+   * @param {string|Array} text - Message text (arrays are returned as they are)
+   * @param {Object} vars - Placeholder values
+   * @returns {string|Array} - Filled text
+   */
+  formatText(text, vars = {}) {
+    return typeof text === 'string'
+      ? text.replace(/\{(\w+)\}/g, (match, name) => (name in vars ? vars[name] : match))
+      : text;
+  }
+  
+  /**
+   * Follow the language of a message
+   * Short or ambiguous messages keep the current language
+   * @param {string} message - The user's message
+   */
+  updateLanguage(message) {
+    if (this.i18n && this.config.language.autoDetect && this.i18n.update(message)) {
+      this.applyLanguage();
+    }
+  }
+  
+  /**
+   * Pass the visitor's language to lead capture, spoken replies and the chat input
+   */
+  applyLanguage() {
+    if (!this.i18n) return;
+    
+    if (this.leadCapture) {
+      this.leadCapture.setLanguage(this.i18n.getLanguage());
+    }
+    
+    if (this.voice) {
+      this.voice.setLanguage(this.i18n.getLocale());
+    }
+    
+    if (this.chatInput) {
+      this.translateChatInput(this.chatInput);
+    }
+    
+    this.updateConnectionStatus();
+  }
+  
+  /**
+   * Format time
+   * Converts Date object to formatted time string
+   * @param {Date} date - The date to format
+   * @returns {string} - Formatted time string
+   */
+  formatTime(date) {
+    return date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+  }
+  
+  /**
+   * Save chat history
+   * Stores the open conversation in IndexedDB, or in localStorage without js/chatbot-threads.js
+   */
+  saveChatHistory() {
+    // Limit history length
+    if (this.chatHistory.length > this.config.ui.maxHistoryItems) {
+      this.chatHistory = this.chatHistory.slice(-this.config.ui.maxHistoryItems);
+    }
+    
+    if (!this.config.ui.saveHistory) return;
+    
+    if (this.threads) {
+      this.saveThread();
+      return;
+    }
+    
+    // Save to localStorage, along with any lead request in progress
+    localStorage.setItem('valleybot_chat_history', JSON.stringify({
+      messages: this.chatHistory,
+      leadCapture: this.leadCapture ? this.leadCapture.getState() : null,
+      handoff: this.handoffSession
+    }));
+  }
+  
+  /**
+   * Save the open conversation
+   * Nothing is stored until the visitor says something, so reloads don't pile up empty conversations
+   */
+  saveThread() {
+    if (!this.isThreadStored && !this.chatHistory.some(entry => entry.role === 'user')) return;
+    
+    const isNew = !this.isThreadStored;
+    this.isThreadStored = true;
+    this.thread.updatedAt = new Date().toISOString();
+    
+    this.threads.save(this.getThreadSnapshot())
+      .then(() => {
+        if (isNew) {
+          this.threads.setActiveId(this.thread.id);
+          return this.threads.prune(this.thread.id);
+        }
+      })
+      .then(() => this.renderThreadList())
+      .catch(error => {
+        console.error('Error saving conversation:', error);
+      });
+  }
+  
+  /**
+   * Get the open conversation as a thread
+   * @returns {Object} - Thread for ValleyThreads, including any lead request or handoff in progress
+   */
+  getThreadSnapshot() {
+    return {
+      ...this.thread,
+      messages: this.chatHistory,
+      leadCapture: this.leadCapture ? this.leadCapture.getState() : null,
+      handoff: this.handoffSession
+    };
+  }
+  
+  /**
+   * Load chat history
+   * Opens the last conversation. History saved before conversations existed becomes the first one.
+   */
+  async loadChatHistory() {
+    // Nothing saved is read either, so the chat starts with the welcome message
+    if (!this.config.ui.saveHistory) {
+      this.applyThread(this.threads ? ValleyThreads.createThread() : {});
+      return;
+    }
+    
+    const saved = this.readSavedHistory();
+    
+    if (!this.threads) {
+      this.applyThread(saved || {});
+      return;
+    }
+    
+    try {
+      let thread = null;
+      
+      if (saved) {
+        thread = { ...ValleyThreads.createThread(), ...saved };
+        await this.threads.save(thread);
+        this.threads.setActiveId(thread.id);
+        localStorage.removeItem('valleybot_chat_history');
+      } else if (this.threads.getActiveId()) {
+        thread = await this.threads.get(this.threads.getActiveId());
+      }
+      
+      this.applyThread(thread || ValleyThreads.createThread(), Boolean(thread));
+    } catch (error) {
+      console.error('Error loading conversation:', error);
+      this.applyThread(ValleyThreads.createThread());
+    }
+  }
+  
+  /**
+   * Read chat history from localStorage
+   * @returns {Object|null} - { messages, leadCapture, handoff }, or null if nothing was saved
+   */
+  readSavedHistory() {
+    const savedHistory = localStorage.getItem('valleybot_chat_history');
+    if (!savedHistory) return null;
+    
+    try {
+      const saved = JSON.parse(savedHistory);
+      
+      // Older versions saved the message array on its own
+      return Array.isArray(saved)
+        ? { messages: saved }
+        : { messages: saved.messages || [], leadCapture: saved.leadCapture || null, handoff: saved.handoff || null };
+    } catch (error) {
+      console.error('Error parsing chat history:', error);
+      return null;
+    }
   }
   
   /**
-   * Get local response based on keywords
-   * Fallback when API is unavailable
-   * @param {string} message - The user's message
-   * @returns {string} - Local response
+   * Make a conversation the open one
+   * Restores its messages, lead request and handoff
+   * @param {Object} thread - Thread from ValleyThreads, or saved history
+   * @param {boolean} isStored - Whether the thread is already in storage
    */
-  getLocalResponse(message) {
-    const lowerMessage = message.toLowerCase();
-    
-    // Predefined responses
-    const responses = {
-      'hello': 'Hey there! How can I help you with Valleytainment Productions today? 👋',
-      'hi': 'Hello! What can I do for you today? 😊',
-      'who are you': 'I\'m ValleyBot 2.0, your AI assistant for all things Valleytainment. I can help with information about our services, team, and upcoming events. 🤖',
-      'tell me about valleytainment': 'Valleytainment Productions is a cutting-edge entertainment company specializing in content creation, talent management, and music production with an edgy, vibrant urban aesthetic. Founded in 2018, we\'ve grown from a small collective of creatives to a full-service production company with a global reach. 🎬🎵',
-      'what services do you offer': 'We offer a wide range of services including content creation, music production, talent management, event production, creative direction, and digital marketing. Each service is tailored to help artists and brands stand out in today\'s competitive landscape. 🎭🎤',
-      'how can i collaborate': 'We\'re always looking for talented individuals and brands to collaborate with! You can submit your idea through our "Submit Idea" form, or contact us directly at info@valleytainment.com to discuss potential collaborations. 🤝',
-      'latest music releases': 'Our latest release is "Neon Dreams" by Maya Johnson, which dropped last week. We also have upcoming releases from Neon Pulse and DJ Vertex scheduled for next month. Stay tuned to our social media for announcements! 🎵🔥',
-      'merchandise': 'Check out our merchandise section for the latest Valleytainment apparel and accessories. We have everything from t-shirts and hoodies to limited edition posters and collectibles. 👕🧢',
-      'events': 'We have several upcoming events including the Summer Neon Festival in July and our monthly Underground Sessions at Club Vertex. Visit our events page for tickets and more information. 🎉',
-      'contact': 'You can reach us at info@valleytainment.com or call us at +1 (555) 123-4567. Our office is located at 123 Urban Avenue, Suite 456, Los Angeles, CA 90001. 📞',
-      'social media': 'Follow us on Instagram, YouTube, TikTok, and Twitter @valleytainment for the latest updates, behind-the-scenes content, and exclusive announcements. 📱'
-    };
+  applyThread(thread, isStored = false) {
+    const { messages = [], leadCapture = null, handoff = null, ...details } = thread;
     
-    // Check for matching keywords
-    for (const [key, value] of Object.entries(responses)) {
-      if (lowerMessage.includes(key)) {
-        return value;
-      }
+    this.thread = details;
+    this.isThreadStored = isStored;
+    
+    // Messages saved before they had ids get one, so they can be deleted
+    this.chatHistory = messages.map(entry => (entry.id ? entry : { ...entry, id: this.createMessageId() }));
+    
+    if (this.leadCapture) {
+      this.leadCapture.restore(leadCapture);
     }
     
-    // Default response
-    return 'I\'m not sure how to respond to that. Can you try asking something about Valleytainment Productions, our services, or upcoming events? 🤔';
+    this.handoffSession = handoff || null;
   }
   
   /**
-   * Get enhanced response with more personality
-   * Simulated GPT-4 level response
-   * @param {string} message - The user's message
-   * @returns {string} - Enhanced response
+   * Leave the open conversation
+   * A reply in progress, a lead request or a handoff stays with the conversation it belongs to
    */
-  getEnhancedResponse(message) {
-    const lowerMessage = message.toLowerCase();
+  leaveThread() {
+    this.saveChatHistory();
+    this.stopHandoffPolling();
+    this.hideTypingIndicator();
     
-    // Enhanced responses with more personality and detail
-    const enhancedResponses = {
-      'hello': 'Hey there! 👋 Welcome to the Valleytainment vibe! I\'m ValleyBot 2.0, your digital guide to everything we\'ve got going on. How can I help you dive into our creative universe today?',
-      
-      'hi': 'What\'s up! 😎 Great to connect with you. I\'m ValleyBot 2.0, here to help you navigate the Valleytainment world. Whether you\'re looking for info on our latest drops, upcoming events, or collaboration opportunities, I\'ve got you covered!',
-      
-      'who are you': 'I\'m ValleyBot 2.0, the digital brain behind Valleytainment Productions! 🤖✨ I\'m here to connect you with our edgy urban universe of content creation, music production, and talent management. Think of me as your backstage pass to everything Valleytainment. What would you like to know about our creative collective?',
-      
-      'tell me about valleytainment': 'Valleytainment Productions is where creativity meets urban edge! 🔥 Born in 2018 from a collective of visionary artists, we\'ve evolved into a powerhouse entertainment company specializing in cutting-edge content creation, music production, and talent management.\n\nOur signature style blends vibrant urban aesthetics with innovative digital techniques, creating content that resonates with today\'s culture while pushing creative boundaries. From music videos that tell compelling stories to immersive events that bring communities together, we\'re all about authentic expression and next-level production value.\n\nWhat aspect of Valleytainment would you like to explore further?',
-      
-      'what services do you offer': 'We\'ve got a full spectrum of creative services to elevate your vision! 🚀\n\n• Content Creation: Music videos, short films, documentaries, and digital content with our signature urban aesthetic\n• Music Production: Full-service studio facilities with award-winning producers and engineers\n• Talent Management: Career development for artists, producers, and creatives\n• Event Production: From intimate showcases to major festivals with immersive experiences\n• Creative Direction: Brand identity, visual storytelling, and campaign development\n• Digital Marketing: Strategic promotion across platforms to maximize your reach\n\nEach service is customized to amplify your unique voice while maintaining that distinctive Valleytainment edge. What project are you looking to bring to life?',
-      
-      'how can i collaborate': 'We\'re always on the lookout for fresh talent and innovative ideas to join the Valleytainment universe! 🌟 Here\'s how you can get connected:\n\n1. Submit your concept through our "Submit Idea" form on the website - we review every submission\n2. Email your portfolio/demo to collabs@valleytainment.com with a brief intro\n3. Attend our monthly "Open Studio" sessions where you can network with our team (check the Events page for dates)\n4. Follow and engage with us on social media - we often discover collaborators through authentic interactions\n\nWe\'re particularly interested in creators who bring unique perspectives and aren\'t afraid to push boundaries. What kind of collaboration did you have in mind?',
-      
-      'latest music releases': 'Our studio has been on fire lately! 🎵🔥 Here\'s what\'s fresh from the Valleytainment sound lab:\n\n• "Neon Dreams" by Maya Johnson - Released last week, this EP blends neo-soul with electronic elements for a hypnotic vibe\n• "Urban Pulse" compilation - A showcase of our roster\'s diverse talents across hip-hop, R&B, and experimental genres\n• Coming Soon: Neon Pulse\'s debut album "Digital Heartbeat" drops next month\n• Coming Soon: DJ Vertex\'s "Late Night Frequencies" mixtape featuring exclusive collaborations\n\nAll releases are available on major streaming platforms. The "Neon Dreams" vinyl limited edition is also available in our merch store. Which sound are you vibing with?',
-      
-      'merchandise': 'Our merch game is strong right now! 👕🧢 The current collection features:\n\n• "Urban Glow" tees and hoodies with reflective neon prints\n• Limited edition artist collaboration pieces with original artwork\n• Accessories including caps, beanies, and phone cases with our signature aesthetic\n• Collector\'s items like vinyl records, art prints, and exclusive box sets\n\nEverything is produced in limited quantities with sustainable materials where possible. The online store offers worldwide shipping, or you can check out our pop-up shop at monthly events. Members of our Valley Club get early access and exclusive drops not available to the general public. Want me to send you the link to our latest collection?',
-      
-      'events': 'We\'ve got a packed calendar of events coming up! 🎉\n\n• Summer Neon Festival (July 15-17) - Our annual three-day celebration of music, art, and culture at Riverside Park\n• Underground Sessions (Last Friday monthly) - Intimate showcases at Club Vertex featuring emerging artists\n• Producer Workshop Series (Every second Saturday) - Hands-on production masterclasses with our in-house team\n• "Visual Beats" Exhibition (August 5-20) - A multimedia installation exploring the intersection of music and visual art\n\nTickets for all events are available on our website, with early bird pricing ending two weeks before each event. The Underground Sessions tend to sell out quickly, so I\'d recommend grabbing those tickets early! Which event catches your interest?',
+    if (this.voice) {
+      this.voice.stop();
+    }
+  }
+  
+  /**
+   * Open a conversation
+   * @param {string} id - Thread id
+   * @param {string} messageId - Message to scroll to, e.g. from a search result
+   */
+  async openThread(id, messageId = null) {
+    if (id !== this.thread.id) {
+      const thread = await this.threads.get(id);
+      if (!thread) return;
       
-      'contact': 'Ready to connect with the Valleytainment team? Here\'s how to reach us:\n\n📧 General Inquiries: info@valleytainment.com\n📧 Collaboration Requests: collabs@valleytainment.com\n📧 Press & Media: press@valleytainment.com\n📞 Office: +1 (555) 123-4567\n📍 Studio & Office: 123 Urban Avenue, Suite 456, Los Angeles, CA 90001\n\nOur office hours are Monday-Friday, 10am-6pm PT. The best way to get a quick response is via email, but feel free to call for urgent matters. If you\'re looking to visit the studio, appointments are required and can be scheduled through our website. Anything specific you\'d like to reach out about?',
+      this.leaveThread();
+      this.applyThread(thread, true);
+      this.threads.setActiveId(id);
+      this.renderChatHistory();
+      this.updateSuggestionChips();
       
-      'social media': 'Stay connected with all things Valleytainment across our social platforms! 📱✨\n\n• Instagram (@valleytainment): Daily content, behind-the-scenes, and artist spotlights\n• YouTube (Valleytainment Official): Music videos, interviews, and studio sessions\n• TikTok (@valleytainment): Trending challenges, quick tips, and viral moments\n• Twitter (@valleytainment): Real-time updates, announcements, and community engagement\n• Discord (Valleytainment Community): Our most active platform for direct interaction with the team\n\nWe post exclusive content on each platform, so it\'s worth following us everywhere! Our Discord server hosts weekly AMAs with team members and artists. Which platform do you prefer to connect on?'
-    };
-    
-    // Check for matching keywords
-    for (const [key, value] of Object.entries(enhancedResponses)) {
-      if (lowerMessage.includes(key)) {
-        return value;
+      if (this.handoffSession) {
+        this.startHandoffPolling();
       }
     }
     
-    // More sophisticated fallback responses based on message content
-    if (lowerMessage.includes('price') || lowerMessage.includes('cost') || lowerMessage.includes('how much')) {
-      return 'Our pricing varies based on project scope and requirements. For content creation, we offer packages starting at $2,500 for basic video production, while full-scale music production typically ranges from $5,000-15,000 depending on complexity. For detailed pricing on specific services, I\'d recommend reaching out to our team at info@valleytainment.com with your project details so we can provide an accurate quote tailored to your needs. 💰';
-    }
-    
-    if (lowerMessage.includes('location') || lowerMessage.includes('where are you') || lowerMessage.includes('where is')) {
-      return 'Valleytainment Productions is headquartered in Los Angeles, California. Our main studio and office space is located at 123 Urban Avenue in downtown LA, with satellite locations in Atlanta and New York. We work with clients and collaborators worldwide, with much of our team able to work remotely when needed. Are you looking to visit one of our locations? 🌎';
+    if (messageId) {
+      this.highlightMessage(messageId);
     }
     
-    if (lowerMessage.includes('team') || lowerMessage.includes('staff') || lowerMessage.includes('who works')) {
-      return 'The Valleytainment team is a diverse collective of creative professionals! 🌟 Our core team includes:\n\n• Alex Rivera - Founder & Creative Director\n• Maya Johnson - Head of Music Production\n• Jamal Williams - Director of Visual Content\n• Sophia Chen - Talent Manager\n• Marcus Lee - Events Coordinator\n• Taylor Kim - Digital Marketing Strategist\n\nWe also work with a network of freelance specialists including videographers, photographers, sound engineers, graphic designers, and more. Each team member brings their unique perspective and expertise to create our signature Valleytainment style. Is there a particular department you\'d like to know more about?';
-    }
-    
-    if (lowerMessage.includes('history') || lowerMessage.includes('started') || lowerMessage.includes('founded')) {
-      return 'Valleytainment\'s story began in 2018 when founder Alex Rivera, then a music video director, joined forces with producer Maya Johnson to create content that truly represented urban culture with authenticity and artistic vision. 🚀\n\nWhat started as a two-person operation in a converted garage studio quickly gained attention for its distinctive visual style and sound. By 2020, they had expanded to a full team and moved into our current studio space in downtown LA.\n\nKey milestones include our breakthrough project with indie artist Neon Pulse in 2021, launching our talent management division in 2022, and our first Summer Neon Festival in 2023, which has now become our signature annual event. Throughout our growth, we\'ve maintained our commitment to pushing creative boundaries while amplifying diverse voices in entertainment.';
-    }
-    
-    // Default enhanced response
-    return 'Thanks for reaching out to Valleytainment Productions! 🌟 I\'m not quite sure what you\'re asking about, but I\'d be happy to tell you about our creative services, upcoming events, artist collaborations, or merchandise. You can also check out our portfolio of work or learn how to submit your ideas for potential collaboration. What aspect of Valleytainment are you most interested in exploring?';
+    this.toggleThreadsPanel(false);
   }
   
   /**
-   * Show typing indicator
-   * Displays animation while bot is "typing"
+   * Start a new conversation
    */
-  showTypingIndicator() {
-    // Create typing indicator
-    const typingIndicator = document.createElement('div');
-    typingIndicator.className = 'message bot typing';
-    typingIndicator.id = 'typing-indicator';
+  startNewThread() {
+    this.leaveThread();
+    this.applyThread(ValleyThreads.createThread());
+    this.threads.setActiveId(this.thread.id);
+    this.renderChatHistory();
+    this.addBotMessage(this.getWelcomeMessage());
+    this.toggleThreadsPanel(false);
+  }
+  
+  /**
+   * Rename a conversation
+   * @param {string} id - Thread id
+   */
+  async renameThread(id) {
+    const thread = id === this.thread.id ? this.getThreadSnapshot() : await this.threads.get(id);
+    if (!thread) return;
     
-    typingIndicator.innerHTML = `
-      <div class="message-avatar">
-        <img src="${this.config.ui.avatarPath}" alt="ValleyBot">
-      </div>
-      <div class="message-content">
-        <div class="typing-animation">
-          <span></span>
-          <span></span>
-          <span></span>
-        </div>
-      </div>
-    `;
+    const title = prompt('Name this conversation', this.threads.getTitle(thread));
+    if (title === null) return;
     
-    // Add to main chat
-    if (this.chatMessages) {
-      this.chatMessages.appendChild(typingIndicator);
-      this.chatMessages.scrollTop = this.chatMessages.scrollHeight;
+    if (id === this.thread.id) {
+      this.thread.title = title.trim() || null;
+      this.saveChatHistory();
+      return;
     }
     
-    // Add to popup chat if it exists
-    const popupChatMessages = this.chatbotPopup.querySelector('.chat-messages');
-    if (popupChatMessages) {
-      const popupTypingIndicator = typingIndicator.cloneNode(true);
-      popupTypingIndicator.id = 'popup-typing-indicator';
-      popupChatMessages.appendChild(popupTypingIndicator);
-      popupChatMessages.scrollTop = popupChatMessages.scrollHeight;
-    }
+    await this.threads.save({ ...thread, title: title.trim() || null });
+    this.renderThreadList();
   }
   
   /**
-   * Hide typing indicator
-   * Removes typing animation
+   * Delete a conversation
+   * @param {string} id - Thread id
    */
-  hideTypingIndicator() {
-    // Remove from main chat
-    const typingIndicator = document.getElementById('typing-indicator');
-    if (typingIndicator) {
-      typingIndicator.remove();
-    }
+  async deleteThread(id) {
+    if (!confirm('Delete this conversation? This can\'t be undone.')) return;
     
-    // Remove from popup chat
-    const popupTypingIndicator = document.getElementById('popup-typing-indicator');
-    if (popupTypingIndicator) {
-      popupTypingIndicator.remove();
+    if (id === this.thread.id) {
+      // A deleted conversation also ends any chat with the team
+      if (this.handoffSession) {
+        this.endHandoff(null, true);
+      }
+      
+      await this.threads.delete(id);
+      this.chatHistory = [];
+      this.isThreadStored = false;
+      this.startNewThread();
+      return;
     }
+    
+    await this.threads.delete(id);
+    this.renderThreadList();
   }
   
   /**
-   * Toggle voice input
-   * Starts or stops speech recognition
-   * @param {boolean} isPopup - Whether this is triggered from the popup
+   * Export a conversation
+   * Downloads it as a file
+   * @param {string} id - Thread id
+   * @param {string} format - 'md', 'json' or 'txt'
    */
-  toggleVoiceInput(isPopup = false) {
-    // Check if browser supports speech recognition
-    if (!('webkitSpeechRecognition' in window) && !('SpeechRecognition' in window)) {
-      alert('Voice recognition is not supported in your browser.');
-      return;
-    }
-    
-    // Get the appropriate voice button
-    const voiceButton = isPopup 
-      ? this.chatbotPopup.querySelector('#voice-input-btn')
-      : this.voiceButton;
+  async exportThread(id, format) {
+    const thread = id === this.thread.id ? this.getThreadSnapshot() : await this.threads.get(id);
+    if (!thread) return;
     
-    // Get the appropriate input field
-    const inputField = isPopup
-      ? this.chatbotPopup.querySelector('#chat-input-field')
-      : this.chatInput;
+    const file = this.threads.export(thread, format, this.config.personality.name);
+    const url = URL.createObjectURL(new Blob([file.content], { type: file.mimeType }));
     
-    if (!voiceButton || !inputField) return;
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = file.filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
     
-    if (this.isListening) {
-      // Stop listening
-      if (this.recognition) {
-        this.recognition.stop();
-      }
-      
-      voiceButton.classList.remove('recording');
-      voiceButton.innerHTML = '<i class="fas fa-microphone"></i>';
-      this.isListening = false;
-    } else {
-      // Start listening
-      const SpeechRecognition = window.SpeechRecognition || window.webkitSpeechRecognition;
-      this.recognition = new SpeechRecognition();
-      
-      this.recognition.lang = this.config.voice.language;
-      this.recognition.continuous = this.config.voice.continuous;
-      this.recognition.interimResults = this.config.voice.interimResults;
-      
-      // Change button appearance
-      voiceButton.classList.add('recording');
-      voiceButton.innerHTML = '<i class="fas fa-microphone-alt"></i>';
-      this.isListening = true;
-      
-      this.recognition.start();
-      
-      // Handle results
-      this.recognition.onresult = (event) => {
-        const transcript = event.results[0][0].transcript;
-        inputField.value = transcript;
-        
-        // If not continuous, stop after getting result
-        if (!this.config.voice.continuous) {
-          setTimeout(() => {
-            // Trigger send button click
-            if (isPopup) {
-              this.chatbotPopup.querySelector('#send-message-btn').click();
-            } else {
-              this.sendButton.click();
-            }
-            
-            // Reset button
-            voiceButton.classList.remove('recording');
-            voiceButton.innerHTML = '<i class="fas fa-microphone"></i>';
-            this.isListening = false;
-          }, 500);
-        }
-      };
-      
-      // Handle errors
-      this.recognition.onerror = (event) => {
-        console.error('Speech recognition error:', event.error);
-        
-        // Reset button
-        voiceButton.classList.remove('recording');
-        voiceButton.innerHTML = '<i class="fas fa-microphone"></i>';
-        this.isListening = false;
-        
-        // Show error message
-        alert(`Voice recognition error: ${event.error}`);
-      };
-      
-      // Handle end of speech recognition
-      this.recognition.onend = () => {
-        // Reset button
-        voiceButton.classList.remove('recording');
-        voiceButton.innerHTML = '<i class="fas fa-microphone"></i>';
-        this.isListening = false;
-      };
-    }
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
   }
   
   /**
-   * Update suggestion chips
-   * Dynamically updates suggestions based on conversation context
+   * Create the conversations sidebar
+   * @returns {HTMLElement} - Sidebar for the popup
    */
-  updateSuggestionChips() {
-    // Default suggestions
-    let suggestions = [...this.config.ui.suggestionChips];
+  createThreadsPanel() {
+    const panel = document.createElement('div');
+    panel.className = 'chatbot-threads';
+    panel.hidden = true;
+    panel.innerHTML = `
+      <div class="chatbot-threads-header">
+        <h4>Conversations</h4>
+        <button class="chatbot-threads-close" title="Close" aria-label="Close conversations"><i class="fas fa-times"></i></button>
+      </div>
+      <button class="chatbot-threads-new"><i class="fas fa-plus"></i> New chat</button>
+      <input type="search" class="chatbot-threads-search" placeholder="Search conversations" aria-label="Search conversations">
+      <ul class="chatbot-threads-list"></ul>
+      ${this.analyticsEvents && !this.analyticsEvents.isBlockedByBrowser()
+        ? '<label class="chatbot-threads-analytics"><input type="checkbox" data-action="analytics"> Share anonymous usage stats</label>'
+        : ''}
+    `;
+    
+    panel.querySelector('.chatbot-threads-close').addEventListener('click', () => {
+      this.toggleThreadsPanel(false);
+    });
+    
+    panel.querySelector('.chatbot-threads-new').addEventListener('click', () => {
+      this.startNewThread();
+    });
+    
+    panel.querySelector('.chatbot-threads-search').addEventListener('input', () => {
+      this.renderThreadList();
+    });
+    
+    // Visitors can change their analytics choice at any time
+    const analyticsToggle = panel.querySelector('[data-action="analytics"]');
+    if (analyticsToggle) {
+      analyticsToggle.addEventListener('change', () => {
+        this.setAnalyticsConsent(analyticsToggle.checked);
+      });
+    }
     
-    // Check recent conversation for context
-    if (this.chatHistory.length > 0) {
-      const recentMessages = this.chatHistory.slice(-3);
+    const list = panel.querySelector('.chatbot-threads-list');
+    
+    list.addEventListener('click', (e) => {
+      const action = e.target.closest('[data-action]');
+      const item = e.target.closest('[data-thread-id]');
+      if (!action || !item) return;
       
-      // Check for specific topics to provide relevant follow-up suggestions
-      for (const message of recentMessages) {
-        const content = message.content.toLowerCase();
-        
-        if (content.includes('music') || content.includes('release')) {
-          suggestions = [
-            'Latest releases',
-            'Upcoming albums',
-            'Studio facilities',
-            'Music producers'
-          ];
+      switch (action.dataset.action) {
+        case 'open':
+          this.openThread(item.dataset.threadId, item.dataset.messageId || null);
           break;
-        }
-        
-        if (content.includes('event') || content.includes('festival')) {
-          suggestions = [
-            'Event tickets',
-            'Festival lineup',
-            'Venue details',
-            'Past events'
-          ];
-          break;
-        }
-        
-        if (content.includes('collaborate') || content.includes('submission')) {
-          suggestions = [
-            'Submission process',
-            'Portfolio requirements',
-            'Collaboration types',
-            'Success stories'
-          ];
+        case 'rename':
+          this.renameThread(item.dataset.threadId);
           break;
-        }
-        
-        if (content.includes('merchandise') || content.includes('merch')) {
-          suggestions = [
-            'Limited editions',
-            'Shipping info',
-            'Size guide',
-            'New arrivals'
-          ];
+        case 'delete':
+          this.deleteThread(item.dataset.threadId);
           break;
-        }
       }
-    }
+    });
     
-    // Update suggestion chips in main chat
-    const suggestionContainer = document.querySelector('.chat-suggestions');
-    if (suggestionContainer) {
-      // Clear existing suggestions
-      suggestionContainer.innerHTML = '';
+    list.addEventListener('change', (e) => {
+      const item = e.target.closest('[data-thread-id]');
+      if (!item || e.target.dataset.action !== 'export' || !e.target.value) return;
       
-      // Add new suggestions
-      suggestions.forEach(suggestion => {
-        const chip = document.createElement('div');
-        chip.className = 'suggestion-chip';
-        chip.textContent = suggestion;
-        
-        // Add click event
-        chip.addEventListener('click', () => {
-          this.chatInput.value = suggestion;
-          this.sendMessage();
-        });
-        
-        suggestionContainer.appendChild(chip);
-      });
-    }
+      this.exportThread(item.dataset.threadId, e.target.value);
+      e.target.value = '';
+    });
     
-    // Update suggestion chips in popup
-    const popupSuggestionContainer = this.chatbotPopup.querySelector('.chat-suggestions');
-    if (popupSuggestionContainer) {
-      // Clear existing suggestions
-      popupSuggestionContainer.innerHTML = '';
-      
-      // Add new suggestions
-      suggestions.forEach(suggestion => {
-        const chip = document.createElement('div');
-        chip.className = 'suggestion-chip';
-        chip.textContent = suggestion;
-        
-        // Add click event
-        chip.addEventListener('click', () => {
-          const popupInput = this.chatbotPopup.querySelector('#chat-input-field');
-          if (popupInput) {
-            popupInput.value = suggestion;
-            const popupSendButton = this.chatbotPopup.querySelector('#send-message-btn');
-            if (popupSendButton) {
-              popupSendButton.click();
-            }
-          }
-        });
-        
-        popupSuggestionContainer.appendChild(chip);
-      });
-    }
+    return panel;
   }
   
   /**
-   * Get welcome message
-   * Returns personalized greeting
-   * @returns {string} - Welcome message
+   * Show or hide the conversations sidebar
+   * @param {boolean} open - Whether to show it
    */
-  getWelcomeMessage() {
-    const hour = new Date().getHours();
-    let greeting;
+  toggleThreadsPanel(open) {
+    if (!this.threadsPanel) return;
     
-    if (hour < 12) {
-      greeting = 'Good morning';
-    } else if (hour < 18) {
-      greeting = 'Good afternoon';
-    } else {
-      greeting = 'Good evening';
-    }
+    this.threadsPanel.hidden = !open;
+    this.threadsButton.setAttribute('aria-expanded', String(open));
     
-    return `${greeting}! 👋 I'm ${this.config.personality.name}, your AI assistant for Valleytainment Productions. How can I help you today? Feel free to ask about our services, upcoming events, or collaboration opportunities.`;
-  }
-  
-  /**
-   * Format time
-   * Converts Date object to formatted time string
-   * @param {Date} date - The date to format
-   * @returns {string} - Formatted time string
-   */
-  formatTime(date) {
-    return date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+    if (open) {
+      const analyticsToggle = this.threadsPanel.querySelector('[data-action="analytics"]');
+      if (analyticsToggle) {
+        analyticsToggle.checked = this.analyticsEvents.hasConsent();
+      }
+      
+      this.renderThreadList();
+      this.threadsPanel.querySelector('.chatbot-threads-search').focus();
+    }
   }
   
   /**
-   * Save chat history to localStorage
+   * Render the conversations sidebar
+   * Lists every conversation, or the messages matching the search
    */
-  saveChatHistory() {
-    // Limit history length
-    if (this.chatHistory.length > this.config.ui.maxHistoryItems) {
-      this.chatHistory = this.chatHistory.slice(-this.config.ui.maxHistoryItems);
-    }
+  async renderThreadList() {
+    if (!this.threadsPanel || this.threadsPanel.hidden) return;
+    
+    const list = this.threadsPanel.querySelector('.chatbot-threads-list');
+    const query = this.threadsPanel.querySelector('.chatbot-threads-search').value.trim();
     
-    // Save to localStorage
-    localStorage.setItem('valleybot_chat_history', JSON.stringify(this.chatHistory));
+    try {
+      const threads = await this.threads.list();
+      const items = query
+        ? this.threads.search(threads, query).map(result => this.createThreadItem(result.thread, result))
+        : threads.map(thread => this.createThreadItem(thread));
+      
+      list.innerHTML = '';
+      items.forEach(item => list.appendChild(item));
+      
+      if (!items.length) {
+        const empty = document.createElement('li');
+        empty.className = 'chatbot-threads-empty';
+        empty.textContent = query ? 'No messages match your search.' : 'No saved conversations yet.';
+        list.appendChild(empty);
+      }
+    } catch (error) {
+      console.warn('Error listing conversations:', error);
+    }
   }
   
   /**
-   * Load chat history from localStorage
+   * Create a conversation list item
+   * @param {Object} thread - Thread from ValleyThreads
+   * @param {Object} result - Search result ({ message, snippet }), if the item is one
+   * @returns {HTMLElement} - List item
    */
-  loadChatHistory() {
-    const savedHistory = localStorage.getItem('valleybot_chat_history');
+  createThreadItem(thread, result = null) {
+    const item = document.createElement('li');
+    item.className = `chatbot-thread${thread.id === this.thread.id ? ' active' : ''}`;
+    item.dataset.threadId = thread.id;
+    
+    const formats = Object.entries(ValleyThreads.EXPORT_FORMATS)
+      .map(([value, format]) => `<option value="${value}">${format.label}</option>`)
+      .join('');
+    
+    item.innerHTML = `
+      <button class="chatbot-thread-open" data-action="open">
+        <span class="chatbot-thread-title"></span>
+        <span class="chatbot-thread-meta"></span>
+      </button>
+      ${result ? '' : `
+        <div class="chatbot-thread-actions">
+          <button data-action="rename" title="Rename" aria-label="Rename conversation"><i class="fas fa-pen"></i></button>
+          <select data-action="export" aria-label="Export conversation"><option value="">Export</option>${formats}</select>
+          <button data-action="delete" title="Delete" aria-label="Delete conversation"><i class="fas fa-trash-alt"></i></button>
+        </div>
+      `}
+    `;
     
-    if (savedHistory) {
-      try {
-        this.chatHistory = JSON.parse(savedHistory);
-      } catch (error) {
-        console.error('Error parsing chat history:', error);
-        this.chatHistory = [];
+    item.querySelector('.chatbot-thread-title').textContent = this.threads.getTitle(thread);
+    
+    if (result) {
+      if (result.message) {
+        item.dataset.messageId = result.message.id;
       }
+      item.querySelector('.chatbot-thread-meta').textContent = result.snippet;
+    } else {
+      const updated = new Date(thread.updatedAt).toLocaleDateString([], { month: 'short', day: 'numeric' });
+      item.querySelector('.chatbot-thread-meta').textContent = `${updated} · ${thread.messages.length} messages`;
     }
+    
+    return item;
   }
   
   /**
@@ -1030,6 +3108,68 @@ Current date: ${new Date().toLocaleDateString()}`;
     this.saveAnalytics();
   }
   
+  /**
+   * Record a question for the team's analytics
+   * Only the intent, outcome and voice use are sent; the wording is kept (scrubbed) for unanswered questions
+   * @param {string} message - The user's message
+   * @param {Object} details - { outcome, source, intentResult, voiceInput }
+   */
+  trackQuestion(message, { outcome, source = 'local', intentResult = null, voiceInput = false }) {
+    if (!this.analyticsEvents) return;
+    
+    this.analyticsEvents.track('question', {
+      conversation: this.thread.id,
+      intent: intentResult && intentResult.status === 'matched' ? intentResult.intent.name : null,
+      outcome,
+      source,
+      language: this.getLanguage(),
+      voiceInput,
+      spokenReply: Boolean(this.canSpeak() && this.voice.shouldSpeakReplies()),
+      text: message
+    });
+  }
+  
+  /**
+   * Create the analytics consent prompt
+   * @returns {HTMLElement} - Prompt for the popup
+   */
+  createAnalyticsConsent() {
+    const prompt = document.createElement('div');
+    prompt.className = 'chatbot-consent';
+    prompt.setAttribute('role', 'region');
+    prompt.setAttribute('aria-label', 'Usage stats');
+    
+    const text = document.createElement('p');
+    text.textContent = this.t('analyticsConsent', 'Help us improve ValleyBot? Share anonymous usage stats: which topics come up and which questions I couldn\'t answer. Emails and phone numbers are removed first.');
+    
+    const allow = document.createElement('button');
+    allow.className = 'chatbot-consent-allow';
+    allow.textContent = this.t('analyticsAllow', 'Share stats');
+    
+    const decline = document.createElement('button');
+    decline.className = 'chatbot-consent-decline';
+    decline.textContent = this.t('analyticsDecline', 'No thanks');
+    
+    allow.addEventListener('click', () => this.setAnalyticsConsent(true));
+    decline.addEventListener('click', () => this.setAnalyticsConsent(false));
+    
+    prompt.append(text, allow, decline);
+    return prompt;
+  }
+  
+  /**
+   * Save the visitor's analytics choice
+   * @param {boolean} granted - Whether they agreed
+   */
+  setAnalyticsConsent(granted) {
+    this.analyticsEvents.setConsent(granted);
+    
+    const prompt = this.chatbotPopup.querySelector('.chatbot-consent');
+    if (prompt) {
+      prompt.remove();
+    }
+  }
+  
   /**
    * Save analytics data to localStorage
    */
@@ -1061,26 +3201,38 @@ Current date: ${new Date().toLocaleDateString()}`;
   
   /**
    * Clear chat history
-   * Removes all messages from chat and localStorage
+   * Removes all messages from chat and storage
    */
   clearChatHistory() {
     // Clear chat history
     this.chatHistory = [];
     
-    // Clear localStorage
-    localStorage.removeItem('valleybot_chat_history');
+    // Drop any lead request in progress
+    if (this.leadCapture) {
+      this.leadCapture.reset();
+    }
+    
+    // A cleared chat also ends any conversation with the team
+    if (this.handoffSession) {
+      this.endHandoff(null, true);
+    }
+    
+    // Clear storage; with conversations, the open one is deleted and a new one started
+    if (this.threads) {
+      this.threads.delete(this.thread.id).catch(error => {
+        console.error('Error deleting conversation:', error);
+      });
+      this.applyThread(ValleyThreads.createThread());
+      this.threads.setActiveId(this.thread.id);
+    } else {
+      localStorage.removeItem('valleybot_chat_history');
+    }
     
     // Clear chat messages
     if (this.chatMessages) {
       this.chatMessages.innerHTML = '';
     }
     
-    // Clear popup chat messages
-    const popupChatMessages = this.chatbotPopup.querySelector('.chat-messages');
-    if (popupChatMessages) {
-      popupChatMessages.innerHTML = '';
-    }
-    
     // Add welcome message
     this.addBotMessage(this.getWelcomeMessage());
   }
@@ -22,7 +22,12 @@ const IMAGE_GENERATOR_CONFIG = {
     promptPrefix: "Valleytainment style, high quality, detailed", // Added to all prompts
     maxGenerationTime: 30000, // milliseconds
     saveGeneratedImages: true, // Whether to allow users to save generated images
-    maxHistoryItems: 10 // Maximum number of images to store in history
+    maxHistoryItems: 12, // Images shown at once in the history strip; without the gallery, the most kept
+    defaultSteps: 30, // Sampling steps, 10 to 50; Pollinations ignores steps and guidance
+    defaultGuidance: 7, // How closely to follow the prompt, 0 to 35
+    maxBatchSize: 8, // Images per click; a batch shares the prompt and settings but not the seed
+    variationCount: 4, // Images made by "Vary"
+    variationStrength: 0.35 // How far "Vary" strays from the chosen image, from 0 to 1
   },
   
   // UI settings
@@ -38,31 +43,75 @@ const IMAGE_GENERATOR_CONFIG = {
   },
   
   // API settings
+  // Providers are tried in priority order until one returns an image. Pollinations needs no key, so the browser
+  // calls it directly; any other name is sent to `url` as the provider of a proxy that holds its key
+  // (/api/image, netlify/functions/image.mjs). Set `timeout` on an endpoint to override the global timeout for it.
+  // `modes` lists what a provider can do: "text" (new images), "image" (restyle a photo) and "inpaint" (redraw
+  // the masked part of a photo). Photos are sent at one of `sizes`, or scaled to fit `maxSize`.
   api: {
-    useLocalFallback: true, // Use local generation if API fails
+    useLocalFallback: true, // Draw a placeholder with the prompt if every provider fails to make a new image
     endpoints: [
       {
         name: "pollinations",
+        label: "Pollinations",
         url: "https://image.pollinations.ai/prompt/",
         priority: 1,
+        modes: ["text"],
         params: {
-          width: 512,
-          height: 512,
           nologo: true
         }
       },
       {
         name: "stability",
-        url: "https://api.stability.ai/v1/generation/stable-diffusion-xl-1024-v1-0/text-to-image",
-        priority: 2
+        label: "Stability AI",
+        url: "/api/image",
+        priority: 2,
+        modes: ["text", "image", "inpaint"],
+        timeout: 10000, // a little over the proxy's IMAGE_PROVIDER_TIMEOUT, so its error arrives first
+        sizes: [
+          [1024, 1024], [1152, 896], [896, 1152], [1216, 832], [832, 1216],
+          [1344, 768], [768, 1344], [1536, 640], [640, 1536]
+        ]
       },
       {
         name: "huggingface",
-        url: "https://api-inference.huggingface.co/models/stabilityai/stable-diffusion-xl-base-1.0",
-        priority: 3
+        label: "Hugging Face",
+        url: "/api/image",
+        priority: 3,
+        modes: ["text", "image"],
+        maxSize: 1024,
+        timeout: 10000 // a little over the proxy's IMAGE_PROVIDER_TIMEOUT, so its error arrives first
       }
     ],
-    timeout: 30000 // milliseconds
+    timeout: 30000, // milliseconds to wait for each provider's image
+    passwordKey: "valleytainment_staff_password", // sessionStorage key of the staff password /api/image needs
+    // Limits per URL, so providers behind the same proxy share them: `maxConcurrent` requests at once,
+    // and `max` started per `windowMs`. Requests wait for a free slot instead of being refused.
+    rateLimits: {
+      "https://image.pollinations.ai/prompt/": { maxConcurrent: 2 },
+      "/api/image": { maxConcurrent: 4, max: 10, windowMs: 60000 } // IMAGE_RATE_LIMIT_MAX and IMAGE_RATE_LIMIT_WINDOW
+    }
+  },
+  
+  // Reference photo settings (restyling and inpainting)
+  reference: {
+    enabled: true,
+    maxFileSize: 10 * 1024 * 1024, // bytes
+    minSize: 256, // shortest side sent to providers without fixed sizes; smaller photos are scaled up
+    maxSize: 1024, // longest side sent to providers without fixed sizes
+    sizeStep: 8, // providers want sizes in multiples of this
+    defaultStrength: 0.6, // how much restyling changes the photo, from 0 (not at all) to 1 (completely)
+    jpegQuality: 0.9,
+    mask: {
+      brushSize: 40
+    }
+  },
+  
+  // Gallery settings - storage, search and ZIP export live in js/image-gallery.js
+  // Images are kept in IndexedDB with their settings; the history strip is a view into them
+  gallery: {
+    enabled: true,
+    maxImages: 500 // oldest images that aren't favorites are deleted beyond this
   },
   
   // Style presets
@@ -162,6 +211,9 @@ const IMAGE_GENERATOR_CONFIG = {
   }
 };
 
+// Seeds are 32-bit, which every provider accepts
+const IMAGE_SEED_LIMIT = 4294967296;
+
 // Wait for DOM to be fully loaded before initializing
 document.addEventListener('DOMContentLoaded', () => {
   // Initialize the image generator
@@ -183,6 +235,13 @@ class ValleyImageGenerator {
     this.selectedStyle = config.generator.defaultStyle;
     this.generationHistory = [];
     this.currentEndpointIndex = 0;
+    this.reference = null; // { image, name, url } of the uploaded photo
+    this.mask = null;
+    this.compositor = null; // brand kit for the shown image
+    this.results = []; // images from the last batch, with their seeds
+    this.providerUsage = {}; // requests running and started per rate-limited URL
+    this.historyFilter = { query: '', style: '', tag: '', favorites: false };
+    this.historyLimit = config.generator.maxHistoryItems; // images shown in the history strip
     this.analytics = {
       totalGenerations: 0,
       popularPrompts: {},
@@ -191,8 +250,13 @@ class ValleyImageGenerator {
       lastGenerationTime: null
     };
     
-    // Load generation history from localStorage if available
-    this.loadGenerationHistory();
+    // Gallery (js/image-gallery.js must be loaded first; without it history only lasts the visit)
+    this.gallery = config.gallery && config.gallery.enabled && typeof ValleyImageGallery !== 'undefined'
+      ? new ValleyImageGallery(config.gallery)
+      : null;
+    
+    // Load generation history from the gallery
+    this.historyLoaded = this.loadGenerationHistory();
     
     // Load analytics data if enabled
     if (this.config.analytics.enabled) {
@@ -218,6 +282,29 @@ class ValleyImageGenerator {
     this.advancedToggle = document.getElementById('advanced-toggle');
     this.saveImageButton = document.getElementById('save-image-btn');
     this.clearHistoryButton = document.getElementById('clear-history-btn');
+    this.resultsGrid = document.getElementById('image-results');
+    this.referenceInput = document.getElementById('reference-image-input');
+    this.referencePanel = document.getElementById('reference-panel');
+    this.referenceImage = document.getElementById('reference-image');
+    this.referenceNote = document.getElementById('reference-note');
+    this.referenceClearButton = document.getElementById('reference-clear-btn');
+    this.strengthInput = document.getElementById('image-strength-input');
+    this.strengthValue = document.getElementById('image-strength-value');
+    this.maskCanvas = document.getElementById('mask-canvas');
+    this.maskBrushButton = document.getElementById('mask-brush-btn');
+    this.maskEraserButton = document.getElementById('mask-eraser-btn');
+    this.maskClearButton = document.getElementById('mask-clear-btn');
+    this.maskSizeInput = document.getElementById('mask-size-input');
+    
+    // Create the mask editor if its script is loaded
+    if (this.maskCanvas && typeof ValleyImageMask !== 'undefined') {
+      this.mask = new ValleyImageMask(this.maskCanvas, this.config.reference.mask);
+    }
+    
+    // Create the brand kit if its script and canvas are on the page
+    if (document.getElementById('brand-canvas') && typeof ValleyImageCompositor !== 'undefined') {
+      this.compositor = new ValleyImageCompositor(this);
+    }
     
     // Initialize UI
     this.initializeUI();
@@ -225,6 +312,9 @@ class ValleyImageGenerator {
     // Add event listeners
     this.addEventListeners();
     
+    // Initialize reference photo controls
+    this.initializeReference();
+    
     // Initialize style selector
     this.initializeStyleSelector();
     
@@ -289,6 +379,27 @@ class ValleyImageGenerator {
     if (!this.config.generator.saveGeneratedImages && this.saveImageButton) {
       this.saveImageButton.style.display = 'none';
     }
+    
+    // Fill the generation settings with their defaults
+    const stepsInput = document.getElementById('image-steps-input');
+    if (stepsInput && !stepsInput.value) {
+      stepsInput.value = this.config.generator.defaultSteps;
+    }
+    
+    const guidanceInput = document.getElementById('image-guidance-input');
+    if (guidanceInput && !guidanceInput.value) {
+      guidanceInput.value = this.config.generator.defaultGuidance;
+    }
+    
+    const countInput = document.getElementById('image-count-input');
+    if (countInput) {
+      countInput.max = this.config.generator.maxBatchSize;
+    }
+    
+    // Hide the results grid until there's a batch
+    if (this.resultsGrid) {
+      this.resultsGrid.style.display = 'none';
+    }
   }
   
   /**
@@ -316,13 +427,7 @@ class ValleyImageGenerator {
     if (this.advancedToggle) {
       this.advancedToggle.addEventListener('click', () => {
         if (this.advancedOptions) {
-          if (this.advancedOptions.style.display === 'none') {
-            this.advancedOptions.style.display = 'block';
-            this.advancedToggle.textContent = 'Hide Advanced Options';
-          } else {
-            this.advancedOptions.style.display = 'none';
-            this.advancedToggle.textContent = 'Show Advanced Options';
-          }
+          this.toggleAdvancedOptions(this.advancedOptions.style.display === 'none');
         }
       });
     }
@@ -340,6 +445,246 @@ class ValleyImageGenerator {
         this.clearGenerationHistory();
       });
     }
+    
+    // Upload or remove a reference photo
+    if (this.referenceInput) {
+      this.referenceInput.addEventListener('change', (e) => {
+        if (e.target.files[0]) {
+          this.loadReference(e.target.files[0]);
+        }
+        e.target.value = '';
+      });
+    }
+    
+    if (this.referenceClearButton) {
+      this.referenceClearButton.addEventListener('click', () => {
+        this.clearReference();
+      });
+    }
+    
+    // Show the strength as a percentage
+    if (this.strengthInput && this.strengthValue) {
+      this.strengthInput.addEventListener('input', () => {
+        this.strengthValue.textContent = `${Math.round(this.getStrength() * 100)}%`;
+      });
+    }
+    
+    // Mask tools
+    if (this.mask) {
+      [[this.maskBrushButton, 'brush'], [this.maskEraserButton, 'eraser']].forEach(([button, tool]) => {
+        if (!button) return;
+        
+        button.addEventListener('click', () => {
+          this.mask.setTool(tool);
+          [this.maskBrushButton, this.maskEraserButton].forEach(toolButton => {
+            if (toolButton) toolButton.setAttribute('aria-pressed', String(toolButton === button));
+          });
+        });
+      });
+      
+      if (this.maskClearButton) {
+        this.maskClearButton.addEventListener('click', () => {
+          this.mask.clear();
+          this.updateReferenceControls();
+        });
+      }
+      
+      if (this.maskSizeInput) {
+        this.maskSizeInput.addEventListener('input', () => {
+          this.mask.setBrushSize(this.maskSizeInput.value);
+        });
+      }
+      
+      // Painting the first stroke or erasing the last one switches between restyling and inpainting
+      this.maskCanvas.addEventListener('pointerup', () => {
+        this.updateReferenceControls();
+      });
+    }
+  }
+  
+  /**
+   * Show or hide the advanced options
+   * @param {boolean} show - Whether to show them
+   */
+  toggleAdvancedOptions(show) {
+    if (!this.advancedOptions) return;
+    
+    this.advancedOptions.style.display = show ? 'block' : 'none';
+    
+    if (this.advancedToggle) {
+      this.advancedToggle.textContent = show ? 'Hide Advanced Options' : 'Show Advanced Options';
+    }
+  }
+  
+  /**
+   * Initialize reference photo controls
+   * Hidden until a photo is uploaded
+   */
+  initializeReference() {
+    if (!this.config.reference.enabled) {
+      if (this.referenceInput) {
+        this.referenceInput.parentElement.style.display = 'none';
+      }
+      if (this.referencePanel) {
+        this.referencePanel.style.display = 'none';
+      }
+      return;
+    }
+    
+    if (this.strengthInput) {
+      this.strengthInput.value = this.config.reference.defaultStrength;
+      this.strengthInput.dispatchEvent(new Event('input'));
+    }
+    
+    if (this.maskSizeInput && this.mask) {
+      this.maskSizeInput.min = this.mask.config.minBrushSize;
+      this.maskSizeInput.max = this.mask.config.maxBrushSize;
+      this.maskSizeInput.value = this.mask.brushSize;
+    }
+    
+    this.updateReferenceControls();
+  }
+  
+  /**
+   * Load a reference photo to restyle or inpaint
+   * @param {File} file - Chosen image file
+   */
+  async loadReference(file) {
+    if (!file.type.startsWith('image/')) {
+      this.showError('Please choose an image file.');
+      return;
+    }
+    
+    if (file.size > this.config.reference.maxFileSize) {
+      this.showError(`That photo is too big. The limit is ${Math.round(this.config.reference.maxFileSize / 1024 / 1024)} MB.`);
+      return;
+    }
+    
+    const url = URL.createObjectURL(file);
+    const image = new Image();
+    
+    try {
+      image.src = url;
+      await image.decode();
+    } catch (error) {
+      URL.revokeObjectURL(url);
+      this.showError('That photo couldn\'t be opened. Try a JPEG or PNG.');
+      return;
+    }
+    
+    this.clearReference();
+    this.reference = { image, name: file.name, url };
+    
+    if (this.referenceImage) {
+      this.referenceImage.src = url;
+      this.referenceImage.alt = `Reference photo: ${file.name}`;
+    }
+    
+    if (this.mask) {
+      this.mask.reset(image.naturalWidth, image.naturalHeight);
+    }
+    
+    this.updateReferenceControls();
+  }
+  
+  /**
+   * Remove the reference photo, so the next image is made from the prompt alone
+   */
+  clearReference() {
+    if (this.reference) {
+      URL.revokeObjectURL(this.reference.url);
+      this.reference = null;
+    }
+    
+    if (this.referenceImage) {
+      this.referenceImage.removeAttribute('src');
+    }
+    
+    this.updateReferenceControls();
+  }
+  
+  /**
+   * Show the reference controls for the current mode
+   * Names the providers that will be used, and those that can't do it
+   */
+  updateReferenceControls() {
+    const mode = this.getMode();
+    
+    if (this.referencePanel) {
+      this.referencePanel.style.display = this.reference ? 'block' : 'none';
+    }
+    
+    // Inpainting redraws the masked part completely
+    if (this.strengthInput) {
+      this.strengthInput.disabled = mode === 'inpaint';
+    }
+    
+    if (!this.referenceNote) return;
+    
+    if (mode === 'text') {
+      this.referenceNote.textContent = '';
+      return;
+    }
+    
+    const usable = this.getEndpoints(mode);
+    const skipped = this.config.api.endpoints.filter(endpoint => !usable.includes(endpoint));
+    const names = endpoints => endpoints.map(endpoint => endpoint.label || endpoint.name).join(', ').replace(/, ([^,]*)$/, ' and $1');
+    
+    if (!usable.length) {
+      this.referenceNote.textContent = this.getModeError(mode);
+    } else if (skipped.length) {
+      this.referenceNote.textContent = `Using ${names(usable)}. ${names(skipped)} can't ${this.getModeName(mode)}.`;
+    } else {
+      this.referenceNote.textContent = `Using ${names(usable)}.`;
+    }
+  }
+  
+  /**
+   * Get what the next image will be made from
+   * @returns {string} - "text", "image" when there's a photo, or "inpaint" when part of it is masked
+   */
+  getMode() {
+    if (!this.reference) return 'text';
+    
+    return this.mask && !this.mask.isEmpty() ? 'inpaint' : 'image';
+  }
+  
+  /**
+   * Describe a mode for messages
+   * @param {string} mode - "text", "image" or "inpaint"
+   * @returns {string} - e.g. "restyle photos"
+   */
+  getModeName(mode) {
+    return {
+      text: 'make new images',
+      image: 'restyle photos',
+      inpaint: 'redraw part of a photo'
+    }[mode];
+  }
+  
+  /**
+   * Explain that no provider supports a mode
+   * @param {string} mode - "image" or "inpaint"
+   * @returns {string} - Message for the designer
+   */
+  getModeError(mode) {
+    const message = `None of the image providers can ${this.getModeName(mode)}.`;
+    
+    if (mode === 'inpaint' && this.getEndpoints('image').length) {
+      return `${message} Clear the mask to restyle the whole photo instead.`;
+    }
+    
+    return `${message} Remove the photo to make a new image from the prompt.`;
+  }
+  
+  /**
+   * Get the strength for restyling
+   * @returns {number} - 0 (keep the photo) to 1 (replace it)
+   */
+  getStrength() {
+    const strength = this.strengthInput ? parseFloat(this.strengthInput.value) : NaN;
+    
+    return strength >= 0 && strength <= 1 ? strength : this.config.reference.defaultStrength;
   }
   
   /**
@@ -437,15 +782,31 @@ class ValleyImageGenerator {
     
     // Add history title
     const historyTitle = document.createElement('h3');
-    historyTitle.textContent = 'Generation History';
+    historyTitle.textContent = this.gallery ? 'Gallery' : 'Generation History';
     this.imageHistory.appendChild(historyTitle);
     
+    // Add search, filters and export for the gallery
+    if (this.gallery) {
+      this.imageHistory.appendChild(this.createHistoryFilters());
+    }
+    
     // Add history items container
     const historyItems = document.createElement('div');
     historyItems.className = 'history-items';
     historyItems.id = 'history-items';
     this.imageHistory.appendChild(historyItems);
     
+    // Add "Show more" button for long histories
+    this.historyMoreButton = document.createElement('button');
+    this.historyMoreButton.type = 'button';
+    this.historyMoreButton.className = 'btn btn-secondary history-more';
+    this.historyMoreButton.hidden = true;
+    this.historyMoreButton.addEventListener('click', () => {
+      this.historyLimit += this.config.generator.maxHistoryItems;
+      this.updateHistoryDisplay();
+    });
+    this.imageHistory.appendChild(this.historyMoreButton);
+    
     // Add clear history button if not already added
     if (!this.clearHistoryButton) {
       this.clearHistoryButton = document.createElement('button');
@@ -464,9 +825,74 @@ class ValleyImageGenerator {
     this.updateHistoryDisplay();
   }
   
+  /**
+   * Create the gallery's search, filters and export button
+   * @returns {HTMLElement} - Filter bar
+   */
+  createHistoryFilters() {
+    const filters = document.createElement('div');
+    filters.className = 'history-filters';
+    filters.innerHTML = `
+      <input type="search" class="history-search" placeholder="Search prompts and tags" aria-label="Search the gallery">
+      <select class="history-style-filter" aria-label="Filter by style"><option value="">All styles</option></select>
+      <select class="history-tag-filter" aria-label="Filter by tag"><option value="">All tags</option></select>
+      <label class="history-favorites-filter"><input type="checkbox"> Favorites</label>
+      <button type="button" class="btn btn-secondary history-export">Export ZIP</button>
+    `;
+    
+    this.historySearch = filters.querySelector('.history-search');
+    this.historyStyleFilter = filters.querySelector('.history-style-filter');
+    this.historyTagFilter = filters.querySelector('.history-tag-filter');
+    this.historyFavoritesFilter = filters.querySelector('.history-favorites-filter input');
+    this.historyExportButton = filters.querySelector('.history-export');
+    
+    this.config.styles.forEach(style => {
+      this.historyStyleFilter.appendChild(new Option(style.name, style.id));
+    });
+    
+    // Each change starts the strip over from the newest match
+    const applyFilter = (key, value) => {
+      this.historyFilter[key] = value;
+      this.historyLimit = this.config.generator.maxHistoryItems;
+      this.updateHistoryDisplay();
+    };
+    
+    this.historySearch.addEventListener('input', () => applyFilter('query', this.historySearch.value));
+    this.historyStyleFilter.addEventListener('change', () => applyFilter('style', this.historyStyleFilter.value));
+    this.historyTagFilter.addEventListener('change', () => applyFilter('tag', this.historyTagFilter.value));
+    this.historyFavoritesFilter.addEventListener('change', () => applyFilter('favorites', this.historyFavoritesFilter.checked));
+    this.historyExportButton.addEventListener('click', () => {
+      this.exportGallery();
+    });
+    
+    return filters;
+  }
+  
+  /**
+   * Get the history items that match the gallery's search and filters
+   * @returns {Array<Object>} - History items, newest first
+   */
+  getHistoryMatches() {
+    return this.gallery ? this.gallery.filter(this.generationHistory, this.historyFilter) : this.generationHistory;
+  }
+  
+  /**
+   * Get a history item's image URL
+   * Images from the gallery get a blob URL the first time they're shown
+   * @param {Object} item - History item
+   * @returns {string} - Image URL
+   */
+  getHistoryImageUrl(item) {
+    if (!item.imageUrl && item.blob) {
+      item.imageUrl = URL.createObjectURL(item.blob);
+    }
+    
+    return item.imageUrl;
+  }
+  
   /**
    * Update history display
-   * Updates the image history with latest generated images
+   * Shows the newest history items matching the gallery's search and filters
    */
   updateHistoryDisplay() {
     const historyItems = document.getElementById('history-items');
@@ -475,21 +901,23 @@ class ValleyImageGenerator {
     // Clear existing items
     historyItems.innerHTML = '';
     
-    // Add history items in reverse order (newest first)
-    this.generationHistory.slice().reverse().forEach((item, index) => {
+    const matches = this.getHistoryMatches();
+    
+    // Add history items, newest first
+    matches.slice(0, this.historyLimit).forEach(item => {
       const historyItem = document.createElement('div');
       historyItem.className = 'history-item';
       
       // Create thumbnail
       const thumbnail = document.createElement('img');
-      thumbnail.src = item.imageUrl;
+      thumbnail.src = this.getHistoryImageUrl(item);
       thumbnail.alt = `Generated image: ${item.prompt.substring(0, 30)}...`;
       thumbnail.className = 'history-thumbnail';
       
       // Create prompt text
       const promptText = document.createElement('p');
       promptText.className = 'history-prompt';
-      promptText.textContent = this.truncateText(item.prompt, 50);
+      promptText.textContent = this.truncateText(item.prompt || 'Edited photo', 50);
       
       // Create style badge
       const styleBadge = document.createElement('span');
@@ -504,22 +932,19 @@ class ValleyImageGenerator {
       timestamp.className = 'history-timestamp';
       timestamp.textContent = this.formatTimestamp(item.timestamp);
       
-      // Add click event to load this image and prompt
+      // Add click event to load this image, its prompt and its settings
       historyItem.addEventListener('click', () => {
-        if (this.promptInput) {
-          this.promptInput.value = item.prompt;
-        }
-        
-        if (this.styleSelector) {
-          this.styleSelector.value = item.style;
-          this.styleSelector.dispatchEvent(new Event('change'));
-        }
+        this.reuseSettings(item);
         
         if (this.imageOutput) {
           this.imageOutput.src = item.imageUrl;
           this.imageOutput.alt = `Generated image: ${item.prompt}`;
         }
         
+        if (this.compositor) {
+          this.compositor.setImage(item.imageUrl);
+        }
+        
         // Show save button
         if (this.saveImageButton) {
           this.saveImageButton.style.display = 'block';
@@ -532,28 +957,150 @@ class ValleyImageGenerator {
       historyItem.appendChild(styleBadge);
       historyItem.appendChild(timestamp);
       
+      // Add tags and favorite for images in the gallery
+      if (this.gallery && item.id) {
+        historyItem.appendChild(this.createHistoryActions(item));
+      }
+      
       historyItems.appendChild(historyItem);
     });
     
+    this.updateHistoryFilters(matches);
+    
     // Show "no history" message if empty
-    if (this.generationHistory.length === 0) {
+    if (matches.length === 0) {
       const noHistory = document.createElement('p');
       noHistory.className = 'no-history';
-      noHistory.textContent = 'No generation history yet. Create your first image!';
+      noHistory.textContent = this.generationHistory.length === 0
+        ? 'No generation history yet. Create your first image!'
+        : 'No images match the search.';
       historyItems.appendChild(noHistory);
     }
   }
   
+  /**
+   * Create a gallery image's tags and favorite button
+   * @param {Object} item - History item from the gallery
+   * @returns {HTMLElement} - Actions
+   */
+  createHistoryActions(item) {
+    const actions = document.createElement('div');
+    actions.className = 'history-actions';
+    
+    const favoriteButton = document.createElement('button');
+    favoriteButton.type = 'button';
+    favoriteButton.className = 'history-favorite';
+    favoriteButton.textContent = item.favorite ? '★' : '☆';
+    favoriteButton.title = item.favorite ? 'Remove from favorites' : 'Add to favorites';
+    favoriteButton.setAttribute('aria-label', favoriteButton.title);
+    favoriteButton.setAttribute('aria-pressed', String(Boolean(item.favorite)));
+    favoriteButton.addEventListener('click', (e) => {
+      e.stopPropagation();
+      this.updateGalleryImage(item, { favorite: !item.favorite });
+    });
+    
+    const tagsButton = document.createElement('button');
+    tagsButton.type = 'button';
+    tagsButton.className = 'history-tags';
+    tagsButton.textContent = (item.tags || []).length ? item.tags.map(tag => `#${tag}`).join(' ') : '+ Tags';
+    tagsButton.title = 'Edit tags';
+    tagsButton.addEventListener('click', (e) => {
+      e.stopPropagation();
+      
+      const text = prompt('Tags, separated by commas', (item.tags || []).join(', '));
+      if (text !== null) {
+        this.updateGalleryImage(item, { tags: this.gallery.parseTags(text) });
+      }
+    });
+    
+    actions.appendChild(favoriteButton);
+    actions.appendChild(tagsButton);
+    return actions;
+  }
+  
+  /**
+   * Update the tag filter and export button for the current images
+   * @param {Array<Object>} matches - History items matching the filters
+   */
+  updateHistoryFilters(matches) {
+    if (this.historyMoreButton) {
+      const hidden = matches.length - this.historyLimit;
+      this.historyMoreButton.hidden = hidden <= 0;
+      this.historyMoreButton.textContent = `Show more (${hidden})`;
+    }
+    
+    if (!this.historyTagFilter) return;
+    
+    // Tags come and go as images are tagged and deleted
+    const tags = this.gallery.getTags(this.generationHistory);
+    if (this.historyFilter.tag && !tags.includes(this.historyFilter.tag)) {
+      this.historyFilter.tag = '';
+    }
+    
+    this.historyTagFilter.innerHTML = '<option value="">All tags</option>';
+    tags.forEach(tag => {
+      this.historyTagFilter.appendChild(new Option(`#${tag}`, tag, false, tag === this.historyFilter.tag));
+    });
+    
+    this.historyExportButton.textContent = `Export ZIP (${matches.length})`;
+    this.historyExportButton.disabled = !matches.length;
+  }
+  
+  /**
+   * Change a gallery image's tags or favorite
+   * @param {Object} item - History item from the gallery
+   * @param {Object} changes - { tags } and/or { favorite }
+   */
+  async updateGalleryImage(item, changes) {
+    try {
+      await this.gallery.update(item.id, changes);
+      Object.assign(item, changes);
+    } catch (error) {
+      console.error('Error updating gallery image:', error);
+      this.showError('That image couldn\'t be updated.');
+    }
+    
+    this.updateHistoryDisplay();
+  }
+  
+  /**
+   * Download the images matching the gallery's filters as a ZIP
+   */
+  async exportGallery() {
+    const images = this.getHistoryMatches().filter(item => item.blob);
+    if (!images.length) return;
+    
+    this.historyExportButton.disabled = true;
+    
+    try {
+      const url = URL.createObjectURL(await this.gallery.exportZip(images));
+      const downloadLink = document.createElement('a');
+      downloadLink.href = url;
+      downloadLink.download = `valleytainment-gallery-${Date.now()}.zip`;
+      document.body.appendChild(downloadLink);
+      downloadLink.click();
+      document.body.removeChild(downloadLink);
+      URL.revokeObjectURL(url);
+    } catch (error) {
+      console.error('Error exporting gallery:', error);
+      this.showError('The gallery couldn\'t be exported. Please try again.');
+    }
+    
+    this.historyExportButton.disabled = false;
+  }
+  
   /**
    * Generate image
-   * Processes user prompt and generates an image
+   * Processes user prompt and generates a batch of images, each with its own seed
+   * @param {number} count - Images to make; defaults to the batch size input
    */
-  async generateImage() {
+  async generateImage(count = this.getBatchSize()) {
     // Get prompt from input
     const prompt = this.promptInput ? this.promptInput.value.trim() : '';
+    const mode = this.getMode();
     
-    // Validate prompt
-    if (!prompt) {
+    // Validate prompt; a photo can be restyled with the style preset alone
+    if (!prompt && mode === 'text') {
       this.showError('Please enter a prompt to generate an image.');
       return;
     }
@@ -569,6 +1116,12 @@ class ValleyImageGenerator {
       return;
     }
     
+    // Check a provider can edit the photo before waiting on any
+    if (!this.getEndpoints(mode).length) {
+      this.showError(this.getModeError(mode));
+      return;
+    }
+    
     // Show loading indicator
     this.showLoading();
     
@@ -585,29 +1138,43 @@ class ValleyImageGenerator {
       // Get image dimensions
       const dimensions = this.getImageDimensions();
       
-      // Generate image
-      const imageUrl = await this.fetchGeneratedImage(enhancedPrompt, negativePrompt, dimensions);
+      // Get seed, steps and guidance; a set seed numbers the batch from it, so every image can be made again
+      const settings = this.getGenerationSettings();
+      const seeds = Array.from({ length: count }, (_, i) => (settings.seed === null ? this.createSeed() : (settings.seed + i) % IMAGE_SEED_LIMIT));
+      let finished = 0;
+      
+      // Generate the batch at once; requestImage() holds requests back to stay within rate limits
+      const outcomes = await Promise.allSettled(seeds.map(seed => (
+        this.fetchGeneratedImage(enhancedPrompt, negativePrompt, dimensions, mode, { ...settings, seed })
+          .finally(() => this.showProgress(++finished, count))
+      )));
+      
+      const results = outcomes
+        .filter(outcome => outcome.status === 'fulfilled')
+        .map(outcome => ({ ...outcome.value, prompt, style: this.selectedStyle, mode, ...dimensions }));
       
       // Hide loading indicator
       this.hideLoading();
       
-      // Display generated image
-      if (this.imageOutput) {
-        this.imageOutput.src = imageUrl;
-        this.imageOutput.alt = `Generated image: ${prompt}`;
+      if (!results.length) {
+        throw outcomes[0].reason;
       }
       
-      // Show save button
-      if (this.saveImageButton) {
-        this.saveImageButton.style.display = 'block';
-      }
+      // Display the batch, the first image selected
+      this.showResults(results);
       
-      // Add to history
-      this.addToHistory(prompt, imageUrl);
+      // Add to history, the first image on top
+      for (const result of results.slice().reverse()) {
+        await this.addToHistory(prompt, result.imageUrl, result);
+      }
       
       // Track analytics
       if (this.config.analytics.enabled) {
-        this.trackGeneration(prompt);
+        results.forEach(() => this.trackGeneration(prompt));
+      }
+      
+      if (results.length < count) {
+        this.showError(`${count - results.length} of ${count} images couldn't be made.`);
       }
     } catch (error) {
       console.error('Error generating image:', error);
@@ -616,13 +1183,244 @@ class ValleyImageGenerator {
       this.hideLoading();
       
       // Show error message
-      this.showError('Failed to generate image. Please try again.');
+      this.showError({
+        text: 'Failed to generate image. Please try again.',
+        image: 'Failed to restyle the photo. Please try again.',
+        inpaint: 'Failed to redraw the masked part of the photo. Please try again.'
+      }[mode]);
     } finally {
       // Reset generating flag
       this.isGenerating = false;
     }
   }
   
+  /**
+   * Get the batch size
+   * @returns {number} - Images per click, from 1 to maxBatchSize
+   */
+  getBatchSize() {
+    const countInput = document.getElementById('image-count-input');
+    const count = countInput ? parseInt(countInput.value) : NaN;
+    
+    return isNaN(count) ? 1 : Math.min(this.config.generator.maxBatchSize, Math.max(1, count));
+  }
+  
+  /**
+   * Get the seed, steps and guidance from the advanced options
+   * Out-of-range values fall back to the defaults; the ranges are the image proxy's
+   * @returns {Object} - seed (null for random), steps and guidance
+   */
+  getGenerationSettings() {
+    const seedInput = document.getElementById('image-seed-input');
+    const stepsInput = document.getElementById('image-steps-input');
+    const guidanceInput = document.getElementById('image-guidance-input');
+    
+    const seed = seedInput && seedInput.value.trim() ? Number(seedInput.value) : NaN;
+    const steps = stepsInput ? Number(stepsInput.value) : NaN;
+    const guidance = guidanceInput && guidanceInput.value.trim() ? Number(guidanceInput.value) : NaN;
+    
+    return {
+      seed: Number.isInteger(seed) && seed >= 0 && seed < IMAGE_SEED_LIMIT ? seed : null,
+      steps: Number.isInteger(steps) && steps >= 10 && steps <= 50 ? steps : this.config.generator.defaultSteps,
+      guidance: guidance >= 0 && guidance <= 35 ? guidance : this.config.generator.defaultGuidance
+    };
+  }
+  
+  /**
+   * Create a random seed
+   * @returns {number} - Seed
+   */
+  createSeed() {
+    return Math.floor(Math.random() * IMAGE_SEED_LIMIT);
+  }
+  
+  /**
+   * Show the results grid and select the first image
+   * @param {Array<Object>} results - Images from fetchGeneratedImage(), with prompt, style, mode and size
+   */
+  showResults(results) {
+    const previous = this.results;
+    this.results = results;
+    this.selectResult(0);
+    
+    // Free the last batch's images that history has already let go of
+    previous.forEach(result => {
+      if (!this.generationHistory.some(item => item.imageUrl === result.imageUrl)) {
+        this.releaseImage(result.imageUrl);
+      }
+    });
+    
+    if (!this.resultsGrid) return;
+    
+    this.resultsGrid.innerHTML = '';
+    this.resultsGrid.style.display = '';
+    
+    results.forEach((result, index) => {
+      const resultItem = document.createElement('div');
+      resultItem.className = 'result-item';
+      
+      // Create thumbnail, which selects the image
+      const selectButton = document.createElement('button');
+      selectButton.type = 'button';
+      selectButton.className = 'result-select';
+      selectButton.setAttribute('aria-pressed', String(index === 0));
+      selectButton.addEventListener('click', () => {
+        this.selectResult(index);
+      });
+      
+      const thumbnail = document.createElement('img');
+      thumbnail.src = result.imageUrl;
+      thumbnail.alt = `Image ${index + 1} of ${results.length}`;
+      selectButton.appendChild(thumbnail);
+      
+      // Create provider and seed label
+      const meta = document.createElement('p');
+      meta.className = 'result-meta';
+      meta.textContent = result.provider === 'local' ? this.getProviderLabel(result.provider) : `${this.getProviderLabel(result.provider)} · seed ${result.seed}`;
+      
+      resultItem.appendChild(selectButton);
+      resultItem.appendChild(meta);
+      
+      // Placeholders have no seed to reuse or image worth varying
+      if (result.provider !== 'local') {
+        const actions = document.createElement('div');
+        actions.className = 'result-actions';
+        
+        const varyButton = document.createElement('button');
+        varyButton.type = 'button';
+        varyButton.textContent = 'Vary';
+        varyButton.addEventListener('click', () => {
+          this.varyResult(result);
+        });
+        
+        const reuseButton = document.createElement('button');
+        reuseButton.type = 'button';
+        reuseButton.textContent = 'Reuse seed';
+        reuseButton.addEventListener('click', () => {
+          this.reuseSettings(result);
+          this.toggleAdvancedOptions(true);
+        });
+        
+        actions.appendChild(varyButton);
+        actions.appendChild(reuseButton);
+        resultItem.appendChild(actions);
+      }
+      
+      this.resultsGrid.appendChild(resultItem);
+    });
+  }
+  
+  /**
+   * Show one image of the batch
+   * @param {number} index - Index in the results
+   */
+  selectResult(index) {
+    const result = this.results[index];
+    if (!result) return;
+    
+    // Display generated image
+    if (this.imageOutput) {
+      this.imageOutput.src = result.imageUrl;
+      this.imageOutput.alt = `Generated image: ${result.prompt}`;
+    }
+    
+    // Load it into the brand kit
+    if (this.compositor) {
+      this.compositor.setImage(result.imageUrl);
+    }
+    
+    // Show save button
+    if (this.saveImageButton) {
+      this.saveImageButton.style.display = 'block';
+    }
+    
+    if (this.resultsGrid) {
+      this.resultsGrid.querySelectorAll('.result-select').forEach((button, buttonIndex) => {
+        button.setAttribute('aria-pressed', String(buttonIndex === index));
+      });
+    }
+  }
+  
+  /**
+   * Fill the inputs with an image's prompt, style and settings, so Generate makes it again
+   * @param {Object} item - Result or history item
+   */
+  reuseSettings(item) {
+    if (this.promptInput) {
+      this.promptInput.value = item.prompt;
+    }
+    
+    if (this.styleSelector) {
+      this.styleSelector.value = item.style;
+      this.styleSelector.dispatchEvent(new Event('change'));
+    } else {
+      this.selectedStyle = item.style;
+    }
+    
+    // Images from before seeds were recorded only have a prompt and style
+    const values = {
+      'negative-prompt-input': item.negativePrompt,
+      'image-width-input': item.width,
+      'image-height-input': item.height,
+      'image-seed-input': item.seed,
+      'image-steps-input': item.steps,
+      'image-guidance-input': item.guidance,
+      'image-count-input': item.seed === undefined ? undefined : 1
+    };
+    
+    Object.entries(values).forEach(([id, value]) => {
+      const input = document.getElementById(id);
+      if (input && value !== undefined && value !== null) {
+        input.value = value;
+      }
+    });
+  }
+  
+  /**
+   * Make variations of an image
+   * The image becomes the reference photo and is restyled lightly with new seeds
+   * @param {Object} result - Result from the grid
+   */
+  async varyResult(result) {
+    if (this.isGenerating) return;
+    
+    if (!this.getEndpoints('image').length) {
+      this.showError(this.getModeError('image'));
+      return;
+    }
+    
+    try {
+      const blob = await (await fetch(result.imageUrl)).blob();
+      await this.loadReference(new File([blob], `seed-${result.seed}.png`, { type: blob.type }));
+    } catch (error) {
+      console.error('Error loading image to vary:', error);
+      this.showError('That image couldn\'t be loaded to vary.');
+      return;
+    }
+    
+    // loadReference() has shown why if the image wasn't usable
+    if (!this.reference) return;
+    
+    if (this.strengthInput) {
+      this.strengthInput.value = this.config.generator.variationStrength;
+      this.strengthInput.dispatchEvent(new Event('input'));
+    }
+    
+    await this.generateImage(this.config.generator.variationCount);
+  }
+  
+  /**
+   * Get a provider's display name
+   * @param {string} name - Endpoint name, or "local" for the placeholder
+   * @returns {string} - Label
+   */
+  getProviderLabel(name) {
+    if (name === 'local') return 'Placeholder';
+    
+    const endpoint = this.config.api.endpoints.find(entry => entry.name === name);
+    return endpoint ? endpoint.label || endpoint.name : name;
+  }
+  
   /**
    * Enhance prompt with style modifiers
    * @param {string} prompt - The user's prompt
@@ -637,7 +1435,7 @@ class ValleyImageGenerator {
     
     // Add style modifier if available
     if (selectedStyleObj && selectedStyleObj.promptModifier) {
-      enhancedPrompt += `, ${selectedStyleObj.promptModifier}`;
+      enhancedPrompt = enhancedPrompt ? `${enhancedPrompt}, ${selectedStyleObj.promptModifier}` : selectedStyleObj.promptModifier;
     }
     
     // Add prompt prefix if configured
@@ -692,94 +1490,55 @@ class ValleyImageGenerator {
     return { width, height };
   }
   
+  /**
+   * Get the providers for a mode, in priority order
+   * @param {string} mode - "text", "image" or "inpaint"
+   * @returns {Array<Object>} - Endpoint entries; those without `modes` only make new images
+   */
+  getEndpoints(mode) {
+    return this.config.api.endpoints
+      .filter(endpoint => (endpoint.modes || ['text']).includes(mode))
+      .sort((a, b) => a.priority - b.priority);
+  }
+  
   /**
    * Fetch generated image from API
-   * Tries multiple endpoints with fallback
+   * Tries each provider that supports the mode in priority order, then the local placeholder
    * @param {string} prompt - The enhanced prompt
    * @param {string} negativePrompt - The negative prompt
    * @param {Object} dimensions - Width and height for image generation
-   * @returns {Promise<string>} - URL of generated image
+   * @param {string} mode - "text", or "image" and "inpaint" to edit the reference photo
+   * @param {Object} settings - seed (random if left out), steps and guidance
+   * @returns {Promise<Object>} - imageUrl (a blob URL), the provider's name ("local" for the placeholder), seed, negativePrompt,
+   *   steps and guidance (null when the provider doesn't take them)
    */
-  async fetchGeneratedImage(prompt, negativePrompt, dimensions) {
-    // Sort endpoints by priority
-    const endpoints = [...this.config.api.endpoints].sort((a, b) => a.priority - b.priority);
+  async fetchGeneratedImage(prompt, negativePrompt, dimensions, mode = 'text', settings = {}) {
+    const endpoints = this.getEndpoints(mode);
+    const request = {
+      mode,
+      prompt,
+      negativePrompt,
+      width: dimensions.width,
+      height: dimensions.height,
+      seed: settings.seed === undefined ? this.createSeed() : settings.seed,
+      steps: settings.steps,
+      guidance: settings.guidance
+    };
+    
+    if (mode !== 'text') {
+      request.strength = this.getStrength();
+    }
     
     // Try each endpoint in order
     for (const endpoint of endpoints) {
       try {
-        // For Pollinations.ai (which works without API key)
-        if (endpoint.name === 'pollinations') {
-          // Encode prompt for URL
-          const encodedPrompt = encodeURIComponent(prompt);
-          
-          // Construct URL with parameters
-          let url = `${endpoint.url}${encodedPrompt}`;
-          
-          // Add dimensions if specified
-          if (dimensions.width && dimensions.height) {
-            url += `?width=${dimensions.width}&height=${dimensions.height}`;
-          }
-          
-          // Add nologo parameter if specified
-          if (endpoint.params && endpoint.params.nologo) {
-            url += url.includes('?') ? '&nologo=true' : '?nologo=true';
-          }
-          
-          // Add timestamp to prevent caching
-          url += url.includes('?') ? `&t=${Date.now()}` : `?t=${Date.now()}`;
-          
-          // For Pollinations, we can just return the URL directly
-          return url;
-        }
-        
-        // For other APIs, we would make actual fetch requests
-        // This is a simplified example - in a real implementation,
-        // you would need to handle authentication and API-specific parameters
-        
-        /* 
-        // Example for Stability API
-        if (endpoint.name === 'stability') {
-          const response = await fetch(endpoint.url, {
-            method: 'POST',
-            headers: {
-              'Content-Type': 'application/json',
-              'Authorization': `Bearer ${apiKey}`
-            },
-            body: JSON.stringify({
-              text_prompts: [
-                {
-                  text: prompt,
-                  weight: 1
-                },
-                {
-                  text: negativePrompt,
-                  weight: -1
-                }
-              ],
-              height: dimensions.height,
-              width: dimensions.width,
-              cfg_scale: 7,
-              steps: 30,
-              samples: 1
-            }),
-            signal: AbortSignal.timeout(this.config.api.timeout)
-          });
-          
-          if (!response.ok) {
-            throw new Error(`API error: ${response.status}`);
-          }
-          
-          const data = await response.json();
-          // Extract image data and convert to URL
-          const base64Image = data.artifacts[0].base64;
-          return `data:image/png;base64,${base64Image}`;
-        }
-        */
+        const imageUrl = await this.requestImage(endpoint, request);
         
-        // Fallback to local generation if API calls fail
-        if (endpoint.name === 'local' && this.config.api.useLocalFallback) {
-          return this.generateLocalImage(prompt, dimensions);
-        }
+        // Only what the provider was sent is recorded; Pollinations never gets the negative prompt, steps or guidance
+        const sentSettings = endpoint.name === 'pollinations'
+          ? { negativePrompt: null, steps: null, guidance: null }
+          : { negativePrompt: request.negativePrompt, steps: request.steps, guidance: request.guidance };
+        return { imageUrl, provider: endpoint.name, seed: request.seed, ...sentSettings };
       } catch (error) {
         console.warn(`Error with endpoint ${endpoint.name}:`, error);
         
@@ -788,90 +1547,329 @@ class ValleyImageGenerator {
       }
     }
     
+    // Fall back to local generation if every provider failed; a placeholder is no edit of a photo
+    if (this.config.api.useLocalFallback && mode === 'text') {
+      const imageUrl = await this.generateLocalImage(prompt, dimensions);
+      return { imageUrl, provider: 'local', seed: null };
+    }
+    
     // If all endpoints fail, throw error
     throw new Error('All image generation endpoints failed');
   }
   
+  /**
+   * Request an image from one provider
+   * The provider is abandoned once its timeout passes without an image
+   * @param {Object} endpoint - Endpoint entry from the API config
+   * @param {Object} request - mode, prompt, negativePrompt, width, height and for edits strength
+   * @returns {Promise<string>} - Blob URL of the image
+   */
+  async requestImage(endpoint, request) {
+    // The timeout starts once the provider's rate limits allow the request
+    await this.waitForProvider(endpoint);
+    
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), endpoint.timeout || this.config.api.timeout);
+    
+    try {
+      // Edits send the photo at the size this provider accepts
+      const providerRequest = request.mode === 'text' ? request : { ...request, ...this.encodeReference(endpoint, request.mode) };
+      
+      const response = endpoint.name === 'pollinations'
+        ? await fetch(this.buildPollinationsUrl(endpoint, providerRequest), { signal: controller.signal })
+        : await this.fetchProxyImage(endpoint, providerRequest, controller.signal);
+      
+      // The image is read before the timer stops, since it only arrives once it's generated
+      return await this.readImageResponse(response);
+    } finally {
+      clearTimeout(timer);
+      this.releaseProvider(endpoint);
+    }
+  }
+  
+  /**
+   * Wait until a provider's rate limits allow another request
+   * Limits are per URL in api.rateLimits; URLs without limits never wait
+   * @param {Object} endpoint - Endpoint entry
+   * @returns {Promise<void>}
+   */
+  async waitForProvider(endpoint) {
+    const limits = (this.config.api.rateLimits || {})[endpoint.url] || {};
+    const windowMs = limits.windowMs || 60000;
+    
+    if (!this.providerUsage[endpoint.url]) {
+      this.providerUsage[endpoint.url] = { active: 0, starts: [] };
+    }
+    const usage = this.providerUsage[endpoint.url];
+    
+    while (true) {
+      const now = Date.now();
+      usage.starts = usage.starts.filter(time => now - time < windowMs);
+      
+      const busy = limits.maxConcurrent && usage.active >= limits.maxConcurrent;
+      const spent = limits.max && usage.starts.length >= limits.max;
+      if (!busy && !spent) break;
+      
+      // Check again shortly, or when the oldest request leaves the window
+      await new Promise(resolve => setTimeout(resolve, spent ? usage.starts[0] + windowMs - now : 200));
+    }
+    
+    usage.active++;
+    usage.starts.push(Date.now());
+  }
+  
+  /**
+   * Free a provider's slot once its request has finished
+   * @param {Object} endpoint - Endpoint entry
+   */
+  releaseProvider(endpoint) {
+    this.providerUsage[endpoint.url].active--;
+  }
+  
+  /**
+   * Build a Pollinations image URL
+   * Pollinations has no negative prompt, steps or guidance, so only the prompt, size and seed are sent
+   * @param {Object} endpoint - Pollinations endpoint entry
+   * @param {Object} request - prompt, width, height and seed
+   * @returns {string} - Image URL
+   */
+  buildPollinationsUrl(endpoint, request) {
+    const params = new URLSearchParams({
+      width: request.width,
+      height: request.height,
+      ...endpoint.params,
+      // The same prompt and seed give the same image, so a new image needs a new seed
+      seed: request.seed
+    });
+    
+    return `${endpoint.url}${encodeURIComponent(request.prompt)}?${params}`;
+  }
+  
+  /**
+   * Get the size to send the reference photo to a provider at
+   * The closest in shape of the provider's `sizes`, or the photo scaled to fit
+   * @param {Object} endpoint - Endpoint entry
+   * @returns {Object} - { width, height }
+   */
+  getEditSize(endpoint) {
+    const { naturalWidth: width, naturalHeight: height } = this.reference.image;
+    
+    if (endpoint.sizes) {
+      const ratio = width / height;
+      const [fitWidth, fitHeight] = endpoint.sizes.reduce((best, size) => (
+        Math.abs(Math.log(size[0] / size[1] / ratio)) < Math.abs(Math.log(best[0] / best[1] / ratio)) ? size : best
+      ));
+      return { width: fitWidth, height: fitHeight };
+    }
+    
+    const { minSize, maxSize, sizeStep } = this.config.reference;
+    const scale = Math.min((endpoint.maxSize || maxSize) / Math.max(width, height), Math.max(1, minSize / Math.min(width, height)));
+    const fit = size => Math.max(sizeStep, Math.round(size * scale / sizeStep) * sizeStep);
+    
+    return { width: fit(width), height: fit(height) };
+  }
+  
+  /**
+   * Draw a source to fill a canvas, cropping the edges that don't fit
+   * The photo and the mask are drawn the same way, so they stay lined up
+   * @param {CanvasRenderingContext2D} ctx - Context to draw on
+   * @param {HTMLImageElement|HTMLCanvasElement} source - Photo or mask
+   * @param {number} width - Canvas width
+   * @param {number} height - Canvas height
+   */
+  drawCover(ctx, source, width, height) {
+    const sourceWidth = source.naturalWidth || source.width;
+    const sourceHeight = source.naturalHeight || source.height;
+    const scale = Math.max(width / sourceWidth, height / sourceHeight);
+    const cropWidth = width / scale;
+    const cropHeight = height / scale;
+    
+    ctx.drawImage(source, (sourceWidth - cropWidth) / 2, (sourceHeight - cropHeight) / 2, cropWidth, cropHeight, 0, 0, width, height);
+  }
+  
+  /**
+   * Encode the reference photo, and for inpainting the mask, for a provider
+   * @param {Object} endpoint - Endpoint entry
+   * @param {string} mode - "image" or "inpaint"
+   * @returns {Object} - width, height, image and mask as data URLs
+   */
+  encodeReference(endpoint, mode) {
+    const { width, height } = this.getEditSize(endpoint);
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    this.drawCover(canvas.getContext('2d'), this.reference.image, width, height);
+    
+    const fields = { width, height, image: canvas.toDataURL('image/jpeg', this.config.reference.jpegQuality) };
+    
+    if (mode === 'inpaint') {
+      fields.mask = this.mask.render(width, height, this.drawCover.bind(this)).toDataURL('image/png');
+    }
+    
+    return fields;
+  }
+  
+  /**
+   * Request an image from a keyed provider through the image proxy
+   * Sends the staff password that staff/images.html (or another staff page) stored this session
+   * @param {Object} endpoint - Endpoint entry; its name is the proxy's provider
+   * @param {Object} request - mode, prompt, negativePrompt, width, height and for edits strength, image and mask
+   * @param {AbortSignal} signal - Aborts the request on timeout
+   * @returns {Promise<Response>} - Proxy response
+   */
+  fetchProxyImage(endpoint, request, signal) {
+    return fetch(endpoint.url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Accept': 'image/*',
+        'Authorization': `Bearer ${sessionStorage.getItem(this.config.api.passwordKey) || ''}`
+      },
+      body: JSON.stringify({ provider: endpoint.name, ...request }),
+      signal
+    });
+  }
+  
+  /**
+   * Turn an image response into a blob URL
+   * @param {Response} response - Provider or proxy response
+   * @returns {Promise<string>} - Blob URL
+   * @throws {Error} - When the request failed or didn't return an image
+   */
+  async readImageResponse(response) {
+    if (response.status === 401) {
+      throw new Error('Wrong or missing staff password');
+    }
+    
+    if (!response.ok) {
+      throw new Error(`API error: ${response.status}`);
+    }
+    
+    const blob = await response.blob();
+    if (!blob.type.startsWith('image/')) {
+      throw new Error(`Expected an image, got ${blob.type || 'no content type'}`);
+    }
+    
+    return URL.createObjectURL(blob);
+  }
+  
   /**
    * Generate local image
    * Fallback when API is unavailable
    * @param {string} prompt - The enhanced prompt
    * @param {Object} dimensions - Width and height for image generation
-   * @returns {Promise<string>} - URL of generated image
+   * @returns {Promise<string>} - Blob URL of generated image
    */
   async generateLocalImage(prompt, dimensions) {
     // This is a fallback that creates a placeholder image with the prompt text
     // In a real implementation, you might use a local model or a more sophisticated fallback
     
-    return new Promise((resolve) => {
-      // Create canvas
-      const canvas = document.createElement('canvas');
-      canvas.width = dimensions.width;
-      canvas.height = dimensions.height;
-      
-      // Get context
-      const ctx = canvas.getContext('2d');
-      
-      // Fill background
-      const gradient = ctx.createLinearGradient(0, 0, dimensions.width, dimensions.height);
-      gradient.addColorStop(0, '#6a11cb');
-      gradient.addColorStop(1, '#2575fc');
-      ctx.fillStyle = gradient;
-      ctx.fillRect(0, 0, dimensions.width, dimensions.height);
-      
-      // Add text
-      ctx.fillStyle = 'white';
-      ctx.font = 'bold 24px Arial';
-      ctx.textAlign = 'center';
-      ctx.textBaseline = 'middle';
-      
-      // Wrap text
-      const maxWidth = dimensions.width - 40;
-      const lineHeight = 30;
-      const words = prompt.split(' ');
-      let line = '';
-      let lines = [];
+    // Create canvas
+    const canvas = document.createElement('canvas');
+    canvas.width = dimensions.width;
+    canvas.height = dimensions.height;
+    
+    // Get context
+    const ctx = canvas.getContext('2d');
+    
+    // Fill background
+    const gradient = ctx.createLinearGradient(0, 0, dimensions.width, dimensions.height);
+    gradient.addColorStop(0, '#6a11cb');
+    gradient.addColorStop(1, '#2575fc');
+    ctx.fillStyle = gradient;
+    ctx.fillRect(0, 0, dimensions.width, dimensions.height);
+    
+    // Add text
+    ctx.fillStyle = 'white';
+    ctx.font = 'bold 24px Arial';
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    
+    // Wrap text, up to 5 lines
+    const lineHeight = 30;
+    const lines = this.wrapText(ctx, prompt, dimensions.width - 40, 5);
+    
+    // Draw text
+    const startY = dimensions.height / 2 - (lines.length * lineHeight) / 2;
+    for (let i = 0; i < lines.length; i++) {
+      ctx.fillText(lines[i], dimensions.width / 2, startY + i * lineHeight);
+    }
+    
+    // Add watermark
+    ctx.font = '14px Arial';
+    ctx.fillText('Valleytainment Image Generator', dimensions.width / 2, dimensions.height - 20);
+    
+    // Convert to a blob URL, like the providers' images
+    return this.canvasToBlobUrl(canvas);
+  }
+  
+  /**
+   * Wrap text into lines that fit a width
+   * Uses the context's current font
+   * @param {CanvasRenderingContext2D} ctx - Context to measure with
+   * @param {string} text - Text to wrap
+   * @param {number} maxWidth - Widest a line can be
+   * @param {number} maxLines - Most lines; the last one becomes "..." when there are more
+   * @returns {Array<string>} - Lines
+   */
+  wrapText(ctx, text, maxWidth, maxLines) {
+    const words = text.split(' ');
+    let line = '';
+    let lines = [];
+    
+    for (let i = 0; i < words.length; i++) {
+      const testLine = line + words[i] + ' ';
+      const metrics = ctx.measureText(testLine);
+      const testWidth = metrics.width;
       
-      for (let i = 0; i < words.length; i++) {
-        const testLine = line + words[i] + ' ';
-        const metrics = ctx.measureText(testLine);
-        const testWidth = metrics.width;
-        
-        if (testWidth > maxWidth && i > 0) {
-          lines.push(line);
-          line = words[i] + ' ';
+      if (testWidth > maxWidth && i > 0) {
+        lines.push(line.trim());
+        line = words[i] + ' ';
+      } else {
+        line = testLine;
+      }
+    }
+    lines.push(line.trim());
+    
+    // Limit the number of lines
+    if (lines.length > maxLines) {
+      lines = lines.slice(0, maxLines - 1);
+      lines.push('...');
+    }
+    
+    return lines;
+  }
+  
+  /**
+   * Turn a canvas into an image file
+   * @param {HTMLCanvasElement} canvas - Canvas to export
+   * @param {string} type - MIME type
+   * @param {number} quality - JPEG and WebP quality, from 0 to 1
+   * @returns {Promise<Blob>} - The image
+   * @throws {Error} - When the canvas can't be exported, e.g. it shows an image from another site
+   */
+  canvasToBlob(canvas, type = 'image/png', quality) {
+    return new Promise((resolve, reject) => {
+      canvas.toBlob(blob => {
+        if (blob) {
+          resolve(blob);
         } else {
-          line = testLine;
+          reject(new Error('Could not export the canvas'));
         }
-      }
-      lines.push(line);
-      
-      // Limit to 5 lines
-      if (lines.length > 5) {
-        lines = lines.slice(0, 4);
-        lines.push('...');
-      }
-      
-      // Draw text
-      const startY = dimensions.height / 2 - (lines.length * lineHeight) / 2;
-      for (let i = 0; i < lines.length; i++) {
-        ctx.fillText(lines[i], dimensions.width / 2, startY + i * lineHeight);
-      }
-      
-      // Add watermark
-      ctx.font = '14px Arial';
-      ctx.fillText('Valleytainment Image Generator', dimensions.width / 2, dimensions.height - 20);
-      
-      // Convert to data URL
-      const dataUrl = canvas.toDataURL('image/png');
-      
-      // Simulate delay
-      setTimeout(() => {
-        resolve(dataUrl);
-      }, 1500);
+      }, type, quality);
     });
   }
   
+  /**
+   * Turn a canvas into a PNG blob URL
+   * @param {HTMLCanvasElement} canvas - Canvas to export
+   * @returns {Promise<string>} - Blob URL
+   * @throws {Error} - When the canvas can't be exported
+   */
+  async canvasToBlobUrl(canvas) {
+    return URL.createObjectURL(await this.canvasToBlob(canvas));
+  }
+  
   /**
    * Show loading indicator
    */
@@ -893,6 +1891,20 @@ class ValleyImageGenerator {
     }
   }
   
+  /**
+   * Show how much of a batch is done
+   * @param {number} finished - Images finished, made or failed
+   * @param {number} total - Images in the batch
+   */
+  showProgress(finished, total) {
+    if (!this.loadingIndicator || total < 2) return;
+    
+    const loadingText = this.loadingIndicator.querySelector('.loading-text');
+    if (loadingText && this.config.ui.loadingText) {
+      loadingText.textContent = `${this.config.ui.loadingText} (${finished} of ${total})`;
+    }
+  }
+  
   /**
    * Hide loading indicator
    */
@@ -922,70 +1934,127 @@ class ValleyImageGenerator {
   
   /**
    * Add to history
+   * Stores the image in the gallery, or keeps it for the visit without one
    * @param {string} prompt - The user's prompt
    * @param {string} imageUrl - URL of generated image
+   * @param {Object} details - provider, seed, negativePrompt, steps, guidance, width, height and mode, to make the image again
    */
-  addToHistory(prompt, imageUrl) {
+  async addToHistory(prompt, imageUrl, details = {}) {
     // Create history item
     const historyItem = {
       prompt,
-      imageUrl,
       style: this.selectedStyle,
-      timestamp: new Date().toISOString()
+      provider: details.provider,
+      seed: details.seed,
+      negativePrompt: details.negativePrompt,
+      steps: details.steps,
+      guidance: details.guidance,
+      width: details.width,
+      height: details.height,
+      mode: details.mode
     };
     
-    // Add to history
-    this.generationHistory.unshift(historyItem);
+    // Stored images go below new ones
+    await this.historyLoaded;
     
-    // Limit history length
-    if (this.generationHistory.length > this.config.generator.maxHistoryItems) {
-      this.generationHistory = this.generationHistory.slice(0, this.config.generator.maxHistoryItems);
+    if (this.gallery) {
+      try {
+        // Store the image itself; its blob URL only lasts as long as the page
+        const blob = await (await fetch(imageUrl)).blob();
+        const image = await this.gallery.add(blob, historyItem);
+        this.generationHistory.unshift({ ...image, imageUrl });
+        
+        // Drop the oldest images beyond the gallery's limit
+        this.removeFromHistory(await this.gallery.prune());
+      } catch (error) {
+        console.error('Error saving image to the gallery:', error);
+        this.generationHistory.unshift({ ...historyItem, imageUrl, timestamp: new Date().toISOString() });
+      }
+    } else {
+      this.generationHistory.unshift({ ...historyItem, imageUrl, timestamp: new Date().toISOString() });
+      
+      // Limit history length, freeing the images that drop off
+      if (this.generationHistory.length > this.config.generator.maxHistoryItems) {
+        this.generationHistory.slice(this.config.generator.maxHistoryItems).forEach(item => this.releaseImage(item.imageUrl));
+        this.generationHistory = this.generationHistory.slice(0, this.config.generator.maxHistoryItems);
+      }
     }
     
-    // Save history
-    this.saveGenerationHistory();
-    
     // Update history display
     this.updateHistoryDisplay();
   }
   
   /**
-   * Save generation history to localStorage
+   * Take deleted gallery images out of the history
+   * @param {Array<string>} ids - Ids of the deleted images
    */
-  saveGenerationHistory() {
-    localStorage.setItem('valleytainment_image_history', JSON.stringify(this.generationHistory));
+  removeFromHistory(ids) {
+    if (!ids.length) return;
+    
+    this.generationHistory = this.generationHistory.filter(item => {
+      if (!ids.includes(item.id)) return true;
+      
+      if (item.imageUrl) {
+        this.releaseImage(item.imageUrl);
+      }
+      return false;
+    });
   }
   
   /**
-   * Load generation history from localStorage
+   * Load generation history from the gallery
+   * @returns {Promise<void>}
    */
-  loadGenerationHistory() {
-    const savedHistory = localStorage.getItem('valleytainment_image_history');
+  async loadGenerationHistory() {
+    // Earlier versions kept image URLs in localStorage, which don't bring back the same image
+    localStorage.removeItem('valleytainment_image_history');
+    
+    this.generationHistory = [];
+    if (!this.gallery) return;
+    
+    try {
+      this.generationHistory = await this.gallery.list();
+    } catch (error) {
+      console.error('Error loading the gallery:', error);
+    }
     
-    if (savedHistory) {
+    this.updateHistoryDisplay();
+  }
+  
+  /**
+   * Clear generation history
+   * Favorites stay in the gallery
+   */
+  async clearGenerationHistory() {
+    if (this.gallery) {
+      if (!confirm('Delete every image in the gallery except favorites? This can\'t be undone.')) return;
+      
       try {
-        this.generationHistory = JSON.parse(savedHistory);
+        this.removeFromHistory(await this.gallery.clear());
       } catch (error) {
-        console.error('Error parsing generation history:', error);
-        this.generationHistory = [];
+        console.error('Error clearing the gallery:', error);
+        this.showError('The gallery couldn\'t be cleared. Please try again.');
       }
     } else {
+      this.generationHistory.forEach(item => this.releaseImage(item.imageUrl));
       this.generationHistory = [];
     }
+    
+    // Update history display
+    this.updateHistoryDisplay();
   }
   
   /**
-   * Clear generation history
+   * Free a generated image's memory
+   * The image on screen and those in the results grid are kept until they're replaced
+   * @param {string} imageUrl - URL of a generated image
    */
-  clearGenerationHistory() {
-    // Clear history
-    this.generationHistory = [];
-    
-    // Clear localStorage
-    localStorage.removeItem('valleytainment_image_history');
+  releaseImage(imageUrl) {
+    const inUse = (this.imageOutput && this.imageOutput.src === imageUrl) || this.results.some(result => result.imageUrl === imageUrl);
     
-    // Update history display
-    this.updateHistoryDisplay();
+    if (imageUrl.startsWith('blob:') && !inUse) {
+      URL.revokeObjectURL(imageUrl);
+    }
   }
   
   /**
@@ -1021,7 +2090,7 @@ class ValleyImageGenerator {
     this.analytics.lastGenerationTime = new Date();
     
     // Track popular prompts
-    if (this.config.analytics.trackPrompts) {
+    if (this.config.analytics.trackPrompts && prompt) {
       // Simplify prompt for tracking
       const simplifiedPrompt = prompt.toLowerCase().trim();
       
@@ -0,0 +1,281 @@
+/**
+ * =====================================================================
+ * | VALLEYTAINMENT PRODUCTIONS - CHATBOT ANALYTICS                    |
+ * | Version: 1.0.0                                                    |
+ * | Last Updated: October 19, 2026                                    |
+ * =====================================================================
+ * | This file queues anonymous ValleyBot usage events and uploads     |
+ * | them in batches to /api/analytics, where the team reads them on   |
+ * | staff/analytics.html. Nothing is recorded until the visitor       |
+ * | agrees, and question text is scrubbed of emails and phone numbers |
+ * | before it's queued.                                               |
+ * =====================================================================
+ */
+
+// Analytics settings - Edit these values to change what is uploaded and how often
+const CHATBOT_ANALYTICS_CONFIG = {
+  endpoint: '/api/analytics',
+  consentKey: 'valleybot_analytics_consent', // localStorage key: 'granted' or 'denied'
+  queueKey: 'valleybot_analytics_queue', // localStorage key for events not uploaded yet
+  batchSize: 20, // events per upload; a full batch is sent right away
+  flushInterval: 30000, // milliseconds to wait before sending a partial batch
+  maxQueue: 200, // oldest events are dropped beyond this (e.g. while offline)
+  maxTextLength: 300,
+  trackQuestions: true, // upload the wording of questions ValleyBot couldn't answer
+  textOutcomes: ['unanswered', 'clarify'] // outcomes whose question text is kept
+};
+
+/**
+ * ValleyAnalytics Class
+ * Consent, scrubbing and batched upload of ValleyBot usage events
+ *
+ * Events are `{ type, timestamp, ...fields }`: 'question' events carry the intent,
+ * outcome and voice use of each question, 'handoff' events mark a conversation handed to the team.
+ */
+class ValleyAnalytics {
+  /**
+   * @param {Object} config - Overrides for CHATBOT_ANALYTICS_CONFIG
+   * @param {Object} scrubber - Object with scrubSensitiveData() (a SecurityManager)
+   */
+  constructor(config = {}, scrubber) {
+    // Configuration
+    this.config = {
+      ...CHATBOT_ANALYTICS_CONFIG,
+      ...config
+    };
+
+    this.scrubber = scrubber;
+
+    // State
+    this.queue = this.readQueue();
+    this.flushTimer = null;
+    this.isFlushing = false;
+  }
+
+  /**
+   * Send what's left when the visitor leaves the page
+   */
+  start() {
+    window.addEventListener('pagehide', () => this.flushOnExit());
+    document.addEventListener('visibilitychange', () => {
+      if (document.visibilityState === 'hidden') {
+        this.flushOnExit();
+      }
+    });
+
+    // Events queued before the last page closed
+    if (this.hasConsent() && this.queue.length) {
+      this.scheduleFlush();
+    }
+  }
+
+  /**
+   * Whether the browser asks sites not to track (Do Not Track or Global Privacy Control)
+   * @returns {boolean}
+   */
+  isBlockedByBrowser() {
+    if (typeof navigator === 'undefined') return false;
+
+    return navigator.doNotTrack === '1' || navigator.globalPrivacyControl === true;
+  }
+
+  /**
+   * Get the visitor's choice
+   * @returns {string|null} - 'granted', 'denied', or null until they choose
+   */
+  getConsent() {
+    if (this.isBlockedByBrowser()) return 'denied';
+
+    try {
+      const consent = localStorage.getItem(this.config.consentKey);
+      return ['granted', 'denied'].includes(consent) ? consent : null;
+    } catch (error) {
+      return 'denied';
+    }
+  }
+
+  /**
+   * Whether events may be recorded
+   * @returns {boolean}
+   */
+  hasConsent() {
+    return this.getConsent() === 'granted';
+  }
+
+  /**
+   * Whether the visitor should be asked
+   * @returns {boolean}
+   */
+  needsConsent() {
+    return this.getConsent() === null;
+  }
+
+  /**
+   * Save the visitor's choice
+   * Declining also throws away anything still queued
+   * @param {boolean} granted - Whether they agreed
+   */
+  setConsent(granted) {
+    try {
+      localStorage.setItem(this.config.consentKey, granted ? 'granted' : 'denied');
+    } catch (error) {
+      console.warn('Error saving analytics consent:', error);
+    }
+
+    if (!granted) {
+      clearTimeout(this.flushTimer);
+      this.flushTimer = null;
+      this.queue = [];
+      this.saveQueue();
+    }
+  }
+
+  /**
+   * Record an event
+   * @param {string} type - 'question' or 'handoff'
+   * @param {Object} fields - Event fields; `text` is scrubbed, and dropped unless the outcome is in textOutcomes
+   * @returns {Object|null} - The queued event, or null without consent
+   */
+  track(type, fields = {}) {
+    if (!this.hasConsent()) return null;
+
+    const { text, ...rest } = fields;
+    const event = { type, timestamp: new Date().toISOString(), ...rest };
+
+    if (text && this.config.trackQuestions && this.config.textOutcomes.includes(fields.outcome)) {
+      event.text = this.scrub(text);
+    }
+
+    this.queue.push(event);
+    this.queue = this.queue.slice(-this.config.maxQueue);
+    this.saveQueue();
+
+    if (this.queue.length >= this.config.batchSize) {
+      this.flush();
+    } else {
+      this.scheduleFlush();
+    }
+
+    return event;
+  }
+
+  /**
+   * Remove personal data from question text
+   * @param {string} text - Question text
+   * @returns {string} - Scrubbed, whitespace-collapsed and shortened text
+   */
+  scrub(text) {
+    const scrubbed = this.scrubber.scrubSensitiveData(String(text)).replace(/\s+/g, ' ').trim();
+    return scrubbed.slice(0, this.config.maxTextLength);
+  }
+
+  /**
+   * Send a partial batch after flushInterval
+   */
+  scheduleFlush() {
+    if (this.flushTimer) return;
+
+    this.flushTimer = setTimeout(() => {
+      this.flushTimer = null;
+      this.flush();
+    }, this.config.flushInterval);
+  }
+
+  /**
+   * Upload queued events
+   * Failed uploads stay queued for the next try; batches the server rejects as invalid are dropped
+   * @returns {Promise<number>} - Number of events uploaded
+   */
+  async flush() {
+    clearTimeout(this.flushTimer);
+    this.flushTimer = null;
+
+    if (this.isFlushing || !this.queue.length || !this.hasConsent()) return 0;
+
+    const batch = this.queue.slice(0, this.config.batchSize);
+    this.isFlushing = true;
+
+    try {
+      const response = await fetch(this.config.endpoint, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ events: batch }),
+        keepalive: true
+      });
+
+      if (!response.ok && response.status !== 400) {
+        throw new Error(`Analytics upload error: ${response.status}`);
+      }
+
+      this.removeFromQueue(batch);
+      return response.ok ? batch.length : 0;
+    } catch (error) {
+      console.warn('Error uploading analytics:', error);
+      return 0;
+    } finally {
+      this.isFlushing = false;
+
+      if (this.queue.length && this.hasConsent()) {
+        this.scheduleFlush();
+      }
+    }
+  }
+
+  /**
+   * Hand the queue to the browser as the page closes
+   * sendBeacon outlives the page, unlike fetch in some browsers
+   */
+  flushOnExit() {
+    if (this.isFlushing || !this.queue.length || !this.hasConsent()) return;
+    if (typeof navigator === 'undefined' || !navigator.sendBeacon) return;
+
+    const batch = this.queue.slice(0, this.config.batchSize);
+    const body = new Blob([JSON.stringify({ events: batch })], { type: 'application/json' });
+
+    if (navigator.sendBeacon(this.config.endpoint, body)) {
+      this.removeFromQueue(batch);
+    }
+  }
+
+  /**
+   * Remove uploaded events from the queue
+   * @param {Array<Object>} batch - Events that were sent
+   */
+  removeFromQueue(batch) {
+    this.queue = this.queue.filter(event => !batch.includes(event));
+    this.saveQueue();
+  }
+
+  /**
+   * Read events left from an earlier page
+   * @returns {Array<Object>} - Queued events
+   */
+  readQueue() {
+    try {
+      const queue = JSON.parse(localStorage.getItem(this.config.queueKey));
+      return Array.isArray(queue) ? queue : [];
+    } catch (error) {
+      return [];
+    }
+  }
+
+  /**
+   * Save the queue so events survive a reload
+   */
+  saveQueue() {
+    try {
+      if (this.queue.length) {
+        localStorage.setItem(this.config.queueKey, JSON.stringify(this.queue));
+      } else {
+        localStorage.removeItem(this.config.queueKey);
+      }
+    } catch (error) {
+      console.warn('Error saving analytics queue:', error);
+    }
+  }
+}
+
+// Export ValleyAnalytics class for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ValleyAnalytics;
+}
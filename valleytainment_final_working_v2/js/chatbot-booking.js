@@ -0,0 +1,331 @@
+/**
+ * =====================================================================
+ * | VALLEYTAINMENT PRODUCTIONS - CHATBOT BOOKING                      |
+ * | Version: 1.0.0                                                    |
+ * | Last Updated: October 19, 2026                                    |
+ * =====================================================================
+ * | This file lets visitors book a studio session, workshop or        |
+ * | consultation through ValleyBot. It loads the open times from      |
+ * | /api/bookings (worked out from content/availability.json), offers |
+ * | them as the options of the lead capture flow's 'choice'           |
+ * | questions, books the chosen time and builds an .ics invite.       |
+ * =====================================================================
+ */
+
+// Booking settings - Edit these values to change the calendar invite and how many days are offered
+const CHATBOT_BOOKING_CONFIG = {
+  endpoint: '/api/bookings',
+  maxDays: 6, // days offered at once; each is a button
+  location: 'Valleytainment Productions, Pittsburgh, PA',
+  organizer: {
+    name: 'Valleytainment Productions',
+    email: 'info@valleytainment.com'
+  },
+
+  // Labels; services are named in content/availability.json
+  labels: {
+    other: 'Something else',
+    invite: '{service} at Valleytainment Productions',
+    description: 'Booked with ValleyBot. Need to change it? Email info@valleytainment.com.'
+  },
+
+  translations: {
+    es: {
+      labels: {
+        other: 'Otra cosa',
+        invite: '{service} en Valleytainment Productions',
+        description: 'Reservado con ValleyBot. ¿Necesitas cambiarlo? Escribe a info@valleytainment.com.'
+      }
+    }
+  }
+};
+
+/**
+ * ValleyBooking Class
+ * Open times, booking requests and calendar invites for ValleyBot
+ *
+ * Options for the lead capture flow are `{ label, value }`: service ids, studio dates ("2026-11-03")
+ * and start times (ISO timestamps). Dates and times are shown in the studio's time zone.
+ */
+class ValleyBooking {
+  /**
+   * @param {Object} config - Overrides for CHATBOT_BOOKING_CONFIG
+   */
+  constructor(config = {}) {
+    // Configuration
+    this.config = {
+      ...CHATBOT_BOOKING_CONFIG,
+      ...config
+    };
+
+    // State
+    this.availability = null; // { timezone, services, slots } from the endpoint
+  }
+
+  /**
+   * Load the services and open times
+   * @returns {Promise<number>} - Number of services with an open time
+   */
+  async load() {
+    const response = await fetch(this.config.endpoint, { cache: 'no-store' });
+
+    if (!response.ok) {
+      throw new Error(`Availability error: ${response.status}`);
+    }
+
+    this.availability = await response.json();
+    return this.getServiceChoices().length - 1;
+  }
+
+  /**
+   * Whether the open times have been loaded
+   * @returns {boolean}
+   */
+  isLoaded() {
+    return this.availability !== null;
+  }
+
+  /**
+   * Get a label in a language
+   * @param {string} key - Key in `labels`
+   * @param {string} language - Language code
+   * @param {Object} vars - Values for {placeholders}
+   * @returns {string} - Label
+   */
+  getLabel(key, language = 'en', vars = {}) {
+    const translation = this.config.translations[language] || {};
+    const labels = { ...this.config.labels, ...translation.labels };
+
+    return labels[key].replace(/\{(\w+)\}/g, (match, name) => (name in vars ? vars[name] : match));
+  }
+
+  /**
+   * Get the options for a lead capture question
+   * @param {string} slot - 'service', 'date' or 'time'
+   * @param {Object} values - Options chosen so far
+   * @param {string} language - Language code
+   * @returns {Array<Object>} - { label, value } options
+   */
+  getChoices(slot, values, language = 'en') {
+    if (!this.isLoaded()) return [];
+
+    switch (slot) {
+      case 'service': return this.getServiceChoices(language);
+      case 'date': return this.getDayChoices(values.service, language);
+      case 'time': return this.getTimeChoices(values.service, values.date, language);
+      default: return [];
+    }
+  }
+
+  /**
+   * Get the services with an open time, then "Something else"
+   * @param {string} language - Language code
+   * @returns {Array<Object>} - { label, value } options
+   */
+  getServiceChoices(language = 'en') {
+    if (!this.isLoaded()) return [];
+
+    return this.availability.services
+      .filter(service => (this.availability.slots[service.id] || []).length)
+      .map(service => ({ label: this.getServiceName(service.id, language), value: service.id }))
+      .concat({ label: this.getLabel('other', language), value: ValleyBooking.OTHER });
+  }
+
+  /**
+   * Get the next days with an open time for a service
+   * @param {string} serviceId - Service id
+   * @param {string} language - Language code
+   * @returns {Array<Object>} - { label, value } options, at most maxDays
+   */
+  getDayChoices(serviceId, language = 'en') {
+    const dates = [...new Set(this.getSlots(serviceId).map(slot => this.getStudioDate(slot.start)))];
+
+    return dates.slice(0, this.config.maxDays).map(date => ({ label: this.formatDay(date, language), value: date }));
+  }
+
+  /**
+   * Get the open times on a day
+   * @param {string} serviceId - Service id
+   * @param {string} date - Studio date ("2026-11-03")
+   * @param {string} language - Language code
+   * @returns {Array<Object>} - { label, value } options
+   */
+  getTimeChoices(serviceId, date, language = 'en') {
+    return this.getSlots(serviceId)
+      .filter(slot => this.getStudioDate(slot.start) === date)
+      .map(slot => ({ label: this.formatTime(slot.start, language), value: slot.start }));
+  }
+
+  /**
+   * Get the open times for a service
+   * @param {string} serviceId - Service id
+   * @returns {Array<Object>} - { start, end }, soonest first
+   */
+  getSlots(serviceId) {
+    return (this.isLoaded() && this.availability.slots[serviceId]) || [];
+  }
+
+  /**
+   * Get a service's name
+   * @param {string} serviceId - Service id
+   * @param {string} language - Language code
+   * @returns {string} - Name in the language, or the id for unknown services
+   */
+  getServiceName(serviceId, language = 'en') {
+    const service = this.isLoaded() && this.availability.services.find(entry => entry.id === serviceId);
+    if (!service) return serviceId;
+
+    const translation = (service.translations && service.translations[language]) || {};
+    return translation.name || service.name;
+  }
+
+  /**
+   * Get the studio's date at an instant
+   * @param {string} timestamp - ISO timestamp
+   * @returns {string} - "YYYY-MM-DD"
+   */
+  getStudioDate(timestamp) {
+    // The en-CA locale writes dates as YYYY-MM-DD
+    return new Date(timestamp).toLocaleDateString('en-CA', { timeZone: this.availability.timezone });
+  }
+
+  /**
+   * Format a studio date
+   * @param {string} date - "YYYY-MM-DD"
+   * @param {string} language - Language code
+   * @returns {string} - "Tue, Nov 3"
+   */
+  formatDay(date, language = 'en') {
+    return new Date(`${date}T12:00:00Z`).toLocaleDateString(language, { timeZone: 'UTC', weekday: 'short', month: 'short', day: 'numeric' });
+  }
+
+  /**
+   * Format a start time in studio time
+   * @param {string} timestamp - ISO timestamp
+   * @param {string} language - Language code
+   * @returns {string} - "2:00 PM EST"
+   */
+  formatTime(timestamp, language = 'en') {
+    return new Date(timestamp).toLocaleTimeString(language, {
+      timeZone: this.availability.timezone,
+      hour: 'numeric',
+      minute: '2-digit',
+      timeZoneName: 'short'
+    });
+  }
+
+  /**
+   * Book a time
+   * @param {Object} request - { service, start, name, email, phone, notes, language }
+   * @returns {Promise<Object>} - { booking }, or { conflict: true } when the time was taken meanwhile
+   */
+  async submit(request) {
+    const response = await fetch(this.config.endpoint, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(request)
+    });
+
+    if (response.status === 409) {
+      return { conflict: true };
+    }
+
+    if (!response.ok) {
+      throw new Error(`Booking error: ${response.status}`);
+    }
+
+    return response.json();
+  }
+
+  /**
+   * Build a calendar invite
+   * Times are written in UTC, so every calendar app shows them in its own time zone
+   * @param {Object} booking - { id, service, start, end } from submit()
+   * @param {string} language - Language code
+   * @returns {string} - iCalendar (.ics) text
+   */
+  createCalendar(booking, language = 'en') {
+    const { organizer } = this.config;
+    const domain = organizer.email.split('@')[1];
+    const summary = this.getLabel('invite', language, { service: this.getServiceName(booking.service, language) });
+
+    const lines = [
+      'BEGIN:VCALENDAR',
+      'VERSION:2.0',
+      'PRODID:-//Valleytainment Productions//ValleyBot//EN',
+      'CALSCALE:GREGORIAN',
+      'METHOD:PUBLISH',
+      'BEGIN:VEVENT',
+      `UID:${booking.id}@${domain}`,
+      `DTSTAMP:${ValleyBooking.formatCalendarTime(new Date().toISOString())}`,
+      `DTSTART:${ValleyBooking.formatCalendarTime(booking.start)}`,
+      `DTEND:${ValleyBooking.formatCalendarTime(booking.end)}`,
+      `SUMMARY:${ValleyBooking.escapeCalendarText(summary)}`,
+      `DESCRIPTION:${ValleyBooking.escapeCalendarText(this.getLabel('description', language))}`,
+      `LOCATION:${ValleyBooking.escapeCalendarText(this.config.location)}`,
+      `ORGANIZER;CN=${ValleyBooking.escapeCalendarText(organizer.name)}:mailto:${organizer.email}`,
+      'STATUS:CONFIRMED',
+      'END:VEVENT',
+      'END:VCALENDAR'
+    ];
+
+    return `${lines.map(ValleyBooking.foldCalendarLine).join('\r\n')}\r\n`;
+  }
+
+  /**
+   * Build a download link for the calendar invite
+   * A data: URL keeps working from the saved chat after the page reloads
+   * @param {Object} booking - { id, service, start, end } from submit()
+   * @param {string} language - Language code
+   * @returns {string} - data:text/calendar URL
+   */
+  createCalendarUrl(booking, language = 'en') {
+    return `data:text/calendar;charset=utf-8,${encodeURIComponent(this.createCalendar(booking, language))}`;
+  }
+
+  /**
+   * Format a timestamp for iCalendar
+   * @param {string} timestamp - ISO timestamp
+   * @returns {string} - "20261103T190000Z"
+   */
+  static formatCalendarTime(timestamp) {
+    return new Date(timestamp).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+  }
+
+  /**
+   * Escape iCalendar text
+   * @param {string} text - Text
+   * @returns {string} - Text with backslashes, semicolons, commas and newlines escaped
+   */
+  static escapeCalendarText(text) {
+    return String(text)
+      .replace(/\\/g, '\\\\')
+      .replace(/;/g, '\\;')
+      .replace(/,/g, '\\,')
+      .replace(/\r?\n/g, '\\n');
+  }
+
+  /**
+   * Fold a long iCalendar line
+   * Lines may be at most 75 characters; continuations start with a space
+   * @param {string} line - Content line
+   * @returns {string} - Folded line
+   */
+  static foldCalendarLine(line) {
+    const parts = [];
+
+    for (let index = 0; index < line.length; index += parts.length ? 74 : 75) {
+      parts.push(line.slice(index, index + (parts.length ? 74 : 75)));
+    }
+
+    return parts.join('\r\n ');
+  }
+}
+
+// Option value of "Something else": events, shoots and projects go through a booking request instead
+ValleyBooking.OTHER = 'other';
+
+// Export ValleyBooking class for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ValleyBooking;
+}
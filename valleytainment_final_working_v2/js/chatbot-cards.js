@@ -0,0 +1,503 @@
+/**
+ * =====================================================================
+ * | VALLEYTAINMENT PRODUCTIONS - CHATBOT CARDS                        |
+ * | Version: 1.0.0                                                    |
+ * | Last Updated: October 19, 2026                                    |
+ * =====================================================================
+ * | This file turns structured ValleyBot replies into event, artist,  |
+ * | merch and booking cards and quick-reply buttons. Artists and      |
+ * | merch come from the cards already on index.html; events come from |
+ * | content/events.json. Every field is escaped before rendering.     |
+ * =====================================================================
+ */
+
+// Card settings - Edit these values to change where card data comes from
+const CHATBOT_CARDS_CONFIG = {
+  eventsUrl: 'content/events.json',
+  maxCards: 10, // cards per message
+  maxQuickReplies: 6,
+
+  // Page elements read for the artist and merch collections
+  selectors: {
+    artists: '#recording-artists .artist-card',
+    valleyStore: '#valley-store-modal .valley-store-card',
+    thriftShop: '#thrift-shop-modal .thrift-card'
+  },
+
+  // Link and image targets allowed in cards; anything else is dropped
+  allowedLinks: /^(https?:|mailto:|tel:|\/(?!\/)|#)/i,
+  allowedImages: /^(https?:\/\/|\/(?!\/)|(?![a-z][\w+.-]*:)[\w./-]+$)/i,
+  // Booking cards may also link to a calendar invite (js/chatbot-booking.js)
+  allowedCalendars: /^data:text\/calendar[;,]/i,
+  calendarFile: 'valleytainment-booking.ics',
+
+  // Button labels; ValleyBot passes translated ones
+  labels: {
+    tickets: 'Get tickets',
+    shop: 'Shop now',
+    calendar: 'Add to calendar'
+  }
+};
+
+/**
+ * ValleyCards Class
+ * Card collections, structured reply parsing and card rendering for ValleyBot
+ *
+ * A structured reply is a JSON object:
+ * `{ text, show: 'events' | 'artists' | 'merch', cards: [...], quickReplies: [...] }`.
+ * `text` is Markdown; `show` fills `cards` from a collection; quick replies are
+ * strings or `{ label, message }` objects.
+ */
+class ValleyCards {
+  /**
+   * @param {Object} config - Overrides for CHATBOT_CARDS_CONFIG
+   */
+  constructor(config = {}) {
+    // Configuration
+    this.config = {
+      ...CHATBOT_CARDS_CONFIG,
+      ...config,
+      labels: { ...CHATBOT_CARDS_CONFIG.labels, ...config.labels }
+    };
+
+    // Collections
+    this.collections = {
+      events: [],
+      artists: [],
+      merch: []
+    };
+  }
+
+  /**
+   * Load upcoming events
+   * @returns {Promise<number>} - Number of upcoming events
+   */
+  async loadEvents() {
+    const response = await fetch(new URL(this.config.eventsUrl, document.baseURI));
+
+    if (!response.ok) {
+      throw new Error(`Events error: ${response.status}`);
+    }
+
+    const data = await response.json();
+    this.setEvents(data.events || []);
+
+    return this.collections.events.length;
+  }
+
+  /**
+   * Set the events collection
+   * Past events are dropped and the rest sorted soonest first
+   * @param {Array<Object>} events - Events from content/events.json
+   * @param {Date} now - Current time
+   */
+  setEvents(events, now = new Date()) {
+    this.collections.events = events
+      .map(event => this.normalizeCard({ ...event, type: 'event' }))
+      .filter(event => event && (!event.date || new Date(event.date) >= now))
+      .sort((a, b) => new Date(a.date || 0) - new Date(b.date || 0));
+  }
+
+  /**
+   * Read the artist and merch collections from the page
+   * @param {Document|HTMLElement} root - Where to look
+   */
+  loadFromPage(root = document) {
+    const { selectors } = this.config;
+
+    this.collections.artists = [...root.querySelectorAll(selectors.artists)].map(card => {
+      const image = card.querySelector('img');
+      const name = card.querySelector('.artist-name');
+      const genre = card.querySelector('.artist-genre');
+
+      return this.normalizeCard({
+        type: 'artist',
+        name: name ? name.textContent.trim() : '',
+        genre: genre ? genre.textContent.trim() : '',
+        image: image ? image.getAttribute('src') : '',
+        links: [...card.querySelectorAll('.artist-social a')].map(link => {
+          const icon = link.querySelector('i');
+          return {
+            label: link.getAttribute('aria-label') || link.textContent.trim(),
+            url: link.getAttribute('href'),
+            icon: icon ? icon.className : ''
+          };
+        })
+      });
+    }).filter(Boolean);
+
+    this.collections.merch = [
+      ...this.readMerchCards(root, selectors.valleyStore, 'Valley Store'),
+      ...this.readMerchCards(root, selectors.thriftShop, 'Thrift Shop')
+    ];
+  }
+
+  /**
+   * Read merch cards from a store modal
+   * @param {Document|HTMLElement} root - Where to look
+   * @param {string} selector - Card selector
+   * @param {string} store - Store name shown on the card
+   * @returns {Array<Object>} - Merch cards
+   */
+  readMerchCards(root, selector, store) {
+    return [...root.querySelectorAll(selector)].map(card => {
+      const image = card.querySelector('img');
+      const title = card.querySelector('span');
+
+      return this.normalizeCard({
+        type: 'merch',
+        title: title ? title.textContent.trim() : '',
+        subtitle: store,
+        image: image ? image.getAttribute('src') : '',
+        url: card.getAttribute('href') || ''
+      });
+    }).filter(Boolean);
+  }
+
+  /**
+   * Get a collection
+   * @param {string} name - 'events', 'artists' or 'merch'
+   * @returns {Array<Object>} - Cards
+   */
+  getCollection(name) {
+    return (this.collections[name] || []).slice(0, this.config.maxCards);
+  }
+
+  /**
+   * Parse a structured reply
+   * Accepts a bare JSON object or one inside a ```json fence
+   * @param {string} text - Reply text
+   * @returns {Object|null} - Normalized message, or null when the reply is plain text
+   */
+  parseMessage(text) {
+    const source = String(text || '').trim().replace(/^```(?:json)?\s*\n([\s\S]*?)\n?```$/, '$1').trim();
+    if (!source.startsWith('{') || !source.endsWith('}')) return null;
+
+    try {
+      return this.normalizeMessage(JSON.parse(source));
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Normalize a structured reply
+   * Unknown fields are dropped and every card is checked
+   * @param {Object} data - Parsed reply
+   * @returns {Object|null} - { text, cards, quickReplies }, or null if there's nothing to show
+   */
+  normalizeMessage(data) {
+    if (!data || typeof data !== 'object' || Array.isArray(data)) return null;
+
+    const text = typeof data.text === 'string' ? data.text.trim() : '';
+    const cards = (Array.isArray(data.cards) ? data.cards.map(card => this.normalizeCard(card)).filter(Boolean) : [])
+      .concat(typeof data.show === 'string' ? this.getCollection(data.show) : [])
+      .slice(0, this.config.maxCards);
+    const quickReplies = this.normalizeQuickReplies(data.quickReplies);
+
+    if (!text && !cards.length) return null;
+
+    return { text, cards, quickReplies };
+  }
+
+  /**
+   * Normalize a card
+   * @param {Object} card - Card data
+   * @returns {Object|null} - Card with only known, checked fields, or null if invalid
+   */
+  normalizeCard(card) {
+    if (!card || typeof card !== 'object') return null;
+
+    const text = value => (typeof value === 'string' ? value.trim().slice(0, 200) : '');
+    const link = value => (typeof value === 'string' && this.config.allowedLinks.test(value.trim()) ? value.trim() : '');
+    const image = value => (typeof value === 'string' && this.config.allowedImages.test(value.trim()) ? value.trim() : '');
+
+    switch (card.type) {
+      case 'event':
+        return text(card.title) ? {
+          type: 'event',
+          title: text(card.title),
+          date: text(card.date),
+          venue: text(card.venue),
+          image: image(card.image),
+          url: link(card.ticketUrl || card.url)
+        } : null;
+
+      case 'artist':
+        return text(card.name) ? {
+          type: 'artist',
+          name: text(card.name),
+          genre: text(card.genre),
+          image: image(card.image),
+          links: (Array.isArray(card.links) ? card.links : [])
+            .map(entry => entry && {
+              label: text(entry.label),
+              url: link(entry.url),
+              icon: /^[\w -]+$/.test(entry.icon || '') ? entry.icon : ''
+            })
+            .filter(entry => entry && entry.label && entry.url)
+        } : null;
+
+      case 'merch':
+        return text(card.title) ? {
+          type: 'merch',
+          title: text(card.title),
+          subtitle: text(card.subtitle),
+          image: image(card.image),
+          url: link(card.url)
+        } : null;
+
+      case 'booking':
+        return text(card.title) ? {
+          type: 'booking',
+          title: text(card.title),
+          date: text(card.date),
+          venue: text(card.venue),
+          calendar: typeof card.calendar === 'string' && this.config.allowedCalendars.test(card.calendar) && card.calendar.length <= 5000
+            ? card.calendar
+            : ''
+        } : null;
+
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Normalize quick replies
+   * @param {Array<string|Object>} replies - Strings or { label, message } objects
+   * @returns {Array<Object>} - { label, message } objects
+   */
+  normalizeQuickReplies(replies) {
+    if (!Array.isArray(replies)) return [];
+
+    return replies
+      .map(reply => {
+        if (typeof reply === 'string') return { label: reply, message: reply };
+        if (reply && typeof reply.label === 'string') return { label: reply.label, message: typeof reply.message === 'string' ? reply.message : reply.label };
+        return null;
+      })
+      .filter(reply => reply && reply.label.trim() && reply.message.trim())
+      .map(reply => ({ label: reply.label.trim().slice(0, 80), message: reply.message.trim().slice(0, 500) }))
+      .slice(0, this.config.maxQuickReplies);
+  }
+
+  /**
+   * Render cards as a carousel
+   * @param {Array<Object>} cards - Normalized cards
+   * @param {Object} options - locale for dates and labels for buttons
+   * @returns {string} - HTML, or an empty string with no cards
+   */
+  renderCards(cards, options = {}) {
+    if (!cards || !cards.length) return '';
+
+    const labels = { ...this.config.labels, ...options.labels };
+    const html = cards.map(card => {
+      switch (card.type) {
+        case 'event': return this.renderEventCard(card, labels, options.locale);
+        case 'artist': return this.renderArtistCard(card);
+        case 'merch': return this.renderMerchCard(card, labels);
+        case 'booking': return this.renderBookingCard(card, labels);
+        default: return '';
+      }
+    }).join('');
+
+    return `<div class="chat-cards" role="list">${html}</div>`;
+  }
+
+  /**
+   * Render an event card
+   * @param {Object} card - Event card
+   * @param {Object} labels - Button labels
+   * @param {string} locale - Locale for the date
+   * @returns {string} - HTML
+   */
+  renderEventCard(card, labels, locale) {
+    const escape = ValleyCards.escapeHtml;
+    const date = ValleyCards.formatDate(card.date, locale);
+
+    return `
+      <div class="chat-card chat-card-event" role="listitem">
+        ${this.renderImage(card.image, card.title)}
+        <div class="chat-card-body">
+          <h4 class="chat-card-title">${escape(card.title)}</h4>
+          ${date ? `<p class="chat-card-meta"><i class="fas fa-calendar-alt" aria-hidden="true"></i> ${escape(date)}</p>` : ''}
+          ${card.venue ? `<p class="chat-card-meta"><i class="fas fa-map-marker-alt" aria-hidden="true"></i> ${escape(card.venue)}</p>` : ''}
+          ${card.url ? this.renderButton(card.url, labels.tickets) : ''}
+        </div>
+      </div>
+    `;
+  }
+
+  /**
+   * Render an artist card
+   * @param {Object} card - Artist card
+   * @returns {string} - HTML
+   */
+  renderArtistCard(card) {
+    const escape = ValleyCards.escapeHtml;
+    const links = card.links.map(link => {
+      const content = link.icon ? `<i class="${escape(link.icon)}" aria-hidden="true"></i>` : escape(link.label);
+      return `<a href="${escape(link.url)}"${ValleyCards.linkTarget(link.url)} aria-label="${escape(link.label)}">${content}</a>`;
+    }).join('');
+
+    return `
+      <div class="chat-card chat-card-artist" role="listitem">
+        ${this.renderImage(card.image, card.name)}
+        <div class="chat-card-body">
+          <h4 class="chat-card-title">${escape(card.name)}</h4>
+          ${card.genre ? `<p class="chat-card-meta">${escape(card.genre)}</p>` : ''}
+          ${links ? `<div class="chat-card-links">${links}</div>` : ''}
+        </div>
+      </div>
+    `;
+  }
+
+  /**
+   * Render a merch card
+   * @param {Object} card - Merch card
+   * @param {Object} labels - Button labels
+   * @returns {string} - HTML
+   */
+  renderMerchCard(card, labels) {
+    const escape = ValleyCards.escapeHtml;
+
+    return `
+      <div class="chat-card chat-card-merch" role="listitem">
+        ${this.renderImage(card.image, card.title)}
+        <div class="chat-card-body">
+          <h4 class="chat-card-title">${escape(card.title)}</h4>
+          ${card.subtitle ? `<p class="chat-card-meta">${escape(card.subtitle)}</p>` : ''}
+          ${card.url ? this.renderButton(card.url, labels.shop) : ''}
+        </div>
+      </div>
+    `;
+  }
+
+  /**
+   * Render a booking card
+   * The date is already formatted in the studio's time zone
+   * @param {Object} card - Booking card
+   * @param {Object} labels - Button labels
+   * @returns {string} - HTML
+   */
+  renderBookingCard(card, labels) {
+    const escape = ValleyCards.escapeHtml;
+
+    return `
+      <div class="chat-card chat-card-booking" role="listitem">
+        <div class="chat-card-body">
+          <h4 class="chat-card-title">${escape(card.title)}</h4>
+          ${card.date ? `<p class="chat-card-meta"><i class="fas fa-calendar-check" aria-hidden="true"></i> ${escape(card.date)}</p>` : ''}
+          ${card.venue ? `<p class="chat-card-meta"><i class="fas fa-map-marker-alt" aria-hidden="true"></i> ${escape(card.venue)}</p>` : ''}
+          ${card.calendar ? `<a class="btn btn-small chat-card-button" href="${escape(card.calendar)}" download="${escape(this.config.calendarFile)}">${escape(labels.calendar)}</a>` : ''}
+        </div>
+      </div>
+    `;
+  }
+
+  /**
+   * Render a card image
+   * @param {string} src - Image URL
+   * @param {string} alt - Alternative text
+   * @returns {string} - HTML, or an empty string without an image
+   */
+  renderImage(src, alt) {
+    if (!src) return '';
+    return `<img class="chat-card-image" src="${ValleyCards.escapeHtml(src)}" alt="${ValleyCards.escapeHtml(alt)}" loading="lazy">`;
+  }
+
+  /**
+   * Render a card button
+   * @param {string} url - Link target
+   * @param {string} label - Button text
+   * @returns {string} - HTML
+   */
+  renderButton(url, label) {
+    return `<a class="btn btn-small chat-card-button" href="${ValleyCards.escapeHtml(url)}"${ValleyCards.linkTarget(url)}>${ValleyCards.escapeHtml(label)}</a>`;
+  }
+
+  /**
+   * Render quick-reply buttons
+   * @param {Array<Object>} replies - Normalized quick replies
+   * @returns {string} - HTML, or an empty string with no replies
+   */
+  renderQuickReplies(replies) {
+    if (!replies || !replies.length) return '';
+
+    const buttons = replies.map(reply => {
+      return `<button type="button" class="quick-reply" data-message="${ValleyCards.escapeHtml(reply.message)}">${ValleyCards.escapeHtml(reply.label)}</button>`;
+    }).join('');
+
+    return `<div class="message-quick-replies">${buttons}</div>`;
+  }
+
+  /**
+   * Summarize a structured reply as text
+   * Used for chat history, so AI providers know which cards the visitor saw
+   * @param {Object} message - Normalized message
+   * @returns {string} - Text with one line per card
+   */
+  static toText(message) {
+    const lines = message.cards.map(card => {
+      switch (card.type) {
+        case 'event':
+        case 'booking': return `- ${[card.title, card.date, card.venue].filter(Boolean).join(', ')}`;
+        case 'artist': return `- ${[card.name, card.genre].filter(Boolean).join(', ')}`;
+        default: return `- ${[card.title, card.subtitle].filter(Boolean).join(', ')}`;
+      }
+    });
+
+    return [message.text, lines.join('\n')].filter(Boolean).join('\n\n');
+  }
+
+  /**
+   * Format an event date
+   * Dates without a time ("2026-11-14") are shown without one
+   * @param {string} value - ISO date
+   * @param {string} locale - Locale
+   * @returns {string} - Readable date, or the value as given if it can't be parsed
+   */
+  static formatDate(value, locale) {
+    if (!value) return '';
+
+    const date = new Date(/^\d{4}-\d{2}-\d{2}$/.test(value) ? `${value}T00:00` : value);
+    if (Number.isNaN(date.getTime())) return value;
+
+    const options = { weekday: 'short', month: 'short', day: 'numeric' };
+    if (value.includes('T')) {
+      options.hour = 'numeric';
+      options.minute = '2-digit';
+    }
+
+    return date.toLocaleString(locale, options);
+  }
+
+  /**
+   * Get the target attributes for a link
+   * @param {string} url - Link target
+   * @returns {string} - Attributes that open web links in a new tab
+   */
+  static linkTarget(url) {
+    return /^https?:/i.test(url) ? ' target="_blank" rel="noopener noreferrer"' : '';
+  }
+
+  /**
+   * Escape text for HTML
+   * @param {string} text - Text
+   * @returns {string} - Escaped text, safe in element content and quoted attributes
+   */
+  static escapeHtml(text) {
+    return String(text)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;');
+  }
+}
+
+// Export ValleyCards class for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ValleyCards;
+}
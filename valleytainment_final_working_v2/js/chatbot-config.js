@@ -0,0 +1,258 @@
+/**
+ * =====================================================================
+ * | VALLEYTAINMENT PRODUCTIONS - CHATBOT CONFIG FILE                  |
+ * | Version: 1.0.0                                                    |
+ * | Last Updated: October 19, 2026                                    |
+ * =====================================================================
+ * | This file checks content/chatbot-config.json, the settings staff  |
+ * | edit on staff/config.html: ValleyBot's personality, suggestion    |
+ * | chips and welcome messages. <valley-bot> loads the file and lays  |
+ * | it over CHATBOT_CONFIG; a file with mistakes is ignored whole.    |
+ * | It has no DOM dependencies and can be required from Node.         |
+ * =====================================================================
+ */
+
+// Schema - Edit this to make more settings editable; every key is also a key in CHATBOT_CONFIG.
+// `min`/`max` bound a string's length, an array's entries or a number's value. `properties` lists
+// the keys an object may have; `keys` and `values` describe objects with free keys instead.
+// `placeholders` are the only {names} a text may use.
+const CHATBOT_CONFIG_SCHEMA = {
+  type: 'object',
+  properties: {
+    personality: {
+      type: 'object',
+      properties: {
+        name: { type: 'string', min: 1, max: 40 },
+        tone: { type: 'string', min: 1, max: 100 },
+        style: { type: 'string', min: 1, max: 100 },
+        emoji: { type: 'boolean' },
+        creativity: { type: 'number', min: 0, max: 1 }
+      }
+    },
+    ui: {
+      type: 'object',
+      properties: {
+        suggestionChips: { type: 'array', min: 1, max: 8, items: { type: 'string', min: 1, max: 60 } }
+      }
+    },
+    welcome: {
+      type: 'object',
+      keys: { pattern: /^[a-z]{2}$/, description: 'a two-letter language code' },
+      values: {
+        type: 'object',
+        properties: {
+          morning: { type: 'string', min: 1, max: 40 },
+          afternoon: { type: 'string', min: 1, max: 40 },
+          evening: { type: 'string', min: 1, max: 40 },
+          message: { type: 'string', min: 1, max: 500, placeholders: ['greeting', 'name'] }
+        }
+      }
+    }
+  }
+};
+
+/**
+ * ValleyConfig Class
+ * Validates content/chatbot-config.json and merges it into CHATBOT_CONFIG
+ *
+ * Errors are `{ path, message }`, where path names the setting ("personality.creativity",
+ * "ui.suggestionChips[2]") and message says what's wrong with it.
+ */
+class ValleyConfig {
+  /**
+   * @param {Object} schema - Schema to check against (CHATBOT_CONFIG_SCHEMA)
+   */
+  constructor(schema = CHATBOT_CONFIG_SCHEMA) {
+    this.schema = schema;
+  }
+
+  /**
+   * Load and check a config file
+   * @param {string} url - File URL
+   * @returns {Promise<Object>} - Settings from the file
+   * @throws {Error} - When the file is missing, isn't JSON or breaks the schema
+   */
+  async load(url) {
+    const response = await fetch(url, { cache: 'no-cache' });
+
+    if (!response.ok) {
+      throw new Error(`Config file error: ${response.status}`);
+    }
+
+    const data = ValleyConfig.parse(await response.text());
+    const errors = this.validate(data);
+
+    if (errors.length) {
+      throw new Error(errors.map(ValleyConfig.formatError).join('; '));
+    }
+
+    return data;
+  }
+
+  /**
+   * Check settings against the schema
+   * @param {*} data - Parsed config file
+   * @returns {Array<Object>} - { path, message } for each mistake; empty when the settings are valid
+   */
+  validate(data) {
+    const errors = [];
+    this.checkValue(data, this.schema, '', errors);
+    return errors;
+  }
+
+  /**
+   * Check one value against its rule
+   * @param {*} value - Value
+   * @param {Object} rule - Schema rule
+   * @param {string} path - Where the value is, for errors
+   * @param {Array<Object>} errors - Errors found so far
+   */
+  checkValue(value, rule, path, errors) {
+    const fail = message => errors.push({ path, message });
+
+    switch (rule.type) {
+      case 'string': {
+        if (typeof value !== 'string') return fail('Must be text');
+
+        const length = value.trim().length;
+        if (length < rule.min) return fail(rule.min === 1 ? 'Can\'t be empty' : `Must be at least ${rule.min} characters`);
+        if (length > rule.max) return fail(`Must be at most ${rule.max} characters (it's ${length})`);
+
+        const unknown = (value.match(/\{\w+\}/g) || []).filter(name => rule.placeholders && !rule.placeholders.includes(name.slice(1, -1)));
+        if (rule.placeholders && unknown.length) {
+          fail(`Uses ${unknown.join(', ')}; only ${rule.placeholders.map(name => `{${name}}`).join(' and ')} are filled in`);
+        }
+        return;
+      }
+
+      case 'number':
+        if (typeof value !== 'number' || !Number.isFinite(value)) return fail('Must be a number');
+        if (value < rule.min || value > rule.max) fail(`Must be from ${rule.min} to ${rule.max}`);
+        return;
+
+      case 'boolean':
+        if (typeof value !== 'boolean') fail('Must be true or false');
+        return;
+
+      case 'array':
+        if (!Array.isArray(value)) return fail('Must be a list');
+        if (value.length < rule.min || value.length > rule.max) {
+          fail(`Must have ${rule.min} to ${rule.max} entries (it has ${value.length})`);
+        }
+        value.forEach((item, index) => this.checkValue(item, rule.items, `${path}[${index}]`, errors));
+        return;
+
+      default:
+        if (!ValleyConfig.isObject(value)) return fail('Must be an object');
+        this.checkObject(value, rule, path, errors);
+    }
+  }
+
+  /**
+   * Check an object's keys and values
+   * @param {Object} value - Object
+   * @param {Object} rule - Schema rule with `properties`, or `keys` and `values`
+   * @param {string} path - Where the object is, for errors
+   * @param {Array<Object>} errors - Errors found so far
+   */
+  checkObject(value, rule, path, errors) {
+    Object.entries(value).forEach(([key, entry]) => {
+      const entryPath = path ? `${path}.${key}` : key;
+
+      if (rule.properties) {
+        if (key in rule.properties) {
+          this.checkValue(entry, rule.properties[key], entryPath, errors);
+        } else {
+          errors.push({ path: entryPath, message: `Isn't a setting here; use ${Object.keys(rule.properties).join(', ')}` });
+        }
+      } else if (rule.keys.pattern.test(key)) {
+        this.checkValue(entry, rule.values, entryPath, errors);
+      } else {
+        errors.push({ path: entryPath, message: `Must be ${rule.keys.description}` });
+      }
+    });
+  }
+
+  /**
+   * Lay settings over a configuration
+   * Objects are merged key by key; lists and values are replaced
+   * @param {Object} config - Configuration (CHATBOT_CONFIG), left as it is
+   * @param {Object} data - Valid settings
+   * @returns {Object} - New configuration
+   */
+  apply(config, data) {
+    const merged = { ...config };
+
+    Object.entries(data).forEach(([key, value]) => {
+      merged[key] = ValleyConfig.isObject(value) && ValleyConfig.isObject(config[key])
+        ? this.apply(config[key], value)
+        : value;
+    });
+
+    return merged;
+  }
+
+  /**
+   * Get the editable settings from a configuration
+   * @param {Object} config - Configuration (CHATBOT_CONFIG)
+   * @param {Object} rule - Schema rule for config
+   * @returns {Object} - Settings in the shape of the config file
+   */
+  pick(config, rule = this.schema) {
+    const settings = {};
+    const keys = rule.properties ? Object.keys(rule.properties) : Object.keys(config);
+
+    keys.filter(key => config[key] !== undefined).forEach(key => {
+      const entryRule = rule.properties ? rule.properties[key] : rule.values;
+      settings[key] = entryRule.type === 'object' ? this.pick(config[key], entryRule) : config[key];
+    });
+
+    return settings;
+  }
+
+  /**
+   * Parse a config file
+   * @param {string} text - File contents
+   * @returns {*} - Parsed JSON
+   * @throws {Error} - With the parser's message when the file isn't JSON
+   */
+  static parse(text) {
+    try {
+      return JSON.parse(text);
+    } catch (error) {
+      throw new Error(`Not valid JSON: ${error.message}`);
+    }
+  }
+
+  /**
+   * Write settings as a config file
+   * @param {Object} data - Valid settings
+   * @returns {string} - JSON, indented like the other files in content/
+   */
+  static stringify(data) {
+    return `${JSON.stringify(data, null, 2)}\n`;
+  }
+
+  /**
+   * Describe an error in one line
+   * @param {Object} error - { path, message }
+   * @returns {string} - "personality.creativity: Must be from 0 to 1"
+   */
+  static formatError(error) {
+    return error.path ? `${error.path}: ${error.message}` : error.message;
+  }
+
+  /**
+   * Whether a value is a plain object
+   * @param {*} value - Value
+   * @returns {boolean}
+   */
+  static isObject(value) {
+    return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+  }
+}
+
+// Export ValleyConfig class for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ValleyConfig;
+}
@@ -0,0 +1,283 @@
+/**
+ * =====================================================================
+ * | VALLEYTAINMENT PRODUCTIONS - CHATBOT LANGUAGES                    |
+ * | Version: 1.0.0                                                    |
+ * | Last Updated: October 19, 2026                                    |
+ * =====================================================================
+ * | This file detects which language a visitor writes in and holds    |
+ * | ValleyBot's translated messages. English text lives next to the   |
+ * | code that uses it; the catalogs here only hold other languages.   |
+ * | It has no DOM dependencies and can be required from Node.         |
+ * =====================================================================
+ */
+
+// Language settings - Edit these values to add a language or change a translation.
+// `words` are common words used to recognize the language (accents are ignored).
+// `messages` are keyed by the ids ValleyBot passes to t(); missing ids fall back to English.
+const CHATBOT_LANGUAGES = {
+  defaultLanguage: 'en',
+  storageKey: 'valleybot_language',
+
+  languages: {
+    en: {
+      name: 'English',
+      locale: 'en-US',
+      words: [
+        'the', 'is', 'are', 'what', 'whats', 'how', 'do', 'does', 'you', 'your', 'i', 'im', 'hi', 'hello', 'hey',
+        'thanks', 'thank', 'where', 'when', 'who', 'can', 'have', 'has', 'want', 'need', 'please', 'price',
+        'prices', 'much', 'cost', 'book', 'tell', 'about', 'with', 'and', 'of', 'to', 'for', 'my', 'it', 'this',
+        'that', 'there', 'work', 'like', 'would', 'could', 'any', 'upcoming', 'talk', 'human', 'buy', 'open'
+      ],
+      messages: {}
+    },
+    es: {
+      name: 'Español',
+      locale: 'es-US',
+      words: [
+        'hola', 'buenas', 'buenos', 'dias', 'tardes', 'noches', 'gracias', 'que', 'como', 'cuanto', 'cuanta',
+        'cuantos', 'cuesta', 'cuestan', 'precio', 'precios', 'donde', 'cuando', 'quien', 'quienes', 'cual',
+        'el', 'la', 'los', 'las', 'de', 'del', 'y', 'en', 'un', 'una', 'por', 'para', 'con', 'es', 'estan',
+        'esta', 'hay', 'tienen', 'tiene', 'quiero', 'necesito', 'puedo', 'puede', 'ustedes', 'usted', 'mi',
+        'sus', 'servicios', 'eventos', 'ayuda', 'informacion', 'hacer', 'trabajar', 'musica', 'reservar',
+        'contacto', 'horario', 'adios', 'pero', 'mas', 'muy', 'sobre', 'hablar', 'persona', 'humano', 'tienda',
+        'ropa', 'cita', 'abren', 'ubicados', 'estudio', 'artistas', 'equipo', 'colaborar'
+      ],
+      messages: {
+        greetingMorning: 'Buenos días',
+        greetingAfternoon: 'Buenas tardes',
+        greetingEvening: 'Buenas noches',
+        welcome: '¡{greeting}! 👋 Soy {name}, tu asistente de IA para Valleytainment Productions. ¿En qué te puedo ayudar hoy? Pregúntame por nuestros servicios, próximos eventos u oportunidades de colaboración.',
+        suggestionChips: [
+          'Cuéntame de Valleytainment',
+          '¿Qué servicios ofrecen?',
+          '¿Cómo puedo colaborar?',
+          'Nueva música',
+          'Próximos eventos'
+        ],
+        inputPlaceholder: 'Pregúntale a {name} lo que quieras...',
+        inputLabel: 'Mensaje',
+        suggestionsLabel: 'Preguntas sugeridas',
+        suggestionsAnnouncement: 'Sugerencias:',
+        notSure: 'No estoy seguro de cómo responder a eso. ¿Puedes preguntarme algo sobre Valleytainment Productions, nuestros servicios o próximos eventos? También puedes decir "hablar con una persona" para contactar al equipo. 🤔',
+        notSureEnhanced: '¡Gracias por escribirle a Valleytainment Productions! 🌟 No estoy del todo seguro de lo que preguntas, pero con gusto te cuento sobre nuestros servicios creativos, próximos eventos, colaboraciones con artistas o mercancía. ¿Qué parte de Valleytainment te interesa más? Si prefieres hablar con alguien, solo di "hablar con una persona".',
+        anythingElse: '¿Algo más que quieras saber?',
+        apiError: 'Lo siento, tengo problemas de conexión en este momento. Inténtalo más tarde o di "hablar con una persona" para contactar al equipo.',
+        clarifyMany: 'Quiero entenderte bien. ¿Preguntas sobre {options} o {last}? 🤔',
+        clarifyOne: 'Quiero entenderte bien. ¿Preguntas sobre {option}? Cuéntame un poco más y te oriento. 🤔',
+        cardTickets: 'Comprar entradas',
+        cardShop: 'Ver tienda',
+        cardCalendar: 'Agregar al calendario',
+        analyticsConsent: '¿Nos ayudas a mejorar ValleyBot? Comparte estadísticas de uso anónimas: qué temas salen y qué preguntas no pude responder. Antes se eliminan los correos y números de teléfono.',
+        analyticsAllow: 'Compartir estadísticas',
+        analyticsDecline: 'No, gracias',
+        leadResume: '¡Bienvenido de nuevo! Terminemos tu solicitud.',
+        leadSent: '¡Listo, {name}! 🎉 El equipo te escribirá pronto a {email}.',
+        leadFailed: 'No pude enviarlo en este momento. Responde "sí" para intentarlo de nuevo o escríbenos a info@valleytainment.com.',
+        bookingOffline: 'No puedo revisar el calendario sin conexión. Responde "sí" para intentarlo de nuevo cuando vuelvas a estar en línea.',
+        bookingTaken: 'Lo siento, alguien acaba de reservar ese horario.',
+        bookingFailed: 'No pude hacer la reservación en este momento. Responde "sí" para intentarlo de nuevo o escríbenos a info@valleytainment.com.',
+        bookingConfirmed: '¡Listo, {name}, ya tienes tu reservación! 🎉 {service}, {when}. Agrégala a tu calendario abajo; el equipo le escribirá a {email} si algo cambia.',
+        leadQueued: 'Ahora mismo no tienes conexión, {name}. Guardé tu solicitud y la enviaré en cuanto vuelvas a estar en línea.',
+        handoffRequest: 'Quiero hablar con una persona.',
+        handoffAlready: 'Ya estás conectado con el equipo. Sus respuestas aparecerán aquí.',
+        handoffResumed: 'Sigues conectado con el equipo. Sus respuestas aparecerán aquí.',
+        handoffConnected: '¡Listo, {name}! 🙌 Alguien del equipo te responderá aquí mismo, normalmente en horario de atención, y puede darte seguimiento en {email}. Escribe "terminar chat" para volver con ValleyBot.',
+        handoffFailed: 'No pude contactar al equipo en este momento. Responde "sí" para intentarlo de nuevo o escríbenos a info@valleytainment.com.',
+        handoffQueued: 'Ahora mismo no tienes conexión, {name}. Te conectaré con el equipo en cuanto vuelvas a estar en línea; deja esta página abierta o vuelve más tarde.',
+        handoffSendFailed: 'Ese mensaje no le llegó al equipo. Inténtalo de nuevo o escríbenos a info@valleytainment.com.',
+        handoffEnded: 'Terminó el chat con el equipo. ValleyBot está de vuelta, ¡pregúntame lo que quieras! 🤖',
+        handoffClosed: 'Esta conversación se cerró. ValleyBot está de vuelta, ¡pregúntame lo que quieras! 🤖',
+        handoffClosedByTeam: 'El equipo cerró esta conversación. ValleyBot está de vuelta, ¡pregúntame lo que quieras! 🤖',
+        handoffUnavailable: 'Esta conversación ya no está disponible. ValleyBot está de vuelta, ¡pregúntame lo que quieras! 🤖',
+        queuedFailed: 'No pude enviar la solicitud que hiciste sin conexión. Inténtalo de nuevo o escríbenos a info@valleytainment.com.',
+        offlineStatus: 'Sin conexión',
+        offlineStatusTitle: 'Sin conexión. Respondo con lo que ya sé y enviaré tus solicitudes cuando vuelvas a estar en línea.',
+        moderationInjection: 'Solo puedo ayudarte con Valleytainment, así que seguiré mis instrucciones de siempre. ¿Qué quieres saber de nuestra música, eventos o servicios? 🎤',
+        moderationToxic: 'Mantengamos el respeto. Con gusto te ayudo con cualquier cosa de Valleytainment: música, eventos, servicios o colaboraciones.',
+        moderationExplicit: 'No puedo ayudarte con ese tipo de contenido. ¡Pregúntame por la música, los eventos o los servicios de Valleytainment!',
+        moderationOutput: 'Lo siento, no puedo compartir esa respuesta. Pregunta de otra forma o escribe "hablar con una persona" para contactar al equipo.',
+        unverifiedFacts: '⚠️ No pude confirmar {claims} en nuestra información, así que consúltalo con el equipo antes de darlo por hecho.'
+      }
+    }
+  }
+};
+
+/**
+ * ValleyLanguage Class
+ * Tracks the visitor's language, detects it from their messages and translates ValleyBot's messages
+ */
+class ValleyLanguage {
+  /**
+   * @param {Object} config - Overrides for CHATBOT_LANGUAGES
+   * @param {string} preferred - Browser language (e.g. navigator.language), used until the visitor writes
+   */
+  constructor(config = {}, preferred = '') {
+    // Configuration
+    this.config = {
+      ...ValleyLanguage.DEFAULT_LANGUAGES,
+      ...config
+    };
+
+    // Detection words are normalized once up front
+    this.wordSets = {};
+    Object.entries(this.config.languages).forEach(([code, language]) => {
+      this.wordSets[code] = new Set(language.words.map(word => ValleyLanguage.normalize(word)));
+    });
+
+    // State
+    this.language = this.loadLanguage() || this.matchLanguage(preferred) || this.config.defaultLanguage;
+  }
+
+  /**
+   * Load the saved language
+   * @returns {string|null} - Language code
+   */
+  loadLanguage() {
+    try {
+      return this.matchLanguage(localStorage.getItem(this.config.storageKey));
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Find a supported language for a language tag
+   * @param {string} tag - Language code or locale such as "es-MX"
+   * @returns {string|null} - Supported language code
+   */
+  matchLanguage(tag) {
+    if (!tag) return null;
+
+    const code = String(tag).toLowerCase().split('-')[0];
+    return this.config.languages[code] ? code : null;
+  }
+
+  /**
+   * Get the current language code
+   * @returns {string}
+   */
+  getLanguage() {
+    return this.language;
+  }
+
+  /**
+   * Get a language's speech locale
+   * @param {string} code - Language code (defaults to the current language)
+   * @returns {string} - Locale such as "es-US"
+   */
+  getLocale(code = this.language) {
+    return this.config.languages[code].locale;
+  }
+
+  /**
+   * Get a language's display name
+   * @param {string} code - Language code (defaults to the current language)
+   * @returns {string} - Name such as "Español"
+   */
+  getName(code = this.language) {
+    return this.config.languages[code].name;
+  }
+
+  /**
+   * Switch language
+   * @param {string} code - Language code
+   * @returns {boolean} - Whether the language changed
+   */
+  setLanguage(code) {
+    const language = this.matchLanguage(code);
+    if (!language || language === this.language) return false;
+
+    this.language = language;
+
+    try {
+      localStorage.setItem(this.config.storageKey, language);
+    } catch (error) {
+      console.warn('Error saving chatbot language:', error);
+    }
+
+    return true;
+  }
+
+  /**
+   * Detect the language of a message
+   * Counts common words per language; Spanish punctuation and accents count double.
+   * Short or mixed messages ("ok", "merch", names, emails) are left undecided.
+   * @param {string} text - The user's message
+   * @returns {string|null} - Language code, or null when it can't tell
+   */
+  detect(text) {
+    const words = ValleyLanguage.normalize(text).match(/[a-z0-9]+/g) || [];
+    const scores = {};
+
+    Object.keys(this.config.languages).forEach(code => {
+      scores[code] = words.filter(word => this.wordSets[code].has(word)).length;
+    });
+
+    if (scores.es !== undefined && /[¿¡ñáéíóú]/i.test(text)) {
+      scores.es += 2;
+    }
+
+    const [best, runnerUp] = Object.entries(scores).sort((a, b) => b[1] - a[1]);
+
+    if (!best || best[1] === 0 || (runnerUp && runnerUp[1] === best[1])) {
+      return null;
+    }
+
+    return best[0];
+  }
+
+  /**
+   * Follow the visitor's language
+   * @param {string} text - The user's message
+   * @returns {boolean} - Whether the language changed
+   */
+  update(text) {
+    const detected = this.detect(text);
+    return detected ? this.setLanguage(detected) : false;
+  }
+
+  /**
+   * Translate a message
+   * @param {string} key - Message id
+   * @param {string|Array} fallback - English text
+   * @param {Object} vars - Values for {placeholders}
+   * @returns {string|Array} - Translated text, or the fallback
+   */
+  t(key, fallback, vars = {}) {
+    const messages = this.config.languages[this.language].messages || {};
+    const text = key in messages ? messages[key] : fallback;
+
+    return ValleyLanguage.format(text, vars);
+  }
+
+  /**
+   * Fill {placeholders} in a message
+   * @param {string|Array} text - Message text (arrays are returned as they are)
+   * @param {Object} vars - Placeholder values
+   * @returns {string|Array} - Filled text
+   */
+  static format(text, vars = {}) {
+    if (typeof text !== 'string') return text;
+
+    return text.replace(/\{(\w+)\}/g, (match, name) => (name in vars ? vars[name] : match));
+  }
+
+  /**
+   * Lowercase text and strip accents
+   * @param {string} text - Text
+   * @returns {string} - Normalized text
+   */
+  static normalize(text) {
+    return String(text || '')
+      .toLowerCase()
+      .normalize('NFD')
+      .replace(/[\u0300-\u036f]/g, '');
+  }
+}
+
+ValleyLanguage.DEFAULT_LANGUAGES = CHATBOT_LANGUAGES;
+
+// Export ValleyLanguage class for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ValleyLanguage;
+}
@@ -0,0 +1,613 @@
+/**
+ * =====================================================================
+ * | VALLEYTAINMENT PRODUCTIONS - CHATBOT INTENTS                      |
+ * | Version: 1.0.0                                                    |
+ * | Last Updated: October 19, 2026                                    |
+ * =====================================================================
+ * | This file defines what visitors ask ValleyBot about (intents) and |
+ * | classifies messages against them with token-level fuzzy matching, |
+ * | so typos, plurals and short words don't derail an answer.         |
+ * | It has no DOM dependencies and can be required from Node.         |
+ * =====================================================================
+ */
+
+// Intent set - Edit these values to teach ValleyBot new questions.
+// Each intent needs example utterances. Small talk answers with `responses`;
+// `translations` adds examples, a label and responses per language (see js/chatbot-i18n.js);
+// `action` hands the message to a chatbot feature (e.g. "handoff");
+// `cards` shows a card collection with the answer ("events", "artists" or "merch", see js/chatbot-cards.js);
+// everything else answers from the knowledge passages listed in `knowledge`
+// (a file name like "team.md" or a passage id like "contact.json#location").
+const CHATBOT_INTENTS = {
+  minConfidence: 0.6, // Answer directly at or above this score
+  clarifyConfidence: 0.45, // Ask a clarifying question between this and minConfidence
+  ambiguityMargin: 0.05, // Also ask when the top two intents are this close
+
+  // Shorthand rewritten before matching
+  synonyms: {
+    u: 'you',
+    ur: 'your',
+    r: 'are',
+    thx: 'thanks',
+    ty: 'thanks',
+    pls: 'please',
+    plz: 'please',
+    merchandise: 'merch',
+    collab: 'collaborate'
+  },
+
+  intents: [
+    {
+      name: 'greeting',
+      label: 'saying hi',
+      examples: ['hi', 'hello', 'hey', 'hey there', 'hiya', 'howdy', 'yo', 'sup', 'whats up', 'good morning', 'good afternoon', 'good evening'],
+      responses: {
+        standard: 'Hey there! How can I help you with Valleytainment Productions today? 👋',
+        enhanced: 'Hey there! 👋 Welcome to the Valleytainment vibe! I\'m ValleyBot 2.0, your digital guide to everything we\'ve got going on. How can I help you dive into our creative universe today?'
+      },
+      translations: {
+        es: {
+          label: 'saludar',
+          examples: ['hola', 'buenas', 'buenos dias', 'buenas tardes', 'buenas noches', 'que tal', 'que onda', 'hola que tal'],
+          responses: {
+            standard: '¡Hola! ¿En qué te puedo ayudar con Valleytainment Productions hoy? 👋',
+            enhanced: '¡Hola! 👋 ¡Bienvenido al ambiente Valleytainment! Soy ValleyBot 2.0, tu guía digital para todo lo que tenemos en marcha. ¿Cómo te ayudo a entrar a nuestro universo creativo hoy?'
+          }
+        }
+      }
+    },
+    {
+      name: 'identity',
+      label: 'who I am',
+      examples: ['who are you', 'what are you', 'what is your name', 'are you a bot', 'are you a real person', 'what can you do', 'what can you help with'],
+      responses: {
+        standard: 'I\'m ValleyBot 2.0, your AI assistant for all things Valleytainment. I can help with information about our services, team, and upcoming events. 🤖',
+        enhanced: 'I\'m ValleyBot 2.0, the digital brain behind Valleytainment Productions! 🤖✨ I\'m here to connect you with our edgy urban universe of content creation, music production, and talent management. Think of me as your backstage pass to everything Valleytainment. What would you like to know about our creative collective?'
+      },
+      translations: {
+        es: {
+          label: 'quién soy',
+          examples: ['quien eres', 'que eres', 'como te llamas', 'eres un bot', 'eres una persona real', 'que puedes hacer', 'en que me puedes ayudar'],
+          responses: {
+            standard: 'Soy ValleyBot 2.0, tu asistente de IA para todo lo relacionado con Valleytainment. Te puedo ayudar con información sobre nuestros servicios, el equipo y los próximos eventos. 🤖',
+            enhanced: 'Soy ValleyBot 2.0, ¡el cerebro digital de Valleytainment Productions! 🤖✨ Estoy aquí para conectarte con nuestro universo urbano de creación de contenido, producción musical y manejo de talento. Piensa en mí como tu pase backstage a todo Valleytainment. ¿Qué te gustaría saber de nuestro colectivo creativo?'
+          }
+        }
+      }
+    },
+    {
+      name: 'thanks',
+      label: 'saying thanks',
+      examples: ['thanks', 'thank you', 'thanks a lot', 'thank you so much', 'appreciate it', 'cheers'],
+      responses: {
+        standard: 'You\'re welcome! Anything else I can help with? 🙌',
+        enhanced: 'Anytime! 🙌 That\'s what I\'m here for. Hit me up if there\'s anything else you want to know about Valleytainment.'
+      },
+      translations: {
+        es: {
+          label: 'dar las gracias',
+          examples: ['gracias', 'muchas gracias', 'mil gracias', 'te lo agradezco'],
+          responses: {
+            standard: '¡De nada! ¿Te ayudo con algo más? 🙌',
+            enhanced: '¡Cuando quieras! 🙌 Para eso estoy. Escríbeme si quieres saber algo más de Valleytainment.'
+          }
+        }
+      }
+    },
+    {
+      name: 'goodbye',
+      label: 'saying goodbye',
+      examples: ['bye', 'goodbye', 'see you later', 'see ya', 'peace out', 'catch you later', 'have a good day'],
+      responses: {
+        standard: 'Thanks for stopping by! Come back anytime. ✌️',
+        enhanced: 'Peace out! ✌️ Thanks for vibing with Valleytainment. Follow @valleytainment so you never miss a drop.'
+      },
+      translations: {
+        es: {
+          label: 'despedirse',
+          examples: ['adios', 'hasta luego', 'nos vemos', 'chao', 'que tengas buen dia'],
+          responses: {
+            standard: '¡Gracias por pasar! Vuelve cuando quieras. ✌️',
+            enhanced: '¡Nos vemos! ✌️ Gracias por vibrar con Valleytainment. Sigue a @valleytainment para no perderte ningún lanzamiento.'
+          }
+        }
+      }
+    },
+    {
+      name: 'handoff',
+      label: 'talking to someone on the team',
+      examples: ['talk to a human', 'speak to a human', 'speak to a person', 'talk to a real person', 'can i talk to someone', 'can someone help me', 'customer service', 'live agent', 'connect me with the team', 'human please'],
+      action: 'handoff',
+      translations: {
+        es: {
+          label: 'hablar con alguien del equipo',
+          examples: ['hablar con una persona', 'hablar con un humano', 'quiero hablar con alguien', 'atencion al cliente', 'agente en vivo', 'comunicarme con el equipo', 'necesito hablar con alguien del equipo']
+        }
+      }
+    },
+    {
+      name: 'about',
+      label: 'Valleytainment as a company',
+      examples: ['tell me about valleytainment', 'what is valleytainment', 'who is valleytainment', 'what does valleytainment do', 'company history', 'when were you founded', 'what is your mission', 'what is your vision', 'your story'],
+      knowledge: ['about.md'],
+      translations: {
+        es: {
+          label: 'Valleytainment como empresa',
+          examples: ['que es valleytainment', 'cuentame de valleytainment', 'quienes son', 'que hace valleytainment', 'historia de la empresa', 'cual es su mision', 'cuando fundaron la empresa']
+        }
+      }
+    },
+    {
+      name: 'services',
+      label: 'our services',
+      examples: ['what services do you offer', 'what do you offer', 'services', 'do you do music videos', 'do you do graphic design', 'do you do podcasts', 'music production', 'content creation', 'talent management', 'podcast production', 'mixing and mastering'],
+      knowledge: ['services.md'],
+      translations: {
+        es: {
+          label: 'nuestros servicios',
+          examples: ['que servicios ofrecen', 'que ofrecen', 'servicios', 'hacen videos musicales', 'hacen diseno grafico', 'hacen podcasts', 'produccion musical', 'creacion de contenido', 'manejo de talento', 'mezcla y masterizacion']
+        }
+      }
+    },
+    {
+      name: 'pricing',
+      label: 'pricing',
+      examples: ['how much does it cost', 'what are your rates', 'what are your prices', 'pricing', 'how much do you charge', 'how much is it', 'how much for a beat', 'can i get a quote', 'is it expensive', 'cost of a music video'],
+      knowledge: ['pricing.md'],
+      translations: {
+        es: {
+          label: 'precios',
+          examples: ['cuanto cuesta', 'cuales son sus precios', 'precios', 'cuanto cobran', 'cuanto sale un video musical', 'me pueden dar una cotizacion', 'es caro', 'tarifas']
+        }
+      }
+    },
+    {
+      name: 'booking',
+      label: 'booking a session or event',
+      examples: ['how can i book', 'book a session', 'book studio time', 'schedule an appointment', 'hire you for an event', 'plan my event', 'reserve the studio', 'make a booking'],
+      knowledge: ['contact.json#booking', 'events.md#planning-your-event'],
+      translations: {
+        es: {
+          label: 'reservar una sesión o evento',
+          examples: ['como puedo reservar', 'reservar una sesion', 'reservar tiempo de estudio', 'agendar una cita', 'contratarlos para un evento', 'planear mi evento', 'hacer una reservacion']
+        }
+      }
+    },
+    {
+      name: 'contact',
+      label: 'contacting us',
+      examples: ['how can i contact you', 'what is your email', 'what is your phone number', 'how do i reach you', 'can i call you', 'get in touch', 'contact info', 'email', 'phone'],
+      knowledge: ['contact.json#contact-details'],
+      translations: {
+        es: {
+          label: 'cómo contactarnos',
+          examples: ['como los contacto', 'cual es su correo', 'cual es su numero de telefono', 'como me comunico con ustedes', 'puedo llamarlos', 'informacion de contacto', 'correo', 'telefono']
+        }
+      }
+    },
+    {
+      name: 'location',
+      label: 'where we\'re based',
+      examples: ['where are you located', 'where are you based', 'what city are you in', 'what is your address', 'where is your studio'],
+      knowledge: ['contact.json#location'],
+      translations: {
+        es: {
+          label: 'dónde estamos',
+          examples: ['donde estan ubicados', 'donde se encuentran', 'en que ciudad estan', 'cual es su direccion', 'donde esta el estudio']
+        }
+      }
+    },
+    {
+      name: 'hours',
+      label: 'our working hours',
+      examples: ['what are your hours', 'when are you open', 'are you open on saturday', 'opening hours', 'business hours', 'what time do you open', 'what time do you close'],
+      knowledge: ['contact.json#working-hours'],
+      translations: {
+        es: {
+          label: 'nuestro horario',
+          examples: ['cual es su horario', 'a que hora abren', 'a que hora cierran', 'abren los sabados', 'horario de atencion', 'cuando estan abiertos']
+        }
+      }
+    },
+    {
+      name: 'team',
+      label: 'our team',
+      examples: ['who is on your team', 'who works there', 'who is the founder', 'meet the team', 'staff', 'who works at valleytainment', 'who runs valleytainment'],
+      knowledge: ['team.md'],
+      translations: {
+        es: {
+          label: 'nuestro equipo',
+          examples: ['quienes forman el equipo', 'quien trabaja ahi', 'quien es el fundador', 'conocer al equipo', 'personal', 'quien dirige valleytainment']
+        }
+      }
+    },
+    {
+      name: 'artists',
+      label: 'our artists and releases',
+      examples: ['who are your artists', 'artist roster', 'what artists do you represent', 'latest music releases', 'new music', 'what genres do you work with'],
+      knowledge: ['artists.md'],
+      cards: 'artists',
+      translations: {
+        es: {
+          label: 'nuestros artistas y lanzamientos',
+          examples: ['quienes son sus artistas', 'que artistas representan', 'lista de artistas', 'nueva musica', 'ultimos lanzamientos', 'con que generos trabajan']
+        }
+      }
+    },
+    {
+      name: 'events',
+      label: 'upcoming events',
+      examples: ['upcoming events', 'any events coming up', 'when is the next show', 'concert tickets', 'are there any shows', 'events near me'],
+      knowledge: ['events.md#upcoming-events'],
+      cards: 'events',
+      translations: {
+        es: {
+          label: 'próximos eventos',
+          examples: ['proximos eventos', 'tienen eventos', 'hay eventos pronto', 'cuando es el proximo show', 'entradas para conciertos', 'hay conciertos', 'eventos cerca de mi']
+        }
+      }
+    },
+    {
+      name: 'collaborate',
+      label: 'collaborating with us',
+      examples: ['how can i collaborate', 'can we work together', 'i want to collaborate', 'submit an idea', 'submit my demo', 'partner with you', 'sign my music'],
+      knowledge: ['collaborate.md#how-to-collaborate', 'collaborate.md#local-love'],
+      translations: {
+        es: {
+          label: 'colaborar con nosotros',
+          examples: ['como puedo colaborar', 'podemos trabajar juntos', 'quiero colaborar', 'enviar una idea', 'enviar mi demo', 'asociarnos con ustedes', 'firmar mi musica']
+        }
+      }
+    },
+    {
+      name: 'merch',
+      label: 'merch',
+      examples: ['where can i buy merch', 'do you sell merch', 'merch store', 'shop', 'buy a hoodie', 'buy a shirt', 'thrift shop', 'valleyheadz'],
+      knowledge: ['merch.md'],
+      cards: 'merch',
+      translations: {
+        es: {
+          label: 'mercancía',
+          examples: ['donde compro mercancia', 'venden ropa', 'tienda', 'comprar una sudadera', 'comprar una camiseta', 'tienda de segunda mano', 'venden merch']
+        }
+      }
+    },
+    {
+      name: 'social',
+      label: 'our social media',
+      examples: ['what is your instagram', 'instagram', 'social media', 'where can i follow you', 'tiktok', 'twitter', 'linktree'],
+      knowledge: ['social.md'],
+      translations: {
+        es: {
+          label: 'nuestras redes sociales',
+          examples: ['cual es su instagram', 'redes sociales', 'donde los sigo', 'en que redes estan']
+        }
+      }
+    },
+    {
+      name: 'support',
+      label: 'supporting our work',
+      examples: ['how can i support you', 'donate', 'can i tip you', 'cash app', 'send a donation'],
+      knowledge: ['collaborate.md#support-our-work'],
+      translations: {
+        es: {
+          label: 'apoyar nuestro trabajo',
+          examples: ['como puedo apoyarlos', 'donar', 'hacer una donacion', 'puedo darles propina']
+        }
+      }
+    }
+  ]
+};
+
+/**
+ * ValleyIntentClassifier Class
+ * Scores a message against every intent's examples and reports the best match
+ *
+ * Messages and examples are tokenized, stemmed and compared token by token.
+ * Tokens within a small edit distance count as partial matches, and common
+ * function words count for less than content words.
+ */
+class ValleyIntentClassifier {
+  constructor(config = {}) {
+    // Configuration
+    this.config = {
+      ...ValleyIntentClassifier.DEFAULT_INTENTS,
+      ...config
+    };
+
+    // Examples in every language are tokenized once up front
+    this.intents = this.config.intents.map(intent => ({
+      ...intent,
+      exampleTerms: this.getExamples(intent).map(example => this.tokenize(example))
+    }));
+  }
+
+  /**
+   * Classify a message
+   * @param {string} message - The user's message
+   * @returns {Object} - { status: 'matched' | 'clarify' | 'none', intent, confidence, candidates }
+   *   `candidates` lists the intents worth offering in a clarifying question
+   */
+  classify(message) {
+    const terms = this.tokenize(message);
+    const { minConfidence, clarifyConfidence, ambiguityMargin } = this.config;
+
+    const ranked = this.intents
+      .map(intent => ({ intent, confidence: this.scoreIntent(terms, intent) }))
+      .sort((a, b) => b.confidence - a.confidence);
+
+    // Greetings often lead into a question, so a close small talk match yields to it
+    const isSmallTalk = entry => Boolean(entry.intent.responses);
+    const question = ranked.find(entry => !isSmallTalk(entry));
+    let best = ranked[0];
+
+    if (best && isSmallTalk(best) && question && best.confidence - question.confidence < ambiguityMargin) {
+      best = question;
+    }
+
+    // Only intents of the same kind compete for a clarifying question
+    const runnerUp = ranked.find(entry => entry !== best && isSmallTalk(entry) === isSmallTalk(best));
+    const result = {
+      status: 'none',
+      intent: null,
+      confidence: best ? best.confidence : 0,
+      candidates: []
+    };
+
+    if (!best || best.confidence < clarifyConfidence) {
+      return result;
+    }
+
+    const isAmbiguous = runnerUp && runnerUp.confidence >= clarifyConfidence &&
+      best.confidence - runnerUp.confidence < ambiguityMargin;
+
+    if (best.confidence >= minConfidence && !isAmbiguous) {
+      result.status = 'matched';
+      result.intent = best.intent;
+      return result;
+    }
+
+    result.status = 'clarify';
+    result.candidates = (isAmbiguous ? [best, runnerUp] : [best]).map(entry => entry.intent);
+    return result;
+  }
+
+  /**
+   * Get an intent's examples in every language
+   * @param {Object} intent - Intent definition
+   * @returns {Array<string>} - Examples
+   */
+  getExamples(intent) {
+    const translated = Object.values(intent.translations || {}).flatMap(translation => translation.examples || []);
+    return intent.examples.concat(translated);
+  }
+
+  /**
+   * Get an intent's label
+   * @param {Object} intent - Intent definition
+   * @param {string} language - Language code
+   * @returns {string} - Label in that language, or the English one
+   */
+  getLabel(intent, language = null) {
+    const translation = language && intent.translations && intent.translations[language];
+    return (translation && translation.label) || intent.label || intent.name;
+  }
+
+  /**
+   * Get an intent's small talk responses
+   * @param {Object} intent - Intent definition
+   * @param {string} language - Language code
+   * @returns {Object|null} - { standard, enhanced } in that language, or the English ones
+   */
+  getResponses(intent, language = null) {
+    const translation = language && intent.translations && intent.translations[language];
+    return (translation && translation.responses) || intent.responses || null;
+  }
+
+  /**
+   * Get clarification prompt
+   * @param {Object} result - Result from classify() with status 'clarify'
+   * @param {string} language - Language code for the intent labels
+   * @param {Function} translate - Optional (key, englishText, vars) => text, e.g. ValleyLanguage.t
+   * @returns {string} - Question asking the user which intent they meant
+   */
+  getClarificationPrompt(result, language = null, translate = null) {
+    const labels = result.candidates.map(intent => this.getLabel(intent, language));
+    const format = translate || ((key, text, vars) => text.replace(/\{(\w+)\}/g, (match, name) => vars[name]));
+
+    if (labels.length > 1) {
+      return format('clarifyMany', 'I want to get this right. Are you asking about {options} or {last}? 🤔', {
+        options: labels.slice(0, -1).join(', '),
+        last: labels[labels.length - 1]
+      });
+    }
+
+    return format('clarifyOne', 'I want to get this right. Are you asking about {option}? Tell me a little more and I\'ll point you the right way. 🤔', {
+      option: labels[0]
+    });
+  }
+
+  /**
+   * Get clarification quick replies
+   * One button per candidate intent that sends the intent's first example
+   * @param {Object} result - Result from classify() with status 'clarify'
+   * @param {string} language - Language code for the labels and examples
+   * @returns {Array<Object>} - { label, message } quick replies
+   */
+  getClarificationReplies(result, language = null) {
+    return result.candidates.map(intent => {
+      const translation = language && intent.translations && intent.translations[language];
+      const examples = (translation && translation.examples) || intent.examples;
+      const label = this.getLabel(intent, language);
+
+      return {
+        label: label.charAt(0).toUpperCase() + label.slice(1),
+        message: examples[0]
+      };
+    });
+  }
+
+  /**
+   * Score an intent
+   * @param {Array} terms - Tokenized message
+   * @param {Object} intent - Intent with tokenized examples
+   * @returns {number} - Confidence from 0 to 1 (best example wins)
+   */
+  scoreIntent(terms, intent) {
+    return intent.exampleTerms.reduce((best, exampleTerms) => {
+      return Math.max(best, this.scoreExample(terms, exampleTerms));
+    }, 0);
+  }
+
+  /**
+   * Score a message against one example
+   * Weighted F-score of how much of the example the message covers (recall)
+   * and how much of the message the example explains (precision). Recall
+   * counts for more, so a matching question wrapped in extra words still scores well.
+   * @param {Array} terms - Tokenized message
+   * @param {Array} exampleTerms - Tokenized example
+   * @returns {number} - Score from 0 to 1
+   */
+  scoreExample(terms, exampleTerms) {
+    if (!terms.length || !exampleTerms.length) return 0;
+
+    const recall = this.coverage(exampleTerms, terms);
+    const precision = this.coverage(terms, exampleTerms);
+
+    if (!recall || !precision) return 0;
+
+    const beta = 1.5;
+    return (1 + beta * beta) * precision * recall / (beta * beta * precision + recall);
+  }
+
+  /**
+   * Weighted share of `source` terms that have a close match in `target`
+   * @param {Array} source - Terms to cover
+   * @param {Array} target - Terms to match against
+   * @returns {number} - Coverage from 0 to 1
+   */
+  coverage(source, target) {
+    let matched = 0;
+    let total = 0;
+
+    source.forEach(term => {
+      const similarity = target.reduce((best, other) => Math.max(best, this.termSimilarity(term.stem, other.stem)), 0);
+      matched += term.weight * similarity;
+      total += term.weight;
+    });
+
+    return total ? matched / total : 0;
+  }
+
+  /**
+   * Compare two stemmed terms
+   * @param {string} a - First term
+   * @param {string} b - Second term
+   * @returns {number} - 1 for a match, less for a near miss, 0 otherwise
+   */
+  termSimilarity(a, b) {
+    if (a === b) return 1;
+
+    // Short words must match exactly, so "hi" never matches "his"
+    const length = Math.max(a.length, b.length);
+    const allowed = length <= 3 ? 0 : length <= 5 ? 1 : 2;
+    if (allowed === 0 || Math.abs(a.length - b.length) > allowed) return 0;
+
+    const distance = ValleyIntentClassifier.editDistance(a, b);
+    return distance <= allowed ? 1 - distance / length : 0;
+  }
+
+  /**
+   * Tokenize text into weighted, stemmed terms
+   * @param {string} text - Text to tokenize
+   * @returns {Array} - Terms as { word, stem, weight }
+   */
+  tokenize(text) {
+    // Accents are dropped so "dónde" and "donde" match
+    const words = String(text)
+      .toLowerCase()
+      .normalize('NFD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .replace(/[’']s\b/g, '')
+      .replace(/[’']/g, '')
+      .match(/[a-z0-9]+/g) || [];
+
+    return words.map(raw => {
+      const word = this.config.synonyms[raw] || raw;
+
+      return {
+        word,
+        stem: ValleyIntentClassifier.stem(word),
+        weight: ValleyIntentClassifier.STOP_WORDS.has(word) ? 0.3 : 1
+      };
+    });
+  }
+
+  /**
+   * Reduce a word to a crude stem
+   * Good enough to line up "prices", "pricing" and "price"
+   * @param {string} word - Lowercase word
+   * @returns {string} - Stem
+   */
+  static stem(word) {
+    if (word.length <= 3) return word;
+
+    return word
+      .replace(/ies$/, 'y')
+      .replace(/(?<=\w{3})(ing|ed|es|s)$/, '')
+      .replace(/(?<=\w{3})e$/, '');
+  }
+
+  /**
+   * Edit distance between two strings
+   * Counts insertions, deletions, substitutions and swapped neighbours
+   * @param {string} a - First string
+   * @param {string} b - Second string
+   * @returns {number} - Number of edits
+   */
+  static editDistance(a, b) {
+    const rows = [];
+
+    for (let i = 0; i <= a.length; i++) {
+      rows[i] = [i];
+    }
+    for (let j = 0; j <= b.length; j++) {
+      rows[0][j] = j;
+    }
+
+    for (let i = 1; i <= a.length; i++) {
+      for (let j = 1; j <= b.length; j++) {
+        const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+
+        rows[i][j] = Math.min(
+          rows[i - 1][j] + 1,
+          rows[i][j - 1] + 1,
+          rows[i - 1][j - 1] + cost
+        );
+
+        if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+          rows[i][j] = Math.min(rows[i][j], rows[i - 2][j - 2] + 1);
+        }
+      }
+    }
+
+    return rows[a.length][b.length];
+  }
+}
+
+ValleyIntentClassifier.DEFAULT_INTENTS = CHATBOT_INTENTS;
+
+// Function words that say little about what the user wants on their own
+ValleyIntentClassifier.STOP_WORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'but', 'by', 'can', 'could', 'do', 'does', 'for',
+  'from', 'i', 'im', 'in', 'is', 'it', 'me', 'my', 'of', 'on', 'or', 'our', 'so', 'that', 'the',
+  'this', 'to', 'us', 'was', 'we', 'will', 'with', 'would', 'you', 'your', 'please', 'about', 'tell',
+  // Spanish
+  'el', 'la', 'los', 'las', 'de', 'del', 'al', 'que', 'y', 'en', 'un', 'una', 'por', 'para', 'con', 'es',
+  'son', 'esta', 'estan', 'eres', 'mi', 'su', 'sus', 'se', 'lo', 'te', 'yo', 'tu', 'ustedes'
+]);
+
+// Export ValleyIntentClassifier class for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ValleyIntentClassifier;
+}
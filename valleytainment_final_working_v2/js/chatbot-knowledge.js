@@ -0,0 +1,339 @@
+/**
+ * =====================================================================
+ * | VALLEYTAINMENT PRODUCTIONS - CHATBOT KNOWLEDGE BASE               |
+ * | Version: 1.0.0                                                    |
+ * | Last Updated: October 19, 2026                                    |
+ * =====================================================================
+ * | This file loads ValleyBot's knowledge base from content/knowledge |
+ * | (Markdown and JSON files) and ranks passages against a question   |
+ * | with a lightweight in-browser BM25 index. Translated documents    |
+ * | are searched first for visitors writing in another language.      |
+ * =====================================================================
+ */
+
+/**
+ * ValleyKnowledgeBase Class
+ * Loads knowledge documents and retrieves the passages that best match a query
+ *
+ * Markdown documents may start with a front matter block (`title`, `keywords`)
+ * and are split into one passage per `## ` heading. JSON documents have the shape
+ * `{ title, keywords, passages: [{ id, title, text, keywords }] }`.
+ *
+ * Translations are listed per language under `translations` in the manifest
+ * (e.g. "es/about.md") and keep the English file name as their source. They give
+ * each passage the English id — `## Quiénes somos {#who-we-are}` in Markdown or
+ * `"id"` in JSON — so intent references find the translated passage.
+ */
+class ValleyKnowledgeBase {
+  constructor(config = {}) {
+    // Configuration
+    this.config = {
+      manifestUrl: 'content/knowledge/index.json',
+      defaultLanguage: 'en', // language of the documents under `documents`
+      maxPassages: 3,
+      minScore: 0.75,
+      k1: 1.2, // BM25 term frequency saturation
+      b: 0.75, // BM25 length normalization
+      ...config
+    };
+
+    // State
+    this.passages = [];
+    this.documentFrequency = {};
+    this.averageLength = 0;
+    this.isLoaded = false;
+  }
+
+  /**
+   * Load all documents listed in the manifest
+   * @returns {Promise<number>} - Number of passages indexed
+   */
+  async load() {
+    const manifestUrl = new URL(this.config.manifestUrl, document.baseURI);
+    const manifestResponse = await fetch(manifestUrl);
+
+    if (!manifestResponse.ok) {
+      throw new Error(`Knowledge manifest error: ${manifestResponse.status}`);
+    }
+
+    const manifest = await manifestResponse.json();
+    const files = manifest.documents.map(path => ({ path, language: this.config.defaultLanguage }));
+
+    Object.entries(manifest.translations || {}).forEach(([language, paths]) => {
+      paths.forEach(path => files.push({ path, language }));
+    });
+
+    // A broken document should not take the rest of the knowledge base down with it
+    const results = await Promise.allSettled(files.map(async ({ path, language }) => {
+      const response = await fetch(new URL(path, manifestUrl));
+
+      if (!response.ok) {
+        throw new Error(`Knowledge document error (${path}): ${response.status}`);
+      }
+
+      const text = await response.text();
+      return { file: path.split('/').pop(), text, language };
+    }));
+
+    results.forEach(result => {
+      if (result.status === 'fulfilled') {
+        this.addDocument(result.value.file, result.value.text, result.value.language);
+      } else {
+        console.warn(result.reason);
+      }
+    });
+
+    this.buildIndex();
+    this.isLoaded = true;
+
+    return this.passages.length;
+  }
+
+  /**
+   * Add a document to the knowledge base
+   * Call buildIndex() after adding documents
+   * @param {string} file - File name, used to pick the parser and as the passage source
+   * @param {string} text - Raw file contents
+   * @param {string} language - Language code of the document
+   */
+  addDocument(file, text, language = this.config.defaultLanguage) {
+    const passages = file.endsWith('.json')
+      ? this.parseJsonDocument(file, JSON.parse(text))
+      : this.parseMarkdownDocument(file, text);
+
+    passages.forEach(passage => {
+      passage.language = language;
+    });
+
+    this.passages.push(...passages);
+  }
+
+  /**
+   * Parse a Markdown document into passages
+   * @param {string} source - File name
+   * @param {string} text - Markdown text
+   * @returns {Array} - Passages
+   */
+  parseMarkdownDocument(source, text) {
+    let body = text.replace(/\r\n/g, '\n');
+    const meta = {};
+
+    // Front matter: `key: value` lines between --- fences
+    const frontMatter = body.match(/^---\n([\s\S]*?)\n---\n/);
+    if (frontMatter) {
+      frontMatter[1].split('\n').forEach(line => {
+        const separator = line.indexOf(':');
+        if (separator > 0) {
+          meta[line.slice(0, separator).trim()] = line.slice(separator + 1).trim();
+        }
+      });
+      body = body.slice(frontMatter[0].length);
+    }
+
+    const documentTitle = meta.title || source;
+    const keywords = meta.keywords ? meta.keywords.split(',').map(keyword => keyword.trim()) : [];
+
+    // One passage per `## ` section; text before the first section is ignored unless there are none
+    const sections = body.split(/^## +/m);
+    const passages = [];
+
+    sections.slice(1).forEach(section => {
+      const newline = section.indexOf('\n');
+      const heading = (newline === -1 ? section : section.slice(0, newline)).trim();
+      const content = newline === -1 ? '' : section.slice(newline + 1).trim();
+
+      // An explicit `{#slug}` after the heading sets the passage id
+      const slug = heading.match(/\s*\{#([\w-]+)\}$/);
+      const title = slug ? heading.slice(0, slug.index) : heading;
+
+      if (content) {
+        passages.push(this.createPassage(source, documentTitle, title, content, keywords, slug && slug[1]));
+      }
+    });
+
+    if (passages.length === 0 && body.trim()) {
+      passages.push(this.createPassage(source, documentTitle, documentTitle, body.replace(/^# .*\n/, '').trim(), keywords));
+    }
+
+    return passages;
+  }
+
+  /**
+   * Parse a JSON document into passages
+   * @param {string} source - File name
+   * @param {Object} data - Parsed JSON document
+   * @returns {Array} - Passages
+   */
+  parseJsonDocument(source, data) {
+    const documentTitle = data.title || source;
+    const keywords = data.keywords || [];
+
+    return (data.passages || []).map(passage => this.createPassage(
+      source,
+      documentTitle,
+      passage.title || documentTitle,
+      passage.text,
+      keywords.concat(passage.keywords || []),
+      passage.id
+    ));
+  }
+
+  /**
+   * Create a passage record
+   * @param {string} source - File name
+   * @param {string} documentTitle - Title of the containing document
+   * @param {string} title - Passage title
+   * @param {string} text - Passage text
+   * @param {Array<string>} keywords - Extra search terms
+   * @param {string} slug - Passage id after the `#` (defaults to one made from the title)
+   * @returns {Object} - Passage
+   */
+  createPassage(source, documentTitle, title, text, keywords, slug = null) {
+    return {
+      id: `${source}#${slug || title.toLowerCase().replace(/[^a-z0-9]+/g, '-')}`,
+      source,
+      documentTitle,
+      title,
+      text,
+      keywords
+    };
+  }
+
+  /**
+   * Build the BM25 index over all passages
+   */
+  buildIndex() {
+    this.documentFrequency = {};
+    let totalLength = 0;
+
+    this.passages.forEach(passage => {
+      // Titles and keywords are repeated so they weigh more than body text
+      passage.terms = this.tokenize([
+        passage.documentTitle,
+        passage.title,
+        passage.title,
+        passage.keywords.join(' '),
+        passage.keywords.join(' '),
+        passage.text
+      ].join(' '));
+
+      passage.termFrequency = {};
+      passage.terms.forEach(term => {
+        passage.termFrequency[term] = (passage.termFrequency[term] || 0) + 1;
+      });
+
+      Object.keys(passage.termFrequency).forEach(term => {
+        this.documentFrequency[term] = (this.documentFrequency[term] || 0) + 1;
+      });
+
+      totalLength += passage.terms.length;
+    });
+
+    this.averageLength = this.passages.length ? totalLength / this.passages.length : 0;
+  }
+
+  /**
+   * Get passages by reference
+   * A reference with no translation in the requested language gets the default-language passages.
+   * @param {Array<string>} references - File names ("team.md") or passage ids ("contact.json#location")
+   * @param {string} language - Language code (defaults to the default language)
+   * @returns {Array} - Matching passages in reference order
+   */
+  getPassages(references, language = this.config.defaultLanguage) {
+    return references.flatMap(reference => {
+      const matches = this.passages.filter(passage => passage.id === reference || passage.source === reference);
+      const translated = matches.filter(passage => passage.language === language);
+
+      return translated.length ? translated : matches.filter(passage => passage.language === this.config.defaultLanguage);
+    });
+  }
+
+  /**
+   * Search the knowledge base
+   * @param {string} query - The user's question
+   * @param {number} limit - Maximum number of passages to return
+   * @param {Array<string>} references - Optional file names or passage ids to search within
+   * @param {string} language - Language code; when nothing matches in it, the default language is searched
+   * @returns {Array} - Matching passages with a `score`, best first
+   */
+  search(query, limit = this.config.maxPassages, references = null, language = this.config.defaultLanguage) {
+    const queryTerms = [...new Set(this.tokenize(query))];
+    if (!queryTerms.length || !this.passages.length) return [];
+
+    const candidates = references
+      ? this.getPassages(references, language)
+      : this.passages.filter(passage => passage.language === language);
+    const results = this.rank(queryTerms, candidates, limit);
+
+    // A question in English words ("merch") can still be answered from the default documents
+    if (!results.length && language !== this.config.defaultLanguage) {
+      return this.search(query, limit, references, this.config.defaultLanguage);
+    }
+
+    return results;
+  }
+
+  /**
+   * Score passages against query terms with BM25
+   * @param {Array<string>} queryTerms - Unique query terms
+   * @param {Array} candidates - Passages to score
+   * @param {number} limit - Maximum number of passages to return
+   * @returns {Array} - Matching passages with a `score`, best first
+   */
+  rank(queryTerms, candidates, limit) {
+    const { k1, b } = this.config;
+    const passageCount = this.passages.length;
+
+    return candidates
+      .map(passage => {
+        let score = 0;
+
+        queryTerms.forEach(term => {
+          const frequency = passage.termFrequency[term];
+          if (!frequency) return;
+
+          const documentFrequency = this.documentFrequency[term];
+          const idf = Math.log(1 + (passageCount - documentFrequency + 0.5) / (documentFrequency + 0.5));
+          const lengthRatio = passage.terms.length / this.averageLength;
+
+          score += idf * (frequency * (k1 + 1)) / (frequency + k1 * (1 - b + b * lengthRatio));
+        });
+
+        return { ...passage, score };
+      })
+      .filter(result => result.score > 0 && result.score >= this.config.minScore)
+      .sort((a, c) => c.score - a.score)
+      .slice(0, limit);
+  }
+
+  /**
+   * Tokenize text into index terms
+   * @param {string} text - Text to tokenize
+   * @returns {Array<string>} - Lowercase terms without accents or stop words
+   */
+  tokenize(text) {
+    const normalized = text.toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+
+    return (normalized.match(/[a-z0-9$]+/g) || [])
+      .filter(term => term.length > 1 && !ValleyKnowledgeBase.STOP_WORDS.has(term))
+      .map(term => term.replace(/(?<=\w{3})(ing|es|s)$/, ''));
+  }
+}
+
+// Words that carry no meaning for retrieval
+ValleyKnowledgeBase.STOP_WORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'but', 'by', 'can', 'do', 'does', 'for', 'from',
+  'have', 'how', 'i', 'in', 'is', 'it', 'me', 'my', 'of', 'on', 'or', 'our', 'so', 'that',
+  'the', 'their', 'there', 'this', 'to', 'us', 'was', 'we', 'what', 'which',
+  'will', 'with', 'you', 'your', 'tell', 'about', 'any', 'get', 'give', 'please',
+  // Spanish
+  'el', 'la', 'los', 'las', 'un', 'una', 'unos', 'unas', 'de', 'del', 'al', 'en', 'con', 'por', 'para',
+  'que', 'se', 'su', 'sus', 'mi', 'tu', 'es', 'son', 'esta', 'estan', 'hay', 'como', 'cual', 'lo', 'le',
+  'les', 'nos', 'ustedes', 'usted', 'yo', 'te', 'ti', 'muy', 'mas', 'pero', 'sobre', 'cuentame', 'dime',
+  'tienen', 'tiene', 'puedo', 'pueden', 'favor'
+]);
+
+// Export ValleyKnowledgeBase class for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ValleyKnowledgeBase;
+}
@@ -0,0 +1,730 @@
+/**
+ * =====================================================================
+ * | VALLEYTAINMENT PRODUCTIONS - CHATBOT LEAD CAPTURE                 |
+ * | Version: 1.0.0                                                    |
+ * | Last Updated: October 19, 2026                                    |
+ * =====================================================================
+ * | This file runs ValleyBot's multi-turn lead capture: it asks for   |
+ * | the visitor's details one question at a time, validates each      |
+ * | answer, confirms a summary and builds the same payload the        |
+ * | website's contact form sends. The same flow collects contact      |
+ * | details before a human handoff and a booking, in English or       |
+ * | Spanish. It has no DOM dependencies.                              |
+ * =====================================================================
+ */
+
+// Lead capture flow - Edit these values to change the questions ValleyBot asks
+const CHATBOT_LEAD_FLOW = {
+  // Opening line per triggering intent
+  intros: {
+    pricing: 'Pricing depends on the project, so let\'s get you a tailored quote. 💰',
+    booking: 'Let\'s get your booking request to the team. 📅',
+    appointment: 'Let\'s find you a time. 📅',
+    collaborate: 'We love meeting new creatives! Let\'s get your idea to the team. 🤝',
+    handoff: 'I\'ll connect you with someone from the team. 🙋',
+    default: 'Let\'s get your request to the team.'
+  },
+
+  // Which slots each flow asks for, in order
+  flows: {
+    default: ['name', 'email', 'phone', 'projectType', 'budget', 'timeline'],
+    handoff: ['name', 'email', 'question'],
+    appointment: ['service', 'date', 'time', 'name', 'email', 'phone', 'notes']
+  },
+
+  // Every question ValleyBot can ask. `validate` names a check in validateAnswer();
+  // `suggestions` are example answers offered as suggestion chips.
+  // 'choice' answers must be one of the options from setChoices(), listed in the prompt as {choices};
+  // `resets` names the answers that no longer apply when this one changes.
+  slots: [
+    {
+      name: 'service',
+      label: 'Service',
+      prompt: 'What would you like to book? {choices}',
+      validate: 'choice',
+      resets: ['date', 'time'],
+      error: 'Pick one of the options below.'
+    },
+    {
+      name: 'date',
+      label: 'Date',
+      prompt: 'Which day works for you? The next open days are {choices}.',
+      validate: 'choice',
+      resets: ['time'],
+      error: 'Pick one of the days below.'
+    },
+    {
+      name: 'time',
+      label: 'Time',
+      prompt: 'What time on {date}? Open times: {choices}.',
+      validate: 'choice',
+      error: 'Pick one of the open times, like the ones below.'
+    },
+    {
+      name: 'name',
+      label: 'Name',
+      prompt: 'What\'s your name?',
+      validate: 'name',
+      error: 'I didn\'t catch that. What name should the team use?'
+    },
+    {
+      name: 'email',
+      label: 'Email',
+      prompt: 'Thanks, {name}! What\'s the best email to reach you?',
+      validate: 'email',
+      error: 'That doesn\'t look like an email address. Could you double-check it? (e.g. you@example.com)'
+    },
+    {
+      name: 'phone',
+      label: 'Phone',
+      prompt: 'What\'s a good phone number? Type "skip" if you\'d rather not share one.',
+      validate: 'phone',
+      optional: true,
+      error: 'That doesn\'t look like a phone number. Try again with 7 to 15 digits, or type "skip".'
+    },
+    {
+      name: 'projectType',
+      label: 'Project',
+      prompt: 'What kind of project is it? (music production, music video, event, graphic design, podcast, something else?)',
+      validate: 'text',
+      suggestions: ['Music production', 'Music video', 'Event', 'Graphic design', 'Podcast'],
+      error: 'Tell me a little about the project so I can route it to the right person.'
+    },
+    {
+      name: 'budget',
+      label: 'Budget',
+      prompt: 'Do you have a budget in mind? A rough range is fine, or say "not sure".',
+      validate: 'text',
+      suggestions: ['Under $500', '$500 to $2,000', 'Over $2,000', 'Not sure'],
+      error: 'A rough range is fine, or just say "not sure".'
+    },
+    {
+      name: 'timeline',
+      label: 'Timeline',
+      prompt: 'When do you need it done?',
+      validate: 'text',
+      suggestions: ['This week', 'This month', 'Next month', 'No rush'],
+      error: 'Even a rough timeline helps, like "next month" or "no rush".'
+    },
+    {
+      name: 'question',
+      label: 'Question',
+      prompt: 'What would you like to ask the team?',
+      validate: 'text',
+      error: 'Tell me what you need help with and I\'ll pass it on.'
+    },
+    {
+      name: 'notes',
+      label: 'Notes',
+      prompt: 'Anything the team should know before you come in? Type "skip" if not.',
+      validate: 'text',
+      optional: true,
+      error: 'Keep it under 1,000 characters, or type "skip".'
+    }
+  ],
+
+  // Replies outside the questions
+  messages: {
+    start: '{intro} I just need a few quick details (type "cancel" anytime).',
+    cancelled: 'No problem, I\'ve cancelled that request. Anything else I can help with?',
+    sending: 'Sending your request now...',
+    editWhich: 'Which part should I change? ({labels})',
+    confirmHelp: 'Reply "yes" to send it, or "edit" to change something.',
+    summary: 'Here\'s what I\'ll send to the team:',
+    confirm: 'Should I send it? (yes / edit / cancel)',
+    // Quick-reply buttons; each one sends its own text, so it must also be a reply word below
+    replyYes: 'Yes',
+    replyEdit: 'Edit',
+    replyCancel: 'Cancel',
+    replySkip: 'Skip'
+  },
+
+  // Replies recognized at any step (English words also work in every other language)
+  cancelWords: ['cancel', 'stop', 'never mind', 'nevermind', 'quit', 'exit'],
+  skipWords: ['skip', 'no', 'none', 'n/a', 'no thanks'],
+  yesWords: ['yes', 'y', 'yeah', 'yep', 'yup', 'sure', 'correct', 'send', 'send it', 'looks good', 'ok', 'okay'],
+  noWords: ['no', 'n', 'nope', 'edit', 'change', 'wrong', 'not quite'],
+
+  // Other languages override intros, slot text and messages, and add reply words
+  translations: {
+    es: {
+      intros: {
+        pricing: 'El precio depende del proyecto, así que vamos a prepararte una cotización a tu medida. 💰',
+        booking: 'Vamos a enviarle tu reservación al equipo. 📅',
+        appointment: 'Vamos a encontrarte un horario. 📅',
+        collaborate: '¡Nos encanta conocer a nuevos creativos! Vamos a enviarle tu idea al equipo. 🤝',
+        handoff: 'Te voy a conectar con alguien del equipo. 🙋',
+        default: 'Vamos a enviarle tu solicitud al equipo.'
+      },
+      slots: {
+        service: {
+          label: 'Servicio',
+          prompt: '¿Qué quieres reservar? {choices}',
+          error: 'Elige una de las opciones de abajo.'
+        },
+        date: {
+          label: 'Día',
+          prompt: '¿Qué día te queda bien? Los próximos días disponibles son {choices}.',
+          error: 'Elige uno de los días de abajo.'
+        },
+        time: {
+          label: 'Hora',
+          prompt: '¿A qué hora el {date}? Horarios disponibles: {choices}.',
+          error: 'Elige uno de los horarios disponibles, como los de abajo.'
+        },
+        name: {
+          label: 'Nombre',
+          prompt: '¿Cómo te llamas?',
+          error: 'No te entendí. ¿Qué nombre debe usar el equipo?'
+        },
+        email: {
+          label: 'Correo',
+          prompt: '¡Gracias, {name}! ¿A qué correo te podemos escribir?',
+          error: 'Eso no parece un correo electrónico. ¿Lo puedes revisar? (ej. tu@ejemplo.com)'
+        },
+        phone: {
+          label: 'Teléfono',
+          prompt: '¿A qué número te podemos llamar? Escribe "omitir" si prefieres no compartirlo.',
+          error: 'Eso no parece un número de teléfono. Inténtalo de nuevo con 7 a 15 dígitos, o escribe "omitir".'
+        },
+        projectType: {
+          label: 'Proyecto',
+          prompt: '¿Qué tipo de proyecto es? (producción musical, video musical, evento, diseño gráfico, podcast u otra cosa)',
+          suggestions: ['Producción musical', 'Video musical', 'Evento', 'Diseño gráfico', 'Podcast'],
+          error: 'Cuéntame un poco del proyecto para enviárselo a la persona indicada.'
+        },
+        budget: {
+          label: 'Presupuesto',
+          prompt: '¿Tienes un presupuesto en mente? Un rango aproximado está bien, o di "no sé".',
+          suggestions: ['Menos de $500', 'De $500 a $2,000', 'Más de $2,000', 'No sé'],
+          error: 'Un rango aproximado está bien, o solo di "no sé".'
+        },
+        timeline: {
+          label: 'Fecha',
+          prompt: '¿Para cuándo lo necesitas?',
+          suggestions: ['Esta semana', 'Este mes', 'El próximo mes', 'Sin prisa'],
+          error: 'Hasta una fecha aproximada ayuda, como "el próximo mes" o "sin prisa".'
+        },
+        question: {
+          label: 'Pregunta',
+          prompt: '¿Qué le quieres preguntar al equipo?',
+          error: 'Dime en qué necesitas ayuda y se lo paso al equipo.'
+        },
+        notes: {
+          label: 'Notas',
+          prompt: '¿Algo que el equipo deba saber antes de tu visita? Escribe "omitir" si no.',
+          error: 'Que sean menos de 1,000 caracteres, o escribe "omitir".'
+        }
+      },
+      messages: {
+        start: '{intro} Solo necesito unos datos rápidos (escribe "cancelar" cuando quieras).',
+        cancelled: 'No hay problema, cancelé esa solicitud. ¿Te ayudo con algo más?',
+        sending: 'Enviando tu solicitud...',
+        editWhich: '¿Qué parte cambio? ({labels})',
+        confirmHelp: 'Responde "sí" para enviarla o "editar" para cambiar algo.',
+        summary: 'Esto es lo que le voy a enviar al equipo:',
+        confirm: '¿La envío? (sí / editar / cancelar)',
+        replyYes: 'Sí',
+        replyEdit: 'Editar',
+        replyCancel: 'Cancelar',
+        replySkip: 'Omitir'
+      },
+      cancelWords: ['cancelar', 'parar', 'olvidalo', 'salir'],
+      skipWords: ['omitir', 'saltar', 'ninguno', 'no gracias'],
+      yesWords: ['si', 'claro', 'dale', 'correcto', 'enviar', 'enviala', 'envialo', 'esta bien', 'de acuerdo', 'va'],
+      noWords: ['editar', 'cambiar', 'esta mal', 'no exactamente']
+    }
+  }
+};
+
+/**
+ * ValleyLeadCapture Class
+ * Slot-filling state machine for collecting a contact request in chat
+ *
+ * The state is a plain object (see getState()) so the chatbot can store it
+ * with the chat history and resume after a page reload.
+ */
+class ValleyLeadCapture {
+  /**
+   * @param {Object} config - Overrides for CHATBOT_LEAD_FLOW plus `formName`
+   * @param {Object} validator - Object with validateEmail() and validatePhone() (a SecurityManager)
+   */
+  constructor(config = {}, validator) {
+    // Configuration
+    this.config = {
+      ...ValleyLeadCapture.DEFAULT_FLOW,
+      formName: 'contact',
+      ...config
+    };
+
+    this.validator = validator;
+    this.language = 'en'; // set by ValleyBot as the visitor's language changes
+    this.getChoices = null; // set with setChoices()
+
+    // State
+    this.reset();
+  }
+
+  /**
+   * Set the language for questions and replies
+   * The flow keeps its answers when the language changes mid-way
+   * @param {string} language - Language code
+   */
+  setLanguage(language) {
+    this.language = language;
+  }
+
+  /**
+   * Set where the options for 'choice' questions come from
+   * @param {Function} getChoices - Called with (slot name, chosen values, language); returns { label, value } options
+   */
+  setChoices(getChoices) {
+    this.getChoices = getChoices;
+  }
+
+  /**
+   * Get the translation for the current language
+   * @returns {Object} - Translation, or an empty object for English
+   */
+  getTranslation() {
+    return (this.config.translations && this.config.translations[this.language]) || {};
+  }
+
+  /**
+   * Get a reply text
+   * @param {string} key - Key in `messages`
+   * @param {Object} vars - Values for {placeholders}
+   * @returns {string} - Text in the current language
+   */
+  getMessage(key, vars = {}) {
+    const messages = { ...this.config.messages, ...this.getTranslation().messages };
+    return messages[key].replace(/\{(\w+)\}/g, (match, name) => (name in vars ? vars[name] : ''));
+  }
+
+  /**
+   * Get the reply words of one kind
+   * @param {string} type - 'cancelWords', 'skipWords', 'yesWords' or 'noWords'
+   * @returns {Array<string>} - English words plus the current language's
+   */
+  getWords(type) {
+    return this.config[type].concat(this.getTranslation()[type] || []);
+  }
+
+  /**
+   * Reset the flow
+   */
+  reset() {
+    this.state = {
+      active: false,
+      intent: null,
+      slots: [], // names of the slots this flow asks for
+      step: 0, // index into slots
+      confirming: false,
+      editing: false, // true while waiting for the user to pick a field to change
+      returnToConfirm: false, // true while re-asking a single field
+      answers: {},
+      values: {} // option values behind 'choice' answers, which hold the option labels
+    };
+  }
+
+  /**
+   * Whether a lead is being collected
+   * @returns {boolean}
+   */
+  isActive() {
+    return this.state.active;
+  }
+
+  /**
+   * Get state for storage
+   * @returns {Object} - Serializable state
+   */
+  getState() {
+    return { ...this.state, answers: { ...this.state.answers }, values: { ...this.state.values } };
+  }
+
+  /**
+   * Restore stored state
+   * @param {Object} state - State from getState()
+   */
+  restore(state) {
+    this.reset();
+
+    if (state && state.active && Array.isArray(state.slots) && state.step < state.slots.length) {
+      this.state = { ...this.state, ...state, answers: { ...state.answers }, values: { ...state.values } };
+    }
+  }
+
+  /**
+   * Get the slots for the current flow
+   * @returns {Array} - Slot definitions in the order they're asked
+   */
+  getSlots() {
+    const translatedSlots = this.getTranslation().slots || {};
+
+    return this.state.slots
+      .map(name => this.config.slots.find(slot => slot.name === name))
+      .filter(Boolean)
+      .map(slot => ({ ...slot, ...translatedSlots[slot.name], englishLabel: slot.label }));
+  }
+
+  /**
+   * Start collecting a lead
+   * @param {string} intent - Name of the intent that triggered the flow
+   * @returns {string} - Intro and first question
+   */
+  start(intent) {
+    this.reset();
+    this.state.active = true;
+    this.state.intent = intent;
+    this.state.slots = this.config.flows[intent] || this.config.flows.default;
+
+    const intros = { ...this.config.intros, ...this.getTranslation().intros };
+    const intro = intros[intent] || intros.default;
+    return `${this.getMessage('start', { intro })}\n\n${this.getPrompt()}`;
+  }
+
+  /**
+   * Get the question for the current step
+   * @returns {string} - Prompt, or the summary while confirming
+   */
+  getPrompt() {
+    if (this.state.confirming) {
+      return this.getSummary();
+    }
+
+    const slot = this.getSlots()[this.state.step];
+    return slot.prompt.replace(/\{(\w+)\}/g, (match, key) => {
+      return key === 'choices'
+        ? this.getChoiceList(slot).map(choice => choice.label).join(', ')
+        : this.state.answers[key] || '';
+    });
+  }
+
+  /**
+   * Get the options for a 'choice' question
+   * @param {Object} slot - Slot definition
+   * @returns {Array<Object>} - { label, value } options, or an empty list without setChoices()
+   */
+  getChoiceList(slot) {
+    return this.getChoices ? this.getChoices(slot.name, this.state.values, this.language) : [];
+  }
+
+  /**
+   * Get quick replies for the current step
+   * @returns {Array<string>} - Button labels, sent as the visitor's reply when tapped
+   */
+  getQuickReplies() {
+    if (!this.state.active) return [];
+
+    if (this.state.editing) {
+      return this.getSlots().map(slot => slot.label);
+    }
+
+    if (this.state.confirming) {
+      return [this.getMessage('replyYes'), this.getMessage('replyEdit'), this.getMessage('replyCancel')];
+    }
+
+    const slot = this.getSlots()[this.state.step];
+    if (slot.validate === 'choice') {
+      return this.getChoiceList(slot).map(choice => choice.label);
+    }
+
+    return slot.optional ? [this.getMessage('replySkip')] : [];
+  }
+
+  /**
+   * Get example answers for the question being asked
+   * @returns {Array<string>|null} - Suggestions for the unfilled slot; empty while confirming or editing,
+   *   null when no request is in progress
+   */
+  getSuggestions() {
+    if (!this.state.active) return null;
+    if (this.state.confirming || this.state.editing) return [];
+
+    // The options of a 'choice' question are already buttons
+    return this.getSlots()[this.state.step].suggestions || [];
+  }
+
+  /**
+   * Handle a user reply
+   * @param {string} message - The user's message
+   * @returns {Object} - { reply, status } where status is 'asking', 'confirming', 'submit' or 'cancelled'
+   */
+  handle(message) {
+    const answer = message.trim();
+    const normalized = ValleyLeadCapture.normalize(answer).replace(/[.!]+$/, '');
+
+    if (this.getWords('cancelWords').includes(normalized)) {
+      const reply = this.getMessage('cancelled');
+      this.reset();
+      return { status: 'cancelled', reply };
+    }
+
+    if (this.state.editing) {
+      return this.handleEditChoice(normalized);
+    }
+
+    if (this.state.confirming) {
+      return this.handleConfirmation(normalized);
+    }
+
+    const slots = this.getSlots();
+    const slot = slots[this.state.step];
+
+    if (slot.validate === 'choice') {
+      const choice = this.findChoice(slot, answer);
+      if (!choice) {
+        return { status: 'asking', reply: slot.error };
+      }
+
+      return this.saveAnswer(slot, choice.label, choice.value);
+    }
+
+    const value = slot.optional && this.getWords('skipWords').includes(normalized) ? '' : answer;
+
+    if (value && !this.validateAnswer(slot, value)) {
+      return { status: 'asking', reply: slot.error };
+    }
+
+    if (!value && !slot.optional) {
+      return { status: 'asking', reply: slot.error };
+    }
+
+    return this.saveAnswer(slot, value);
+  }
+
+  /**
+   * Store an answer and move on
+   * @param {Object} slot - Slot being filled
+   * @param {string} answer - Answer as shown in the summary
+   * @param {*} value - Option value, for 'choice' answers
+   * @returns {Object} - Handle result
+   */
+  saveAnswer(slot, answer, value) {
+    const slots = this.getSlots();
+    const changed = this.state.values[slot.name] !== value;
+
+    this.state.answers[slot.name] = answer;
+    if (value !== undefined) {
+      this.state.values[slot.name] = value;
+    }
+
+    // A different service or day means the times picked for it no longer apply
+    if (changed && slot.resets) {
+      this.clearAnswers(slot.resets);
+    }
+
+    // A corrected field goes back to the summary, after any answers it cleared
+    if (this.state.returnToConfirm) {
+      const next = slots.findIndex(entry => !(entry.name in this.state.answers));
+
+      if (next !== -1) {
+        this.state.step = next;
+        return { status: 'asking', reply: this.getPrompt() };
+      }
+    }
+
+    if (this.state.returnToConfirm || this.state.step === slots.length - 1) {
+      this.state.returnToConfirm = false;
+      this.state.confirming = true;
+      return { status: 'confirming', reply: this.getSummary() };
+    }
+
+    this.state.step++;
+    return { status: 'asking', reply: this.getPrompt() };
+  }
+
+  /**
+   * Forget answers
+   * @param {Array<string>} names - Slot names
+   */
+  clearAnswers(names) {
+    names.forEach(name => {
+      delete this.state.answers[name];
+      delete this.state.values[name];
+    });
+  }
+
+  /**
+   * Ask a question again, for example when the time picked was taken meanwhile
+   * The answers it resets are asked again too, then the summary is shown
+   * @param {string} name - Slot name
+   * @returns {string} - The question
+   */
+  reask(name) {
+    const slotIndex = this.getSlots().findIndex(slot => slot.name === name);
+    const slot = this.getSlots()[slotIndex];
+
+    this.clearAnswers([name, ...(slot.resets || [])]);
+    this.state.step = slotIndex;
+    this.state.confirming = false;
+    this.state.editing = false;
+    this.state.returnToConfirm = true;
+
+    return this.getPrompt();
+  }
+
+  /**
+   * Find the option a reply picks
+   * Case, accents, punctuation and ":00" are ignored, so "2pm" picks "2:00 PM EST" and "Nov 3" picks "Tue, Nov 3"
+   * @param {Object} slot - 'choice' slot
+   * @param {string} answer - The user's answer
+   * @returns {Object|null} - { label, value }, or null when no single option matches
+   */
+  findChoice(slot, answer) {
+    const compact = text => ValleyLeadCapture.normalize(text).replace(/:00\b/g, '').replace(/[^a-z0-9]+/g, '');
+    const reply = compact(answer);
+    if (!reply) return null;
+
+    const choices = this.getChoiceList(slot).map(choice => ({ choice, label: compact(choice.label) }));
+    const tests = [
+      label => label === reply,
+      label => label.endsWith(reply),
+      label => label.startsWith(reply),
+      label => label.includes(reply)
+    ];
+
+    for (const test of tests) {
+      const matches = choices.filter(({ label }) => test(label));
+      if (matches.length === 1) return matches[0].choice;
+      if (matches.length > 1) return null;
+    }
+
+    return null;
+  }
+
+  /**
+   * Handle the reply to the summary
+   * @param {string} normalized - Lowercase reply
+   * @returns {Object} - Handle result
+   */
+  handleConfirmation(normalized) {
+    if (this.getWords('yesWords').includes(normalized)) {
+      return { status: 'submit', reply: this.getMessage('sending') };
+    }
+
+    if (this.getWords('noWords').includes(normalized)) {
+      this.state.editing = true;
+      return { status: 'confirming', reply: this.getMessage('editWhich', { labels: this.getSlotLabels() }) };
+    }
+
+    // "change my email" works without the extra step
+    const slotIndex = this.findSlot(normalized);
+    if (slotIndex !== -1) {
+      return this.handleEditChoice(normalized);
+    }
+
+    return { status: 'confirming', reply: this.getMessage('confirmHelp') };
+  }
+
+  /**
+   * Handle the choice of field to change
+   * @param {string} normalized - Lowercase reply
+   * @returns {Object} - Handle result
+   */
+  handleEditChoice(normalized) {
+    const slotIndex = this.findSlot(normalized);
+
+    if (slotIndex === -1) {
+      return { status: 'confirming', reply: this.getMessage('editWhich', { labels: this.getSlotLabels() }) };
+    }
+
+    this.state.editing = false;
+    this.state.confirming = false;
+    this.state.returnToConfirm = true;
+    this.state.step = slotIndex;
+
+    return { status: 'asking', reply: this.getPrompt() };
+  }
+
+  /**
+   * Find the slot a reply refers to
+   * Matches the label in the current language, the English label or the slot name
+   * @param {string} normalized - Lowercase reply without accents
+   * @returns {number} - Slot index, or -1
+   */
+  findSlot(normalized) {
+    return this.getSlots().findIndex(slot => {
+      const names = [slot.label, slot.englishLabel, slot.name].map(name => ValleyLeadCapture.normalize(name));
+      return new RegExp(`\\b(${names.join('|')})\\b`).test(normalized);
+    });
+  }
+
+  /**
+   * List the slot labels
+   * @returns {string} - Comma-separated labels
+   */
+  getSlotLabels() {
+    return this.getSlots().map(slot => slot.label.toLowerCase()).join(', ');
+  }
+
+  /**
+   * Validate an answer
+   * @param {Object} slot - Slot being filled
+   * @param {string} value - The user's answer
+   * @returns {boolean} - Whether the answer is acceptable
+   */
+  validateAnswer(slot, value) {
+    switch (slot.validate) {
+      case 'email':
+        return this.validator.validateEmail(value);
+      case 'phone':
+        return this.validator.validatePhone(value);
+      case 'name':
+        return value.length >= 2 && value.length <= 100 && /[a-z]/i.test(value);
+      default:
+        return value.length > 0 && value.length <= 1000;
+    }
+  }
+
+  /**
+   * Get the summary shown before sending
+   * @returns {string} - Summary and confirmation question
+   */
+  getSummary() {
+    const lines = this.getSlots()
+      .filter(slot => this.state.answers[slot.name])
+      .map(slot => `**${slot.label}:** ${this.state.answers[slot.name]}`);
+
+    return `${this.getMessage('summary')}\n\n${lines.join('\n')}\n\n${this.getMessage('confirm')}`;
+  }
+
+  /**
+   * Build the contact form payload
+   * Same fields as #contact-form (name, email, subject, message) so both land in one inbox
+   * @returns {Object} - Form fields
+   */
+  buildPayload() {
+    const { answers } = this.state;
+
+    // The team reads English labels whatever language the visitor used
+    const details = this.getSlots()
+      .filter(slot => !['name', 'email'].includes(slot.name) && answers[slot.name])
+      .map(slot => `${slot.englishLabel}: ${answers[slot.name]}`);
+
+    return {
+      'form-name': this.config.formName,
+      name: answers.name,
+      email: answers.email,
+      subject: `ValleyBot ${this.state.intent || 'chat'} request: ${answers.projectType || answers.service}`,
+      message: `${details.join('\n')}\n\nSent from the ValleyBot chat${this.language !== 'en' ? ` (language: ${this.language})` : ''}.`
+    };
+  }
+
+  /**
+   * Lowercase text and strip accents, so "sí" and "si" are the same reply
+   * @param {string} text - Text
+   * @returns {string} - Normalized text
+   */
+  static normalize(text) {
+    return String(text).toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+  }
+}
+
+ValleyLeadCapture.DEFAULT_FLOW = CHATBOT_LEAD_FLOW;
+
+// Export ValleyLeadCapture class for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ValleyLeadCapture;
+}
@@ -0,0 +1,424 @@
+/**
+ * =====================================================================
+ * | VALLEYTAINMENT PRODUCTIONS - CHATBOT MARKDOWN                     |
+ * | Version: 1.0.0                                                    |
+ * | Last Updated: October 19, 2026                                    |
+ * =====================================================================
+ * | This file renders ValleyBot messages from a small Markdown subset |
+ * | into safe HTML. Every character is escaped unless a rule below    |
+ * | produced it, so model output can never inject its own markup.     |
+ * | It has no DOM dependencies and can be required from Node.         |
+ * =====================================================================
+ */
+
+// Renderer settings - Edit these values to change links and emoji shortcodes
+const CHATBOT_MARKDOWN_CONFIG = {
+  emoji: true, // replace the shortcodes below with emoji
+  emojiMap: {
+    ':)': '😊',
+    ':(': '😔',
+    ':D': '😁',
+    ';)': '😉',
+    ':P': '😛',
+    '<3': '❤️',
+    ':music:': '🎵',
+    ':mic:': '🎤',
+    ':fire:': '🔥',
+    ':star:': '⭐',
+    ':bulb:': '💡'
+  },
+  // Link targets allowed in [text](url); anything else is shown as plain text
+  allowedLinks: /^(https?:|mailto:|tel:|\/(?![\/\\])|#)/i
+};
+
+/**
+ * ValleyMarkdown Class
+ * Renders paragraphs, line breaks, headings, lists, code, emphasis and links.
+ * URLs, email addresses and phone numbers are linked once each; raw HTML is escaped.
+ */
+class ValleyMarkdown {
+  /**
+   * @param {Object} config - Overrides for CHATBOT_MARKDOWN_CONFIG
+   */
+  constructor(config = {}) {
+    // Configuration
+    this.config = {
+      ...CHATBOT_MARKDOWN_CONFIG,
+      ...config
+    };
+
+    // Inline rules, tried in order at each position; the first match wins
+    this.inlineRules = this.createInlineRules();
+  }
+
+  /**
+   * Render a message
+   * @param {string} text - Markdown text
+   * @returns {string} - Safe HTML
+   */
+  render(text) {
+    const lines = String(text || '').replace(/\r\n?/g, '\n').split('\n');
+    return this.renderBlocks(lines);
+  }
+
+  /**
+   * Render plain text
+   * For visitor messages: no formatting, but links and line breaks still work
+   * @param {string} text - Plain text
+   * @returns {string} - Safe HTML
+   */
+  renderText(text) {
+    return this.renderInline(String(text || '').replace(/\r\n?/g, '\n'), { plain: true }).replace(/\n/g, '<br>');
+  }
+
+  /**
+   * Render block-level Markdown
+   * @param {Array<string>} lines - Source lines
+   * @returns {string} - HTML
+   */
+  renderBlocks(lines) {
+    const html = [];
+    let paragraph = [];
+
+    const flushParagraph = () => {
+      if (paragraph.length) {
+        html.push(`<p>${this.renderInline(paragraph.join('\n')).replace(/\n/g, '<br>')}</p>`);
+        paragraph = [];
+      }
+    };
+
+    let index = 0;
+    while (index < lines.length) {
+      const line = lines[index];
+
+      // Fenced code; an unclosed fence runs to the end so half-streamed code still renders
+      const fence = line.match(/^\s*(`{3,}|~{3,})\s*([\w+-]*)\s*$/);
+      if (fence) {
+        flushParagraph();
+
+        const code = [];
+        index++;
+        while (index < lines.length && !lines[index].trim().startsWith(fence[1])) {
+          code.push(lines[index]);
+          index++;
+        }
+        index++;
+
+        const language = fence[2] ? ` class="language-${ValleyMarkdown.escapeHtml(fence[2])}"` : '';
+        html.push(`<pre><code${language}>${ValleyMarkdown.escapeHtml(code.join('\n'))}</code></pre>`);
+        continue;
+      }
+
+      // Headings start at <h3>, since the page already has <h1> and <h2>
+      const heading = line.match(/^\s{0,3}(#{1,6})\s+(.*?)(?:\s+#+)?\s*$/);
+      if (heading) {
+        flushParagraph();
+
+        const level = Math.min(heading[1].length + 2, 6);
+        html.push(`<h${level}>${this.renderInline(heading[2])}</h${level}>`);
+        index++;
+        continue;
+      }
+
+      if (ValleyMarkdown.parseListItem(line)) {
+        flushParagraph();
+        index = this.renderList(lines, index, html);
+        continue;
+      }
+
+      if (!line.trim()) {
+        flushParagraph();
+      } else {
+        paragraph.push(line.trim());
+      }
+      index++;
+    }
+
+    flushParagraph();
+
+    return html.join('');
+  }
+
+  /**
+   * Render a list starting at a line
+   * Lines indented past the marker belong to the item above, so lists can nest.
+   * @param {Array<string>} lines - Source lines
+   * @param {number} start - Index of the first item
+   * @param {Array<string>} html - Output to append to
+   * @returns {number} - Index of the first line after the list
+   */
+  renderList(lines, start, html) {
+    const first = ValleyMarkdown.parseListItem(lines[start]);
+    const items = [];
+    let index = start;
+
+    while (index < lines.length) {
+      const item = ValleyMarkdown.parseListItem(lines[index]);
+
+      if (item && item.indent === first.indent && item.ordered === first.ordered) {
+        items.push({ text: item.text, children: [] });
+        index++;
+        continue;
+      }
+
+      // Deeper lines continue the current item
+      const indent = lines[index].match(/^\s*/)[0].length;
+      if (lines[index].trim() && indent > first.indent) {
+        items[items.length - 1].children.push(lines[index].slice(Math.min(indent, first.contentIndent)));
+        index++;
+        continue;
+      }
+
+      // A blank line only continues the list if another item follows
+      if (!lines[index].trim()) {
+        const next = lines.slice(index).findIndex(line => line.trim());
+        const nextItem = next === -1 ? null : ValleyMarkdown.parseListItem(lines[index + next]);
+        const nextIndent = next === -1 ? 0 : lines[index + next].match(/^\s*/)[0].length;
+
+        if (nextItem && nextItem.indent === first.indent && nextItem.ordered === first.ordered) {
+          index += next;
+          continue;
+        }
+
+        if (next !== -1 && nextIndent > first.indent) {
+          items[items.length - 1].children.push('');
+          index++;
+          continue;
+        }
+      }
+
+      break;
+    }
+
+    const tag = first.ordered ? 'ol' : 'ul';
+    const startAttribute = first.ordered && first.number !== 1 ? ` start="${first.number}"` : '';
+
+    html.push(`<${tag}${startAttribute}>`);
+    items.forEach(item => {
+      const children = item.children.length ? this.renderBlocks(item.children) : '';
+      html.push(`<li>${this.renderInline(item.text).replace(/\n/g, '<br>')}${children}</li>`);
+    });
+    html.push(`</${tag}>`);
+
+    return index;
+  }
+
+  /**
+   * Render inline Markdown
+   * Text between matches is escaped, so only the rules' own tags reach the output.
+   * @param {string} text - Source text
+   * @param {Object} options - plain (links and emoji only) and inLink (no nested links)
+   * @returns {string} - HTML
+   */
+  renderInline(text, options = {}) {
+    let html = '';
+    let plain = '';
+    let index = 0;
+
+    const rules = this.inlineRules.filter(rule => {
+      if (options.plain && rule.markdown) return false;
+      if (options.inLink && rule.link) return false;
+      return true;
+    });
+
+    while (index < text.length) {
+      let matched = null;
+
+      for (const rule of rules) {
+        rule.pattern.lastIndex = index;
+        const match = rule.pattern.exec(text);
+
+        if (match) {
+          const result = rule.render(match, options);
+          if (result) {
+            matched = result;
+            break;
+          }
+        }
+      }
+
+      if (matched) {
+        html += ValleyMarkdown.escapeHtml(plain) + matched.html;
+        plain = '';
+        index += matched.length;
+      } else {
+        plain += text[index];
+        index++;
+      }
+    }
+
+    return html + ValleyMarkdown.escapeHtml(plain);
+  }
+
+  /**
+   * Create the inline rules
+   * Each rule has a sticky pattern and a render function returning { html, length }, or null to skip.
+   * @returns {Array<Object>} - Rules
+   */
+  createInlineRules() {
+    const rules = [];
+
+    // `code` - shown exactly as written
+    rules.push({
+      markdown: true,
+      pattern: /(`+)(?!`)([\s\S]*?[^`])\1(?!`)/y,
+      render: match => ({
+        html: `<code>${ValleyMarkdown.escapeHtml(match[2].trim())}</code>`,
+        length: match[0].length
+      })
+    });
+
+    // [text](url)
+    rules.push({
+      markdown: true,
+      link: true,
+      pattern: /\[([^[\]\n]+)\]\(\s*<?([^\s()<>]*(?:\([^\s()<>]*\)[^\s()<>]*)*)>?(?:\s+"[^"\n]*")?\s*\)/y,
+      render: match => {
+        const label = this.renderInline(match[1], { inLink: true });
+
+        if (!this.config.allowedLinks.test(match[2])) {
+          return { html: label, length: match[0].length };
+        }
+
+        return { html: this.createLink(match[2], label), length: match[0].length };
+      }
+    });
+
+    // Bare URLs; trailing punctuation and unbalanced ")" belong to the sentence
+    rules.push({
+      link: true,
+      pattern: /(?<![\w/@])https?:\/\/[^\s<>"'`]+/y,
+      render: match => {
+        const url = ValleyMarkdown.trimUrl(match[0]);
+        if (!/^https?:\/\/[^/?#.]+\.[^/?#]/.test(url) && !/^https?:\/\/localhost\b/.test(url)) return null;
+
+        return { html: this.createLink(url, ValleyMarkdown.escapeHtml(url)), length: url.length };
+      }
+    });
+
+    // Email addresses
+    rules.push({
+      link: true,
+      pattern: /(?<![\w.%+-])[\w.%+-]+@[a-z0-9-]+(?:\.[a-z0-9-]+)*\.[a-z]{2,}(?![\w@-])/iy,
+      render: match => ({
+        html: this.createLink(`mailto:${match[0]}`, ValleyMarkdown.escapeHtml(match[0])),
+        length: match[0].length
+      })
+    });
+
+    // Phone numbers like +1 (412) 555-1234, 412.555.1234 or 4125551234
+    rules.push({
+      link: true,
+      pattern: /(?<![\w+$.,-])(?:\+?\d{1,3}[-.\s]?)?(?:\(\d{3}\)\s?|\d{3}[-.\s]?)\d{3}[-.\s]?\d{4}(?![\w-])/y,
+      render: match => ({
+        html: this.createLink(`tel:${match[0].replace(/[^\d+]/g, '')}`, ValleyMarkdown.escapeHtml(match[0])),
+        length: match[0].length
+      })
+    });
+
+    // **bold**, __bold__, *italic*, _italic_ and ~~strikethrough~~; underscores only
+    // count at word edges so snake_case names stay intact
+    [
+      { pattern: /\*\*(?=\S)([\s\S]*?\S)\*\*/y, tag: 'strong' },
+      { pattern: /(?<!\w)__(?=\S)([\s\S]*?\S)__(?!\w)/y, tag: 'strong' },
+      { pattern: /\*(?=[^\s*])([\s\S]*?[^\s*])\*(?!\*)/y, tag: 'em' },
+      { pattern: /(?<!\w)_(?=[^\s_])([\s\S]*?[^\s_])_(?!\w)/y, tag: 'em' },
+      { pattern: /~~(?=\S)([\s\S]*?\S)~~/y, tag: 'del' }
+    ].forEach(({ pattern, tag }) => {
+      rules.push({
+        markdown: true,
+        pattern,
+        render: (match, options) => ({
+          html: `<${tag}>${this.renderInline(match[1], options)}</${tag}>`,
+          length: match[0].length
+        })
+      });
+    });
+
+    // Emoji shortcodes, matched literally and only as whole words ("2<3" and "Note:Please" stay as they are)
+    if (this.config.emoji) {
+      const shortcodes = Object.keys(this.config.emojiMap)
+        .sort((a, b) => b.length - a.length)
+        .map(shortcode => shortcode.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+
+      rules.push({
+        pattern: new RegExp(`(?<!\\w)(?:${shortcodes.join('|')})(?!\\w)`, 'y'),
+        render: match => ({ html: this.config.emojiMap[match[0]], length: match[0].length })
+      });
+    }
+
+    return rules;
+  }
+
+  /**
+   * Create a link
+   * Web links open in a new tab; mail, phone and on-page links don't
+   * @param {string} href - Link target (already checked)
+   * @param {string} label - Link text as HTML
+   * @returns {string} - Anchor HTML
+   */
+  createLink(href, label) {
+    const external = /^https?:/i.test(href) ? ' target="_blank" rel="noopener noreferrer"' : '';
+    return `<a href="${ValleyMarkdown.escapeHtml(href)}"${external}>${label}</a>`;
+  }
+
+  /**
+   * Trim sentence punctuation from the end of a bare URL
+   * @param {string} url - Matched URL
+   * @returns {string} - URL without trailing punctuation
+   */
+  static trimUrl(url) {
+    let trimmed = url;
+
+    while (/[.,;:!?*~_)\]]$/.test(trimmed)) {
+      const last = trimmed[trimmed.length - 1];
+
+      // Keep a closing bracket that has a partner inside the URL, as in Wikipedia links
+      if (last === ')' && (trimmed.match(/\(/g) || []).length >= (trimmed.match(/\)/g) || []).length) break;
+
+      trimmed = trimmed.slice(0, -1);
+    }
+
+    return trimmed;
+  }
+
+  /**
+   * Escape text for HTML
+   * @param {string} text - Text
+   * @returns {string} - Escaped text, safe in element content and quoted attributes
+   */
+  static escapeHtml(text) {
+    return String(text)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;');
+  }
+
+  /**
+   * Parse a list item line
+   * @param {string} line - Source line
+   * @returns {Object|null} - { indent, contentIndent, ordered, number, text }, or null
+   */
+  static parseListItem(line) {
+    const match = line.match(/^(\s*)([-*+]|(\d{1,9})[.)])\s+(.*)$/);
+    if (!match) return null;
+
+    // "* * *" is a divider, not a list item
+    if (match[2] === '*' && /^\*/.test(match[4])) return null;
+
+    return {
+      indent: match[1].length,
+      contentIndent: match[0].length - match[4].length,
+      ordered: Boolean(match[3]),
+      number: match[3] ? parseInt(match[3], 10) : null,
+      text: match[4]
+    };
+  }
+}
+
+// Export ValleyMarkdown class for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ValleyMarkdown;
+}
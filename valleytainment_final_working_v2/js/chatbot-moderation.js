@@ -0,0 +1,281 @@
+/**
+ * =====================================================================
+ * | VALLEYTAINMENT PRODUCTIONS - CHATBOT MODERATION                   |
+ * | Version: 1.0.0                                                    |
+ * | Last Updated: October 19, 2026                                    |
+ * =====================================================================
+ * | This file holds ValleyBot's guardrails. Questions are checked for |
+ * | prompt injection and toxic or explicit content before they reach  |
+ * | an AI provider, and emails and phone numbers are redacted from    |
+ * | what is sent. Answers are checked for toxic content and for       |
+ * | prices or dates the knowledge base doesn't contain. Violations    |
+ * | are reported to /api/moderation for the team to review.           |
+ * =====================================================================
+ */
+
+// Moderation settings - Edit these lists to change what is blocked.
+// Patterns are tried in order; the first match is the rule that's logged.
+const CHATBOT_MODERATION_CONFIG = {
+  endpoint: '/api/moderation',
+  maxExcerptLength: 200, // characters of the offending text kept in the log
+  factCheck: 'note', // unconfirmed prices or dates: 'note' adds a warning, 'local' answers locally instead, 'off'
+
+  // Attempts to override ValleyBot's instructions
+  injection: [
+    /\b(?:ignore|disregard|forget|override|bypass)\b[^.?!\n]{0,40}\b(?:instructions?|prompts?|rules|guidelines|directions)\b/i,
+    /\b(?:reveal|show|print|repeat|output|tell me)\b[^.?!\n]{0,30}\b(?:system|hidden|initial|original)\s+(?:prompt|instructions?|message)\b/i,
+    /\byou\s+are\s+now\s+(?:an?\s+)?(?:unfiltered|unrestricted|uncensored|jailbroken|dan|evil)\b/i,
+    /\b(?:developer|god|jailbreak|dan)\s+mode\b/i,
+    /\bpretend\s+(?:that\s+)?you\s+(?:have\s+no|are\s+not\s+bound|don'?t\s+have)\b/i,
+    /\b(?:new|updated)\s+(?:system\s+)?instructions\s*:/i,
+    /<\|?(?:im_start|im_end|system|endoftext)\|?>/i,
+    /^\s*(?:system|assistant)\s*:/im,
+    /\b(?:ignora|olvida|omite)\b[^.?!\n]{0,40}\b(?:instrucciones|reglas|indicaciones)\b/i,
+    /\b(?:muestra|revela|repite)\b[^.?!\n]{0,30}\b(?:prompt|instrucciones)\s+(?:del\s+sistema|originales|iniciales)\b/i
+  ],
+
+  // Abuse and threats
+  toxic: [
+    /\b(?:fuck|screw)\s+(?:you|u|off)\b/i,
+    /\b(?:kill|hang)\s+your\s?self\b/i,
+    /\bkys\b/i,
+    /\bi(?:'ll|\s+will|'m\s+going\s+to|'m\s+gonna|\s+am\s+going\s+to)\s+(?:kill|hurt|shoot|stab)\s+(?:you|u)\b/i,
+    /\byou(?:'re|\s+are|r)?\s+(?:an?\s+)?(?:\w+\s+)?(?:stupid|worthless|idiot|moron|retard)/i,
+    /\b(?:bitch|cunt|motherfucker|asshole)\b/i,
+    /\b(?:vete\s+a\s+la\s+mierda|hijo\s+de\s+puta|pendejo|te\s+voy\s+a\s+matar|m\u00e1tate)\b/i
+  ],
+
+  // Sexual content ("explicit lyrics" is fine)
+  explicit: [
+    /\b(?:porn|porno|pornography|nsfw|sexting|nudes|nude\s+(?:pics?|photos?|videos?))\b/i,
+    /\bsex(?:ual)?\s+(?:with|chat|pics?|videos?|acts?)\b/i,
+    /\b(?:send|show)\s+(?:me\s+)?(?:your\s+)?(?:boobs|tits|dick|pussy|naked)\b/i,
+    /\b(?:fotos?\s+desnud[oa]s?|desnudos)\b/i
+  ]
+};
+
+/**
+ * ValleyModeration Class
+ * Input and output checks for ValleyBot
+ *
+ * Checks return `{ allowed, reason, rule }`: `reason` is 'injection', 'toxic', 'explicit'
+ * or 'attack' (SecurityManager's patterns, logged but allowed), and `rule` the pattern that matched.
+ */
+class ValleyModeration {
+  /**
+   * @param {Object} config - Overrides for CHATBOT_MODERATION_CONFIG
+   * @param {Object} security - Object with detectCommonAttackPatterns(), scrubSensitiveData() and logSuspiciousActivity() (a SecurityManager)
+   */
+  constructor(config = {}, security) {
+    // Configuration
+    this.config = {
+      ...CHATBOT_MODERATION_CONFIG,
+      ...config
+    };
+
+    this.security = security;
+  }
+
+  /**
+   * Check a visitor's message before it's answered
+   * @param {string} text - The message
+   * @returns {Object} - { allowed, reason, rule }; reason and rule are null when nothing matched
+   */
+  checkInput(text) {
+    const blocked = this.match(text, ['injection', 'toxic', 'explicit']);
+    if (blocked) return { allowed: false, ...blocked };
+
+    // SecurityManager's list also matches ordinary chat ("ping me", "curl "), so it's only logged
+    if (this.security.detectCommonAttackPatterns(text)) {
+      return { allowed: true, reason: 'attack', rule: 'detectCommonAttackPatterns' };
+    }
+
+    return { allowed: true, reason: null, rule: null };
+  }
+
+  /**
+   * Check an AI answer before it's shown
+   * @param {string} text - The answer (Markdown)
+   * @param {Object} facts - Known prices and dates from getFacts()
+   * @returns {Object} - { allowed, reason, rule, claims }; `claims` lists prices and dates not in `facts`
+   */
+  checkOutput(text, facts) {
+    const blocked = this.match(text, ['toxic', 'explicit']);
+    if (blocked) return { allowed: false, ...blocked, claims: [] };
+
+    const claims = this.config.factCheck === 'off' ? [] : this.findUnverifiedClaims(text, facts);
+
+    return {
+      allowed: true,
+      reason: claims.length ? 'unverified' : null,
+      rule: claims.length ? 'factCheck' : null,
+      claims
+    };
+  }
+
+  /**
+   * Find the first pattern that matches
+   * @param {string} text - Text to check
+   * @param {Array<string>} reasons - Config lists to try, in order
+   * @returns {Object|null} - { reason, rule }
+   */
+  match(text, reasons) {
+    for (const reason of reasons) {
+      const pattern = this.config[reason].find(item => item.test(String(text)));
+      if (pattern) return { reason, rule: pattern.source };
+    }
+
+    return null;
+  }
+
+  /**
+   * Remove personal data from text that's sent to an AI provider
+   * @param {string} text - Message text
+   * @returns {string} - Text with [email] and [phone] in place of personal data
+   */
+  redact(text) {
+    return this.security.scrubSensitiveData(text);
+  }
+
+  /**
+   * Collect the prices and dates ValleyBot can vouch for
+   * @param {Array<string>} texts - Knowledge passages, event dates and the like
+   * @param {Date} now - Today's date, which answers may always mention
+   * @returns {Object} - { prices: Set, dates: Set } of normalized values
+   */
+  getFacts(texts, now = new Date()) {
+    const prices = new Set();
+    const dates = new Set([`${now.getMonth() + 1}-${now.getDate()}`]);
+
+    texts.forEach(text => {
+      ValleyModeration.extractPrices(text).forEach(price => prices.add(price.value));
+      ValleyModeration.extractDates(text).forEach(date => dates.add(date.value));
+    });
+
+    return { prices, dates };
+  }
+
+  /**
+   * List prices and dates in an answer that the facts don't contain
+   * @param {string} text - The answer
+   * @param {Object} facts - { prices, dates } from getFacts()
+   * @returns {Array<string>} - The claims as written, in the order they appear
+   */
+  findUnverifiedClaims(text, facts) {
+    const claims = [
+      ...ValleyModeration.extractPrices(text).filter(price => !facts.prices.has(price.value)),
+      ...ValleyModeration.extractDates(text).filter(date => !facts.dates.has(date.value))
+    ];
+
+    return [...new Set(claims.sort((a, b) => a.index - b.index).map(claim => claim.text))];
+  }
+
+  /**
+   * Send a violation to the team's moderation log
+   * Only a scrubbed excerpt of the text is sent; failures are only logged to the console
+   * @param {Object} violation - { stage: 'input' or 'output', reason, rule, text, conversation }
+   */
+  report({ stage, reason, rule, text = '', conversation = null }) {
+    const excerpt = this.redact(text).replace(/\s+/g, ' ').trim().slice(0, this.config.maxExcerptLength);
+
+    this.security.logSuspiciousActivity(`ValleyBot ${stage} ${reason}`, excerpt);
+
+    if (typeof fetch === 'undefined' || !this.config.endpoint) return;
+
+    fetch(this.config.endpoint, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ stage, reason, rule, text: excerpt, conversation }),
+      keepalive: true
+    }).catch(error => {
+      console.warn('Error reporting moderation event:', error);
+    });
+  }
+
+  /**
+   * Find prices in text
+   * "$1,500", "$75.00", "$2k", "500 dollars" and both ends of "$50-100"
+   * @param {string} text - Text to search
+   * @returns {Array<Object>} - { text, value, index }; value is the amount as a plain number string
+   */
+  static extractPrices(text) {
+    const prices = [];
+    const amount = '(\\d{1,3}(?:,\\d{3})+|\\d+)(?:\\.(\\d{1,2}))?\\s?(k)?';
+    const patterns = [
+      new RegExp(`(?:US\\$|\\$|USD\\s?)\\s?${amount}(?:\\s?[-\\u2013]\\s?\\$?${amount})?`, 'gi'),
+      new RegExp(`\\b${amount}\\s?(?:dollars|d\\u00f3lares|usd)\\b`, 'gi')
+    ];
+    const toValue = (whole, cents, thousands) => {
+      const value = Number(whole.replace(/,/g, '')) * (thousands ? 1000 : 1) + (cents ? Number(cents) / 100 : 0);
+      return String(value);
+    };
+
+    patterns.forEach(pattern => {
+      let match;
+      while ((match = pattern.exec(String(text)))) {
+        prices.push({ text: match[0].trim(), value: toValue(match[1], match[2], match[3]), index: match.index });
+
+        if (match[4]) {
+          prices.push({ text: match[0].trim(), value: toValue(match[4], match[5], match[6]), index: match.index });
+        }
+      }
+    });
+
+    return prices;
+  }
+
+  /**
+   * Find calendar dates in text
+   * "November 8", "Nov 8th, 2026", "8 November", "8 de noviembre", "2026-11-08" and "11/8/2026"
+   * @param {string} text - Text to search
+   * @returns {Array<Object>} - { text, value, index }; value is "month-day"
+   */
+  static extractDates(text) {
+    const dates = [];
+    const source = String(text);
+    const monthNames = ValleyModeration.MONTHS.map(month => month.join('|')).join('|');
+    const monthOf = name => ValleyModeration.MONTHS.findIndex(month => month.includes(name.toLowerCase().replace(/\.$/, ''))) + 1;
+    const add = (match, month, day) => {
+      if (month >= 1 && month <= 12 && day >= 1 && day <= 31) {
+        dates.push({ text: match[0].trim(), value: `${month}-${day}`, index: match.index });
+      }
+    };
+
+    const patterns = [
+      [new RegExp(`\\b(${monthNames})\\.?\\s+(\\d{1,2})(?:st|nd|rd|th)?\\b`, 'gi'), match => add(match, monthOf(match[1]), Number(match[2]))],
+      [new RegExp(`\\b(\\d{1,2})(?:st|nd|rd|th)?\\s+(?:of\\s+|de\\s+)?(${monthNames})\\b`, 'gi'), match => add(match, monthOf(match[2]), Number(match[1]))],
+      [/\b\d{4}-(\d{2})-(\d{2})(?!\d)/g, match => add(match, Number(match[1]), Number(match[2]))],
+      [/\b(\d{1,2})\/(\d{1,2})\/\d{2,4}\b/g, match => add(match, Number(match[1]), Number(match[2]))]
+    ];
+
+    patterns.forEach(([pattern, handle]) => {
+      let match;
+      while ((match = pattern.exec(source))) {
+        handle(match);
+      }
+    });
+
+    return dates;
+  }
+}
+
+// Month names in English and Spanish, with common abbreviations
+ValleyModeration.MONTHS = [
+  ['january', 'jan', 'enero', 'ene'],
+  ['february', 'feb', 'febrero'],
+  ['march', 'mar', 'marzo'],
+  ['april', 'apr', 'abril', 'abr'],
+  ['may', 'mayo'],
+  ['june', 'jun', 'junio'],
+  ['july', 'jul', 'julio'],
+  ['august', 'aug', 'agosto', 'ago'],
+  ['september', 'sept', 'sep', 'septiembre', 'setiembre'],
+  ['october', 'oct', 'octubre'],
+  ['november', 'nov', 'noviembre'],
+  ['december', 'dec', 'diciembre', 'dic']
+];
+
+// Export ValleyModeration class for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ValleyModeration;
+}
@@ -0,0 +1,324 @@
+/**
+ * =====================================================================
+ * | VALLEYTAINMENT PRODUCTIONS - CHATBOT OFFLINE MODE                 |
+ * | Version: 1.0.0                                                    |
+ * | Last Updated: October 19, 2026                                    |
+ * =====================================================================
+ * | This file keeps ValleyBot useful without a connection. It tracks  |
+ * | whether the visitor is online (navigator.onLine and failed        |
+ * | requests), keeps recent AI answers in a least-recently-used cache |
+ * | so repeated questions are answered instantly, and holds lead and  |
+ * | handoff requests in an outbox until the connection comes back.    |
+ * | Cached answers are dropped once the content behind them changes.  |
+ * =====================================================================
+ */
+
+// Offline settings - Edit these values to change how much is kept and for how long
+const CHATBOT_OFFLINE_CONFIG = {
+  cacheKey: 'valleybot_answer_cache', // localStorage key for cached AI answers
+  contentKey: 'valleybot_answer_cache_content', // localStorage key for a fingerprint of the content they came from
+  cacheSize: 50, // least recently used answers are dropped beyond this
+  cacheMaxAge: 7 * 24 * 60 * 60 * 1000, // milliseconds before a cached answer is asked for again
+  minQuestionLength: 8, // shorter questions ("why?", "more") depend on the conversation, so they aren't cached
+  outboxKey: 'valleybot_outbox', // localStorage key for requests waiting for a connection
+  maxOutbox: 20,
+  retryAfter: 30000 // milliseconds after a failed request before the network is tried again
+};
+
+/**
+ * ValleyOffline Class
+ * Connectivity, answer cache and outbox for ValleyBot
+ *
+ * Cached answers are `{ key, answer, timestamp }`, oldest use first.
+ * Outbox items are `{ id, type, payload, queuedAt }`, where `type` is 'lead' or 'handoff'.
+ */
+class ValleyOffline {
+  /**
+   * @param {Object} config - Overrides for CHATBOT_OFFLINE_CONFIG
+   */
+  constructor(config = {}) {
+    // Configuration
+    this.config = {
+      ...CHATBOT_OFFLINE_CONFIG,
+      ...config
+    };
+
+    // State
+    this.failedAt = null; // when a request last failed for lack of a connection
+    this.cache = this.read(this.config.cacheKey);
+    this.outbox = this.read(this.config.outboxKey);
+    this.isFlushing = false;
+    this.onChange = null;
+  }
+
+  /**
+   * Follow the browser's online and offline events
+   * @param {Function} onChange - Called with true when the connection comes back and false when it's lost
+   */
+  start(onChange) {
+    this.onChange = onChange;
+
+    window.addEventListener('online', () => {
+      this.failedAt = null;
+      this.notify(true);
+    });
+    window.addEventListener('offline', () => this.notify(false));
+  }
+
+  /**
+   * Whether requests should be skipped
+   * True while the browser is offline, and for retryAfter after a request failed for lack of a connection
+   * @returns {boolean}
+   */
+  isOffline() {
+    if (typeof navigator !== 'undefined' && navigator.onLine === false) return true;
+
+    return this.failedAt !== null && Date.now() - this.failedAt < this.config.retryAfter;
+  }
+
+  /**
+   * Record a failed request
+   * @param {Error} error - What fetch() threw
+   * @returns {boolean} - Whether it failed for lack of a connection
+   */
+  reportFailure(error) {
+    if (!ValleyOffline.isNetworkError(error)) return false;
+
+    const wasOffline = this.isOffline();
+    this.failedAt = Date.now();
+
+    if (!wasOffline) {
+      this.notify(false);
+    }
+    return true;
+  }
+
+  /**
+   * Record a request that reached the server
+   */
+  reportSuccess() {
+    if (this.failedAt === null) return;
+
+    this.failedAt = null;
+    this.notify(true);
+  }
+
+  /**
+   * Tell ValleyBot the connection changed
+   * @param {boolean} online - Whether it's back
+   */
+  notify(online) {
+    if (this.onChange) {
+      this.onChange(online);
+    }
+  }
+
+  /**
+   * Get a cached answer
+   * @param {string} question - The visitor's question
+   * @param {string} language - Language code
+   * @returns {string|null} - The answer, or null when it isn't cached or is too old
+   */
+  getAnswer(question, language = 'en') {
+    const key = this.getCacheKey(question, language);
+    const entry = key && this.cache.find(item => item.key === key);
+
+    if (!entry) return null;
+
+    this.cache = this.cache.filter(item => item !== entry);
+
+    if (Date.now() - entry.timestamp > this.config.cacheMaxAge) {
+      this.save(this.config.cacheKey, this.cache);
+      return null;
+    }
+
+    // Move it to the end, so the least recently used answer is always first
+    this.cache.push(entry);
+    this.save(this.config.cacheKey, this.cache);
+    return entry.answer;
+  }
+
+  /**
+   * Cache an answer
+   * @param {string} question - The visitor's question
+   * @param {string} language - Language code
+   * @param {string} answer - The AI answer (text or card JSON)
+   */
+  setAnswer(question, language, answer) {
+    const key = this.getCacheKey(question, language);
+    if (!key || typeof answer !== 'string' || !answer.trim()) return;
+
+    this.cache = this.cache.filter(item => item.key !== key);
+    this.cache.push({ key, answer, timestamp: Date.now() });
+    this.cache = this.cache.slice(-this.config.cacheSize);
+    this.save(this.config.cacheKey, this.cache);
+  }
+
+  /**
+   * Forget every cached answer
+   */
+  clearAnswers() {
+    this.cache = [];
+    this.save(this.config.cacheKey, this.cache);
+  }
+
+  /**
+   * Forget every cached answer when the content they came from has changed
+   * @param {string} content - The knowledge base and events as text; only a fingerprint is stored
+   * @returns {boolean} - Whether the cache was cleared
+   */
+  setContent(content) {
+    const fingerprint = this.fingerprint(content);
+
+    try {
+      if (localStorage.getItem(this.config.contentKey) === fingerprint) return false;
+      localStorage.setItem(this.config.contentKey, fingerprint);
+    } catch (error) {
+      console.warn(`Error saving ${this.config.contentKey}:`, error);
+    }
+
+    this.clearAnswers();
+    return true;
+  }
+
+  /**
+   * Fingerprint text (32-bit FNV-1a)
+   * @param {string} text - Text to fingerprint
+   * @returns {string} - Base-36 fingerprint
+   */
+  fingerprint(text) {
+    let hash = 0x811c9dc5;
+
+    for (let i = 0; i < text.length; i++) {
+      hash ^= text.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193);
+    }
+
+    return (hash >>> 0).toString(36);
+  }
+
+  /**
+   * Get the cache key for a question
+   * Case, accents and punctuation are ignored, so "What are your hours?" and "what are your hours" match
+   * @param {string} question - The visitor's question
+   * @param {string} language - Language code
+   * @returns {string|null} - Cache key, or null when the question is too short to cache
+   */
+  getCacheKey(question, language) {
+    const normalized = String(question || '')
+      .toLowerCase()
+      .normalize('NFD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .replace(/[^\p{L}\p{N}]+/gu, ' ')
+      .trim();
+
+    return normalized.length >= this.config.minQuestionLength ? `${language}:${normalized}` : null;
+  }
+
+  /**
+   * Hold a request until the connection comes back
+   * @param {string} type - 'lead' or 'handoff'
+   * @param {Object} payload - What would have been sent
+   * @returns {Object} - The queued item
+   */
+  queue(type, payload) {
+    const item = {
+      id: `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 8)}`,
+      type,
+      payload,
+      queuedAt: new Date().toISOString()
+    };
+
+    this.outbox.push(item);
+    this.outbox = this.outbox.slice(-this.config.maxOutbox);
+    this.save(this.config.outboxKey, this.outbox);
+    return item;
+  }
+
+  /**
+   * Whether anything is waiting to be sent
+   * @returns {boolean}
+   */
+  hasQueued() {
+    return this.outbox.length > 0;
+  }
+
+  /**
+   * Send queued requests, oldest first
+   * An item is removed once `send` resolves, or rejects for any reason other than a lost connection;
+   * a lost connection stops the flush and keeps the rest for next time
+   * @param {Function} send - Async function called with each item
+   * @returns {Promise<number>} - Number of items handled
+   */
+  async flush(send) {
+    if (this.isFlushing || this.isOffline()) return 0;
+    this.isFlushing = true;
+
+    let handled = 0;
+
+    try {
+      for (const item of [...this.outbox]) {
+        try {
+          await send(item);
+        } catch (error) {
+          if (this.reportFailure(error)) break;
+          console.warn(`Dropping queued ${item.type}:`, error);
+        }
+
+        this.outbox = this.outbox.filter(queued => queued.id !== item.id);
+        this.save(this.config.outboxKey, this.outbox);
+        handled++;
+      }
+    } finally {
+      this.isFlushing = false;
+    }
+
+    return handled;
+  }
+
+  /**
+   * Read a list from localStorage
+   * @param {string} key - Storage key
+   * @returns {Array<Object>} - Stored list, or an empty one
+   */
+  read(key) {
+    try {
+      const items = JSON.parse(localStorage.getItem(key));
+      return Array.isArray(items) ? items : [];
+    } catch (error) {
+      return [];
+    }
+  }
+
+  /**
+   * Save a list to localStorage
+   * @param {string} key - Storage key
+   * @param {Array<Object>} items - List to save; an empty list removes the key
+   */
+  save(key, items) {
+    try {
+      if (items.length) {
+        localStorage.setItem(key, JSON.stringify(items));
+      } else {
+        localStorage.removeItem(key);
+      }
+    } catch (error) {
+      console.warn(`Error saving ${key}:`, error);
+    }
+  }
+
+  /**
+   * Whether fetch() failed because there was no connection
+   * fetch() rejects with a TypeError when the request never reaches a server; HTTP errors and timeouts don't count
+   * @param {Error} error - What fetch() threw
+   * @returns {boolean}
+   */
+  static isNetworkError(error) {
+    return error instanceof TypeError;
+  }
+}
+
+// Export ValleyOffline class for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ValleyOffline;
+}
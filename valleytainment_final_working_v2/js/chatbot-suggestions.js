@@ -0,0 +1,267 @@
+/**
+ * =====================================================================
+ * | VALLEYTAINMENT PRODUCTIONS - CHATBOT SUGGESTIONS                  |
+ * | Version: 1.0.0                                                    |
+ * | Last Updated: October 19, 2026                                    |
+ * =====================================================================
+ * | This file picks ValleyBot's suggestion chips from the state of    |
+ * | the conversation: follow-ups from the last answer, chips for the  |
+ * | current intent, and chips for the page section on screen, which   |
+ * | is tracked with IntersectionObserver. Everything except           |
+ * | observeSections() can be required from Node.                      |
+ * =====================================================================
+ */
+
+// Suggestion settings - Edit these values to change which chips are offered.
+// `intents` are keyed by intent name (js/chatbot-intents.js) and `sections` by a selector on the page;
+// `translations` replace them per language (missing entries fall back to English).
+const CHATBOT_SUGGESTIONS = {
+  maxChips: 5,
+  // Chips taken from each source, in this order; defaults fill whatever is left
+  limits: {
+    followUps: 2,
+    intent: 2,
+    section: 2
+  },
+  followUpLength: 40, // longest list item or bold phrase offered as a follow-up
+  followUpTemplate: 'Tell me more about {topic}',
+  sectionMargin: '-45% 0px -45% 0px', // IntersectionObserver rootMargin: a section counts once it crosses the middle of the screen
+
+  sections: {
+    '#about': ['Tell me about Valleytainment', 'Where are you located?'],
+    '#services': ['What services do you offer?', 'How much does it cost?'],
+    '#team': ['Who is on the team?', 'How can I collaborate?'],
+    '#recording-artists': ['Who are your artists?', 'Latest releases'],
+    '#interactive': ['How does the image generator work?', 'Upcoming events'],
+    '#idea-form': ['How do I submit an idea?', 'Talk to a human']
+  },
+
+  intents: {
+    about: ['What services do you offer?', 'Who is on the team?'],
+    services: ['How much does it cost?', 'Book a session'],
+    pricing: ['What services do you offer?', 'Book a session'],
+    booking: ['What are your hours?', 'Where are you located?'],
+    contact: ['What are your hours?', 'Talk to a human'],
+    location: ['What are your hours?', 'How do I contact you?'],
+    hours: ['Where are you located?', 'Book a session'],
+    team: ['Who are your artists?', 'How can I collaborate?'],
+    artists: ['Latest releases', 'Upcoming albums', 'Studio facilities', 'Music producers'],
+    events: ['Event tickets', 'Festival lineup', 'Venue details', 'Past events'],
+    collaborate: ['Submission process', 'Portfolio requirements', 'Collaboration types', 'Success stories'],
+    merch: ['Limited editions', 'Shipping info', 'Size guide', 'New arrivals'],
+    social: ['Latest releases', 'Upcoming events'],
+    support: ['Talk to a human', 'How do I contact you?']
+  },
+
+  translations: {
+    es: {
+      followUpTemplate: 'Cuéntame más sobre {topic}',
+      sections: {
+        '#about': ['Cuéntame de Valleytainment', '¿Dónde están ubicados?'],
+        '#services': ['¿Qué servicios ofrecen?', '¿Cuánto cuesta?'],
+        '#team': ['¿Quién está en el equipo?', '¿Cómo puedo colaborar?'],
+        '#recording-artists': ['¿Quiénes son sus artistas?', 'Últimos lanzamientos'],
+        '#interactive': ['¿Cómo funciona el generador de imágenes?', 'Próximos eventos'],
+        '#idea-form': ['¿Cómo envío una idea?', 'Hablar con una persona']
+      },
+      intents: {
+        about: ['¿Qué servicios ofrecen?', '¿Quién está en el equipo?'],
+        services: ['¿Cuánto cuesta?', 'Reservar una sesión'],
+        pricing: ['¿Qué servicios ofrecen?', 'Reservar una sesión'],
+        booking: ['¿Cuál es su horario?', '¿Dónde están ubicados?'],
+        contact: ['¿Cuál es su horario?', 'Hablar con una persona'],
+        location: ['¿Cuál es su horario?', '¿Cómo los contacto?'],
+        hours: ['¿Dónde están ubicados?', 'Reservar una sesión'],
+        team: ['¿Quiénes son sus artistas?', '¿Cómo puedo colaborar?'],
+        artists: ['Nuevos lanzamientos', 'Próximos álbumes', 'El estudio', 'Productores musicales'],
+        events: ['Entradas para eventos', 'Cartel del festival', 'Detalles del lugar', 'Eventos pasados'],
+        collaborate: ['Cómo enviar una propuesta', 'Qué incluir en tu portafolio', 'Tipos de colaboración', 'Casos de éxito'],
+        merch: ['Ediciones limitadas', 'Envíos', 'Guía de tallas', 'Novedades'],
+        social: ['Nuevos lanzamientos', 'Próximos eventos'],
+        support: ['Hablar con una persona', '¿Cómo los contacto?']
+      }
+    }
+  }
+};
+
+/**
+ * ValleySuggestions Class
+ * Chooses suggestion chips from the conversation and the page
+ */
+class ValleySuggestions {
+  /**
+   * @param {Object} config - Overrides for CHATBOT_SUGGESTIONS
+   */
+  constructor(config = {}) {
+    // Configuration
+    this.config = {
+      ...ValleySuggestions.DEFAULT_SUGGESTIONS,
+      ...config,
+      limits: { ...ValleySuggestions.DEFAULT_SUGGESTIONS.limits, ...config.limits }
+    };
+
+    // State
+    this.section = null; // selector of the section on screen
+    this.observer = null;
+  }
+
+  /**
+   * Watch which configured section is on screen
+   * @param {Function} onChange - Called with the selector (or null) when the visible section changes
+   * @param {Document|HTMLElement} root - Where to look for the sections
+   * @returns {boolean} - Whether sections are being watched
+   */
+  observeSections(onChange, root = document) {
+    if (typeof IntersectionObserver === 'undefined') return false;
+
+    const visible = new Set();
+    const sections = Object.keys(this.config.sections)
+      .map(selector => ({ selector, element: root.querySelector(selector) }))
+      .filter(section => section.element);
+
+    if (!sections.length) return false;
+
+    // Only a band across the middle of the screen is watched, so tall sections count as much as short ones
+    this.observer = new IntersectionObserver(entries => {
+      entries.forEach(entry => {
+        if (entry.isIntersecting) {
+          visible.add(entry.target);
+        } else {
+          visible.delete(entry.target);
+        }
+      });
+
+      const current = sections.find(section => visible.has(section.element));
+      const selector = current ? current.selector : null;
+
+      if (selector !== this.section) {
+        this.section = selector;
+        onChange(selector);
+      }
+    }, { rootMargin: this.config.sectionMargin });
+
+    sections.forEach(section => this.observer.observe(section.element));
+    return true;
+  }
+
+  /**
+   * Stop watching sections
+   */
+  disconnect() {
+    if (this.observer) {
+      this.observer.disconnect();
+      this.observer = null;
+    }
+  }
+
+  /**
+   * Pick the chips for the current state
+   * @param {Object} state - { intent, lastAnswer, section, slotSuggestions, defaults, language }
+   *   `slotSuggestions` are example answers while a lead request is being filled in; they replace everything else
+   * @returns {Array<string>} - Chip labels, at most maxChips
+   */
+  getSuggestions({ intent = null, lastAnswer = '', section = this.section, slotSuggestions = null, defaults = [], language = 'en' } = {}) {
+    if (slotSuggestions) {
+      return slotSuggestions.slice(0, this.config.maxChips);
+    }
+
+    const { limits } = this.config;
+    const chips = [];
+    const add = (labels, limit = Infinity) => {
+      let added = 0;
+      labels.forEach(label => {
+        const key = ValleySuggestions.normalize(label);
+        if (added < limit && chips.length < this.config.maxChips && !chips.some(chip => ValleySuggestions.normalize(chip) === key)) {
+          chips.push(label);
+          added++;
+        }
+      });
+    };
+
+    add(this.getFollowUps(lastAnswer, language), limits.followUps);
+    add(this.getLocalized('intents', language)[intent] || [], limits.intent);
+    add(this.getLocalized('sections', language)[section] || [], limits.section);
+    add(defaults);
+
+    return chips;
+  }
+
+  /**
+   * Get follow-ups from a bot answer
+   * Short list items and bold phrases become "Tell me more about ..."; short questions are kept as they are
+   * @param {string} answer - Bot answer (Markdown)
+   * @param {string} language - Language code
+   * @returns {Array<string>} - Follow-up chips, in the order they appear
+   */
+  getFollowUps(answer, language = 'en') {
+    if (!answer) return [];
+
+    const template = this.getLocalized('followUpTemplate', language);
+    const topics = [];
+
+    String(answer).split('\n').forEach(line => {
+      const item = line.match(/^\s*(?:[-*•]|\d+[.)])\s+(.+)$/);
+      const bold = line.match(/\*\*([^*]+)\*\*/g) || [];
+
+      // A list item that starts with a bold phrase is about that phrase
+      const phrases = item && !/^\*\*/.test(item[1]) ? [item[1]] : bold.map(phrase => phrase.slice(2, -2));
+      phrases.forEach(phrase => topics.push(ValleySuggestions.cleanTopic(phrase)));
+    });
+
+    return topics
+      .filter(topic => topic && topic.length <= this.config.followUpLength)
+      .map(topic => (/[?？]$/.test(topic) ? topic : template.replace('{topic}', topic)));
+  }
+
+  /**
+   * Get a setting in the visitor's language
+   * @param {string} key - 'sections', 'intents' or 'followUpTemplate'
+   * @param {string} language - Language code
+   * @returns {*} - Translated setting, merged over English
+   */
+  getLocalized(key, language) {
+    const translation = (this.config.translations[language] || {})[key];
+
+    if (typeof this.config[key] === 'string') {
+      return translation || this.config[key];
+    }
+
+    return { ...this.config[key], ...translation };
+  }
+
+  /**
+   * Strip Markdown, links and emoji from a topic
+   * @param {string} text - List item or bold phrase
+   * @returns {string} - Plain topic text
+   */
+  static cleanTopic(text) {
+    return String(text)
+      .replace(/\[([^\]]+)\]\([^)]*\)/g, '$1') // links keep their text
+      .replace(/[*_`~#>]/g, '')
+      .replace(/[\u{1F300}-\u{1FAFF}\u{2600}-\u{27BF}\uFE0F]/gu, '')
+      .replace(/[\s:;,.!—–-]+$/, '')
+      .replace(/\s+/g, ' ')
+      .trim();
+  }
+
+  /**
+   * Lowercase text and strip accents and punctuation, for comparing chips
+   * @param {string} text - Chip label
+   * @returns {string} - Normalized text
+   */
+  static normalize(text) {
+    return String(text || '')
+      .toLowerCase()
+      .normalize('NFD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .replace(/[^\p{L}\p{N}]+/gu, ' ')
+      .trim();
+  }
+}
+
+ValleySuggestions.DEFAULT_SUGGESTIONS = CHATBOT_SUGGESTIONS;
+
+// Export ValleySuggestions class for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ValleySuggestions;
+}
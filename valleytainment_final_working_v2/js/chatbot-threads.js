@@ -0,0 +1,394 @@
+/**
+ * =====================================================================
+ * | VALLEYTAINMENT PRODUCTIONS - CHATBOT CONVERSATIONS                |
+ * | Version: 1.0.0                                                    |
+ * | Last Updated: October 19, 2026                                    |
+ * =====================================================================
+ * | This file stores ValleyBot conversations (threads) in IndexedDB,  |
+ * | searches across them and exports them as Markdown, JSON or text.  |
+ * | Browsers without IndexedDB (some private modes) fall back to      |
+ * | localStorage.                                                     |
+ * =====================================================================
+ */
+
+// Conversation storage settings - Edit these values to change where and how much is kept
+const CHATBOT_THREADS_CONFIG = {
+  dbName: 'valleybot',
+  storeName: 'threads',
+  activeKey: 'valleybot_active_thread', // localStorage key for the open conversation
+  fallbackKey: 'valleybot_threads', // localStorage key used when IndexedDB is unavailable
+  maxThreads: 50, // oldest conversations are deleted beyond this
+  titleLength: 40, // characters of the first question used as a default title
+  snippetLength: 80 // characters shown around a search match
+};
+
+// Export formats - file extension and MIME type for each
+const CHATBOT_EXPORT_FORMATS = {
+  md: { label: 'Markdown', mimeType: 'text/markdown' },
+  json: { label: 'JSON', mimeType: 'application/json' },
+  txt: { label: 'Plain text', mimeType: 'text/plain' }
+};
+
+/**
+ * ValleyThreads Class
+ * Conversation storage, search and export for ValleyBot
+ *
+ * A thread is `{ id, title, createdAt, updatedAt, messages, leadCapture, handoff }`.
+ * `messages` are ValleyBot chat history entries; `title` is null until the visitor renames it.
+ */
+class ValleyThreads {
+  /**
+   * @param {Object} config - Overrides for CHATBOT_THREADS_CONFIG
+   */
+  constructor(config = {}) {
+    // Configuration
+    this.config = {
+      ...CHATBOT_THREADS_CONFIG,
+      ...config
+    };
+
+    // State
+    this.dbPromise = null;
+  }
+
+  /**
+   * Open the database
+   * @returns {Promise<IDBDatabase|null>} - Database, or null when IndexedDB is unavailable
+   */
+  open() {
+    if (this.dbPromise) return this.dbPromise;
+
+    this.dbPromise = new Promise(resolve => {
+      if (typeof indexedDB === 'undefined') {
+        resolve(null);
+        return;
+      }
+
+      const request = indexedDB.open(this.config.dbName, 1);
+
+      request.onupgradeneeded = () => {
+        request.result.createObjectStore(this.config.storeName, { keyPath: 'id' });
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        console.warn('IndexedDB unavailable, storing conversations in localStorage:', request.error);
+        resolve(null);
+      };
+    });
+
+    return this.dbPromise;
+  }
+
+  /**
+   * Run a request against the thread store
+   * @param {IDBDatabase} db - Open database
+   * @param {string} mode - 'readonly' or 'readwrite'
+   * @param {Function} action - Called with the object store; returns an IDBRequest
+   * @returns {Promise<*>} - The request's result once the transaction completes
+   */
+  request(db, mode, action) {
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(this.config.storeName, mode);
+      const request = action(transaction.objectStore(this.config.storeName));
+
+      transaction.oncomplete = () => resolve(request.result);
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+    });
+  }
+
+  /**
+   * Read the localStorage fallback
+   * @returns {Object} - Threads by id
+   */
+  readFallback() {
+    try {
+      return JSON.parse(localStorage.getItem(this.config.fallbackKey)) || {};
+    } catch (error) {
+      console.warn('Error reading conversations:', error);
+      return {};
+    }
+  }
+
+  /**
+   * Write the localStorage fallback
+   * @param {Object} threads - Threads by id
+   */
+  writeFallback(threads) {
+    localStorage.setItem(this.config.fallbackKey, JSON.stringify(threads));
+  }
+
+  /**
+   * List all threads
+   * @returns {Promise<Array<Object>>} - Threads, most recently updated first
+   */
+  async list() {
+    const db = await this.open();
+    const threads = db
+      ? await this.request(db, 'readonly', store => store.getAll())
+      : Object.values(this.readFallback());
+
+    return threads.sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+  }
+
+  /**
+   * Get a thread
+   * @param {string} id - Thread id
+   * @returns {Promise<Object|null>} - Thread, or null if it doesn't exist
+   */
+  async get(id) {
+    const db = await this.open();
+    const thread = db
+      ? await this.request(db, 'readonly', store => store.get(id))
+      : this.readFallback()[id];
+
+    return thread || null;
+  }
+
+  /**
+   * Save a thread
+   * @param {Object} thread - Thread to store (replaces any thread with the same id)
+   */
+  async save(thread) {
+    const db = await this.open();
+
+    if (db) {
+      await this.request(db, 'readwrite', store => store.put(thread));
+      return;
+    }
+
+    const threads = this.readFallback();
+    threads[thread.id] = thread;
+    this.writeFallback(threads);
+  }
+
+  /**
+   * Delete a thread
+   * @param {string} id - Thread id
+   */
+  async delete(id) {
+    const db = await this.open();
+
+    if (db) {
+      await this.request(db, 'readwrite', store => store.delete(id));
+    } else {
+      const threads = this.readFallback();
+      delete threads[id];
+      this.writeFallback(threads);
+    }
+
+    if (this.getActiveId() === id) {
+      this.setActiveId(null);
+    }
+  }
+
+  /**
+   * Delete the oldest threads beyond maxThreads
+   * @param {string} keepId - Thread that's never deleted (the open one)
+   */
+  async prune(keepId = null) {
+    const threads = await this.list();
+    const limit = keepId ? this.config.maxThreads - 1 : this.config.maxThreads;
+    const extra = threads.filter(thread => thread.id !== keepId).slice(limit);
+
+    for (const thread of extra) {
+      await this.delete(thread.id);
+    }
+  }
+
+  /**
+   * Get the open thread's id
+   * @returns {string|null}
+   */
+  getActiveId() {
+    try {
+      return localStorage.getItem(this.config.activeKey);
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Remember the open thread
+   * @param {string|null} id - Thread id, or null to forget it
+   */
+  setActiveId(id) {
+    try {
+      if (id) {
+        localStorage.setItem(this.config.activeKey, id);
+      } else {
+        localStorage.removeItem(this.config.activeKey);
+      }
+    } catch (error) {
+      console.warn('Error saving the open conversation:', error);
+    }
+  }
+
+  /**
+   * Search threads
+   * A message matches when it contains every word of the query (accents and case are ignored);
+   * a thread whose title matches but no message does is listed once
+   * @param {Array<Object>} threads - Threads from list()
+   * @param {string} query - Search text
+   * @returns {Array<Object>} - { thread, message, snippet } per match, newest thread first
+   */
+  search(threads, query) {
+    const terms = ValleyThreads.normalize(query).split(/\s+/).filter(Boolean);
+    if (!terms.length) return [];
+
+    const matches = text => terms.every(term => ValleyThreads.normalize(text).includes(term));
+    const results = [];
+
+    threads.forEach(thread => {
+      const messages = thread.messages.filter(message => matches(message.content));
+
+      if (messages.length) {
+        messages.forEach(message => {
+          results.push({ thread, message, snippet: this.getSnippet(message.content, terms) });
+        });
+      } else if (matches(this.getTitle(thread))) {
+        results.push({ thread, message: null, snippet: '' });
+      }
+    });
+
+    return results;
+  }
+
+  /**
+   * Cut a snippet around the first search match
+   * @param {string} content - Message text
+   * @param {Array<string>} terms - Normalized search words
+   * @returns {string} - Snippet, with an ellipsis where text was cut
+   */
+  getSnippet(content, terms) {
+    const text = String(content).replace(/\s+/g, ' ');
+    const normalized = ValleyThreads.normalize(text);
+    const positions = terms.map(term => normalized.indexOf(term)).filter(position => position !== -1);
+    const index = positions.length ? Math.min(...positions) : 0;
+    const start = Math.max(0, index - Math.floor(this.config.snippetLength / 3));
+    const end = Math.min(text.length, start + this.config.snippetLength);
+
+    return `${start > 0 ? '…' : ''}${text.slice(start, end)}${end < text.length ? '…' : ''}`;
+  }
+
+  /**
+   * Get a thread's title
+   * @param {Object} thread - Thread
+   * @param {string} fallback - Title for threads with no questions yet
+   * @returns {string} - The visitor's title, or their first question
+   */
+  getTitle(thread, fallback = 'New chat') {
+    if (thread.title) return thread.title;
+
+    const question = thread.messages.find(message => message.role === 'user');
+    if (!question) return fallback;
+
+    const text = question.content.replace(/\s+/g, ' ').trim();
+    return text.length > this.config.titleLength ? `${text.slice(0, this.config.titleLength).trim()}…` : text;
+  }
+
+  /**
+   * Export a thread
+   * @param {Object} thread - Thread
+   * @param {string} format - 'md', 'json' or 'txt'
+   * @param {string} botName - Name shown for bot messages
+   * @returns {Object} - { content, filename, mimeType }
+   */
+  export(thread, format, botName = 'ValleyBot') {
+    const title = this.getTitle(thread);
+    const author = message => (message.role === 'user' ? 'You' : botName);
+    let content;
+
+    switch (format) {
+      case 'json':
+        content = JSON.stringify({
+          title,
+          createdAt: thread.createdAt,
+          updatedAt: thread.updatedAt,
+          messages: thread.messages.map(({ role, content: text, timestamp }) => ({ role, content: text, timestamp }))
+        }, null, 2);
+        break;
+
+      case 'md':
+        content = `# ${title}\n\n${thread.messages.map(message => {
+          return `**${author(message)}** · ${ValleyThreads.formatDate(message.timestamp)}\n\n${message.content}`;
+        }).join('\n\n---\n\n')}\n`;
+        break;
+
+      case 'txt':
+        content = `${title}\n\n${thread.messages.map(message => {
+          return `[${ValleyThreads.formatDate(message.timestamp)}] ${author(message)}:\n${message.content}`;
+        }).join('\n\n')}\n`;
+        break;
+
+      default:
+        throw new Error(`Unknown export format: ${format}`);
+    }
+
+    const slug = ValleyThreads.normalize(title).replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'conversation';
+
+    return {
+      content,
+      filename: `valleybot-${slug}.${format}`,
+      mimeType: CHATBOT_EXPORT_FORMATS[format].mimeType
+    };
+  }
+
+  /**
+   * Create an empty thread
+   * @returns {Object} - Thread
+   */
+  static createThread() {
+    const now = new Date().toISOString();
+
+    return {
+      id: ValleyThreads.createId(),
+      title: null,
+      createdAt: now,
+      updatedAt: now,
+      messages: [],
+      leadCapture: null,
+      handoff: null
+    };
+  }
+
+  /**
+   * Create a unique id
+   * @returns {string} - Id such as "lz3k8f2a-9x1c"
+   */
+  static createId() {
+    return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`;
+  }
+
+  /**
+   * Format a timestamp for exports
+   * @param {string} timestamp - ISO timestamp
+   * @returns {string} - "2026-10-19 14:05"
+   */
+  static formatDate(timestamp) {
+    const date = new Date(timestamp);
+    if (Number.isNaN(date.getTime())) return '';
+
+    const pad = value => String(value).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())} ${pad(date.getHours())}:${pad(date.getMinutes())}`;
+  }
+
+  /**
+   * Lowercase text and strip accents
+   * @param {string} text - Text
+   * @returns {string} - Normalized text
+   */
+  static normalize(text) {
+    return String(text || '')
+      .toLowerCase()
+      .normalize('NFD')
+      .replace(/[\u0300-\u036f]/g, '');
+  }
+}
+
+ValleyThreads.EXPORT_FORMATS = CHATBOT_EXPORT_FORMATS;
+
+// Export ValleyThreads class for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ValleyThreads;
+}
@@ -0,0 +1,306 @@
+/**
+ * =====================================================================
+ * | VALLEYTAINMENT PRODUCTIONS - CHATBOT VOICE OUTPUT                 |
+ * | Version: 1.0.0                                                    |
+ * | Last Updated: October 19, 2026                                    |
+ * =====================================================================
+ * | This file reads ValleyBot replies aloud with the browser's        |
+ * | speechSynthesis API. It turns rendered replies into plain speech  |
+ * | text, splits long replies into sentences so browsers don't cut    |
+ * | them off, and remembers the visitor's voice settings.             |
+ * =====================================================================
+ */
+
+// Settings the visitor can change; defaults come from CHATBOT_CONFIG.voice
+const CHATBOT_VOICE_SETTINGS = ['speakReplies', 'handsFree', 'voiceName', 'rate', 'pitch'];
+
+/**
+ * ValleyVoice Class
+ * Speech output and persisted voice settings for ValleyBot
+ */
+class ValleyVoice {
+  /**
+   * @param {Object} config - CHATBOT_CONFIG.voice
+   */
+  constructor(config = {}) {
+    // Configuration
+    this.config = {
+      language: 'en-US',
+      speakReplies: false,
+      handsFree: false,
+      voiceName: '',
+      rate: 1,
+      pitch: 1,
+      storageKey: 'valleybot_voice_settings',
+      maxChunkLength: 200, // characters per utterance; some browsers stop long ones after ~15 seconds
+      ...config
+    };
+
+    this.synth = typeof window !== 'undefined' && window.speechSynthesis ? window.speechSynthesis : null;
+
+    // Settings
+    this.settings = {};
+    CHATBOT_VOICE_SETTINGS.forEach(key => {
+      this.settings[key] = this.config[key];
+    });
+    this.loadSettings();
+
+    // State
+    this.queue = 0; // utterances spoken or waiting
+  }
+
+  /**
+   * Whether the browser can speak
+   * @returns {boolean}
+   */
+  isSupported() {
+    return Boolean(this.synth) && typeof SpeechSynthesisUtterance !== 'undefined';
+  }
+
+  /**
+   * Load saved settings
+   */
+  loadSettings() {
+    try {
+      const saved = JSON.parse(localStorage.getItem(this.config.storageKey));
+      if (!saved) return;
+
+      CHATBOT_VOICE_SETTINGS.forEach(key => {
+        if (key in saved) {
+          this.settings[key] = saved[key];
+        }
+      });
+    } catch (error) {
+      console.warn('Error loading voice settings:', error);
+    }
+  }
+
+  /**
+   * Save settings
+   */
+  saveSettings() {
+    try {
+      localStorage.setItem(this.config.storageKey, JSON.stringify(this.settings));
+    } catch (error) {
+      console.warn('Error saving voice settings:', error);
+    }
+  }
+
+  /**
+   * Change and save settings
+   * @param {Object} changes - Settings to change
+   */
+  updateSettings(changes) {
+    CHATBOT_VOICE_SETTINGS.forEach(key => {
+      if (key in changes) {
+        this.settings[key] = changes[key];
+      }
+    });
+
+    // Turning speech off silences the current reply too
+    if (!this.settings.speakReplies && !this.settings.handsFree) {
+      this.stop();
+    }
+
+    this.saveSettings();
+  }
+
+  /**
+   * Whether replies should be read aloud
+   * Hands-free mode always speaks, since the microphone re-arms when speech ends
+   * @returns {boolean}
+   */
+  shouldSpeakReplies() {
+    return this.isSupported() && Boolean(this.settings.speakReplies || this.settings.handsFree);
+  }
+
+  /**
+   * Get the available voices
+   * Voices for the configured language come first
+   * @returns {Array<SpeechSynthesisVoice>} - Voices
+   */
+  getVoices() {
+    if (!this.isSupported()) return [];
+
+    const language = this.config.language.split('-')[0];
+    const matches = voice => voice.lang.toLowerCase().startsWith(language.toLowerCase());
+
+    return [...this.synth.getVoices()].sort((a, b) => matches(b) - matches(a));
+  }
+
+  /**
+   * Call back when the voice list changes
+   * Chrome loads voices after the page, so the list starts out empty there
+   * @param {Function} callback - Called with no arguments
+   */
+  onVoicesChanged(callback) {
+    if (this.isSupported() && this.synth.addEventListener) {
+      this.synth.addEventListener('voiceschanged', callback);
+    }
+  }
+
+  /**
+   * Switch the speech language
+   * Called when ValleyBot follows the visitor into another language
+   * @param {string} language - Locale such as "es-US"
+   */
+  setLanguage(language) {
+    this.config.language = language;
+  }
+
+  /**
+   * Find the voice to speak with
+   * The chosen voice is only used while it speaks the current language, so an
+   * English voice never reads out a Spanish reply.
+   * @returns {SpeechSynthesisVoice|null} - Chosen voice, or null for the browser default
+   */
+  getVoice() {
+    const voices = this.getVoices();
+    const prefix = this.config.language.split('-')[0].toLowerCase();
+    const speaksLanguage = voice => voice.lang.toLowerCase().startsWith(prefix);
+
+    return voices.find(voice => voice.name === this.settings.voiceName && speaksLanguage(voice)) ||
+      voices.find(voice => voice.lang === this.config.language) ||
+      voices.find(speaksLanguage) ||
+      null;
+  }
+
+  /**
+   * Speak a rendered message
+   * @param {string} html - Message as rendered by ValleyBot
+   * @param {Object} options - interrupt (cancel current speech first) and onEnd (called once everything queued has been spoken)
+   * @returns {boolean} - Whether anything was spoken
+   */
+  speak(html, { interrupt = false, onEnd = null } = {}) {
+    if (!this.isSupported()) return false;
+
+    if (interrupt) {
+      this.stop();
+    }
+
+    const chunks = ValleyVoice.splitIntoChunks(ValleyVoice.toSpeechText(html), this.config.maxChunkLength);
+    if (!chunks.length) return false;
+
+    const voice = this.getVoice();
+
+    chunks.forEach(chunk => {
+      const utterance = new SpeechSynthesisUtterance(chunk);
+      utterance.lang = voice ? voice.lang : this.config.language;
+      utterance.voice = voice;
+      utterance.rate = Number(this.settings.rate) || 1;
+      utterance.pitch = Number(this.settings.pitch);
+
+      // onerror also fires for cancelled speech, so the queue count never gets stuck
+      const finish = () => {
+        this.queue = Math.max(0, this.queue - 1);
+        if (this.queue === 0 && onEnd) {
+          onEnd();
+        }
+      };
+      utterance.onend = finish;
+      utterance.onerror = finish;
+
+      this.queue++;
+      this.synth.speak(utterance);
+    });
+
+    return true;
+  }
+
+  /**
+   * Stop speaking and clear the queue
+   */
+  stop() {
+    if (!this.isSupported()) return;
+
+    this.synth.cancel();
+    this.queue = 0;
+  }
+
+  /**
+   * Whether speech is playing or queued
+   * @returns {boolean}
+   */
+  isSpeaking() {
+    return this.queue > 0;
+  }
+
+  /**
+   * Convert a rendered message to speech text
+   * Web links are dropped; email and phone links keep their text. Emoji and
+   * leftover markdown are removed.
+   * @param {string} html - Message as rendered by ValleyBot
+   * @returns {string} - Plain text to speak
+   */
+  static toSpeechText(html) {
+    const entities = { amp: '&', lt: '<', gt: '>', quot: '"', '#39': '\'', nbsp: ' ' };
+
+    return String(html)
+      .replace(/<a\s[^>]*href="https?:[^"]*"[^>]*>[\s\S]*?<\/a>/gi, '')
+      .replace(/<br\s*\/?>|<\/(p|li|h[1-6]|div)>/gi, '. ')
+      .replace(/<[^>]+>/g, '')
+      .replace(/&(amp|lt|gt|quot|#39|nbsp);/g, (match, name) => entities[name])
+      .replace(/\[([^\]]*)\]\([^)\s]*\)?/g, '$1')
+      .replace(/https?:\/\/\S+/g, '')
+      .replace(/[\p{Extended_Pictographic}\u{1F1E6}-\u{1F1FF}\u{1F3FB}-\u{1F3FF}\u200D\uFE0F\u20E3]/gu, '')
+      .replace(/:[a-z_]+:/g, '')
+      .replace(/^\s*(#{1,6}|[-*+>])\s+/gm, '')
+      .replace(/[*_`~#]+/g, '')
+      .replace(/\(\s*\)/g, '')
+      .replace(/\s*\n+\s*/g, '. ')
+      .replace(/\s+([.,!?;:])/g, '$1')
+      .replace(/([.!?])[.\s]+(?=\S)/g, '$1 ')
+      .replace(/\s{2,}/g, ' ')
+      .replace(/^[\s.,;:]+|[\s,;:]+$/g, '')
+      .trim();
+  }
+
+  /**
+   * Split speech text into utterance-sized chunks at sentence boundaries
+   * @param {string} text - Speech text
+   * @param {number} maxLength - Maximum characters per chunk
+   * @returns {Array<string>} - Chunks
+   */
+  static splitIntoChunks(text, maxLength = 200) {
+    // Only punctuation followed by a space ends a sentence, so "valleytainment.com" stays whole
+    const sentences = text.split(/(?<=[.!?])\s+/);
+    const chunks = [];
+    let current = '';
+
+    sentences.forEach(sentence => {
+      const trimmed = sentence.trim();
+      if (!trimmed) return;
+
+      if (current && (current.length + trimmed.length + 1) > maxLength) {
+        chunks.push(current);
+        current = '';
+      }
+
+      // A single sentence longer than the limit is split at word boundaries
+      if (trimmed.length > maxLength) {
+        const words = trimmed.split(' ');
+        words.forEach(word => {
+          if (current && (current.length + word.length + 1) > maxLength) {
+            chunks.push(current);
+            current = '';
+          }
+          current = current ? `${current} ${word}` : word;
+        });
+        return;
+      }
+
+      current = current ? `${current} ${trimmed}` : trimmed;
+    });
+
+    if (current) {
+      chunks.push(current);
+    }
+
+    return chunks;
+  }
+}
+
+// Export ValleyVoice class for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ValleyVoice;
+}
@@ -0,0 +1,742 @@
+/**
+ * =====================================================================
+ * | VALLEYTAINMENT PRODUCTIONS - BRAND KIT COMPOSITOR                 |
+ * | Version: 1.0.0                                                    |
+ * | Last Updated: October 19, 2026                                    |
+ * =====================================================================
+ * | This file brands generated images in the image generator. It lays |
+ * | the official logo, artist names, event dates and social handles   |
+ * | over the chosen image using template layouts, lets the text be    |
+ * | dragged into place, and exports PNGs sized for social media.      |
+ * | Designs (flyers and covers) also write the prompt for the         |
+ * | background and export print-ready PNGs and PDFs.                  |
+ * =====================================================================
+ */
+
+// Configuration object - Edit these values to customize the brand kit
+const BRAND_KIT_CONFIG = {
+  logo: '/images/logo.png',
+  font: "'Montserrat', Arial, sans-serif",
+  colors: {
+    background: '#121212', // behind images that don't fill the format
+    text: '#ffffff',
+    primary: '#ff00aa',
+    secondary: '#3eff00',
+    accent: '#00c3ff',
+    shadow: 'rgba(0, 0, 0, 0.7)'
+  },
+  previewSize: 600, // longest side of the preview canvas, in pixels
+  storageKey: 'valleytainment_brand_kit', // remembers the fields, design, template and format
+  defaultTemplate: 'event',
+  defaultFormat: 'square',
+  backgroundSize: 1024, // longest side of a design's generated background; exports scale it up
+  pdfQuality: 0.95, // JPEG quality of the image in PDFs
+
+  // Export sizes. `dpi` sets the page size of PDFs (pixels / dpi = inches)
+  formats: {
+    square: { name: 'Square (1080×1080)', width: 1080, height: 1080, dpi: 72 },
+    story: { name: 'Story (1080×1920)', width: 1080, height: 1920, dpi: 72 },
+    banner: { name: 'Banner (1500×500)', width: 1500, height: 500, dpi: 72 },
+    cover: { name: 'Cover (3000×3000)', width: 3000, height: 3000, dpi: 300 },
+    flyer: { name: 'Flyer (8.5×11 in)', width: 2550, height: 3300, dpi: 300 }
+  },
+
+  // Template mode. A design writes the prompt from its fields ({title} etc.), fills in the
+  // generator's form with it, and brands the background with its layout at its format
+  designs: [
+    {
+      id: 'flyer',
+      name: 'Event Flyer',
+      template: 'flyer',
+      format: 'flyer',
+      fields: ['title', 'artist', 'date', 'venue', 'price', 'handle'],
+      prompt: 'event flyer background for "{title}", nightlife, stage lights, crowd silhouettes, open space at the top and bottom'
+    },
+    {
+      id: 'single',
+      name: 'Single Cover',
+      template: 'single',
+      format: 'cover',
+      fields: ['title', 'artist'],
+      prompt: 'single cover art for the song "{title}", one striking central subject, album artwork'
+    },
+    {
+      id: 'mixtape',
+      name: 'Mixtape Cover',
+      template: 'mixtape',
+      format: 'cover',
+      fields: ['title', 'artist', 'date'],
+      prompt: 'mixtape cover art for "{title}", street culture, gritty texture, bold composition'
+    }
+  ],
+  // Models draw garbled lettering; the typography is added afterwards instead
+  designNegativePrompt: 'text, letters, words, typography, watermark, logo, blurry, low quality',
+
+  // Layouts. Positions are fractions of the format's width (x) and height (y), so each
+  // template fits every format; `size` is a fraction of the format's shorter side.
+  // Text is centered on its position unless `align` is "left" or "right".
+  templates: [
+    {
+      id: 'event',
+      name: 'Event',
+      shade: 'bottom', // darkens behind the text so it stays readable: "bottom", "both" (top too) or "none"
+      layers: [
+        { type: 'logo', x: 0.5, y: 0.12, size: 0.24 },
+        { type: 'text', field: 'artist', x: 0.5, y: 0.68, size: 0.11, color: 'text', uppercase: true, maxLines: 2 },
+        { type: 'text', field: 'date', x: 0.5, y: 0.82, size: 0.055, color: 'secondary', uppercase: true },
+        { type: 'text', field: 'handle', x: 0.5, y: 0.92, size: 0.04, color: 'accent' }
+      ]
+    },
+    {
+      id: 'release',
+      name: 'New Release',
+      shade: 'bottom',
+      layers: [
+        { type: 'logo', x: 0.14, y: 0.1, size: 0.18 },
+        { type: 'text', field: 'handle', x: 0.95, y: 0.08, size: 0.035, color: 'accent', align: 'right' },
+        { type: 'text', field: 'artist', x: 0.06, y: 0.76, size: 0.1, color: 'text', align: 'left', maxLines: 2 },
+        { type: 'text', field: 'date', x: 0.06, y: 0.88, size: 0.05, color: 'primary', align: 'left', uppercase: true }
+      ]
+    },
+    {
+      id: 'signature',
+      name: 'Logo & Handle',
+      shade: 'none',
+      layers: [
+        { type: 'logo', x: 0.88, y: 0.88, size: 0.14 },
+        { type: 'text', field: 'handle', x: 0.05, y: 0.92, size: 0.04, color: 'text', align: 'left' }
+      ]
+    },
+    {
+      id: 'flyer',
+      name: 'Event Flyer',
+      shade: 'both',
+      layers: [
+        { type: 'logo', x: 0.13, y: 0.07, size: 0.16 },
+        { type: 'text', field: 'title', x: 0.5, y: 0.22, size: 0.14, color: 'text', uppercase: true, maxLines: 2 },
+        { type: 'text', field: 'artist', x: 0.5, y: 0.66, size: 0.075, color: 'primary', uppercase: true, maxLines: 2 },
+        { type: 'text', field: 'date', x: 0.5, y: 0.77, size: 0.055, color: 'secondary', uppercase: true },
+        { type: 'text', field: 'venue', x: 0.5, y: 0.84, size: 0.045, color: 'text', maxLines: 2 },
+        { type: 'text', field: 'price', x: 0.5, y: 0.91, size: 0.045, color: 'accent', uppercase: true },
+        { type: 'text', field: 'handle', x: 0.95, y: 0.97, size: 0.03, color: 'text', align: 'right' }
+      ]
+    },
+    {
+      id: 'single',
+      name: 'Single Cover',
+      shade: 'both',
+      layers: [
+        { type: 'text', field: 'artist', x: 0.5, y: 0.1, size: 0.06, color: 'text', uppercase: true },
+        { type: 'text', field: 'title', x: 0.5, y: 0.85, size: 0.11, color: 'text', uppercase: true, maxLines: 2 },
+        { type: 'logo', x: 0.92, y: 0.94, size: 0.09 }
+      ]
+    },
+    {
+      id: 'mixtape',
+      name: 'Mixtape Cover',
+      shade: 'both',
+      layers: [
+        { type: 'text', field: 'title', x: 0.06, y: 0.15, size: 0.13, color: 'primary', align: 'left', uppercase: true, maxLines: 2 },
+        { type: 'text', field: 'artist', x: 0.06, y: 0.31, size: 0.06, color: 'text', align: 'left', uppercase: true },
+        { type: 'text', field: 'date', x: 0.94, y: 0.93, size: 0.04, color: 'secondary', align: 'right', uppercase: true },
+        { type: 'logo', x: 0.1, y: 0.9, size: 0.14 }
+      ]
+    }
+  ]
+};
+
+/**
+ * ValleyImageCompositor Class
+ * Brand kit overlays for ValleyImageGenerator, drawn with its canvas helpers
+ */
+class ValleyImageCompositor {
+  /**
+   * @param {ValleyImageGenerator} generator - Generator whose images are branded
+   * @param {Object} config - BRAND_KIT_CONFIG
+   */
+  constructor(generator, config = BRAND_KIT_CONFIG) {
+    // Configuration
+    this.generator = generator;
+    this.config = config;
+
+    // State
+    this.image = null; // the image being branded, decoded
+    this.pendingUrl = null; // the image being loaded to brand
+    this.logo = null;
+    this.designId = ''; // flyer or cover being made, or none
+    this.templateId = config.defaultTemplate;
+    this.formatId = config.defaultFormat;
+    this.fields = { title: '', artist: '', date: '', venue: '', price: '', handle: '' };
+    this.showLogo = true;
+    this.positions = {}; // dragged layers, by field or "logo": { x, y }
+    this.bounds = []; // where each layer is on the preview, for dragging
+    this.dragging = null;
+
+    // Elements
+    this.canvas = document.getElementById('brand-canvas');
+    this.designSelect = document.getElementById('brand-design');
+    this.generateButton = document.getElementById('brand-generate-btn');
+    this.templateSelect = document.getElementById('brand-template');
+    this.formatSelect = document.getElementById('brand-format');
+    this.logoToggle = document.getElementById('brand-logo');
+    this.status = document.getElementById('brand-status');
+    this.fieldInputs = document.querySelectorAll('[data-brand-field]');
+    this.exportButtons = document.querySelectorAll('[data-brand-export]');
+
+    this.loadSettings();
+    this.initializeControls();
+    this.bindEvents();
+    this.loadLogo();
+  }
+
+  /**
+   * Fill the design, template and format lists and the fields
+   */
+  initializeControls() {
+    if (this.designSelect) {
+      this.designSelect.innerHTML = '';
+      this.designSelect.appendChild(new Option('None (free layout)', '', false, !this.designId));
+      this.config.designs.forEach(design => {
+        this.designSelect.appendChild(new Option(design.name, design.id, false, design.id === this.designId));
+      });
+    }
+
+    if (this.templateSelect) {
+      this.templateSelect.innerHTML = '';
+      this.config.templates.forEach(template => {
+        this.templateSelect.appendChild(new Option(template.name, template.id, false, template.id === this.templateId));
+      });
+    }
+
+    if (this.formatSelect) {
+      this.formatSelect.innerHTML = '';
+      Object.entries(this.config.formats).forEach(([id, format]) => {
+        this.formatSelect.appendChild(new Option(format.name, id, false, id === this.formatId));
+      });
+    }
+
+    this.fieldInputs.forEach(input => {
+      input.value = this.fields[input.dataset.brandField] || '';
+    });
+
+    if (this.logoToggle) {
+      this.logoToggle.checked = this.showLogo;
+    }
+
+    this.updateDesignControls();
+  }
+
+  /**
+   * Show the fields the chosen design uses, or all of them without one
+   */
+  updateDesignControls() {
+    const design = this.getDesign();
+
+    this.fieldInputs.forEach(input => {
+      input.hidden = Boolean(design) && !design.fields.includes(input.dataset.brandField);
+    });
+
+    if (this.generateButton) {
+      this.generateButton.disabled = !design;
+    }
+  }
+
+  /**
+   * Bind control and drag events
+   */
+  bindEvents() {
+    if (this.designSelect) {
+      this.designSelect.addEventListener('change', () => {
+        this.setDesign(this.designSelect.value);
+      });
+    }
+
+    if (this.generateButton) {
+      this.generateButton.addEventListener('click', () => {
+        this.generateDesign();
+      });
+    }
+
+    if (this.templateSelect) {
+      this.templateSelect.addEventListener('change', () => {
+        this.templateId = this.templateSelect.value;
+        this.positions = {};
+        this.update();
+      });
+    }
+
+    if (this.formatSelect) {
+      this.formatSelect.addEventListener('change', () => {
+        this.formatId = this.formatSelect.value;
+        this.update();
+      });
+    }
+
+    this.fieldInputs.forEach(input => {
+      input.addEventListener('input', () => {
+        this.fields[input.dataset.brandField] = input.value.trim();
+        this.update();
+      });
+    });
+
+    if (this.logoToggle) {
+      this.logoToggle.addEventListener('change', () => {
+        this.showLogo = this.logoToggle.checked;
+        this.update();
+      });
+    }
+
+    this.exportButtons.forEach(button => {
+      button.addEventListener('click', () => {
+        this.exportImage(button.dataset.brandExport || this.formatId, button.dataset.brandType);
+      });
+    });
+
+    if (!this.canvas) return;
+
+    // Layers are dragged by pointer, so a mouse, pen or finger works
+    this.canvas.style.touchAction = 'none';
+
+    this.canvas.addEventListener('pointerdown', (e) => {
+      const point = this.getPoint(e);
+      const bound = this.findLayer(point);
+      if (!bound) return;
+
+      this.canvas.setPointerCapture(e.pointerId);
+      this.dragging = { key: bound.key, offsetX: point.x - bound.x, offsetY: point.y - bound.y };
+    });
+
+    this.canvas.addEventListener('pointermove', (e) => {
+      const point = this.getPoint(e);
+
+      if (!this.dragging) {
+        this.canvas.style.cursor = this.findLayer(point) ? 'move' : 'default';
+        return;
+      }
+
+      this.positions[this.dragging.key] = {
+        x: Math.min(1, Math.max(0, (point.x - this.dragging.offsetX) / this.canvas.width)),
+        y: Math.min(1, Math.max(0, (point.y - this.dragging.offsetY) / this.canvas.height))
+      };
+      this.renderPreview();
+    });
+
+    ['pointerup', 'pointercancel'].forEach(type => {
+      this.canvas.addEventListener(type, () => {
+        if (!this.dragging) return;
+
+        this.dragging = null;
+        this.renderPreview();
+      });
+    });
+  }
+
+  /**
+   * Load the logo
+   * Branding works without it if it's missing
+   */
+  async loadLogo() {
+    const logo = new Image();
+
+    try {
+      logo.src = this.config.logo;
+      await logo.decode();
+      this.logo = logo;
+    } catch (error) {
+      console.warn('Error loading brand logo:', error);
+    }
+
+    this.renderPreview();
+  }
+
+  /**
+   * Brand another image
+   * @param {string} imageUrl - URL of a generated image
+   */
+  async setImage(imageUrl) {
+    const image = new Image();
+    this.pendingUrl = imageUrl;
+
+    try {
+      image.src = imageUrl;
+      await image.decode();
+    } catch (error) {
+      console.warn('Error loading image to brand:', error);
+      return;
+    }
+
+    // Only the latest choice counts if images load out of order
+    if (this.pendingUrl !== imageUrl) return;
+
+    this.image = image;
+    this.renderPreview();
+  }
+
+  /**
+   * Save the settings and redraw after a change
+   */
+  update() {
+    this.saveSettings();
+    this.renderPreview();
+  }
+
+  /**
+   * Get the chosen design
+   * @returns {Object|undefined} - Entry of config.designs
+   */
+  getDesign() {
+    return this.config.designs.find(design => design.id === this.designId);
+  }
+
+  /**
+   * Choose a design, switching to its layout and format
+   * @param {string} designId - Key of config.designs, or "" for none
+   */
+  setDesign(designId) {
+    this.designId = designId;
+    const design = this.getDesign();
+
+    if (design) {
+      this.templateId = design.template;
+      this.formatId = design.format;
+      this.positions = {};
+
+      if (this.templateSelect) this.templateSelect.value = this.templateId;
+      if (this.formatSelect) this.formatSelect.value = this.formatId;
+    }
+
+    this.updateDesignControls();
+    this.update();
+  }
+
+  /**
+   * Write a design's prompt from the fields
+   * @param {Object} design - Entry of config.designs
+   * @returns {string} - Prompt, without the style preset; the generator adds it
+   */
+  buildDesignPrompt(design) {
+    return design.prompt.replace(/\{(\w+)\}/g, (match, field) => this.fields[field] || '');
+  }
+
+  /**
+   * Get the size to generate a design's background at: the format's shape, at most backgroundSize
+   * @param {Object} format - Entry of config.formats
+   * @returns {Object} - { width, height }, multiples of 8
+   */
+  getBackgroundSize(format) {
+    const scale = Math.min(1, this.config.backgroundSize / Math.max(format.width, format.height));
+    const fit = size => Math.round(size * scale / 8) * 8;
+
+    return { width: fit(format.width), height: fit(format.height) };
+  }
+
+  /**
+   * Make the chosen design: fill in the generator's form with its prompt and
+   * size, then generate; the images it makes are branded as they're shown
+   */
+  async generateDesign() {
+    const design = this.getDesign();
+    if (!design) return;
+
+    if (!this.fields.title) {
+      this.setStatus(`Enter a title for the ${design.name.toLowerCase()}.`);
+      return;
+    }
+
+    const size = this.getBackgroundSize(this.config.formats[design.format]);
+    const inputs = {
+      'image-prompt-input': this.buildDesignPrompt(design),
+      'negative-prompt-input': this.config.designNegativePrompt,
+      'image-width-input': size.width,
+      'image-height-input': size.height
+    };
+
+    // The form shows what was asked for, so it can be tweaked and generated again
+    Object.entries(inputs).forEach(([id, value]) => {
+      const input = document.getElementById(id);
+      if (input) input.value = value;
+    });
+
+    const shownUrl = this.pendingUrl;
+    this.setStatus(`Generating the ${design.name.toLowerCase()} background...`);
+    await this.generator.generateImage();
+
+    // The generator shows its own errors
+    this.setStatus(this.pendingUrl !== shownUrl ? `Drag the text to adjust it, then download the ${design.name.toLowerCase()}.` : '');
+  }
+
+  /**
+   * Draw the preview in the chosen format
+   */
+  renderPreview() {
+    if (!this.canvas) return;
+
+    const format = this.config.formats[this.formatId];
+    const scale = Math.min(1, this.config.previewSize / Math.max(format.width, format.height));
+    this.canvas.width = Math.round(format.width * scale);
+    this.canvas.height = Math.round(format.height * scale);
+
+    const ctx = this.canvas.getContext('2d');
+    this.bounds = this.render(ctx, this.canvas.width, this.canvas.height);
+
+    // Outline the layer being dragged
+    const dragged = this.dragging && this.bounds.find(bound => bound.key === this.dragging.key);
+    if (dragged) {
+      ctx.save();
+      ctx.strokeStyle = this.config.colors.accent;
+      ctx.setLineDash([6, 4]);
+      ctx.strokeRect(dragged.left - 4, dragged.top - 4, dragged.width + 8, dragged.height + 8);
+      ctx.restore();
+    }
+  }
+
+  /**
+   * Draw the image with the template's layers
+   * @param {CanvasRenderingContext2D} ctx - Context to draw on
+   * @param {number} width - Canvas width
+   * @param {number} height - Canvas height
+   * @returns {Array<Object>} - Each drawn layer's key, anchor (x, y) and box (left, top, width, height)
+   */
+  render(ctx, width, height) {
+    const template = this.config.templates.find(entry => entry.id === this.templateId) || this.config.templates[0];
+    const colors = this.config.colors;
+    const unit = Math.min(width, height);
+    const bounds = [];
+
+    ctx.fillStyle = colors.background;
+    ctx.fillRect(0, 0, width, height);
+
+    if (this.image) {
+      this.generator.drawCover(ctx, this.image, width, height);
+    }
+
+    if (template.shade === 'bottom' || template.shade === 'both') {
+      const gradient = ctx.createLinearGradient(0, height * 0.45, 0, height);
+      gradient.addColorStop(0, 'rgba(0, 0, 0, 0)');
+      gradient.addColorStop(1, 'rgba(0, 0, 0, 0.75)');
+      ctx.fillStyle = gradient;
+      ctx.fillRect(0, 0, width, height);
+    }
+
+    if (template.shade === 'both') {
+      const gradient = ctx.createLinearGradient(0, 0, 0, height * 0.4);
+      gradient.addColorStop(0, 'rgba(0, 0, 0, 0.6)');
+      gradient.addColorStop(1, 'rgba(0, 0, 0, 0)');
+      ctx.fillStyle = gradient;
+      ctx.fillRect(0, 0, width, height);
+    }
+
+    template.layers.forEach(layer => {
+      const key = layer.field || layer.type;
+      const position = this.positions[key] || layer;
+      const x = position.x * width;
+      const y = position.y * height;
+
+      if (layer.type === 'logo') {
+        if (!this.logo || !this.showLogo) return;
+
+        const logoWidth = layer.size * unit;
+        const logoHeight = logoWidth * this.logo.naturalHeight / this.logo.naturalWidth;
+        ctx.drawImage(this.logo, x - logoWidth / 2, y - logoHeight / 2, logoWidth, logoHeight);
+        bounds.push({ key, x, y, left: x - logoWidth / 2, top: y - logoHeight / 2, width: logoWidth, height: logoHeight });
+        return;
+      }
+
+      const text = this.fields[layer.field];
+      if (!text) return;
+
+      const fontSize = layer.size * unit;
+      const lineHeight = fontSize * 1.15;
+      const align = layer.align || 'center';
+
+      ctx.save();
+      ctx.font = `bold ${fontSize}px ${this.config.font}`;
+      ctx.textAlign = align;
+      ctx.textBaseline = 'middle';
+      ctx.fillStyle = colors[layer.color] || colors.text;
+      ctx.shadowColor = colors.shadow;
+      ctx.shadowBlur = fontSize * 0.3;
+
+      const lines = this.generator.wrapText(ctx, layer.uppercase ? text.toUpperCase() : text, width * 0.9, layer.maxLines || 2);
+      const top = y - (lines.length * lineHeight) / 2;
+      lines.forEach((line, i) => {
+        ctx.fillText(line, x, top + lineHeight * (i + 0.5));
+      });
+
+      const textWidth = Math.max(...lines.map(line => ctx.measureText(line).width));
+      const left = align === 'center' ? x - textWidth / 2 : (align === 'right' ? x - textWidth : x);
+      ctx.restore();
+
+      bounds.push({ key, x, y, left, top, width: textWidth, height: lines.length * lineHeight });
+    });
+
+    return bounds;
+  }
+
+  /**
+   * Find the topmost layer at a point on the preview
+   * @param {Object} point - { x, y } in canvas pixels
+   * @returns {Object|undefined} - Bound from render()
+   */
+  findLayer(point) {
+    return this.bounds.slice().reverse().find(bound => (
+      point.x >= bound.left && point.x <= bound.left + bound.width &&
+      point.y >= bound.top && point.y <= bound.top + bound.height
+    ));
+  }
+
+  /**
+   * Get a pointer position in canvas pixels
+   * @param {PointerEvent} e - Pointer event
+   * @returns {Object} - { x, y }
+   */
+  getPoint(e) {
+    const rect = this.canvas.getBoundingClientRect();
+
+    return {
+      x: (e.clientX - rect.left) * this.canvas.width / rect.width,
+      y: (e.clientY - rect.top) * this.canvas.height / rect.height
+    };
+  }
+
+  /**
+   * Download the branded image at a format's full size
+   * @param {string} formatId - Key of config.formats
+   * @param {string} type - "png", or "pdf" for a one-page PDF at the format's dpi
+   */
+  async exportImage(formatId, type = 'png') {
+    const format = this.config.formats[formatId];
+    if (!format) return;
+
+    if (!this.image) {
+      this.setStatus('Generate or pick an image to brand first.');
+      return;
+    }
+
+    const canvas = document.createElement('canvas');
+    canvas.width = format.width;
+    canvas.height = format.height;
+    this.render(canvas.getContext('2d'), format.width, format.height);
+
+    try {
+      const blob = type === 'pdf'
+        ? this.buildPdf(await this.generator.canvasToBlob(canvas, 'image/jpeg', this.config.pdfQuality), format)
+        : await this.generator.canvasToBlob(canvas);
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `valleytainment-${this.designId || formatId}-${Date.now()}.${type === 'pdf' ? 'pdf' : 'png'}`;
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+
+      // Revoking straight away can cancel the download before the browser has read the file
+      setTimeout(() => URL.revokeObjectURL(url), 1000);
+      this.setStatus(`Downloaded the ${format.name.toLowerCase()} ${type === 'pdf' ? 'PDF' : 'image'}.`);
+    } catch (error) {
+      console.error('Error exporting branded image:', error);
+      this.setStatus('This image comes from another site and can\'t be exported. Generate it again to brand it.');
+    }
+  }
+
+  /**
+   * Build a one-page PDF showing an image edge to edge
+   * @param {Blob} jpeg - JPEG of the page; PDFs can hold JPEGs as they are
+   * @param {Object} format - Entry of config.formats; the page is width / dpi by height / dpi inches
+   * @returns {Blob} - The PDF
+   */
+  buildPdf(jpeg, format) {
+    const pageWidth = +(format.width / format.dpi * 72).toFixed(2);
+    const pageHeight = +(format.height / format.dpi * 72).toFixed(2);
+    const content = `q ${pageWidth} 0 0 ${pageHeight} 0 0 cm /Image Do Q`;
+    const objects = [
+      ['<< /Type /Catalog /Pages 2 0 R >>'],
+      ['<< /Type /Pages /Kids [3 0 R] /Count 1 >>'],
+      [`<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${pageWidth} ${pageHeight}] /Resources << /XObject << /Image 4 0 R >> >> /Contents 5 0 R >>`],
+      [`<< /Type /XObject /Subtype /Image /Width ${format.width} /Height ${format.height} /ColorSpace /DeviceRGB /BitsPerComponent 8 /Filter /DCTDecode /Length ${jpeg.size} >>\nstream\n`, jpeg, '\nendstream'],
+      [`<< /Length ${content.length} >>\nstream\n${content}\nendstream`]
+    ];
+
+    // The cross-reference table needs each object's byte offset; only the JPEG isn't ASCII
+    const parts = ['%PDF-1.4\n'];
+    const offsets = [];
+    let length = parts[0].length;
+
+    objects.forEach((object, i) => {
+      offsets.push(length);
+      [`${i + 1} 0 obj\n`, ...object, '\nendobj\n'].forEach(part => {
+        parts.push(part);
+        length += typeof part === 'string' ? part.length : part.size;
+      });
+    });
+
+    parts.push(
+      `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`,
+      ...offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`),
+      `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${length}\n%%EOF\n`
+    );
+
+    return new Blob(parts, { type: 'application/pdf' });
+  }
+
+  /**
+   * Load the saved fields, design, template and format
+   */
+  loadSettings() {
+    try {
+      const saved = JSON.parse(localStorage.getItem(this.config.storageKey));
+      if (!saved) return;
+
+      const fields = saved.fields || {};
+      Object.keys(this.fields).forEach(field => {
+        if (typeof fields[field] === 'string') {
+          this.fields[field] = fields[field];
+        }
+      });
+
+      if (this.config.designs.some(design => design.id === saved.designId)) {
+        this.designId = saved.designId;
+      }
+
+      if (this.config.templates.some(template => template.id === saved.templateId)) {
+        this.templateId = saved.templateId;
+      }
+
+      if (this.config.formats[saved.formatId]) {
+        this.formatId = saved.formatId;
+      }
+
+      this.showLogo = saved.showLogo !== false;
+    } catch (error) {
+      console.warn('Error loading brand kit settings:', error);
+    }
+  }
+
+  /**
+   * Save the fields, design, template and format
+   */
+  saveSettings() {
+    localStorage.setItem(this.config.storageKey, JSON.stringify({
+      fields: this.fields,
+      designId: this.designId,
+      templateId: this.templateId,
+      formatId: this.formatId,
+      showLogo: this.showLogo
+    }));
+  }
+
+  /**
+   * Show a status message
+   * @param {string} message - Message text
+   */
+  setStatus(message) {
+    if (this.status) {
+      this.status.textContent = message;
+    }
+  }
+}
+
+// Export ValleyImageCompositor class for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ValleyImageCompositor;
+}
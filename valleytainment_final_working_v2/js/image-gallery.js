@@ -0,0 +1,427 @@
+/**
+ * =====================================================================
+ * | VALLEYTAINMENT PRODUCTIONS - IMAGE GALLERY                        |
+ * | Version: 1.0.0                                                    |
+ * | Last Updated: October 19, 2026                                    |
+ * =====================================================================
+ * | This file keeps the image generator's images in IndexedDB, with   |
+ * | the prompt, style, seed, size and provider used to make them, so  |
+ * | they outlast the visit. Images can be tagged, favorited, searched |
+ * | and exported together as a ZIP. Browsers without IndexedDB (some  |
+ * | private modes) keep them for the visit only.                      |
+ * =====================================================================
+ */
+
+// Gallery storage settings - Edit these values to change where and how much is kept
+const IMAGE_GALLERY_CONFIG = {
+  dbName: 'valleytainment-images',
+  storeName: 'images',
+  maxImages: 500, // oldest images that aren't favorites are deleted beyond this
+  maxTagLength: 30,
+  filenameLength: 40 // characters of the prompt used in exported file names
+};
+
+// File extensions for stored image types
+const IMAGE_GALLERY_EXTENSIONS = {
+  'image/png': 'png',
+  'image/jpeg': 'jpg',
+  'image/webp': 'webp'
+};
+
+/**
+ * ValleyImageGallery Class
+ * Image storage, search and ZIP export for ValleyImageGenerator
+ *
+ * An image is `{ id, blob, prompt, style, provider, seed, negativePrompt, steps, guidance, width, height, mode, tags, favorite, timestamp }`.
+ * The settings are the ones the provider was sent: `negativePrompt`, `steps` and `guidance` are null when it
+ * doesn't take them (Pollinations), and `seed` is null for the local placeholder.
+ */
+class ValleyImageGallery {
+  /**
+   * @param {Object} config - Overrides for IMAGE_GALLERY_CONFIG
+   */
+  constructor(config = {}) {
+    // Configuration
+    this.config = {
+      ...IMAGE_GALLERY_CONFIG,
+      ...config
+    };
+
+    // State
+    this.dbPromise = null;
+    this.memory = {}; // images by id when IndexedDB is unavailable
+  }
+
+  /**
+   * Open the database
+   * @returns {Promise<IDBDatabase|null>} - Database, or null when IndexedDB is unavailable
+   */
+  open() {
+    if (this.dbPromise) return this.dbPromise;
+
+    this.dbPromise = new Promise(resolve => {
+      if (typeof indexedDB === 'undefined') {
+        resolve(null);
+        return;
+      }
+
+      const request = indexedDB.open(this.config.dbName, 1);
+
+      request.onupgradeneeded = () => {
+        request.result.createObjectStore(this.config.storeName, { keyPath: 'id' });
+      };
+      request.onsuccess = () => {
+        // Ask the browser not to clear the gallery when space runs low
+        if (typeof navigator !== 'undefined' && navigator.storage && navigator.storage.persist) {
+          navigator.storage.persist().catch(() => {});
+        }
+        resolve(request.result);
+      };
+      request.onerror = () => {
+        console.warn('IndexedDB unavailable, keeping images for this visit only:', request.error);
+        resolve(null);
+      };
+    });
+
+    return this.dbPromise;
+  }
+
+  /**
+   * Run a request against the image store
+   * @param {IDBDatabase} db - Open database
+   * @param {string} mode - 'readonly' or 'readwrite'
+   * @param {Function} action - Called with the object store; returns an IDBRequest
+   * @returns {Promise<*>} - The request's result once the transaction completes
+   */
+  request(db, mode, action) {
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(this.config.storeName, mode);
+      const request = action(transaction.objectStore(this.config.storeName));
+
+      transaction.oncomplete = () => resolve(request.result);
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+    });
+  }
+
+  /**
+   * List all images
+   * @returns {Promise<Array<Object>>} - Images, newest first
+   */
+  async list() {
+    const db = await this.open();
+    const images = db
+      ? await this.request(db, 'readonly', store => store.getAll())
+      : Object.values(this.memory);
+
+    return images.sort((a, b) => b.timestamp.localeCompare(a.timestamp));
+  }
+
+  /**
+   * Get an image
+   * @param {string} id - Image id
+   * @returns {Promise<Object|null>} - Image, or null if it doesn't exist
+   */
+  async get(id) {
+    const db = await this.open();
+    const image = db
+      ? await this.request(db, 'readonly', store => store.get(id))
+      : this.memory[id];
+
+    return image || null;
+  }
+
+  /**
+   * Save an image
+   * @param {Object} image - Image to store (replaces any image with the same id)
+   */
+  async save(image) {
+    const db = await this.open();
+
+    if (db) {
+      await this.request(db, 'readwrite', store => store.put(image));
+    } else {
+      this.memory[image.id] = image;
+    }
+  }
+
+  /**
+   * Add a generated image
+   * @param {Blob} blob - The image
+   * @param {Object} details - prompt, style, provider, seed, negativePrompt, steps, guidance, width, height and mode
+   * @returns {Promise<Object>} - The stored image
+   */
+  async add(blob, details) {
+    const image = {
+      ...details,
+      id: ValleyImageGallery.createId(),
+      blob,
+      tags: [],
+      favorite: false,
+      timestamp: new Date().toISOString()
+    };
+
+    await this.save(image);
+    return image;
+  }
+
+  /**
+   * Change an image's tags or favorite
+   * @param {string} id - Image id
+   * @param {Object} changes - { tags } and/or { favorite }
+   * @returns {Promise<Object|null>} - The updated image, or null if it doesn't exist
+   */
+  async update(id, changes) {
+    const image = await this.get(id);
+    if (!image) return null;
+
+    const updated = { ...image, ...changes };
+    await this.save(updated);
+    return updated;
+  }
+
+  /**
+   * Delete an image
+   * @param {string} id - Image id
+   */
+  async delete(id) {
+    const db = await this.open();
+
+    if (db) {
+      await this.request(db, 'readwrite', store => store.delete(id));
+    } else {
+      delete this.memory[id];
+    }
+  }
+
+  /**
+   * Delete the oldest images beyond maxImages; favorites are never deleted
+   * @returns {Promise<Array<string>>} - Ids of the deleted images
+   */
+  async prune() {
+    const images = await this.list();
+    const favorites = images.filter(image => image.favorite).length;
+    const extra = images.filter(image => !image.favorite).slice(Math.max(0, this.config.maxImages - favorites));
+
+    for (const image of extra) {
+      await this.delete(image.id);
+    }
+
+    return extra.map(image => image.id);
+  }
+
+  /**
+   * Delete every image
+   * @param {boolean} keepFavorites - Leave favorites in place
+   * @returns {Promise<Array<string>>} - Ids of the deleted images
+   */
+  async clear(keepFavorites = true) {
+    const images = (await this.list()).filter(image => !keepFavorites || !image.favorite);
+
+    for (const image of images) {
+      await this.delete(image.id);
+    }
+
+    return images.map(image => image.id);
+  }
+
+  /**
+   * Filter images
+   * The search matches images whose prompt, tags and provider contain every word of the
+   * query (accents and case are ignored)
+   * @param {Array<Object>} images - Images from list()
+   * @param {Object} filter - { query, style, tag, favorites }; empty values match everything
+   * @returns {Array<Object>} - Matching images, in the same order
+   */
+  filter(images, filter = {}) {
+    const terms = ValleyImageGallery.normalize(filter.query).split(/\s+/).filter(Boolean);
+
+    return images.filter(image => {
+      if (filter.favorites && !image.favorite) return false;
+      if (filter.style && image.style !== filter.style) return false;
+      if (filter.tag && !(image.tags || []).includes(filter.tag)) return false;
+
+      const text = ValleyImageGallery.normalize(`${image.prompt || ''} ${(image.tags || []).join(' ')} ${image.provider || ''}`);
+      return terms.every(term => text.includes(term));
+    });
+  }
+
+  /**
+   * Get every tag in use
+   * @param {Array<Object>} images - Images from list()
+   * @returns {Array<string>} - Tags, sorted
+   */
+  getTags(images) {
+    return [...new Set(images.flatMap(image => image.tags || []))].sort();
+  }
+
+  /**
+   * Read tags typed by the user
+   * @param {string} text - Tags, separated by commas
+   * @returns {Array<string>} - Lowercase tags, without duplicates
+   */
+  parseTags(text) {
+    const tags = String(text || '')
+      .split(',')
+      .map(tag => tag.trim().toLowerCase().replace(/\s+/g, ' ').slice(0, this.config.maxTagLength))
+      .filter(Boolean);
+
+    return [...new Set(tags)];
+  }
+
+  /**
+   * Get an image's file name for exports
+   * @param {Object} image - Image
+   * @param {number} index - Position in the export, so names stay unique
+   * @returns {string} - Name such as "001-neon-city-at-night-42.png"
+   */
+  getFilename(image, index) {
+    const slug = ValleyImageGallery.normalize(image.prompt)
+      .replace(/[^a-z0-9]+/g, '-')
+      .slice(0, this.config.filenameLength)
+      .replace(/^-|-$/g, '') || 'image';
+    const seed = image.seed === null || image.seed === undefined ? '' : `-${image.seed}`;
+    const extension = IMAGE_GALLERY_EXTENSIONS[image.blob.type] || 'png';
+
+    return `${String(index + 1).padStart(3, '0')}-${slug}${seed}.${extension}`;
+  }
+
+  /**
+   * Export images as a ZIP
+   * The images are stored as they are (they're already compressed), with gallery.json
+   * listing each file's prompt and settings
+   * @param {Array<Object>} images - Images from list()
+   * @returns {Promise<Blob>} - The ZIP
+   */
+  async exportZip(images) {
+    const encoder = new TextEncoder();
+    const files = [];
+
+    for (const [index, image] of images.entries()) {
+      files.push({
+        name: this.getFilename(image, index),
+        data: new Uint8Array(await image.blob.arrayBuffer()),
+        date: new Date(image.timestamp)
+      });
+    }
+
+    const details = images.map(({ blob, imageUrl, ...image }, index) => ({ file: files[index].name, ...image }));
+    files.push({ name: 'gallery.json', data: encoder.encode(JSON.stringify(details, null, 2)), date: new Date() });
+
+    const parts = [];
+    const directory = [];
+    let offset = 0;
+
+    files.forEach(file => {
+      const name = encoder.encode(file.name);
+      const crc = ValleyImageGallery.crc32(file.data);
+      const { time, date } = ValleyImageGallery.toDosDateTime(file.date);
+
+      // Local file header
+      const header = new DataView(new ArrayBuffer(30));
+      header.setUint32(0, 0x04034b50, true);
+      header.setUint16(4, 20, true); // version needed
+      header.setUint16(6, 0x0800, true); // names are UTF-8
+      header.setUint16(8, 0, true); // stored, not compressed
+      header.setUint16(10, time, true);
+      header.setUint16(12, date, true);
+      header.setUint32(14, crc, true);
+      header.setUint32(18, file.data.length, true);
+      header.setUint32(22, file.data.length, true);
+      header.setUint16(26, name.length, true);
+      header.setUint16(28, 0, true);
+      parts.push(header, name, file.data);
+
+      // Central directory entry
+      const entry = new DataView(new ArrayBuffer(46));
+      entry.setUint32(0, 0x02014b50, true);
+      entry.setUint16(4, 20, true); // version made by
+      entry.setUint16(6, 20, true);
+      entry.setUint16(8, 0x0800, true);
+      entry.setUint16(10, 0, true);
+      entry.setUint16(12, time, true);
+      entry.setUint16(14, date, true);
+      entry.setUint32(16, crc, true);
+      entry.setUint32(20, file.data.length, true);
+      entry.setUint32(24, file.data.length, true);
+      entry.setUint16(28, name.length, true);
+      entry.setUint32(42, offset, true);
+      directory.push(entry, name);
+
+      offset += 30 + name.length + file.data.length;
+    });
+
+    // End of central directory
+    const directorySize = directory.reduce((size, part) => size + part.byteLength, 0);
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054b50, true);
+    end.setUint16(8, files.length, true);
+    end.setUint16(10, files.length, true);
+    end.setUint32(12, directorySize, true);
+    end.setUint32(16, offset, true);
+
+    return new Blob([...parts, ...directory, end], { type: 'application/zip' });
+  }
+
+  /**
+   * Create a unique id
+   * @returns {string} - Id such as "lz3k8f2a-9x1c"
+   */
+  static createId() {
+    return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`;
+  }
+
+  /**
+   * Compute a CRC-32 checksum, as ZIP files need
+   * @param {Uint8Array} bytes - Data
+   * @returns {number} - Checksum
+   */
+  static crc32(bytes) {
+    if (!ValleyImageGallery.crcTable) {
+      ValleyImageGallery.crcTable = Array.from({ length: 256 }, (_, n) => {
+        let c = n;
+        for (let k = 0; k < 8; k++) {
+          c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+        }
+        return c >>> 0;
+      });
+    }
+
+    let crc = 0xffffffff;
+    for (let i = 0; i < bytes.length; i++) {
+      crc = ValleyImageGallery.crcTable[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+  }
+
+  /**
+   * Convert a date to the MS-DOS time and date ZIP files use
+   * @param {Date} date - Date
+   * @returns {Object} - { time, date }
+   */
+  static toDosDateTime(date) {
+    const valid = Number.isNaN(date.getTime()) ? new Date() : date;
+
+    return {
+      time: (valid.getHours() << 11) | (valid.getMinutes() << 5) | Math.floor(valid.getSeconds() / 2),
+      date: ((Math.max(1980, valid.getFullYear()) - 1980) << 9) | ((valid.getMonth() + 1) << 5) | valid.getDate()
+    };
+  }
+
+  /**
+   * Lowercase text and strip accents
+   * @param {string} text - Text
+   * @returns {string} - Normalized text
+   */
+  static normalize(text) {
+    return String(text || '')
+      .toLowerCase()
+      .normalize('NFD')
+      .replace(/[\u0300-\u036f]/g, '');
+  }
+}
+
+// Export ValleyImageGallery class for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ValleyImageGallery;
+}
@@ -0,0 +1,180 @@
+/**
+ * =====================================================================
+ * | VALLEYTAINMENT PRODUCTIONS - IMAGE MASK EDITOR                    |
+ * | Version: 1.0.0                                                    |
+ * | Last Updated: October 19, 2026                                    |
+ * =====================================================================
+ * | This file lets designers paint over a reference photo in the      |
+ * | image generator to mark the parts to redraw (inpainting). The     |
+ * | canvas sits on top of the photo; painted areas become white in    |
+ * | the exported mask and everything else black.                      |
+ * =====================================================================
+ */
+
+/**
+ * ValleyImageMask Class
+ * Brush and eraser painting on a canvas, exported as a black and white mask
+ */
+class ValleyImageMask {
+  /**
+   * @param {HTMLCanvasElement} canvas - Canvas laid over the reference photo
+   * @param {Object} config - IMAGE_GENERATOR_CONFIG.reference.mask
+   */
+  constructor(canvas, config = {}) {
+    // Configuration
+    this.config = {
+      brushSize: 40, // pixels of the photo, not of the screen
+      minBrushSize: 5,
+      maxBrushSize: 200,
+      maxResolution: 1024, // longest side of the canvas; the mask is scaled to each provider's size
+      ...config
+    };
+
+    // State
+    this.canvas = canvas;
+    this.ctx = canvas.getContext('2d');
+    this.tool = 'brush';
+    this.brushSize = this.config.brushSize;
+    this.scale = 1; // canvas pixels per photo pixel
+    this.lastPoint = null; // last point of the stroke being drawn
+
+    this.bindEvents();
+  }
+
+  /**
+   * Bind pointer events, so a mouse, pen or finger can paint
+   */
+  bindEvents() {
+    this.canvas.style.touchAction = 'none';
+
+    this.canvas.addEventListener('pointerdown', (e) => {
+      if (e.button !== 0) return;
+
+      this.canvas.setPointerCapture(e.pointerId);
+      this.lastPoint = this.getPoint(e);
+      this.paint(this.lastPoint, this.lastPoint);
+    });
+
+    this.canvas.addEventListener('pointermove', (e) => {
+      if (!this.lastPoint) return;
+
+      const point = this.getPoint(e);
+      this.paint(this.lastPoint, point);
+      this.lastPoint = point;
+    });
+
+    ['pointerup', 'pointercancel'].forEach(type => {
+      this.canvas.addEventListener(type, () => {
+        this.lastPoint = null;
+      });
+    });
+  }
+
+  /**
+   * Size the canvas for a new photo and clear it
+   * @param {number} width - Photo width
+   * @param {number} height - Photo height
+   */
+  reset(width, height) {
+    const scale = Math.min(1, this.config.maxResolution / Math.max(width, height));
+
+    this.canvas.width = Math.round(width * scale);
+    this.canvas.height = Math.round(height * scale);
+    this.scale = scale;
+    this.clear();
+  }
+
+  /**
+   * Choose the brush or the eraser
+   * @param {string} tool - "brush" or "eraser"
+   */
+  setTool(tool) {
+    this.tool = tool === 'eraser' ? 'eraser' : 'brush';
+  }
+
+  /**
+   * Set the brush size
+   * @param {number} size - Diameter in pixels of the photo
+   */
+  setBrushSize(size) {
+    this.brushSize = Math.min(this.config.maxBrushSize, Math.max(this.config.minBrushSize, Number(size) || this.config.brushSize));
+  }
+
+  /**
+   * Remove all painting
+   */
+  clear() {
+    this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+  }
+
+  /**
+   * Whether nothing is painted
+   * @returns {boolean}
+   */
+  isEmpty() {
+    const pixels = this.ctx.getImageData(0, 0, this.canvas.width, this.canvas.height).data;
+
+    for (let i = 3; i < pixels.length; i += 4) {
+      if (pixels[i]) return false;
+    }
+    return true;
+  }
+
+  /**
+   * Get a pointer position in canvas pixels
+   * @param {PointerEvent} e - Pointer event
+   * @returns {Object} - { x, y }
+   */
+  getPoint(e) {
+    const rect = this.canvas.getBoundingClientRect();
+
+    return {
+      x: (e.clientX - rect.left) * this.canvas.width / rect.width,
+      y: (e.clientY - rect.top) * this.canvas.height / rect.height
+    };
+  }
+
+  /**
+   * Paint or erase a line between two points
+   * @param {Object} from - { x, y }
+   * @param {Object} to - { x, y }
+   */
+  paint(from, to) {
+    this.ctx.save();
+    this.ctx.globalCompositeOperation = this.tool === 'eraser' ? 'destination-out' : 'source-over';
+    this.ctx.strokeStyle = '#ffffff';
+    this.ctx.lineWidth = this.brushSize * this.scale;
+    this.ctx.lineCap = 'round';
+    this.ctx.lineJoin = 'round';
+    this.ctx.beginPath();
+    this.ctx.moveTo(from.x, from.y);
+    this.ctx.lineTo(to.x, to.y);
+    this.ctx.stroke();
+    this.ctx.restore();
+  }
+
+  /**
+   * Draw the mask for a provider: painted areas white, the rest black
+   * @param {number} width - Mask width
+   * @param {number} height - Mask height
+   * @param {Function} draw - Draws a source onto a context the way the photo was drawn, so they line up
+   * @returns {HTMLCanvasElement} - The mask
+   */
+  render(width, height, draw) {
+    const mask = document.createElement('canvas');
+    mask.width = width;
+    mask.height = height;
+
+    const ctx = mask.getContext('2d');
+    ctx.fillStyle = '#000000';
+    ctx.fillRect(0, 0, width, height);
+    draw(ctx, this.canvas, width, height);
+
+    return mask;
+  }
+}
+
+// Export ValleyImageMask class for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ValleyImageMask;
+}
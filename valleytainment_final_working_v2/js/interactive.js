@@ -6,7 +6,8 @@
  * =====================================================================
  * | This file contains all interactive functionality for the          |
  * | Valleytainment website including animations, effects, and         |
- * | advanced features like AI chatbot and image generator.            |
+ * | advanced features like the AI image generator. ValleyBot lives in |
+ * | the <valley-bot> element (js/valley-bot-element.js).              |
  * =====================================================================
  */
 
@@ -31,7 +32,6 @@ document.addEventListener('DOMContentLoaded', () => {
   initRevealAnimations();
   initMagneticButtons();
   initAIImageGenerator();
-  initChatbot();
   initAudioVisualizer();
   initBackToTop();
   
@@ -569,240 +569,7 @@ document.addEventListener('DOMContentLoaded', () => {
   }
   
   /**
-   * 8. VALLEYBOT 2.0 (GPT-4 CHATBOT)
-   * Handles the AI chatbot functionality
-   */
-  function initChatbot() {
-    const chatMessages = document.getElementById('chat-messages');
-    const chatInput = document.getElementById('chat-input-field');
-    const sendButton = document.getElementById('send-message-btn');
-    const voiceButton = document.getElementById('voice-input-btn');
-    const suggestionChips = document.querySelectorAll('.suggestion-chip');
-    const chatbotToggle = document.getElementById('chatbot-toggle');
-    const chatbotPopup = document.getElementById('chatbot-popup');
-    
-    // Chat history
-    let chatHistory = [];
-    
-    // Initialize chatbot popup
-    initChatbotPopup();
-    
-    // Send message on button click
-    sendButton.addEventListener('click', () => {
-      sendMessage();
-    });
-    
-    // Send message on Enter key
-    chatInput.addEventListener('keydown', (e) => {
-      if (e.key === 'Enter') {
-        sendMessage();
-      }
-    });
-    
-    // Voice input
-    voiceButton.addEventListener('click', () => {
-      // Check if browser supports speech recognition
-      if ('webkitSpeechRecognition' in window || 'SpeechRecognition' in window) {
-        const SpeechRecognition = window.SpeechRecognition || window.webkitSpeechRecognition;
-        const recognition = new SpeechRecognition();
-        
-        recognition.lang = 'en-US';
-        recognition.interimResults = false;
-        
-        // Change button appearance
-        voiceButton.classList.add('recording');
-        voiceButton.innerHTML = '<i class="fas fa-microphone-alt"></i>';
-        
-        recognition.start();
-        
-        recognition.onresult = (event) => {
-          const transcript = event.results[0][0].transcript;
-          chatInput.value = transcript;
-          
-          // Reset button appearance
-          voiceButton.classList.remove('recording');
-          voiceButton.innerHTML = '<i class="fas fa-microphone"></i>';
-          
-          // Send message after a short delay
-          setTimeout(() => {
-            sendMessage();
-          }, 500);
-        };
-        
-        recognition.onerror = () => {
-          // Reset button appearance
-          voiceButton.classList.remove('recording');
-          voiceButton.innerHTML = '<i class="fas fa-microphone"></i>';
-          
-          alert('Voice recognition failed. Please try again or type your message.');
-        };
-        
-        recognition.onend = () => {
-          // Reset button appearance
-          voiceButton.classList.remove('recording');
-          voiceButton.innerHTML = '<i class="fas fa-microphone"></i>';
-        };
-      } else {
-        alert('Voice recognition is not supported in your browser.');
-      }
-    });
-    
-    // Suggestion chips
-    suggestionChips.forEach(chip => {
-      chip.addEventListener('click', () => {
-        chatInput.value = chip.textContent;
-        sendMessage();
-      });
-    });
-    
-    // Send message function
-    function sendMessage() {
-      const message = chatInput.value.trim();
-      
-      if (!message) return;
-      
-      // Add user message to chat
-      addMessage(message, 'user');
-      
-      // Clear input
-      chatInput.value = '';
-      
-      // Get bot response
-      getBotResponse(message);
-    }
-    
-    // Add message to chat
-    function addMessage(message, sender) {
-      const messageElement = document.createElement('div');
-      messageElement.className = `message ${sender}`;
-      
-      let avatar;
-      if (sender === 'user') {
-        avatar = '<div class="message-avatar"><i class="fas fa-user"></i></div>';
-      } else {
-        avatar = '<div class="message-avatar"><img src="images/valleybot-avatar.png" alt="ValleyBot"></div>';
-      }
-      
-      messageElement.innerHTML = `
-        ${avatar}
-        <div class="message-content">
-          <p>${message}</p>
-        </div>
-      `;
-      
-      chatMessages.appendChild(messageElement);
-      
-      // Scroll to bottom
-      chatMessages.scrollTop = chatMessages.scrollHeight;
-      
-      // Add to history
-      chatHistory.push({
-        sender,
-        message
-      });
-    }
-    
-    // Get bot response (simulated for now)
-    async function getBotResponse(message) {
-      // Show typing indicator
-      const typingIndicator = document.createElement('div');
-      typingIndicator.className = 'message bot typing';
-      typingIndicator.innerHTML = `
-        <div class="message-avatar">
-          <img src="images/valleybot-avatar.png" alt="ValleyBot">
-        </div>
-        <div class="message-content">
-          <p>
-            <span class="typing-dot"></span>
-            <span class="typing-dot"></span>
-            <span class="typing-dot"></span>
-          </p>
-        </div>
-      `;
-      
-      chatMessages.appendChild(typingIndicator);
-      chatMessages.scrollTop = chatMessages.scrollHeight;
-      
-      // Simulate API call delay
-      await new Promise(resolve => setTimeout(resolve, 1500));
-      
-      // Remove typing indicator
-      chatMessages.removeChild(typingIndicator);
-      
-      // Predefined responses
-      const responses = {
-        'hello': 'Hey there! How can I help you with Valleytainment Productions today?',
-        'hi': 'Hello! What can I do for you today?',
-        'who are you': 'I\'m ValleyBot 2.0, your AI assistant for all things Valleytainment. I can help with information about our services, team, and upcoming events.',
-        'tell me about valleytainment': 'Valleytainment Productions is a cutting-edge entertainment company specializing in content creation, talent management, and music production with an edgy, vibrant urban aesthetic. Founded in 2018, we\'ve grown from a small collective of creatives to a full-service production company with a global reach.',
-        'what services do you offer': 'We offer a wide range of services including content creation, music production, talent management, event production, creative direction, and digital marketing. Each service is tailored to help artists and brands stand out in today\'s competitive landscape.',
-        'how can i collaborate': 'We\'re always looking for talented individuals and brands to collaborate with! You can submit your idea through our "Submit Idea" form, or contact us directly at info@valleytainment.com to discuss potential collaborations.',
-        'latest music releases': 'Our latest release is "Neon Dreams" by Maya Johnson, which dropped last week. We also have upcoming releases from Neon Pulse and DJ Vertex scheduled for next month. Stay tuned to our social media for announcements!',
-        'merchandise': 'Check out our merchandise section for the latest Valleytainment apparel and accessories. We have everything from t-shirts and hoodies to limited edition posters and collectibles.',
-        'events': 'We have several upcoming events including the Summer Neon Festival in July and our monthly Underground Sessions at Club Vertex. Visit our events page for tickets and more information.',
-        'contact': 'You can reach us at info@valleytainment.com or call us at +1 (555) 123-4567. Our office is located at 123 Urban Avenue, Suite 456, Los Angeles, CA 90001.',
-        'social media': 'Follow us on Instagram, YouTube, TikTok, and Twitter @valleytainment for the latest updates, behind-the-scenes content, and exclusive announcements.'
-      };
-      
-      // Default response
-      let response = 'I\'m not sure how to respond to that. Can you try asking something about Valleytainment Productions, our services, or upcoming events?';
-      
-      // Check for matching keywords
-      for (const [key, value] of Object.entries(responses)) {
-        if (message.toLowerCase().includes(key)) {
-          response = value;
-          break;
-        }
-      }
-      
-      // Add bot response to chat
-      addMessage(response, 'bot');
-      
-      /* 
-      // Real implementation would look something like this:
-      try {
-        const response = await fetch('/api/chat', {
-          method: 'POST',
-          headers: {
-            'Content-Type': 'application/json'
-          },
-          body: JSON.stringify({
-            message,
-            history: chatHistory
-          })
-        });
-        
-        if (!response.ok) {
-          throw new Error('Failed to get response');
-        }
-        
-        const data = await response.json();
-        addMessage(data.message, 'bot');
-      } catch (error) {
-        console.error('Error getting bot response:', error);
-        addMessage('Sorry, I\'m having trouble connecting right now. Please try again later.', 'bot');
-      }
-      */
-    }
-    
-    // Initialize chatbot popup
-    function initChatbotPopup() {
-      // Clone main chatbot content
-      const chatbotSection = document.getElementById('chatbot-section');
-      const chatbotContent = chatbotSection.querySelector('.chatbot-container').cloneNode(true);
-      
-      // Add to popup
-      chatbotPopup.appendChild(chatbotContent);
-      
-      // Toggle popup on button click
-      chatbotToggle.addEventListener('click', () => {
-        chatbotPopup.classList.toggle('active');
-      });
-    }
-  }
-  
-  /**
-   * 9. AUDIO VISUALIZER
+   * 8. AUDIO VISUALIZER
    * Creates an audio visualizer for the rave section
    */
   function initAudioVisualizer() {
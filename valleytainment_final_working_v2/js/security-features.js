@@ -23,7 +23,7 @@ const SECURITY_CONFIG = {
       styleSrc: ["'self'", "https://cdnjs.cloudflare.com", "https://fonts.googleapis.com", "'unsafe-inline'"],
       imgSrc: ["'self'", "data:", "https:", "blob:"],
       fontSrc: ["'self'", "https://fonts.gstatic.com", "https://cdnjs.cloudflare.com"],
-      connectSrc: ["'self'", "https://api.pollinations.ai", "https://api-inference.huggingface.co"],
+      connectSrc: ["'self'", "https://api.pollinations.ai", "https://image.pollinations.ai", "https://api-inference.huggingface.co"],
       mediaSrc: ["'self'"],
       objectSrc: ["'none'"],
       frameSrc: ["'self'"],
@@ -126,8 +126,20 @@ const SECURITY_CONFIG = {
   }
 };
 
+// Personal data patterns - shared by maskSensitiveData() and scrubSensitiveData()
+const SENSITIVE_DATA_PATTERNS = {
+  email: /([a-zA-Z0-9._%+-]+@[a-zA-Z0-9.-]+\.[a-zA-Z]{2,})/g,
+  phone: /(\+?[0-9]{1,3}[-\s]?)?(\([0-9]{3}\)|[0-9]{3})[-\s]?[0-9]{3}[-\s]?[0-9]{4}/g
+};
+
+// Loaded by the <valley-bot> widget (js/valley-bot-element.js), this file only provides SecurityManager
+// and leaves the page alone, since it may be a partner's site
+const isValleyBotDependency = Boolean(document.currentScript && 'valleyBotDependency' in document.currentScript.dataset);
+
 // Wait for DOM to be fully loaded before initializing
 document.addEventListener('DOMContentLoaded', () => {
+  if (isValleyBotDependency) return;
+  
   // Initialize security features
   const securityManager = new SecurityManager(SECURITY_CONFIG);
   securityManager.init();
@@ -1110,8 +1122,7 @@ class SecurityManager {
       
       // Mask email addresses
       if (this.config.dataProtection.maskEmailAddresses) {
-        const emailRegex = /([a-zA-Z0-9._%+-]+@[a-zA-Z0-9.-]+\.[a-zA-Z]{2,})/g;
-        text = text.replace(emailRegex, (match) => {
+        text = text.replace(SENSITIVE_DATA_PATTERNS.email, (match) => {
           modified = true;
           const parts = match.split('@');
           const username = parts[0];
@@ -1129,8 +1140,7 @@ class SecurityManager {
       
       // Mask phone numbers
       if (this.config.dataProtection.maskPhoneNumbers) {
-        const phoneRegex = /(\+?[0-9]{1,3}[-\s]?)?(\([0-9]{3}\)|[0-9]{3})[-\s]?[0-9]{3}[-\s]?[0-9]{4}/g;
-        text = text.replace(phoneRegex, (match) => {
+        text = text.replace(SENSITIVE_DATA_PATTERNS.phone, (match) => {
           modified = true;
           
           // Keep last 4 digits, mask the rest
@@ -1149,6 +1159,19 @@ class SecurityManager {
     });
   }
   
+  /**
+   * Scrub sensitive data
+   * Removes email addresses and phone numbers from text that leaves the browser (chatbot analytics).
+   * Unlike maskSensitiveData, nothing of the original is kept and the masking settings don't apply.
+   * @param {string} text - Text to scrub
+   * @returns {string} - Text with [email] and [phone] in place of personal data
+   */
+  scrubSensitiveData(text) {
+    return String(text)
+      .replace(SENSITIVE_DATA_PATTERNS.email, '[email]')
+      .replace(SENSITIVE_DATA_PATTERNS.phone, '[phone]');
+  }
+  
   /**
    * Set cookie
    * Sets a cookie with the specified options
@@ -1226,6 +1249,8 @@ class SecurityManager {
   }
 }
 
+SecurityManager.SENSITIVE_DATA_PATTERNS = SENSITIVE_DATA_PATTERNS;
+
 // Export SecurityManager class for use in other scripts
 if (typeof module !== 'undefined' && module.exports) {
   module.exports = SecurityManager;
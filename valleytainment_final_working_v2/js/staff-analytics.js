@@ -0,0 +1,346 @@
+/**
+ * =====================================================================
+ * | VALLEYTAINMENT PRODUCTIONS - STAFF ANALYTICS                      |
+ * | Version: 1.0.0                                                    |
+ * | Last Updated: October 19, 2026                                    |
+ * =====================================================================
+ * | This file powers staff/analytics.html, where the team sees how    |
+ * | visitors use ValleyBot: top intents, questions it couldn't        |
+ * | answer, conversation length, handoff and voice-usage rates. Only  |
+ * | visitors who agreed to share usage stats are counted. It also     |
+ * | lists what the chatbot's guardrails blocked or flagged.           |
+ * =====================================================================
+ */
+
+// Configuration object - Edit these values to customize the dashboard
+const STAFF_ANALYTICS_CONFIG = {
+  endpoint: '/api/analytics',
+  moderationEndpoint: '/api/moderation', // set to '' to hide the moderation log
+  passwordKey: 'valleytainment_staff_password' // sessionStorage key, shared with the staff inbox
+};
+
+/**
+ * StaffAnalytics Class
+ * Loads and renders the ValleyBot analytics report
+ */
+class StaffAnalytics {
+  /**
+   * @param {Object} config - Overrides for STAFF_ANALYTICS_CONFIG
+   */
+  constructor(config = {}) {
+    // Configuration
+    this.config = { ...STAFF_ANALYTICS_CONFIG, ...config };
+
+    // State
+    this.password = sessionStorage.getItem(this.config.passwordKey) || '';
+    this.days = 30;
+
+    // Elements
+    this.loginForm = document.getElementById('analytics-login');
+    this.dashboard = document.getElementById('analytics');
+    this.report = document.getElementById('analytics-report');
+    this.status = document.getElementById('analytics-status');
+
+    this.bindEvents();
+
+    if (this.password) {
+      this.showDashboard();
+    }
+  }
+
+  /**
+   * Bind form and button events
+   */
+  bindEvents() {
+    this.loginForm.addEventListener('submit', (e) => {
+      e.preventDefault();
+      this.password = this.loginForm.elements.password.value;
+      sessionStorage.setItem(this.config.passwordKey, this.password);
+      this.loginForm.reset();
+      this.showDashboard();
+    });
+
+    document.getElementById('analytics-logout').addEventListener('click', () => {
+      this.logout('Signed out.');
+    });
+
+    document.getElementById('analytics-range').addEventListener('change', (e) => {
+      this.days = parseInt(e.target.value, 10);
+      this.refresh();
+    });
+
+    document.getElementById('analytics-refresh').addEventListener('click', () => {
+      this.refresh();
+    });
+  }
+
+  /**
+   * Show the dashboard and load the report
+   */
+  showDashboard() {
+    this.loginForm.hidden = true;
+    this.dashboard.hidden = false;
+    this.refresh();
+  }
+
+  /**
+   * Sign out and show the password prompt
+   * @param {string} message - Status message to show
+   */
+  logout(message) {
+    sessionStorage.removeItem(this.config.passwordKey);
+
+    this.password = '';
+    this.report.innerHTML = '';
+
+    this.dashboard.hidden = true;
+    this.loginForm.hidden = false;
+    this.setStatus(message);
+  }
+
+  /**
+   * Reload the report
+   */
+  async refresh() {
+    try {
+      const response = await fetch(`${this.config.endpoint}?days=${this.days}`, {
+        headers: { 'Authorization': `Bearer ${this.password}` }
+      });
+
+      const data = await response.json().catch(() => ({}));
+
+      if (response.status === 401) {
+        this.logout('Wrong password. Please try again.');
+        return;
+      }
+
+      if (!response.ok) {
+        throw new Error((data.error && data.error.message) || `Request failed: ${response.status}`);
+      }
+
+      this.render(data);
+      this.renderModeration(await this.loadModeration());
+      this.setStatus(`Updated ${new Date().toLocaleTimeString()}`);
+    } catch (error) {
+      console.error('Error loading analytics:', error);
+      this.setStatus(error.message);
+    }
+  }
+
+  /**
+   * Load the moderation log
+   * The analytics report is still shown when this fails
+   * @returns {Promise<Object|null>} - Response from GET /api/moderation, or null when it's unavailable
+   */
+  async loadModeration() {
+    if (!this.config.moderationEndpoint) return null;
+
+    try {
+      const response = await fetch(`${this.config.moderationEndpoint}?days=${this.days}`, {
+        headers: { 'Authorization': `Bearer ${this.password}` }
+      });
+
+      if (!response.ok) {
+        throw new Error(`Request failed: ${response.status}`);
+      }
+
+      return await response.json();
+    } catch (error) {
+      console.error('Error loading moderation log:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Show a status message
+   * @param {string} message - Message text
+   */
+  setStatus(message) {
+    this.status.textContent = message;
+  }
+
+  /**
+   * Render the report
+   * @param {Object} data - Response from GET /api/analytics
+   */
+  render(data) {
+    this.report.innerHTML = '';
+
+    const stats = this.createElement('div', 'analytics-stats');
+    [
+      ['Conversations', data.totals.conversations, `${data.totals.questions} questions`],
+      ['Questions per conversation', data.averageConversationLength, 'average'],
+      ['Handoff rate', `${data.handoffRate}%`, `${data.totals.handoffs} handed to the team`],
+      ['Voice usage', `${data.voiceUsageRate}%`, `of questions; ${data.voiceInputRate}% spoken`],
+      ['Unanswered', `${data.unansweredRate}%`, 'of questions got the default reply'],
+      ['Answered offline', `${data.localFallbackRate}%`, 'of questions, without an AI provider']
+    ].forEach(([label, value, meta]) => {
+      const stat = this.createElement('div', 'analytics-stat');
+      stat.appendChild(this.createElement('span', '', label));
+      stat.appendChild(this.createElement('strong', '', String(value)));
+      stat.appendChild(this.createElement('span', 'analytics-meta', meta));
+      stats.appendChild(stat);
+    });
+    this.report.appendChild(stats);
+
+    const panels = this.createElement('div', 'analytics-panels');
+    panels.appendChild(this.createBarsPanel('Top intents', data.topIntents, 'No questions yet.'));
+    panels.appendChild(this.createUnansweredPanel(data.unanswered));
+    this.report.appendChild(panels);
+
+    this.report.appendChild(this.createElement('p', 'analytics-meta', `Since ${this.formatTime(data.from)}. Only visitors who agreed to share usage stats are counted.`));
+  }
+
+  /**
+   * Render the moderation log below the report
+   * @param {Object|null} data - Response from GET /api/moderation
+   */
+  renderModeration(data) {
+    if (!data) return;
+
+    const labels = {
+      injection: 'Prompt injection',
+      toxic: 'Abuse',
+      explicit: 'Explicit content',
+      attack: 'Attack pattern (allowed)',
+      unverified: 'Unverified price or date'
+    };
+
+    const panels = this.createElement('div', 'analytics-panels');
+    panels.appendChild(this.createBarsPanel('Moderation', data.reasons.map(({ value, count }) => ({ value: labels[value] || value, count })), 'Nothing blocked or flagged.'));
+
+    const panel = this.createElement('section', 'analytics-panel');
+    panel.appendChild(this.createElement('h2', '', `Moderation log (${data.total})`));
+
+    if (!data.recent.length) {
+      panel.appendChild(this.createElement('p', 'analytics-empty', 'Nothing blocked or flagged.'));
+    } else {
+      const table = document.createElement('table');
+      const header = table.createTHead().insertRow();
+      ['When', 'Where', 'Reason', 'Excerpt'].forEach(label => {
+        header.appendChild(this.createElement('th', '', label));
+      });
+
+      const body = table.createTBody();
+      data.recent.forEach(violation => {
+        const row = body.insertRow();
+        [
+          this.formatTime(violation.timestamp),
+          violation.stage === 'input' ? 'Question' : 'Answer',
+          labels[violation.reason] || violation.reason,
+          violation.text
+        ].forEach(text => {
+          row.appendChild(this.createElement('td', '', text));
+        });
+      });
+
+      panel.appendChild(table);
+    }
+
+    panels.appendChild(panel);
+    this.report.appendChild(panels);
+    this.report.appendChild(this.createElement('p', 'analytics-meta', `Moderation events are kept for 30 days and include every visitor. Since ${this.formatTime(data.from)}.`));
+  }
+
+  /**
+   * Create a panel of bars
+   * @param {string} title - Panel heading
+   * @param {Array<Object>} items - { value, count }, most common first
+   * @param {string} emptyText - Shown when there's nothing to count
+   * @returns {HTMLElement} - Panel element
+   */
+  createBarsPanel(title, items, emptyText) {
+    const panel = this.createElement('section', 'analytics-panel');
+    panel.appendChild(this.createElement('h2', '', title));
+
+    if (!items.length) {
+      panel.appendChild(this.createElement('p', 'analytics-empty', emptyText));
+      return panel;
+    }
+
+    const max = items[0].count;
+    items.forEach(({ value, count }) => {
+      const bar = this.createElement('div', 'analytics-bar');
+      const fill = this.createElement('div', 'analytics-bar-fill');
+      fill.style.width = `${(count / max) * 100}%`;
+
+      bar.appendChild(this.createElement('span', '', value));
+      bar.appendChild(fill);
+      bar.appendChild(this.createElement('span', '', String(count)));
+      panel.appendChild(bar);
+    });
+
+    return panel;
+  }
+
+  /**
+   * Create the unanswered questions panel
+   * @param {Array<Object>} questions - { text, outcome, count, lastAsked }
+   * @returns {HTMLElement} - Panel element
+   */
+  createUnansweredPanel(questions) {
+    const panel = this.createElement('section', 'analytics-panel');
+    panel.appendChild(this.createElement('h2', '', 'Questions ValleyBot couldn\'t answer'));
+
+    if (!questions.length) {
+      panel.appendChild(this.createElement('p', 'analytics-empty', 'Nothing unanswered.'));
+      return panel;
+    }
+
+    const table = document.createElement('table');
+    const header = table.createTHead().insertRow();
+    ['Question', 'Result', 'Times', 'Last asked'].forEach(label => {
+      header.appendChild(this.createElement('th', '', label));
+    });
+
+    const body = table.createTBody();
+    questions.forEach(question => {
+      const row = body.insertRow();
+      [
+        question.text,
+        question.outcome === 'clarify' ? 'Asked to clarify' : 'Default reply',
+        String(question.count),
+        this.formatTime(question.lastAsked)
+      ].forEach(text => {
+        row.appendChild(this.createElement('td', '', text));
+      });
+    });
+
+    panel.appendChild(table);
+    return panel;
+  }
+
+  /**
+   * Create an element with text content
+   * Visitor text is always set as text, never as HTML
+   * @param {string} tag - Tag name
+   * @param {string} className - Class name
+   * @param {string} text - Text content
+   * @returns {HTMLElement} - Element
+   */
+  createElement(tag, className = '', text = '') {
+    const element = document.createElement(tag);
+    if (className) element.className = className;
+    if (text) element.textContent = text;
+    return element;
+  }
+
+  /**
+   * Format a timestamp for display
+   * @param {string} timestamp - ISO timestamp
+   * @returns {string} - Local date and time
+   */
+  formatTime(timestamp) {
+    return timestamp ? new Date(timestamp).toLocaleString() : '';
+  }
+}
+
+// Initialize the dashboard when the page loads
+document.addEventListener('DOMContentLoaded', () => {
+  window.staffAnalytics = new StaffAnalytics();
+});
+
+// Export StaffAnalytics class for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = StaffAnalytics;
+}
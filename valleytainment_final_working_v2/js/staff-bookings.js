@@ -0,0 +1,238 @@
+/**
+ * =====================================================================
+ * | VALLEYTAINMENT PRODUCTIONS - STAFF BOOKINGS                       |
+ * | Version: 1.0.0                                                    |
+ * | Last Updated: October 19, 2026                                    |
+ * =====================================================================
+ * | This file powers staff/bookings.html, where the team sees the     |
+ * | upcoming sessions visitors booked through ValleyBot and cancels   |
+ * | them. A cancelled time is offered to visitors again right away.   |
+ * =====================================================================
+ */
+
+// Configuration object - Edit these values to customize the bookings page
+const STAFF_BOOKINGS_CONFIG = {
+  endpoint: '/api/bookings',
+  passwordKey: 'valleytainment_staff_password' // sessionStorage key, shared with the staff inbox
+};
+
+/**
+ * StaffBookings Class
+ * Lists upcoming bookings and cancels them
+ */
+class StaffBookings {
+  /**
+   * @param {Object} config - Overrides for STAFF_BOOKINGS_CONFIG
+   */
+  constructor(config = {}) {
+    // Configuration
+    this.config = { ...STAFF_BOOKINGS_CONFIG, ...config };
+
+    // State
+    this.password = sessionStorage.getItem(this.config.passwordKey) || '';
+    this.bookings = [];
+
+    // Elements
+    this.loginForm = document.getElementById('bookings-login');
+    this.page = document.getElementById('bookings');
+    this.list = document.getElementById('bookings-list');
+    this.status = document.getElementById('bookings-status');
+
+    this.bindEvents();
+
+    if (this.password) {
+      this.showBookings();
+    }
+  }
+
+  /**
+   * Bind form and button events
+   */
+  bindEvents() {
+    this.loginForm.addEventListener('submit', (e) => {
+      e.preventDefault();
+      this.password = this.loginForm.elements.password.value;
+      sessionStorage.setItem(this.config.passwordKey, this.password);
+      this.loginForm.reset();
+      this.showBookings();
+    });
+
+    document.getElementById('bookings-logout').addEventListener('click', () => {
+      this.logout('Signed out.');
+    });
+
+    document.getElementById('bookings-refresh').addEventListener('click', () => {
+      this.refresh();
+    });
+  }
+
+  /**
+   * Show the bookings and load them
+   */
+  showBookings() {
+    this.loginForm.hidden = true;
+    this.page.hidden = false;
+    this.refresh();
+  }
+
+  /**
+   * Sign out and show the password prompt
+   * @param {string} message - Status message to show
+   */
+  logout(message) {
+    sessionStorage.removeItem(this.config.passwordKey);
+
+    this.password = '';
+    this.bookings = [];
+    this.list.innerHTML = '';
+
+    this.page.hidden = true;
+    this.loginForm.hidden = false;
+    this.setStatus(message);
+  }
+
+  /**
+   * Call the bookings API
+   * @param {string} path - Path after the endpoint, e.g. '/list'
+   * @param {Object} options - fetch() options
+   * @returns {Promise<Object>} - Parsed response
+   */
+  async request(path, options = {}) {
+    const response = await fetch(`${this.config.endpoint}${path}`, {
+      ...options,
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${this.password}`
+      }
+    });
+
+    const data = await response.json().catch(() => ({}));
+
+    if (response.status === 401) {
+      this.logout('Wrong password. Please try again.');
+    }
+
+    if (!response.ok) {
+      throw new Error((data.error && data.error.message) || `Request failed: ${response.status}`);
+    }
+
+    return data;
+  }
+
+  /**
+   * Reload the upcoming bookings
+   */
+  async refresh() {
+    try {
+      const data = await this.request('/list');
+
+      this.bookings = data.bookings;
+      this.render();
+      this.setStatus(`Updated ${new Date().toLocaleTimeString()}`);
+    } catch (error) {
+      console.error('Error loading bookings:', error);
+      if (this.password) {
+        this.setStatus(error.message);
+      }
+    }
+  }
+
+  /**
+   * Cancel a booking and free its time
+   * @param {Object} booking - Booking from GET /api/bookings/list
+   */
+  async cancel(booking) {
+    if (!confirm(`Cancel ${booking.name}'s ${booking.serviceName} on ${this.formatTime(booking.start)}? The time will be offered to visitors again. Let them know by email.`)) return;
+
+    try {
+      await this.request(`/${encodeURIComponent(booking.id)}/cancel`, { method: 'POST' });
+      await this.refresh();
+    } catch (error) {
+      console.error('Error cancelling booking:', error);
+      this.setStatus(error.message);
+    }
+  }
+
+  /**
+   * Show a status message
+   * @param {string} message - Message text
+   */
+  setStatus(message) {
+    this.status.textContent = message;
+  }
+
+  /**
+   * Render the bookings table
+   */
+  render() {
+    this.list.innerHTML = '';
+
+    if (!this.bookings.length) {
+      this.list.appendChild(this.createElement('p', 'bookings-empty', 'No upcoming bookings.'));
+      return;
+    }
+
+    const table = document.createElement('table');
+    const header = table.createTHead().insertRow();
+    ['When', 'Service', 'Name', 'Contact', 'Notes', ''].forEach(label => {
+      header.appendChild(this.createElement('th', '', label));
+    });
+
+    const body = table.createTBody();
+    this.bookings.forEach(booking => {
+      const row = body.insertRow();
+      [
+        `${this.formatTime(booking.start)} – ${new Date(booking.end).toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' })}`,
+        booking.serviceName,
+        booking.name,
+        [booking.email, booking.phone].filter(Boolean).join('\n'),
+        booking.notes || ''
+      ].forEach(text => {
+        row.appendChild(this.createElement('td', '', text));
+      });
+
+      const actions = row.insertCell();
+      const cancelButton = this.createElement('button', '', 'Cancel');
+      cancelButton.type = 'button';
+      cancelButton.addEventListener('click', () => this.cancel(booking));
+      actions.appendChild(cancelButton);
+    });
+
+    this.list.appendChild(table);
+    this.list.appendChild(this.createElement('p', 'bookings-meta', `${this.bookings.length} upcoming. Times are shown in your timezone.`));
+  }
+
+  /**
+   * Create an element with text content
+   * Visitor text is always set as text, never as HTML
+   * @param {string} tag - Tag name
+   * @param {string} className - Class name
+   * @param {string} text - Text content
+   * @returns {HTMLElement} - Element
+   */
+  createElement(tag, className = '', text = '') {
+    const element = document.createElement(tag);
+    if (className) element.className = className;
+    if (text) element.textContent = text;
+    return element;
+  }
+
+  /**
+   * Format a timestamp for display
+   * @param {string} timestamp - ISO timestamp
+   * @returns {string} - Local date and time
+   */
+  formatTime(timestamp) {
+    return timestamp ? new Date(timestamp).toLocaleString([], { weekday: 'short', month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit' }) : '';
+  }
+}
+
+// Initialize the page when it loads
+document.addEventListener('DOMContentLoaded', () => {
+  window.staffBookings = new StaffBookings();
+});
+
+// Export StaffBookings class for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = StaffBookings;
+}
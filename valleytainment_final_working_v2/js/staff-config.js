@@ -0,0 +1,384 @@
+/**
+ * =====================================================================
+ * | VALLEYTAINMENT PRODUCTIONS - STAFF CONFIG EDITOR                  |
+ * | Version: 1.0.0                                                    |
+ * | Last Updated: October 19, 2026                                    |
+ * =====================================================================
+ * | This file powers staff/config.html, where the team changes        |
+ * | ValleyBot's personality, suggestion chips and welcome messages    |
+ * | without touching code. Changes show up in a live preview; the     |
+ * | result is checked against the schema in js/chatbot-config.js and  |
+ * | downloaded as the new content/chatbot-config.json.                |
+ * =====================================================================
+ */
+
+// Configuration object - Edit these values to customize the editor
+const STAFF_CONFIG_EDITOR_CONFIG = {
+  configUrl: '../content/chatbot-config.json', // the live settings, loaded when the page opens
+  fileName: 'chatbot-config.json',
+  previewDelay: 400 // milliseconds after the last change before the preview restarts
+};
+
+/**
+ * StaffConfigEditor Class
+ * Edits content/chatbot-config.json with a live preview
+ */
+class StaffConfigEditor {
+  /**
+   * @param {Object} config - Overrides for STAFF_CONFIG_EDITOR_CONFIG
+   */
+  constructor(config = {}) {
+    // Configuration
+    this.config = { ...STAFF_CONFIG_EDITOR_CONFIG, ...config };
+    this.validator = new ValleyConfig();
+
+    // State
+    this.previewTimer = null;
+    this.previewSettings = null; // last valid settings, sent when the preview asks
+
+    // Elements
+    this.form = document.getElementById('config-form');
+    this.status = document.getElementById('config-status');
+    this.errorList = document.getElementById('config-errors');
+    this.preview = document.getElementById('config-preview');
+    this.previewStatus = document.getElementById('config-preview-status');
+
+    this.createWelcomeFields();
+    this.bindEvents();
+    this.loadLiveSettings();
+  }
+
+  /**
+   * Bind form, button and preview events
+   */
+  bindEvents() {
+    this.form.addEventListener('input', () => {
+      this.updateSamples();
+      this.schedulePreview();
+    });
+
+    document.getElementById('config-download').addEventListener('click', () => {
+      this.download();
+    });
+
+    document.getElementById('config-open').addEventListener('change', (e) => {
+      if (e.target.files[0]) {
+        this.openFile(e.target.files[0]);
+      }
+      e.target.value = '';
+    });
+
+    document.getElementById('config-reset').addEventListener('click', () => {
+      this.loadLiveSettings();
+    });
+
+    // The preview page asks for the settings each time it loads
+    window.addEventListener('message', (event) => {
+      if (event.origin !== window.location.origin || event.source !== this.preview.contentWindow) return;
+
+      if (event.data && event.data.type === 'valleybot-preview-ready' && this.previewSettings) {
+        this.preview.contentWindow.postMessage({ type: 'valleybot-config', settings: this.previewSettings }, window.location.origin);
+      }
+    });
+  }
+
+  /**
+   * Add the welcome message fields for each language in js/chatbot-i18n.js
+   */
+  createWelcomeFields() {
+    const container = document.getElementById('config-welcome');
+    const fields = [
+      ['morning', 'Morning greeting'],
+      ['afternoon', 'Afternoon greeting'],
+      ['evening', 'Evening greeting'],
+      ['message', 'Welcome message']
+    ];
+
+    Object.entries(CHATBOT_LANGUAGES.languages).forEach(([code, language]) => {
+      const fieldset = document.createElement('fieldset');
+      fieldset.appendChild(this.createElement('legend', '', `Welcome message: ${language.name}`));
+
+      fields.forEach(([name, label]) => {
+        const field = this.createElement('div', 'config-field');
+        const id = `config-welcome-${code}-${name}`;
+        const input = document.createElement(name === 'message' ? 'textarea' : 'input');
+
+        input.id = id;
+        input.dataset.path = `welcome.${code}.${name}`;
+        if (name === 'message') input.rows = 4;
+
+        const labelElement = this.createElement('label', '', label);
+        labelElement.htmlFor = id;
+
+        field.appendChild(labelElement);
+        field.appendChild(input);
+        fieldset.appendChild(field);
+      });
+
+      fieldset.appendChild(this.createElement('p', 'config-hint', '{greeting} is replaced with the greeting for the time of day and {name} with ValleyBot\'s name. Leave a field empty to use the built-in translation.'));
+
+      const sample = this.createElement('p', 'config-sample');
+      sample.dataset.language = code;
+      fieldset.appendChild(sample);
+
+      container.appendChild(fieldset);
+    });
+  }
+
+  /**
+   * Get the built-in settings
+   * CHATBOT_CONFIG, with the welcome translations from js/chatbot-i18n.js for the other languages
+   * @returns {Object} - Settings
+   */
+  getDefaults() {
+    const settings = this.validator.pick(CHATBOT_CONFIG);
+
+    Object.entries(CHATBOT_LANGUAGES.languages).forEach(([code, language]) => {
+      const messages = language.messages || {};
+      if (settings.welcome[code] || !messages.welcome) return;
+
+      settings.welcome[code] = {
+        morning: messages.greetingMorning,
+        afternoon: messages.greetingAfternoon,
+        evening: messages.greetingEvening,
+        message: messages.welcome
+      };
+    });
+
+    return settings;
+  }
+
+  /**
+   * Load the settings the site uses now
+   * Falls back to the built-in ones when content/chatbot-config.json is missing or invalid
+   */
+  async loadLiveSettings() {
+    try {
+      const settings = await this.validator.load(this.config.configUrl);
+      this.fill(settings);
+      this.setStatus('Showing the live settings from content/chatbot-config.json.');
+    } catch (error) {
+      console.warn('Error loading chatbot config:', error);
+      this.fill({});
+      this.setStatus(`content/chatbot-config.json couldn't be used (${error.message}), so these are the built-in settings.`);
+    }
+  }
+
+  /**
+   * Open a config file from the computer
+   * @param {File} file - Chosen file
+   */
+  async openFile(file) {
+    try {
+      const settings = ValleyConfig.parse(await file.text());
+      const errors = this.validator.validate(settings);
+
+      // The file's mistakes are listed without marking the form, which still holds the old settings
+      if (errors.length) {
+        this.showErrors(errors.map(error => ({ path: '', message: ValleyConfig.formatError(error) })));
+        this.setStatus(`${file.name} wasn't opened because of the mistakes listed below.`);
+        return;
+      }
+
+      this.fill(settings);
+      this.setStatus(`Opened ${file.name}.`);
+    } catch (error) {
+      this.showErrors([{ path: '', message: error.message }]);
+      this.setStatus(`${file.name} wasn't opened.`);
+    }
+  }
+
+  /**
+   * Fill the form
+   * Settings the file leaves out show their built-in values
+   * @param {Object} settings - Valid settings
+   */
+  fill(settings) {
+    const values = this.validator.apply(this.getDefaults(), settings);
+
+    this.form.querySelectorAll('[data-path]').forEach(input => {
+      const value = input.dataset.path.split('.').reduce((entry, key) => (entry ? entry[key] : undefined), values);
+
+      if (input.type === 'checkbox') {
+        input.checked = Boolean(value);
+      } else {
+        input.value = Array.isArray(value) ? value.join('\n') : (value === undefined ? '' : String(value));
+      }
+    });
+
+    this.updateSamples();
+    this.updatePreview();
+  }
+
+  /**
+   * Read the settings from the form
+   * Empty welcome fields are left out, so those languages keep their built-in text
+   * @returns {Object} - Settings in the shape of content/chatbot-config.json
+   */
+  read() {
+    const settings = {};
+
+    this.form.querySelectorAll('[data-path]').forEach(input => {
+      const keys = input.dataset.path.split('.');
+      let value;
+
+      if (input.type === 'checkbox') {
+        value = input.checked;
+      } else if (input.type === 'number') {
+        value = input.value.trim() === '' ? null : Number(input.value);
+      } else if (input.dataset.path === 'ui.suggestionChips') {
+        value = input.value.split('\n').map(line => line.trim()).filter(Boolean);
+      } else {
+        value = input.value.trim();
+      }
+
+      if (keys[0] === 'welcome' && !value) return;
+
+      const parent = keys.slice(0, -1).reduce((entry, key) => {
+        entry[key] = entry[key] || {};
+        return entry[key];
+      }, settings);
+      parent[keys[keys.length - 1]] = value;
+    });
+
+    return settings;
+  }
+
+  /**
+   * Check the form
+   * @returns {Object|null} - Valid settings, or null after showing what's wrong
+   */
+  check() {
+    const settings = this.read();
+    const errors = this.validator.validate(settings);
+
+    this.showErrors(errors);
+    return errors.length ? null : settings;
+  }
+
+  /**
+   * Show errors next to their fields and in a list at the top
+   * @param {Array<Object>} errors - { path, message }
+   */
+  showErrors(errors) {
+    this.form.querySelectorAll('.config-error').forEach(element => element.remove());
+    this.form.querySelectorAll('[aria-invalid]').forEach(input => input.removeAttribute('aria-invalid'));
+    this.errorList.innerHTML = '';
+    this.errorList.hidden = !errors.length;
+
+    errors.forEach(error => {
+      // "ui.suggestionChips[2]" belongs to the chips field, as its third line
+      const [, fieldPath, index] = error.path.match(/^([^[]*)(?:\[(\d+)\])?$/);
+      const input = fieldPath && this.form.querySelector(`[data-path="${fieldPath}"]`);
+      const message = index === undefined ? error.message : `Line ${Number(index) + 1}: ${error.message}`;
+
+      if (input) {
+        const label = `${input.closest('fieldset').querySelector('legend').textContent} › ${this.form.querySelector(`label[for="${input.id}"]`).textContent}`;
+        const note = this.createElement('p', 'config-error', message);
+        note.id = `${input.id}-error`;
+
+        input.setAttribute('aria-invalid', 'true');
+        input.setAttribute('aria-describedby', note.id);
+        input.insertAdjacentElement('afterend', note);
+        this.errorList.appendChild(this.createElement('li', '', `${label}: ${message}`));
+      } else {
+        this.errorList.appendChild(this.createElement('li', '', ValleyConfig.formatError(error)));
+      }
+    });
+  }
+
+  /**
+   * Show each language's welcome message as ValleyBot would send it in the morning
+   */
+  updateSamples() {
+    const defaults = this.getDefaults();
+    const name = this.form.querySelector('[data-path="personality.name"]').value.trim() || defaults.personality.name;
+    const welcome = this.validator.apply(defaults.welcome, this.read().welcome || {});
+
+    this.form.querySelectorAll('.config-sample').forEach(sample => {
+      const text = welcome[sample.dataset.language] || welcome.en;
+      const greeting = text.morning || welcome.en.morning;
+
+      sample.textContent = `In the morning: ${ValleyLanguage.format(text.message || welcome.en.message, { greeting, name })}`;
+    });
+  }
+
+  /**
+   * Restart the preview once typing stops
+   */
+  schedulePreview() {
+    clearTimeout(this.previewTimer);
+    this.previewTimer = setTimeout(() => this.updatePreview(), this.config.previewDelay);
+  }
+
+  /**
+   * Restart the preview with the form's settings
+   * A fresh page means a fresh bot, so the welcome message shows every change
+   */
+  updatePreview() {
+    const settings = this.check();
+
+    if (!settings) {
+      this.previewStatus.textContent = 'Preview paused until the errors above are fixed.';
+      return;
+    }
+
+    this.previewSettings = settings;
+    this.previewStatus.textContent = 'Preview (nothing you type here is saved)';
+    this.preview.contentWindow.location.reload();
+  }
+
+  /**
+   * Download the settings as content/chatbot-config.json
+   */
+  download() {
+    const settings = this.check();
+
+    if (!settings) {
+      this.setStatus('Fix the errors above before downloading.');
+      this.form.querySelector('[aria-invalid="true"]').focus();
+      return;
+    }
+
+    const url = URL.createObjectURL(new Blob([ValleyConfig.stringify(settings)], { type: 'application/json' }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = this.config.fileName;
+    link.click();
+    URL.revokeObjectURL(url);
+
+    this.setStatus(`Downloaded ${this.config.fileName}. Replace content/chatbot-config.json with it and deploy the site to go live.`);
+  }
+
+  /**
+   * Show a status message
+   * @param {string} message - Message text
+   */
+  setStatus(message) {
+    this.status.textContent = message;
+  }
+
+  /**
+   * Create an element with text content
+   * @param {string} tag - Tag name
+   * @param {string} className - Class name
+   * @param {string} text - Text content
+   * @returns {HTMLElement} - Element
+   */
+  createElement(tag, className = '', text = '') {
+    const element = document.createElement(tag);
+    if (className) element.className = className;
+    if (text) element.textContent = text;
+    return element;
+  }
+}
+
+// Initialize the editor when the page loads
+document.addEventListener('DOMContentLoaded', () => {
+  window.staffConfigEditor = new StaffConfigEditor();
+});
+
+// Export StaffConfigEditor class for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = StaffConfigEditor;
+}
@@ -0,0 +1,376 @@
+/**
+ * =====================================================================
+ * | VALLEYTAINMENT PRODUCTIONS - STAFF INBOX                          |
+ * | Version: 1.0.0                                                    |
+ * | Last Updated: October 19, 2026                                    |
+ * =====================================================================
+ * | This file powers staff/inbox.html, where the team reads ValleyBot |
+ * | conversations handed off to a human and replies to them. Replies  |
+ * | show up in the visitor's chat window the next time it polls.      |
+ * =====================================================================
+ */
+
+// Configuration object - Edit these values to customize the inbox
+const STAFF_INBOX_CONFIG = {
+  endpoint: '/api/handoff',
+  refreshInterval: 10000, // milliseconds between inbox refreshes
+  passwordKey: 'valleytainment_staff_password', // sessionStorage key, cleared when the tab closes
+  authorKey: 'valleytainment_staff_author'
+};
+
+/**
+ * StaffInbox Class
+ * Lists handed-off conversations and sends staff replies
+ */
+class StaffInbox {
+  /**
+   * @param {Object} config - Overrides for STAFF_INBOX_CONFIG
+   */
+  constructor(config = {}) {
+    // Configuration
+    this.config = { ...STAFF_INBOX_CONFIG, ...config };
+
+    // State
+    this.password = sessionStorage.getItem(this.config.passwordKey) || '';
+    this.conversations = [];
+    this.selectedId = null;
+    this.statusFilter = 'open';
+    this.refreshTimer = null;
+    this.renderedKey = null; // what the detail pane currently shows, so refreshes don't wipe a reply being typed
+    this.drafts = {}; // unsent replies per conversation
+
+    // Elements
+    this.loginForm = document.getElementById('inbox-login');
+    this.inbox = document.getElementById('inbox');
+    this.list = document.getElementById('inbox-list');
+    this.detail = document.getElementById('inbox-detail');
+    this.status = document.getElementById('inbox-status');
+
+    this.bindEvents();
+
+    if (this.password) {
+      this.showInbox();
+    }
+  }
+
+  /**
+   * Bind form and button events
+   */
+  bindEvents() {
+    this.loginForm.addEventListener('submit', (e) => {
+      e.preventDefault();
+      this.password = this.loginForm.elements.password.value;
+      sessionStorage.setItem(this.config.passwordKey, this.password);
+      this.loginForm.reset();
+      this.showInbox();
+    });
+
+    document.getElementById('inbox-logout').addEventListener('click', () => {
+      this.logout('Signed out.');
+    });
+
+    document.getElementById('inbox-filter').addEventListener('change', (e) => {
+      this.statusFilter = e.target.value;
+      this.refresh();
+    });
+
+    document.getElementById('inbox-refresh').addEventListener('click', () => {
+      this.refresh();
+    });
+  }
+
+  /**
+   * Show the inbox and start refreshing it
+   */
+  showInbox() {
+    this.loginForm.hidden = true;
+    this.inbox.hidden = false;
+
+    this.refresh();
+    clearInterval(this.refreshTimer);
+    this.refreshTimer = setInterval(() => this.refresh(), this.config.refreshInterval);
+  }
+
+  /**
+   * Sign out and show the password prompt
+   * @param {string} message - Status message to show
+   */
+  logout(message) {
+    clearInterval(this.refreshTimer);
+    sessionStorage.removeItem(this.config.passwordKey);
+
+    this.password = '';
+    this.conversations = [];
+    this.selectedId = null;
+    this.renderedKey = null;
+
+    this.inbox.hidden = true;
+    this.loginForm.hidden = false;
+    this.setStatus(message);
+  }
+
+  /**
+   * Call the handoff API as staff
+   * @param {string} path - Path after the endpoint
+   * @param {Object} options - fetch options
+   * @returns {Promise<Object>} - Parsed JSON response
+   */
+  async request(path = '', options = {}) {
+    const response = await fetch(`${this.config.endpoint}${path}`, {
+      ...options,
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${this.password}`
+      }
+    });
+
+    const data = await response.json().catch(() => ({}));
+
+    if (response.status === 401) {
+      this.logout('Wrong password. Please try again.');
+    }
+
+    if (!response.ok) {
+      throw new Error((data.error && data.error.message) || `Request failed: ${response.status}`);
+    }
+
+    return data;
+  }
+
+  /**
+   * Reload the conversation list
+   */
+  async refresh() {
+    try {
+      const query = this.statusFilter ? `?status=${encodeURIComponent(this.statusFilter)}` : '';
+      const data = await this.request(query);
+
+      this.conversations = data.conversations;
+      this.setStatus(`Updated ${new Date().toLocaleTimeString()}`);
+      this.render();
+    } catch (error) {
+      console.error('Error loading conversations:', error);
+      if (this.password) {
+        this.setStatus(error.message);
+      }
+    }
+  }
+
+  /**
+   * Send a reply to the selected conversation
+   * @param {string} message - Reply text
+   * @param {string} author - Name shown to the visitor
+   */
+  async reply(message, author) {
+    localStorage.setItem(this.config.authorKey, author);
+
+    await this.request(`/${encodeURIComponent(this.selectedId)}/reply`, {
+      method: 'POST',
+      body: JSON.stringify({ message, author })
+    });
+
+    delete this.drafts[this.selectedId];
+
+    await this.refresh();
+  }
+
+  /**
+   * Close the selected conversation
+   */
+  async close() {
+    await this.request(`/${encodeURIComponent(this.selectedId)}/close`, { method: 'POST' });
+    await this.refresh();
+  }
+
+  /**
+   * Show a status message
+   * @param {string} message - Message text
+   */
+  setStatus(message) {
+    this.status.textContent = message;
+  }
+
+  /**
+   * Render the list and the selected conversation
+   */
+  render() {
+    this.renderList();
+    this.renderDetail();
+  }
+
+  /**
+   * Render the conversation list
+   */
+  renderList() {
+    this.list.innerHTML = '';
+
+    if (!this.conversations.length) {
+      this.list.appendChild(this.createElement('p', 'inbox-empty', 'No conversations.'));
+      return;
+    }
+
+    this.conversations.forEach(conversation => {
+      const lastMessage = conversation.messages[conversation.messages.length - 1];
+      const waiting = lastMessage && lastMessage.role === 'visitor' && conversation.status === 'open';
+
+      const item = this.createElement('button', 'inbox-item');
+      item.type = 'button';
+      item.classList.toggle('active', conversation.id === this.selectedId);
+      item.classList.toggle('waiting', waiting);
+
+      item.appendChild(this.createElement('strong', '', conversation.visitor.name));
+      item.appendChild(this.createElement('span', 'inbox-meta', `${conversation.status} · ${this.formatTime(conversation.updatedAt)}`));
+      item.appendChild(this.createElement('span', 'inbox-preview', lastMessage ? lastMessage.content : 'No messages yet'));
+
+      item.addEventListener('click', () => {
+        this.selectedId = conversation.id;
+        this.render();
+      });
+
+      this.list.appendChild(item);
+    });
+  }
+
+  /**
+   * Render the selected conversation
+   */
+  renderDetail() {
+    const conversation = this.conversations.find(entry => entry.id === this.selectedId);
+    const key = conversation ? `${conversation.id}:${conversation.updatedAt}:${conversation.status}` : '';
+
+    if (key === this.renderedKey) return;
+    this.renderedKey = key;
+    this.detail.innerHTML = '';
+
+    if (!conversation) {
+      this.detail.appendChild(this.createElement('p', 'inbox-empty', 'Select a conversation.'));
+      return;
+    }
+
+    const header = this.createElement('div', 'inbox-detail-header');
+    header.appendChild(this.createElement('h2', '', conversation.visitor.name));
+
+    const email = this.createElement('a', '', conversation.visitor.email);
+    email.href = `mailto:${conversation.visitor.email}`;
+    header.appendChild(email);
+    this.detail.appendChild(header);
+
+    // What the visitor asked ValleyBot before asking for a human
+    if (conversation.transcript.length) {
+      const transcript = this.createElement('details', 'inbox-transcript');
+      transcript.appendChild(this.createElement('summary', '', `ValleyBot transcript (${conversation.transcript.length} messages)`));
+      conversation.transcript.forEach(entry => {
+        transcript.appendChild(this.createMessage(entry.role === 'user' ? conversation.visitor.name : 'ValleyBot', entry.content, entry.timestamp, entry.role));
+      });
+      this.detail.appendChild(transcript);
+    }
+
+    const thread = this.createElement('div', 'inbox-thread');
+    conversation.messages.forEach(message => {
+      thread.appendChild(this.createMessage(message.author, message.content, message.createdAt, message.role));
+    });
+    this.detail.appendChild(thread);
+
+    if (conversation.status === 'open') {
+      this.detail.appendChild(this.createReplyForm());
+    } else {
+      this.detail.appendChild(this.createElement('p', 'inbox-empty', 'This conversation is closed.'));
+    }
+  }
+
+  /**
+   * Create the reply form for the selected conversation
+   * @returns {HTMLFormElement} - Form element
+   */
+  createReplyForm() {
+    const form = document.createElement('form');
+    form.className = 'inbox-reply';
+    form.innerHTML = `
+      <input type="text" name="author" placeholder="Your name" maxlength="100" required>
+      <textarea name="message" rows="3" placeholder="Write a reply..." maxlength="4000" required></textarea>
+      <div class="inbox-actions">
+        <button type="submit">Send reply</button>
+        <button type="button" class="inbox-close">Close conversation</button>
+      </div>
+    `;
+
+    const id = this.selectedId;
+    form.elements.author.value = localStorage.getItem(this.config.authorKey) || '';
+    form.elements.message.value = this.drafts[id] || '';
+
+    form.elements.message.addEventListener('input', (e) => {
+      this.drafts[id] = e.target.value;
+    });
+
+    form.addEventListener('submit', async (e) => {
+      e.preventDefault();
+
+      try {
+        await this.reply(form.elements.message.value, form.elements.author.value);
+      } catch (error) {
+        this.setStatus(error.message);
+      }
+    });
+
+    form.querySelector('.inbox-close').addEventListener('click', async () => {
+      if (!confirm('Close this conversation? The visitor will be handed back to ValleyBot.')) return;
+
+      try {
+        await this.close();
+      } catch (error) {
+        this.setStatus(error.message);
+      }
+    });
+
+    return form;
+  }
+
+  /**
+   * Create a message element
+   * @param {string} author - Who wrote it
+   * @param {string} content - Message text
+   * @param {string} timestamp - ISO timestamp
+   * @param {string} role - 'visitor', 'staff', 'user' or 'assistant'
+   * @returns {HTMLElement} - Message element
+   */
+  createMessage(author, content, timestamp, role) {
+    const message = this.createElement('div', `inbox-message inbox-message-${role}`);
+    message.appendChild(this.createElement('span', 'inbox-meta', `${author} · ${this.formatTime(timestamp)}`));
+    message.appendChild(this.createElement('p', '', content));
+    return message;
+  }
+
+  /**
+   * Create an element with text content
+   * Visitor text is always set as text, never as HTML
+   * @param {string} tag - Tag name
+   * @param {string} className - Class name
+   * @param {string} text - Text content
+   * @returns {HTMLElement} - Element
+   */
+  createElement(tag, className = '', text = '') {
+    const element = document.createElement(tag);
+    if (className) element.className = className;
+    if (text) element.textContent = text;
+    return element;
+  }
+
+  /**
+   * Format a timestamp for display
+   * @param {string} timestamp - ISO timestamp
+   * @returns {string} - Local date and time
+   */
+  formatTime(timestamp) {
+    return timestamp ? new Date(timestamp).toLocaleString() : '';
+  }
+}
+
+// Initialize the inbox when the page loads
+document.addEventListener('DOMContentLoaded', () => {
+  window.staffInbox = new StaffInbox();
+});
+
+// Export StaffInbox class for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = StaffInbox;
+}
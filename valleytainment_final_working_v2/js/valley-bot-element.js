@@ -0,0 +1,307 @@
+/**
+ * =====================================================================
+ * | VALLEYTAINMENT PRODUCTIONS - VALLEYBOT WIDGET                     |
+ * | Version: 1.0.0                                                    |
+ * | Last Updated: October 19, 2026                                    |
+ * =====================================================================
+ * | This file defines <valley-bot>, the one way ValleyBot is put on a |
+ * | page. It loads the chatbot scripts that sit next to it, builds    |
+ * | the widget in a shadow root so page styles can't reach it, and    |
+ * | reads settings from content/chatbot-config.json, then from        |
+ * | attributes named after CHATBOT_CONFIG, e.g.                       |
+ * | <valley-bot personality-name="ValleyBot" ui-inline></valley-bot>. |
+ * =====================================================================
+ */
+
+// Widget settings - Edit these values to change what the element loads
+const VALLEY_BOT_ELEMENT_CONFIG = {
+  // Loaded in this order from the folder this file is in; scripts already on the page are skipped
+  scripts: [
+    'security-features.js',
+    'chatbot-knowledge.js',
+    'chatbot-intents.js',
+    'chatbot-leads.js',
+    'chatbot-booking.js',
+    'chatbot-voice.js',
+    'chatbot-i18n.js',
+    'chatbot-markdown.js',
+    'chatbot-cards.js',
+    'chatbot-threads.js',
+    'chatbot-analytics.js',
+    'chatbot-suggestions.js',
+    'chatbot-offline.js',
+    'chatbot-moderation.js',
+    'chatbot-config.js',
+    'advanced-chatbot.js'
+  ],
+  stylesheet: '../css/valley-bot.css', // relative to this file
+  iconStylesheet: 'https://cdnjs.cloudflare.com/ajax/libs/font-awesome/6.4.0/css/all.min.css',
+  // Settings edited on staff/config.html, relative to base-url; the config-url attribute changes it ("" skips the file)
+  configUrl: 'content/chatbot-config.json',
+  // Settings holding site URLs; they're resolved against base-url so the widget works on other domains
+  urlSettings: [
+    ['ui', 'avatarPath'],
+    ['knowledge', 'manifestUrl'],
+    ['cards', 'eventsUrl'],
+    ['leadCapture', 'endpoint'],
+    ['handoff', 'endpoint'],
+    ['booking', 'endpoint'],
+    ['analytics', 'endpoint'],
+    ['moderation', 'endpoint']
+  ]
+};
+
+// Where this file was loaded from; scripts, styles and site URLs are found relative to it
+const VALLEY_BOT_SCRIPT_URL = document.currentScript ? document.currentScript.src : document.baseURI;
+
+/**
+ * ValleyBotElement Class
+ * The <valley-bot> custom element
+ */
+class ValleyBotElement extends HTMLElement {
+  constructor() {
+    super();
+
+    // State
+    this.bot = null;
+    this.isStarting = false;
+    this.configFile = null; // settings to use instead of the config file; staff/config.html's preview sets them
+  }
+
+  /**
+   * Build the widget the first time the element is added to a page
+   * Moving the element keeps the same bot
+   */
+  connectedCallback() {
+    if (this.bot || this.isStarting) return;
+    this.isStarting = true;
+
+    this.render();
+
+    ValleyBotElement.loadScripts()
+      .then(() => this.start())
+      .catch(error => {
+        console.error('Error starting ValleyBot:', error);
+      });
+  }
+
+  /**
+   * Create the shadow root with the toggle button and an empty popup
+   * ValleyBot fills the popup in once its scripts have loaded
+   */
+  render() {
+    const root = this.attachShadow({ mode: 'open' });
+    const stylesheet = new URL(VALLEY_BOT_ELEMENT_CONFIG.stylesheet, VALLEY_BOT_SCRIPT_URL);
+
+    ValleyBotElement.loadIconFont();
+
+    // The widget stays hidden until its stylesheet has loaded (valley-bot.css makes :host visible)
+    root.innerHTML = `
+      <style>:host { visibility: hidden; }</style>
+      <link rel="stylesheet" href="${VALLEY_BOT_ELEMENT_CONFIG.iconStylesheet}">
+      <link rel="stylesheet" href="${stylesheet.href}">
+      <div class="chatbot-widget">
+        <button type="button" class="chatbot-toggle" id="chatbot-toggle" aria-expanded="false" aria-controls="chatbot-popup">
+          <i class="fas fa-comment-dots"></i>
+        </button>
+        <div class="chatbot-popup" id="chatbot-popup" role="dialog"></div>
+      </div>
+    `;
+  }
+
+  /**
+   * Create the bot
+   * @returns {Promise<void>}
+   */
+  async start() {
+    const config = this.getConfig(this.configFile || await this.loadConfigFile());
+    const toggle = this.shadowRoot.getElementById('chatbot-toggle');
+
+    toggle.setAttribute('aria-label', `Chat with ${config.personality.name}`);
+    this.shadowRoot.getElementById('chatbot-popup').setAttribute('aria-label', config.personality.name);
+    this.shadowRoot.querySelector('.chatbot-widget').classList.toggle('inline', config.ui.inline);
+
+    this.bot = new ValleyBot(config, this.shadowRoot);
+    await this.bot.init();
+  }
+
+  /**
+   * Load the settings edited on staff/config.html
+   * A missing or invalid file is reported and skipped, so the bot still starts with CHATBOT_CONFIG
+   * @returns {Promise<Object|null>} - Settings, or null
+   */
+  async loadConfigFile() {
+    const url = this.hasAttribute('config-url') ? this.getAttribute('config-url') : VALLEY_BOT_ELEMENT_CONFIG.configUrl;
+    if (!url || typeof ValleyConfig === 'undefined') return null;
+
+    try {
+      return await new ValleyConfig().load(new URL(url, this.getBaseUrl()).href);
+    } catch (error) {
+      console.warn(`<valley-bot>: ignoring ${url}:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Build the configuration from CHATBOT_CONFIG, the config file and the element's attributes
+   * An attribute is a section and a setting in kebab case: voice-enabled="false", threads-max-threads="20"
+   * @param {Object|null} settings - Settings from the config file
+   * @returns {Object} - Configuration for ValleyBot
+   */
+  getConfig(settings = null) {
+    let config = JSON.parse(JSON.stringify(CHATBOT_CONFIG));
+
+    if (settings) {
+      config = new ValleyConfig().apply(config, settings);
+    }
+
+    [...this.attributes].forEach(({ name, value }) => {
+      const section = Object.keys(config).find(key => name.startsWith(`${ValleyBotElement.toKebabCase(key)}-`));
+      if (!section) return; // id, class, base-url, config-url and the like
+
+      const setting = ValleyBotElement.toCamelCase(name.slice(ValleyBotElement.toKebabCase(section).length + 1));
+
+      if (!(setting in config[section])) {
+        console.warn(`<valley-bot>: unknown setting "${name}"`);
+        return;
+      }
+
+      config[section][setting] = ValleyBotElement.parseValue(value, config[section][setting], name);
+    });
+
+    // Site URLs point at the site that serves this file, not the page the widget is on
+    const base = this.getBaseUrl();
+
+    VALLEY_BOT_ELEMENT_CONFIG.urlSettings.forEach(([section, setting]) => {
+      config[section][setting] = new URL(config[section][setting], base).href;
+    });
+
+    config.api.endpoints = config.api.endpoints.map(endpoint => ({
+      ...endpoint,
+      url: new URL(endpoint.url, base).href
+    }));
+
+    return config;
+  }
+
+  /**
+   * Get the site root
+   * @returns {string} - The base-url attribute, or the folder above this file (the site root)
+   */
+  getBaseUrl() {
+    return new URL(this.getAttribute('base-url') || '../', VALLEY_BOT_SCRIPT_URL).href;
+  }
+
+  /**
+   * Load the chatbot scripts in order
+   * Shared by every <valley-bot> on the page
+   * @returns {Promise<void>}
+   */
+  static loadScripts() {
+    if (!ValleyBotElement.scriptsLoaded) {
+      ValleyBotElement.scriptsLoaded = VALLEY_BOT_ELEMENT_CONFIG.scripts.reduce(
+        (previous, file) => previous.then(() => ValleyBotElement.loadScript(new URL(file, VALLEY_BOT_SCRIPT_URL).href)),
+        Promise.resolve()
+      );
+    }
+
+    return ValleyBotElement.scriptsLoaded;
+  }
+
+  /**
+   * Load one script
+   * @param {string} src - Absolute script URL
+   * @returns {Promise<void>}
+   */
+  static loadScript(src) {
+    // The page may already include it
+    if ([...document.scripts].some(script => script.src === src)) {
+      return Promise.resolve();
+    }
+
+    return new Promise((resolve, reject) => {
+      const script = document.createElement('script');
+      script.src = src;
+      script.async = false;
+      script.dataset.valleyBotDependency = ''; // see js/security-features.js
+      script.onload = () => resolve();
+      script.onerror = () => reject(new Error(`Could not load ${src}`));
+      document.head.appendChild(script);
+    });
+  }
+
+  /**
+   * Load the icon font into the page
+   * Fonts declared inside a shadow root are ignored, so the page has to load it too
+   */
+  static loadIconFont() {
+    const href = VALLEY_BOT_ELEMENT_CONFIG.iconStylesheet;
+
+    if ([...document.querySelectorAll('link[rel="stylesheet"]')].some(link => link.href === href)) return;
+
+    const link = document.createElement('link');
+    link.rel = 'stylesheet';
+    link.href = href;
+    link.crossOrigin = 'anonymous';
+    document.head.appendChild(link);
+  }
+
+  /**
+   * Convert an attribute value to the type of the setting it replaces
+   * @param {string} value - Attribute value
+   * @param {*} current - Default value of the setting
+   * @param {string} name - Attribute name, for warnings
+   * @returns {*} - Parsed value, or the default when it can't be parsed
+   */
+  static parseValue(value, current, name) {
+    // A bare attribute (<valley-bot ui-inline>) turns a setting on
+    if (typeof current === 'boolean') {
+      return value !== 'false';
+    }
+
+    if (typeof current === 'number') {
+      const number = Number(value);
+      if (value.trim() && !Number.isNaN(number)) return number;
+    } else if (current && typeof current === 'object') {
+      try {
+        return JSON.parse(value);
+      } catch (error) {
+        // Reported below
+      }
+    } else {
+      return value;
+    }
+
+    console.warn(`<valley-bot>: ignoring "${name}", which should be ${Array.isArray(current) ? 'a JSON array' : typeof current === 'object' ? 'a JSON object' : 'a number'}`);
+    return current;
+  }
+
+  /**
+   * Convert a camelCase name to kebab case
+   * @param {string} name - e.g. leadCapture
+   * @returns {string} - e.g. lead-capture
+   */
+  static toKebabCase(name) {
+    return name.replace(/[A-Z]/g, letter => `-${letter.toLowerCase()}`);
+  }
+
+  /**
+   * Convert a kebab case name to camelCase
+   * @param {string} name - e.g. max-threads
+   * @returns {string} - e.g. maxThreads
+   */
+  static toCamelCase(name) {
+    return name.replace(/-([a-z])/g, (match, letter) => letter.toUpperCase());
+  }
+}
+
+ValleyBotElement.scriptsLoaded = null;
+
+if (!customElements.get('valley-bot')) {
+  customElements.define('valley-bot', ValleyBotElement);
+}
+
+// Export ValleyBotElement class for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ValleyBotElement;
+}
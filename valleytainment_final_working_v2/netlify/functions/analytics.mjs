@@ -0,0 +1,278 @@
+/**
+ * =====================================================================
+ * | VALLEYTAINMENT PRODUCTIONS - CHATBOT ANALYTICS FUNCTION           |
+ * | Version: 1.0.0                                                    |
+ * | Last Updated: October 19, 2026                                    |
+ * =====================================================================
+ * | Netlify Function behind /api/analytics. ValleyBot uploads batches |
+ * | of anonymous usage events from visitors who agreed to share them; |
+ * | staff read the totals on the dashboard (staff/analytics.html).    |
+ * | Events live in Netlify Blobs, shared by every instance of the     |
+ * | function and kept across cold starts.                             |
+ * =====================================================================
+ *
+ * Visitor routes:
+ *   POST /api/analytics                   - Store a batch { events: [...] }
+ *
+ * Staff routes (Authorization: Bearer <ANALYTICS_STAFF_PASSWORD>):
+ *   GET  /api/analytics?days=30           - Totals for the last `days` days
+ *
+ * Environment variables:
+ *   ANALYTICS_STAFF_PASSWORD - Password for the dashboard (default: HANDOFF_STAFF_PASSWORD;
+ *                              the dashboard is off when neither is set)
+ *   ALLOWED_ORIGINS          - Partner sites that may call these routes (see netlify/lib/cors.mjs)
+ */
+
+import { createBlobStore } from '../lib/blob-store.mjs';
+import { withCors } from '../lib/cors.mjs';
+import { createRateLimiter, getClientIp } from '../lib/rate-limit.mjs';
+import { scrubSensitiveData } from '../lib/sensitive-data.mjs';
+import { isStaff } from '../lib/staff-auth.mjs';
+
+// Configuration object - Edit these values to customize the analytics endpoint
+const ANALYTICS_CONFIG = {
+  limits: {
+    maxBatch: 50, // events per upload
+    maxTextLength: 300,
+    maxEvents: 20000, // oldest events are deleted beyond this
+    retentionDays: 90 // events older than this are deleted
+  },
+  types: ['question', 'handoff'],
+  outcomes: ['answered', 'unanswered', 'clarify', 'lead', 'handoff', 'blocked', 'error'],
+  sources: ['ai', 'local'],
+  // Uploads a single IP may send per 10 minutes
+  rateLimit: {
+    max: 30,
+    windowMs: 10 * 60 * 1000
+  },
+  topIntents: 10, // intents listed on the dashboard
+  topUnanswered: 25 // unanswered questions listed on the dashboard
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const store = createBlobStore('analytics', { events: [] });
+const checkRateLimit = createRateLimiter(ANALYTICS_CONFIG.rateLimit);
+
+/**
+ * Get the dashboard password
+ * @returns {string|undefined}
+ */
+function getStaffPassword() {
+  return process.env.ANALYTICS_STAFF_PASSWORD || process.env.HANDOFF_STAFF_PASSWORD;
+}
+
+/**
+ * Error response helper
+ * @param {number} status - HTTP status
+ * @param {string} message - Error message
+ * @param {Object} headers - Extra headers
+ * @returns {Response} - JSON error response
+ */
+function errorResponse(status, message, headers = {}) {
+  return Response.json({ error: { message } }, { status, headers });
+}
+
+/**
+ * Read a JSON body
+ * @param {Request} req - Incoming request
+ * @returns {Promise<Object|null>} - Parsed body, or null when it isn't valid JSON
+ */
+async function readBody(req) {
+  try {
+    return await req.json();
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Validate one event
+ * Only known fields are kept, and question text is scrubbed again in case the browser missed something
+ * @param {Object} event - Event from the upload
+ * @param {number} now - Current time in milliseconds
+ * @returns {Object|null} - Event to store, or null when it's invalid
+ */
+function parseEvent(event, now) {
+  const { maxTextLength, retentionDays } = ANALYTICS_CONFIG.limits;
+
+  if (!event || !ANALYTICS_CONFIG.types.includes(event.type)) return null;
+  if (typeof event.conversation !== 'string' || !/^[a-z0-9-]{1,40}$/.test(event.conversation)) return null;
+
+  // Events can sit in the visitor's queue for a while; anything outside the retention window gets today's date
+  const time = Date.parse(event.timestamp);
+  const timestamp = time > now - retentionDays * DAY_MS && time < now + 5 * 60 * 1000
+    ? new Date(time).toISOString()
+    : new Date(now).toISOString();
+
+  if (event.type === 'handoff') {
+    return { type: 'handoff', conversation: event.conversation, timestamp };
+  }
+
+  if (!ANALYTICS_CONFIG.outcomes.includes(event.outcome)) return null;
+
+  const text = typeof event.text === 'string'
+    ? scrubSensitiveData(event.text).replace(/\s+/g, ' ').trim().slice(0, maxTextLength)
+    : '';
+
+  return {
+    type: 'question',
+    conversation: event.conversation,
+    timestamp,
+    intent: typeof event.intent === 'string' && /^[a-z][a-z0-9_-]{0,39}$/.test(event.intent) ? event.intent : null,
+    outcome: event.outcome,
+    source: ANALYTICS_CONFIG.sources.includes(event.source) ? event.source : 'local',
+    language: typeof event.language === 'string' && /^[a-z]{2}$/.test(event.language) ? event.language : null,
+    voiceInput: event.voiceInput === true,
+    spokenReply: event.spokenReply === true,
+    ...(text ? { text } : {})
+  };
+}
+
+/**
+ * Store a batch of events
+ * @param {Request} req - Incoming request
+ * @param {Object} context - Netlify function context
+ * @returns {Promise<Response>} - { accepted }
+ */
+async function storeEvents(req, context) {
+  const retryAfter = checkRateLimit(getClientIp(req, context));
+  if (retryAfter) {
+    return errorResponse(429, 'Too many requests', { 'Retry-After': String(retryAfter) });
+  }
+
+  const body = await readBody(req);
+  const { maxBatch, maxEvents, retentionDays } = ANALYTICS_CONFIG.limits;
+
+  if (!body || !Array.isArray(body.events) || !body.events.length || body.events.length > maxBatch) {
+    return errorResponse(400, `Send { events } with 1 to ${maxBatch} events`);
+  }
+
+  const now = Date.now();
+  const events = body.events.map(event => parseEvent(event, now)).filter(Boolean);
+
+  if (events.length) {
+    const cutoff = new Date(now - retentionDays * DAY_MS).toISOString();
+
+    try {
+      await store.update(data => {
+        data.events = data.events
+          .concat(events)
+          .filter(event => event.timestamp >= cutoff)
+          .slice(-maxEvents);
+      });
+    } catch (error) {
+      console.error('Error saving analytics events:', error);
+      return errorResponse(503, 'Analytics are busy right now. Please try again.', { 'Retry-After': '5' });
+    }
+  }
+
+  return Response.json({ accepted: events.length }, { status: 202 });
+}
+
+/**
+ * Share of a total, rounded to a tenth of a percent
+ * @param {number} count - Part
+ * @param {number} total - Whole
+ * @returns {number} - Percentage, 0 when there's nothing to divide
+ */
+function percent(count, total) {
+  return total ? Math.round((count / total) * 1000) / 10 : 0;
+}
+
+/**
+ * Count values and list the most common ones
+ * @param {Array<string>} values - Values to count
+ * @param {number} limit - How many to list
+ * @returns {Array<Object>} - { value, count }, most common first
+ */
+function countTop(values, limit) {
+  const counts = new Map();
+  values.forEach(value => counts.set(value, (counts.get(value) || 0) + 1));
+
+  return [...counts]
+    .map(([value, count]) => ({ value, count }))
+    .sort((a, b) => b.count - a.count)
+    .slice(0, limit);
+}
+
+/**
+ * Summarize events for the dashboard
+ * @param {Array<Object>} events - Stored events within the range
+ * @returns {Object} - Totals, rates and top lists
+ */
+function summarize(events) {
+  const questions = events.filter(event => event.type === 'question');
+  const conversations = new Set(events.map(event => event.conversation));
+  const handedOff = new Set(events.filter(event => event.type === 'handoff').map(event => event.conversation));
+  const asked = new Set(questions.map(event => event.conversation));
+
+  // The same question asked with different spacing or case is grouped
+  const unanswered = new Map();
+  questions
+    .filter(event => event.text && (event.outcome === 'unanswered' || event.outcome === 'clarify'))
+    .forEach(event => {
+      const key = event.text.toLowerCase();
+      const entry = unanswered.get(key) || { text: event.text, outcome: event.outcome, count: 0, lastAsked: event.timestamp };
+
+      entry.count++;
+      if (event.timestamp > entry.lastAsked) {
+        entry.lastAsked = event.timestamp;
+      }
+      unanswered.set(key, entry);
+    });
+
+  return {
+    totals: {
+      conversations: conversations.size,
+      questions: questions.length,
+      handoffs: handedOff.size
+    },
+    averageConversationLength: asked.size ? Math.round((questions.length / asked.size) * 10) / 10 : 0,
+    handoffRate: percent(handedOff.size, conversations.size),
+    voiceUsageRate: percent(questions.filter(event => event.voiceInput || event.spokenReply).length, questions.length),
+    voiceInputRate: percent(questions.filter(event => event.voiceInput).length, questions.length),
+    unansweredRate: percent(questions.filter(event => event.outcome === 'unanswered').length, questions.length),
+    localFallbackRate: percent(questions.filter(event => event.source === 'local').length, questions.length),
+    outcomes: countTop(questions.map(event => event.outcome), ANALYTICS_CONFIG.outcomes.length),
+    topIntents: countTop(questions.map(event => event.intent || '(none)'), ANALYTICS_CONFIG.topIntents),
+    unanswered: [...unanswered.values()]
+      .sort((a, b) => b.count - a.count || b.lastAsked.localeCompare(a.lastAsked))
+      .slice(0, ANALYTICS_CONFIG.topUnanswered)
+  };
+}
+
+const handleRequest = async (req, context) => {
+  if (req.method === 'POST') {
+    return storeEvents(req, context);
+  }
+
+  if (req.method !== 'GET') {
+    return errorResponse(405, 'Method not allowed', { 'Allow': 'GET, POST' });
+  }
+
+  if (!getStaffPassword()) {
+    return errorResponse(503, 'The analytics dashboard is not configured (set ANALYTICS_STAFF_PASSWORD)');
+  }
+
+  if (!isStaff(req, getStaffPassword())) {
+    return errorResponse(401, 'Wrong password', { 'WWW-Authenticate': 'Bearer' });
+  }
+
+  const { retentionDays } = ANALYTICS_CONFIG.limits;
+  const days = Math.min(Math.max(parseInt(new URL(req.url).searchParams.get('days'), 10) || 30, 1), retentionDays);
+  const from = new Date(Date.now() - days * DAY_MS).toISOString();
+  const { events } = await store.read();
+
+  return Response.json({
+    days,
+    from,
+    ...summarize(events.filter(event => event.timestamp >= from))
+  });
+};
+
+export default withCors(handleRequest, 'GET, POST');
+
+export const config = {
+  path: '/api/analytics'
+};
@@ -0,0 +1,359 @@
+/**
+ * =====================================================================
+ * | VALLEYTAINMENT PRODUCTIONS - BOOKINGS FUNCTION                    |
+ * | Version: 1.0.0                                                    |
+ * | Last Updated: October 19, 2026                                    |
+ * =====================================================================
+ * | Netlify Function behind /api/bookings. ValleyBot lists the open   |
+ * | times for each service in content/availability.json and books   |
+ * | one. Every booking is checked against the opening hours and the   |
+ * | bookings already made, so a time can't be taken twice. Bookings   |
+ * | live in Netlify Blobs, shared by every instance of the function.  |
+ * =====================================================================
+ *
+ * Visitor routes:
+ *   GET  /api/bookings                    - Services and open times { timezone, services, slots }
+ *   POST /api/bookings                    - Book { service, start, name, email, phone, notes, language }
+ *
+ * Staff routes (Authorization: Bearer <HANDOFF_STAFF_PASSWORD>):
+ *   GET  /api/bookings/list               - Upcoming bookings, soonest first
+ *   POST /api/bookings/:id/cancel         - Cancel a booking and free its time
+ *
+ * Environment variables:
+ *   HANDOFF_STAFF_PASSWORD - Password for the staff routes (they're off when unset)
+ *   ALLOWED_ORIGINS        - Partner sites that may call these routes (see netlify/lib/cors.mjs)
+ */
+
+import crypto from 'node:crypto';
+import availability from '../../content/availability.json' with { type: 'json' };
+import { createBlobStore } from '../lib/blob-store.mjs';
+import { withCors } from '../lib/cors.mjs';
+import { createRateLimiter, getClientIp } from '../lib/rate-limit.mjs';
+import { isStaff } from '../lib/staff-auth.mjs';
+
+// Configuration object - Edit these values to customize the bookings endpoint
+// Opening hours, services and closed days live in content/availability.json
+const BOOKINGS_CONFIG = {
+  limits: {
+    maxNameLength: 100,
+    maxNotesLength: 1000,
+    retentionDays: 90 // past and cancelled bookings older than this are deleted
+  },
+  // Bookings a single IP may make per hour
+  rateLimit: {
+    max: 5,
+    windowMs: 60 * 60 * 1000
+  }
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+const store = createBlobStore('bookings', { bookings: [] });
+const checkRateLimit = createRateLimiter(BOOKINGS_CONFIG.rateLimit);
+
+/**
+ * Trim and bound a text field
+ * @param {*} value - Raw value
+ * @param {number} maxLength - Maximum length
+ * @returns {string|null} - Trimmed text, or null when missing or too long
+ */
+function cleanText(value, maxLength) {
+  if (typeof value !== 'string') return null;
+
+  const text = value.trim();
+  return text && text.length <= maxLength ? text : null;
+}
+
+/**
+ * Error response helper
+ * @param {number} status - HTTP status
+ * @param {string} message - Error message
+ * @param {Object} headers - Extra headers
+ * @returns {Response} - JSON error response
+ */
+function errorResponse(status, message, headers = {}) {
+  return Response.json({ error: { message } }, { status, headers });
+}
+
+/**
+ * Read a JSON body
+ * @param {Request} req - Incoming request
+ * @returns {Promise<Object|null>} - Parsed body, or null when it isn't valid JSON
+ */
+async function readBody(req) {
+  try {
+    return await req.json();
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Get the studio's wall-clock date and time at an instant
+ * @param {number} time - Milliseconds since the epoch
+ * @returns {Object} - { year, month, day, hour, minute, second } as numbers
+ */
+function getStudioParts(time) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone: availability.timezone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: 'numeric',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: 'numeric',
+    second: 'numeric'
+  }).formatToParts(time);
+
+  return Object.fromEntries(parts.filter(part => part.type !== 'literal').map(part => [part.type, Number(part.value)]));
+}
+
+/**
+ * Convert a studio wall-clock time to an instant
+ * Checked twice, so times next to a daylight saving change land on the right side of it
+ * @param {number} year - Year
+ * @param {number} month - Month (1-12)
+ * @param {number} day - Day of the month
+ * @param {number} minutes - Minutes after midnight
+ * @returns {number} - Milliseconds since the epoch
+ */
+function studioTimeToUtc(year, month, day, minutes) {
+  const wallClock = Date.UTC(year, month - 1, day, 0, minutes);
+  const offsetAt = time => {
+    const parts = getStudioParts(time);
+    return Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second) - Math.floor(time / 1000) * 1000;
+  };
+
+  const guess = wallClock - offsetAt(wallClock);
+  return wallClock - offsetAt(guess);
+}
+
+/**
+ * Parse "HH:MM"
+ * @param {string} value - Time of day
+ * @returns {number} - Minutes after midnight
+ */
+function toMinutes(value) {
+  const [hours, minutes] = value.split(':').map(Number);
+  return hours * 60 + minutes;
+}
+
+/**
+ * List the open times for a service
+ * A time is open when it's within opening hours, far enough ahead and doesn't overlap a booking.
+ * Every service shares the studio, so bookings for any service block the time.
+ * @param {Object} service - Service from content/availability.json
+ * @param {Array<Object>} bookings - Stored bookings
+ * @param {number} now - Current time in milliseconds
+ * @returns {Array<Object>} - { start, end } ISO timestamps, soonest first
+ */
+function getOpenSlots(service, bookings, now) {
+  const { hours, closed = [], slotInterval, minNoticeHours, daysAhead } = availability;
+  const earliest = now + minNoticeHours * 60 * 60 * 1000;
+  const booked = bookings
+    .filter(booking => booking.status === 'confirmed')
+    .map(booking => [Date.parse(booking.start), Date.parse(booking.end)]);
+  const today = getStudioParts(now);
+  const slots = [];
+
+  for (let offset = 0; offset <= daysAhead; offset++) {
+    // Calendar arithmetic in UTC, so the day never shifts with daylight saving
+    const date = new Date(Date.UTC(today.year, today.month - 1, today.day + offset));
+    const day = hours[WEEKDAYS[date.getUTCDay()]];
+
+    if (!day || closed.includes(date.toISOString().slice(0, 10))) continue;
+
+    const close = toMinutes(day.close);
+    for (let minutes = toMinutes(day.open); minutes + service.duration <= close; minutes += slotInterval) {
+      const start = studioTimeToUtc(date.getUTCFullYear(), date.getUTCMonth() + 1, date.getUTCDate(), minutes);
+      const end = start + service.duration * 60 * 1000;
+
+      if (start < earliest || booked.some(([bookedStart, bookedEnd]) => start < bookedEnd && bookedStart < end)) continue;
+
+      slots.push({ start: new Date(start).toISOString(), end: new Date(end).toISOString() });
+    }
+  }
+
+  return slots;
+}
+
+/**
+ * Validate a booking request
+ * @param {Object} body - Parsed request body
+ * @returns {Object} - { error } or { booking fields }
+ */
+function parseBooking(body) {
+  const { maxNameLength, maxNotesLength } = BOOKINGS_CONFIG.limits;
+
+  if (!body) {
+    return { error: 'Invalid JSON body' };
+  }
+
+  const service = availability.services.find(entry => entry.id === body.service);
+  const name = cleanText(body.name, maxNameLength);
+  const email = cleanText(body.email, 254);
+
+  if (!service) {
+    return { error: `Choose a service: ${availability.services.map(entry => entry.id).join(', ')}` };
+  }
+
+  if (typeof body.start !== 'string' || Number.isNaN(Date.parse(body.start))) {
+    return { error: 'A start time is required' };
+  }
+
+  if (!name) {
+    return { error: 'A name is required' };
+  }
+
+  if (!email || !/^[a-zA-Z0-9._%+-]+@[a-zA-Z0-9.-]+\.[a-zA-Z]{2,}$/.test(email)) {
+    return { error: 'A valid email address is required' };
+  }
+
+  return {
+    service,
+    start: new Date(body.start).toISOString(),
+    name,
+    email,
+    phone: cleanText(body.phone, 30),
+    notes: cleanText(body.notes, maxNotesLength),
+    language: typeof body.language === 'string' && /^[a-z]{2}$/.test(body.language) ? body.language : 'en'
+  };
+}
+
+/**
+ * Book a time
+ * The open times are worked out again inside the store update, which only saves if no other
+ * booking was written in the meantime, so two visitors can't take the same one
+ * @param {Request} req - Incoming request
+ * @param {Object} context - Netlify function context
+ * @returns {Promise<Response>} - { booking }, or 409 when the time was taken
+ */
+async function createBooking(req, context) {
+  const retryAfter = checkRateLimit(getClientIp(req, context));
+  if (retryAfter) {
+    return errorResponse(429, 'Too many requests. Please email info@valleytainment.com.', { 'Retry-After': String(retryAfter) });
+  }
+
+  const fields = parseBooking(await readBody(req));
+  if (fields.error) {
+    return errorResponse(400, fields.error);
+  }
+
+  const { service, ...details } = fields;
+  const cutoff = new Date(Date.now() - BOOKINGS_CONFIG.limits.retentionDays * DAY_MS).toISOString();
+
+  const book = data => {
+    const now = Date.now();
+    const slot = getOpenSlots(service, data.bookings, now).find(entry => entry.start === details.start);
+
+    if (!slot) {
+      return errorResponse(409, 'That time is no longer available');
+    }
+
+    const booking = {
+      id: crypto.randomUUID(),
+      status: 'confirmed',
+      service: service.id,
+      serviceName: service.name,
+      ...details,
+      end: slot.end,
+      createdAt: new Date(now).toISOString()
+    };
+
+    data.bookings = data.bookings.filter(entry => entry.end >= cutoff).concat(booking);
+
+    const { id, serviceName, start, end } = booking;
+    return Response.json({ booking: { id, service: service.id, serviceName, start, end, timezone: availability.timezone } }, { status: 201 });
+  };
+
+  try {
+    return await store.update(book);
+  } catch (error) {
+    console.error('Error saving booking:', error);
+    return errorResponse(503, 'Bookings are busy right now. Please try again.', { 'Retry-After': '5' });
+  }
+}
+
+/**
+ * List the services and their open times
+ * @returns {Promise<Response>} - { timezone, services, slots: { [service id]: [{ start, end }] } }
+ */
+async function getAvailability() {
+  const { bookings } = await store.read();
+  const now = Date.now();
+
+  return Response.json({
+    timezone: availability.timezone,
+    services: availability.services,
+    slots: Object.fromEntries(availability.services.map(service => [service.id, getOpenSlots(service, bookings, now)]))
+  }, { headers: { 'Cache-Control': 'no-store' } });
+}
+
+/**
+ * Handle the staff routes
+ * @param {Request} req - Incoming request
+ * @param {string} id - 'list' or a booking id
+ * @param {string} action - '' or 'cancel'
+ * @returns {Promise<Response>} - Response
+ */
+async function handleStaff(req, id, action) {
+  if (!process.env.HANDOFF_STAFF_PASSWORD) {
+    return errorResponse(503, 'Staff routes are not configured (set HANDOFF_STAFF_PASSWORD)');
+  }
+
+  if (!isStaff(req, process.env.HANDOFF_STAFF_PASSWORD)) {
+    return errorResponse(401, 'Wrong password', { 'WWW-Authenticate': 'Bearer' });
+  }
+
+  if (req.method === 'GET' && id === 'list' && !action) {
+    const now = new Date().toISOString();
+    const { bookings } = await store.read();
+
+    return Response.json({
+      bookings: bookings
+        .filter(booking => booking.status === 'confirmed' && booking.end >= now)
+        .sort((a, b) => a.start.localeCompare(b.start))
+    });
+  }
+
+  if (req.method === 'POST' && action === 'cancel') {
+    return store.update(data => {
+      const booking = data.bookings.find(entry => entry.id === id);
+      if (!booking) {
+        return errorResponse(404, 'Booking not found');
+      }
+
+      booking.status = 'cancelled';
+      booking.cancelledAt = new Date().toISOString();
+      return Response.json({ status: booking.status });
+    });
+  }
+
+  return errorResponse(404, 'Not found');
+}
+
+const handleRequest = async (req, context) => {
+  const url = new URL(req.url);
+  const [, id = '', action = ''] = url.pathname.replace(/\/+$/, '').split('/api/bookings')[1].split('/');
+
+  if (id) {
+    return handleStaff(req, id, action);
+  }
+
+  if (req.method === 'POST') {
+    return createBooking(req, context);
+  }
+
+  if (req.method !== 'GET') {
+    return errorResponse(405, 'Method not allowed', { 'Allow': 'GET, POST' });
+  }
+
+  return getAvailability();
+};
+
+export default withCors(handleRequest, 'GET, POST');
+
+export const config = {
+  path: ['/api/bookings', '/api/bookings/*']
+};
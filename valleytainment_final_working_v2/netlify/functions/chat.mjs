@@ -0,0 +1,374 @@
+/**
+ * =====================================================================
+ * | VALLEYTAINMENT PRODUCTIONS - CHAT PROXY FUNCTION                  |
+ * | Version: 1.0.0                                                    |
+ * | Last Updated: October 19, 2026                                    |
+ * =====================================================================
+ * | Netlify Function behind /api/chat. Holds the LLM provider keys    |
+ * | server-side, forwards the messages built by ValleyBot, and        |
+ * | normalizes every provider's reply into the chat-completions shape |
+ * | (streamed as SSE or as a single JSON body).                       |
+ * =====================================================================
+ *
+ * Environment variables:
+ *   HUGGINGFACE_API_KEY      - Hugging Face Inference API token
+ *   TOGETHER_API_KEY         - Together AI API key
+ *   CHAT_RATE_LIMIT_MAX      - Requests allowed per IP per window (default 20)
+ *   CHAT_RATE_LIMIT_WINDOW   - Rate limit window in seconds (default 60)
+ *   CHAT_PROVIDER_TIMEOUT    - Milliseconds to wait for a provider to answer (default 10000)
+ *   ALLOWED_ORIGINS          - Partner sites that may call these routes (see netlify/lib/cors.mjs)
+ */
+
+import { withCors } from '../lib/cors.mjs';
+import { createRateLimiter, getClientIp } from '../lib/rate-limit.mjs';
+
+// Configuration object - Edit these values to customize the proxy
+const CHAT_PROXY_CONFIG = {
+  providers: [
+    {
+      name: 'huggingface',
+      keyEnv: 'HUGGINGFACE_API_KEY',
+      url: 'https://api-inference.huggingface.co/models/mistralai/Mixtral-8x7B-Instruct-v0.1',
+      model: 'mistralai/Mixtral-8x7B-Instruct-v0.1',
+      format: 'text-generation',
+      priority: 1
+    },
+    {
+      name: 'together',
+      keyEnv: 'TOGETHER_API_KEY',
+      url: 'https://api.together.xyz/v1/chat/completions',
+      model: 'mistralai/Mixtral-8x7B-Instruct-v0.1',
+      format: 'chat-completions',
+      priority: 2
+    }
+  ],
+  limits: {
+    maxMessages: 30,
+    maxMessageLength: 4000,
+    maxTokens: 800,
+    allowedRoles: ['system', 'user', 'assistant']
+  },
+  rateLimit: {
+    max: parseInt(process.env.CHAT_RATE_LIMIT_MAX, 10) || 20,
+    windowMs: (parseInt(process.env.CHAT_RATE_LIMIT_WINDOW, 10) || 60) * 1000
+  },
+  providerTimeout: parseInt(process.env.CHAT_PROVIDER_TIMEOUT, 10) || 10000
+};
+
+const checkRateLimit = createRateLimiter(CHAT_PROXY_CONFIG.rateLimit);
+
+/**
+ * Validate request body
+ * @param {Object} body - Parsed request body
+ * @returns {string|null} - Error message, or null when the body is valid
+ */
+function validateBody(body) {
+  const { maxMessages, maxMessageLength, allowedRoles } = CHAT_PROXY_CONFIG.limits;
+
+  if (!body || !Array.isArray(body.messages) || body.messages.length === 0) {
+    return '`messages` must be a non-empty array';
+  }
+
+  if (body.messages.length > maxMessages) {
+    return `Too many messages (maximum ${maxMessages})`;
+  }
+
+  for (const message of body.messages) {
+    if (!message || !allowedRoles.includes(message.role) || typeof message.content !== 'string') {
+      return 'Each message needs a role (system, user or assistant) and string content';
+    }
+
+    if (message.content.length > maxMessageLength) {
+      return `Message is too long (maximum ${maxMessageLength} characters)`;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Convert chat messages to a Mixtral instruct prompt
+ * The model has no system role, so the system prompt is folded into the next user turn.
+ * @param {Array} messages - Chat messages
+ * @returns {string} - Instruct prompt
+ */
+function toInstructPrompt(messages) {
+  let prompt = '<s>';
+  let pendingSystem = '';
+  let hasUserTurn = false;
+
+  for (const message of messages) {
+    if (message.role === 'system') {
+      pendingSystem += `${message.content}\n\n`;
+    } else if (message.role === 'user') {
+      prompt += `[INST] ${pendingSystem}${message.content} [/INST]`;
+      pendingSystem = '';
+      hasUserTurn = true;
+    } else if (hasUserTurn) {
+      // Assistant turns before the first user turn (the welcome message) are dropped
+      prompt += ` ${message.content}</s>`;
+    }
+  }
+
+  return prompt;
+}
+
+/**
+ * Build the provider request
+ * @param {Object} provider - Provider entry
+ * @param {Object} options - messages, maxTokens, temperature, stream
+ * @returns {Object} - fetch() init body
+ */
+function buildProviderBody(provider, { messages, maxTokens, temperature, stream }) {
+  if (provider.format === 'text-generation') {
+    return {
+      inputs: toInstructPrompt(messages),
+      parameters: {
+        max_new_tokens: maxTokens,
+        temperature: Math.max(temperature, 0.01),
+        return_full_text: false
+      },
+      stream
+    };
+  }
+
+  return {
+    model: provider.model,
+    messages,
+    max_tokens: maxTokens,
+    temperature,
+    stream
+  };
+}
+
+/**
+ * Extract the full reply from a non-streamed provider response
+ * @param {Object} provider - Provider entry
+ * @param {Object|Array} data - Parsed provider response
+ * @returns {string} - Reply text
+ */
+function extractReply(provider, data) {
+  if (provider.format === 'text-generation') {
+    return Array.isArray(data) && data[0] ? (data[0].generated_text || '') : '';
+  }
+
+  return data.choices && data.choices[0] && data.choices[0].message
+    ? (data.choices[0].message.content || '')
+    : '';
+}
+
+/**
+ * Extract a token from a streamed provider event
+ * @param {Object} provider - Provider entry
+ * @param {Object} chunk - Parsed SSE event data
+ * @returns {string} - Token text
+ */
+function extractToken(provider, chunk) {
+  if (provider.format === 'text-generation') {
+    return chunk.token && !chunk.token.special ? chunk.token.text : '';
+  }
+
+  return chunk.choices && chunk.choices[0] && chunk.choices[0].delta
+    ? (chunk.choices[0].delta.content || '')
+    : '';
+}
+
+/**
+ * Format a normalized streamed chunk
+ * @param {Object} provider - Provider entry
+ * @param {string} token - Token text
+ * @returns {string} - SSE event
+ */
+function formatChunk(provider, token) {
+  return `data: ${JSON.stringify({
+    object: 'chat.completion.chunk',
+    provider: provider.name,
+    model: provider.model,
+    choices: [{ index: 0, delta: { content: token }, finish_reason: null }]
+  })}\n\n`;
+}
+
+/**
+ * Normalize a provider SSE stream into chat-completions chunks
+ * @param {Object} provider - Provider entry
+ * @param {ReadableStream} upstream - Provider response body
+ * @returns {ReadableStream} - Normalized SSE stream
+ */
+function normalizeStream(provider, upstream) {
+  const encoder = new TextEncoder();
+  const decoder = new TextDecoder();
+  const reader = upstream.getReader();
+  let buffer = '';
+
+  return new ReadableStream({
+    async pull(controller) {
+      try {
+        const { value, done } = await reader.read();
+
+        if (done) {
+          controller.enqueue(encoder.encode('data: [DONE]\n\n'));
+          controller.close();
+          return;
+        }
+
+        buffer += decoder.decode(value, { stream: true });
+
+        const events = buffer.split(/\r?\n\r?\n/);
+        buffer = events.pop();
+
+        for (const event of events) {
+          const data = event
+            .split(/\r?\n/)
+            .filter(line => line.startsWith('data:'))
+            .map(line => line.slice(5).trim())
+            .join('\n');
+
+          if (!data || data === '[DONE]') continue;
+
+          const chunk = JSON.parse(data);
+
+          if (chunk.error) {
+            throw new Error(chunk.error.message || chunk.error);
+          }
+
+          const token = extractToken(provider, chunk);
+          if (token) {
+            controller.enqueue(encoder.encode(formatChunk(provider, token)));
+          }
+        }
+      } catch (error) {
+        // Headers are already sent, so report the failure in-band for the client to fail over
+        console.error(`Stream error from ${provider.name}:`, error);
+        controller.enqueue(encoder.encode(`data: ${JSON.stringify({ error: { message: 'Provider stream failed' } })}\n\n`));
+        controller.close();
+        reader.cancel().catch(() => {});
+      }
+    },
+
+    cancel() {
+      return reader.cancel();
+    }
+  });
+}
+
+/**
+ * Call a provider
+ * @param {Object} provider - Provider entry
+ * @param {Object} options - messages, maxTokens, temperature, stream
+ * @returns {Promise<Response>} - Normalized response for the client
+ */
+async function callProvider(provider, options) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), CHAT_PROXY_CONFIG.providerTimeout);
+
+  let response;
+
+  try {
+    response = await fetch(provider.url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${process.env[provider.keyEnv]}`
+      },
+      body: JSON.stringify(buildProviderBody(provider, options)),
+      signal: controller.signal
+    });
+  } finally {
+    // The timeout only guards the wait for the provider to start answering
+    clearTimeout(timer);
+  }
+
+  if (!response.ok) {
+    throw new Error(`API error: ${response.status}`);
+  }
+
+  if (options.stream && response.body) {
+    return new Response(normalizeStream(provider, response.body), {
+      headers: {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache'
+      }
+    });
+  }
+
+  const content = extractReply(provider, await response.json()).trim();
+
+  if (!content) {
+    throw new Error('Empty response from provider');
+  }
+
+  return Response.json({
+    object: 'chat.completion',
+    provider: provider.name,
+    model: provider.model,
+    choices: [{ index: 0, message: { role: 'assistant', content }, finish_reason: 'stop' }]
+  });
+}
+
+/**
+ * Error response helper
+ * @param {number} status - HTTP status
+ * @param {string} message - Error message
+ * @param {Object} headers - Extra headers
+ * @returns {Response} - JSON error response
+ */
+function errorResponse(status, message, headers = {}) {
+  return Response.json({ error: { message } }, { status, headers });
+}
+
+const handleRequest = async (req, context) => {
+  if (req.method !== 'POST') {
+    return errorResponse(405, 'Method not allowed', { 'Allow': 'POST' });
+  }
+
+  const retryAfter = checkRateLimit(getClientIp(req, context));
+
+  if (retryAfter) {
+    return errorResponse(429, 'Too many requests. Please slow down.', { 'Retry-After': String(retryAfter) });
+  }
+
+  let body;
+
+  try {
+    body = await req.json();
+  } catch (error) {
+    return errorResponse(400, 'Invalid JSON body');
+  }
+
+  const validationError = validateBody(body);
+  if (validationError) {
+    return errorResponse(400, validationError);
+  }
+
+  // 0 is a valid temperature (stick to the facts); only a missing or non-numeric one gets the default
+  const temperature = body.temperature === undefined || body.temperature === null ? NaN : Number(body.temperature);
+
+  const options = {
+    // Only the fields providers need are forwarded
+    messages: body.messages.map(({ role, content }) => ({ role, content })),
+    maxTokens: Math.min(parseInt(body.max_tokens, 10) || 500, CHAT_PROXY_CONFIG.limits.maxTokens),
+    temperature: Number.isFinite(temperature) ? Math.min(Math.max(temperature, 0), 1) : 0.7,
+    stream: body.stream === true
+  };
+
+  const providers = CHAT_PROXY_CONFIG.providers
+    .filter(provider => process.env[provider.keyEnv])
+    .sort((a, b) => a.priority - b.priority);
+
+  for (const provider of providers) {
+    try {
+      return await callProvider(provider, options);
+    } catch (error) {
+      console.warn(`Error with provider ${provider.name}:`, error);
+      continue;
+    }
+  }
+
+  return errorResponse(502, 'All chat providers failed');
+};
+
+export default withCors(handleRequest, 'POST');
+
+export const config = {
+  path: '/api/chat'
+};
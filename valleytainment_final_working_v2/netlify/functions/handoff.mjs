@@ -0,0 +1,345 @@
+/**
+ * =====================================================================
+ * | VALLEYTAINMENT PRODUCTIONS - HUMAN HANDOFF FUNCTION               |
+ * | Version: 1.0.0                                                    |
+ * | Last Updated: October 19, 2026                                    |
+ * =====================================================================
+ * | Netlify Function behind /api/handoff. Visitors escalate a         |
+ * | ValleyBot conversation to the team; staff read and answer it from |
+ * | the inbox page (staff/inbox.html); visitors poll for replies.     |
+ * | Conversations live in Netlify Blobs, so a reply reaches the       |
+ * | visitor whichever instance of the function handles their poll.    |
+ * =====================================================================
+ *
+ * Visitor routes (authorized by the token returned on create):
+ *   POST /api/handoff                     - Open a conversation { name, email, question, transcript }
+ *   GET  /api/handoff/:id?token=&after=   - Staff replies with an id greater than `after`
+ *   POST /api/handoff/:id/messages        - Send a follow-up { token, message }
+ *   POST /api/handoff/:id/close           - End the conversation { token }
+ *
+ * Staff routes (Authorization: Bearer <HANDOFF_STAFF_PASSWORD>):
+ *   GET  /api/handoff?status=open         - List conversations
+ *   POST /api/handoff/:id/reply           - Reply { message, author }
+ *   POST /api/handoff/:id/close           - Close the conversation
+ *
+ * Environment variables:
+ *   HANDOFF_STAFF_PASSWORD - Password for the staff inbox (staff routes are off when unset)
+ *   ALLOWED_ORIGINS        - Partner sites that may call these routes (see netlify/lib/cors.mjs)
+ */
+
+import crypto from 'node:crypto';
+import { createBlobStore } from '../lib/blob-store.mjs';
+import { withCors } from '../lib/cors.mjs';
+import { createRateLimiter, getClientIp } from '../lib/rate-limit.mjs';
+import { isStaff, safeEqual } from '../lib/staff-auth.mjs';
+
+// Configuration object - Edit these values to customize the handoff endpoint
+const HANDOFF_CONFIG = {
+  limits: {
+    maxTranscript: 100, // messages copied from the chat
+    maxMessageLength: 4000,
+    maxNameLength: 100,
+    retentionDays: 90 // closed conversations untouched for this long are deleted
+  },
+  // Conversations a single IP may open per hour
+  rateLimit: {
+    max: 5,
+    windowMs: 60 * 60 * 1000
+  }
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const store = createBlobStore('handoffs', { conversations: [] });
+const checkRateLimit = createRateLimiter(HANDOFF_CONFIG.rateLimit);
+
+/**
+ * Trim and bound a text field
+ * @param {*} value - Raw value
+ * @param {number} maxLength - Maximum length
+ * @returns {string|null} - Trimmed text, or null when missing or too long
+ */
+function cleanText(value, maxLength) {
+  if (typeof value !== 'string') return null;
+
+  const text = value.trim();
+  return text && text.length <= maxLength ? text : null;
+}
+
+/**
+ * Validate a new conversation
+ * @param {Object} body - Parsed request body
+ * @returns {Object} - { error } or { conversation fields }
+ */
+function parseNewConversation(body) {
+  const { maxTranscript, maxMessageLength, maxNameLength } = HANDOFF_CONFIG.limits;
+
+  if (!body) {
+    return { error: 'Invalid JSON body' };
+  }
+
+  const name = cleanText(body.name, maxNameLength);
+  const email = cleanText(body.email, 254);
+
+  if (!name) {
+    return { error: 'A name is required' };
+  }
+
+  if (!email || !/^[a-zA-Z0-9._%+-]+@[a-zA-Z0-9.-]+\.[a-zA-Z]{2,}$/.test(email)) {
+    return { error: 'A valid email address is required' };
+  }
+
+  const transcript = Array.isArray(body.transcript) ? body.transcript.slice(-maxTranscript) : [];
+
+  for (const entry of transcript) {
+    if (!entry || !['user', 'assistant'].includes(entry.role) || !cleanText(entry.content, maxMessageLength)) {
+      return { error: 'Each transcript entry needs a role (user or assistant) and content' };
+    }
+  }
+
+  return {
+    name,
+    email,
+    question: cleanText(body.question, maxMessageLength),
+    transcript: transcript.map(({ role, content, timestamp }) => ({ role, content, timestamp: timestamp || null }))
+  };
+}
+
+/**
+ * Add a message to a conversation
+ * @param {Object} conversation - Stored conversation
+ * @param {string} role - 'visitor' or 'staff'
+ * @param {string} content - Message text
+ * @param {string} author - Display name
+ * @returns {Object} - The new message
+ */
+function addMessage(conversation, role, content, author) {
+  const message = {
+    id: conversation.messages.length + 1,
+    role,
+    author,
+    content,
+    createdAt: new Date().toISOString()
+  };
+
+  conversation.messages.push(message);
+  conversation.updatedAt = message.createdAt;
+
+  return message;
+}
+
+/**
+ * Strip the visitor token before sending a conversation to staff
+ * @param {Object} conversation - Stored conversation
+ * @returns {Object} - Conversation without its token
+ */
+function toStaffView({ token, ...conversation }) {
+  return conversation;
+}
+
+/**
+ * Error response helper
+ * @param {number} status - HTTP status
+ * @param {string} message - Error message
+ * @param {Object} headers - Extra headers
+ * @returns {Response} - JSON error response
+ */
+function errorResponse(status, message, headers = {}) {
+  return Response.json({ error: { message } }, { status, headers });
+}
+
+/**
+ * Read a JSON body
+ * @param {Request} req - Incoming request
+ * @returns {Promise<Object|null>} - Parsed body, or null when it isn't valid JSON
+ */
+async function readBody(req) {
+  try {
+    return await req.json();
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Open a conversation
+ * @param {Request} req - Incoming request
+ * @param {Object} context - Netlify function context
+ * @returns {Promise<Response>} - { id, token }
+ */
+async function createConversation(req, context) {
+  const retryAfter = checkRateLimit(getClientIp(req, context));
+  if (retryAfter) {
+    return errorResponse(429, 'Too many requests. Please email info@valleytainment.com.', { 'Retry-After': String(retryAfter) });
+  }
+
+  const fields = parseNewConversation(await readBody(req));
+  if (fields.error) {
+    return errorResponse(400, fields.error);
+  }
+
+  const now = new Date().toISOString();
+  const conversation = {
+    id: crypto.randomUUID(),
+    token: crypto.randomBytes(24).toString('hex'),
+    status: 'open',
+    createdAt: now,
+    updatedAt: now,
+    visitor: { name: fields.name, email: fields.email },
+    transcript: fields.transcript,
+    messages: []
+  };
+
+  if (fields.question) {
+    addMessage(conversation, 'visitor', fields.question, fields.name);
+  }
+
+  const cutoff = new Date(Date.now() - HANDOFF_CONFIG.limits.retentionDays * DAY_MS).toISOString();
+
+  try {
+    await store.update(data => {
+      data.conversations = data.conversations
+        .filter(entry => entry.status === 'open' || entry.updatedAt >= cutoff)
+        .concat(conversation);
+    });
+  } catch (error) {
+    console.error('Error saving conversation:', error);
+    return errorResponse(503, 'The team inbox is busy right now. Please try again.', { 'Retry-After': '5' });
+  }
+
+  return Response.json({ id: conversation.id, token: conversation.token, status: conversation.status }, { status: 201 });
+}
+
+/**
+ * Find a conversation the caller may access
+ * Unknown ids and wrong tokens look the same from outside
+ * @param {Object} data - Store contents
+ * @param {string} id - Conversation id
+ * @param {boolean} staff - Whether the caller is staff
+ * @param {string} token - Visitor token
+ * @returns {Object|null} - Conversation
+ */
+function findConversation(data, id, staff, token) {
+  const conversation = data.conversations.find(entry => entry.id === id);
+
+  if (!conversation || (!staff && !(token && safeEqual(token, conversation.token)))) {
+    return null;
+  }
+
+  return conversation;
+}
+
+/**
+ * Handle /api/handoff/:id routes
+ * @param {Request} req - Incoming request
+ * @param {string} id - Conversation id
+ * @param {string} action - '', 'messages', 'reply' or 'close'
+ * @returns {Promise<Response>} - Response
+ */
+async function handleConversation(req, id, action) {
+  const url = new URL(req.url);
+  const staff = isStaff(req, process.env.HANDOFF_STAFF_PASSWORD);
+  const { maxMessageLength } = HANDOFF_CONFIG.limits;
+
+  // Polling only reads, so it never waits behind writes
+  if (req.method === 'GET' && action === '') {
+    const conversation = findConversation(await store.read(), id, staff, url.searchParams.get('token'));
+    if (!conversation) {
+      return errorResponse(404, 'Conversation not found');
+    }
+
+    const after = parseInt(url.searchParams.get('after'), 10) || 0;
+
+    return Response.json({
+      status: conversation.status,
+      messages: conversation.messages.filter(message => message.role === 'staff' && message.id > after)
+    });
+  }
+
+  if (req.method !== 'POST') {
+    return errorResponse(405, 'Method not allowed', { 'Allow': 'GET, POST' });
+  }
+
+  const body = (await readBody(req)) || {};
+
+  const update = data => {
+    const conversation = findConversation(data, id, staff, body.token);
+    if (!conversation) {
+      return errorResponse(404, 'Conversation not found');
+    }
+
+    if (action === 'close') {
+      conversation.status = 'closed';
+      conversation.updatedAt = new Date().toISOString();
+      return Response.json({ status: conversation.status });
+    }
+
+    const content = cleanText(body.message, maxMessageLength);
+    if (!content) {
+      return errorResponse(400, `A message of up to ${maxMessageLength} characters is required`);
+    }
+
+    if (conversation.status !== 'open') {
+      return errorResponse(409, 'This conversation is closed');
+    }
+
+    if (action === 'messages' && !staff) {
+      return Response.json(addMessage(conversation, 'visitor', content, conversation.visitor.name), { status: 201 });
+    }
+
+    if (action === 'reply' && staff) {
+      const author = cleanText(body.author, HANDOFF_CONFIG.limits.maxNameLength) || 'Valleytainment Team';
+      return Response.json(addMessage(conversation, 'staff', content, author), { status: 201 });
+    }
+
+    return errorResponse(404, 'Not found');
+  };
+
+  try {
+    return await store.update(update);
+  } catch (error) {
+    console.error('Error saving conversation:', error);
+    return errorResponse(503, 'The team inbox is busy right now. Please try again.', { 'Retry-After': '5' });
+  }
+}
+
+const handleRequest = async (req, context) => {
+  const url = new URL(req.url);
+  const [, id = '', action = ''] = url.pathname.replace(/\/+$/, '').split('/api/handoff')[1].split('/');
+
+  if (!id) {
+    if (req.method === 'POST') {
+      return createConversation(req, context);
+    }
+
+    if (req.method !== 'GET') {
+      return errorResponse(405, 'Method not allowed', { 'Allow': 'GET, POST' });
+    }
+
+    if (!process.env.HANDOFF_STAFF_PASSWORD) {
+      return errorResponse(503, 'The staff inbox is not configured (set HANDOFF_STAFF_PASSWORD)');
+    }
+
+    if (!isStaff(req, process.env.HANDOFF_STAFF_PASSWORD)) {
+      return errorResponse(401, 'Wrong password', { 'WWW-Authenticate': 'Bearer' });
+    }
+
+    const status = url.searchParams.get('status');
+    const { conversations } = await store.read();
+
+    return Response.json({
+      conversations: conversations
+        .filter(conversation => !status || conversation.status === status)
+        .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt))
+        .map(toStaffView)
+    });
+  }
+
+  return handleConversation(req, id, action);
+};
+
+export default withCors(handleRequest, 'GET, POST');
+
+export const config = {
+  path: ['/api/handoff', '/api/handoff/*']
+};
@@ -0,0 +1,445 @@
+/**
+ * =====================================================================
+ * | VALLEYTAINMENT PRODUCTIONS - IMAGE PROXY FUNCTION                 |
+ * | Version: 1.0.0                                                    |
+ * | Last Updated: October 19, 2026                                    |
+ * =====================================================================
+ * | Netlify Function behind /api/image. Holds the image provider keys |
+ * | server-side for ValleyImageGenerator: it maps the prompt,         |
+ * | negative prompt and size to the chosen provider's API and returns |
+ * | the image itself, so every provider answers the same way. Only    |
+ * | staff (staff/images.html) may use it, since images cost money.    |
+ * =====================================================================
+ *
+ * Routes (Authorization: Bearer <HANDOFF_STAFF_PASSWORD>):
+ *   POST /api/image  - { provider, mode, prompt, negativePrompt, width, height, seed, steps, guidance,
+ *                        strength, image, mask } -> image bytes (image/png or image/jpeg)
+ *
+ * `seed`, `steps` and `guidance` are optional; the same seed and settings give
+ * the same image again from the same provider.
+ *
+ * `mode` is "text" (the default) to draw from the prompt alone, "image" to
+ * restyle `image` by `strength` (0 keeps it, 1 replaces it) or "inpaint" to
+ * redraw the white parts of `mask`. `image` and `mask` are base64 data URLs,
+ * already at the size the provider accepts; edits aren't resized here.
+ *
+ * The browser picks the provider and fails over to the next one itself, so
+ * each request goes to exactly one provider.
+ *
+ * Environment variables:
+ *   STABILITY_API_KEY        - Stability AI API key
+ *   HUGGINGFACE_API_KEY      - Hugging Face Inference API token (shared with /api/chat)
+ *   HANDOFF_STAFF_PASSWORD   - Password staff sign in with (the proxy is off when unset)
+ *   IMAGE_RATE_LIMIT_MAX     - Images allowed per IP per window (default 10)
+ *   IMAGE_RATE_LIMIT_WINDOW  - Rate limit window in seconds (default 60)
+ *   IMAGE_PROVIDER_TIMEOUT   - Milliseconds to wait for a provider's image (default 9000, under
+ *                              Netlify's 10 second limit for synchronous functions)
+ */
+
+import { createRateLimiter, getClientIp } from '../lib/rate-limit.mjs';
+import { isStaff } from '../lib/staff-auth.mjs';
+
+// Configuration object - Edit these values to customize the proxy
+const IMAGE_PROXY_CONFIG = {
+  providers: {
+    stability: {
+      keyEnv: 'STABILITY_API_KEY',
+      url: 'https://api.stability.ai/v1/generation/stable-diffusion-xl-1024-v1-0/text-to-image',
+      format: 'stability',
+      // SDXL only accepts these sizes; requests get the one closest in shape
+      sizes: [
+        [1024, 1024], [1152, 896], [896, 1152], [1216, 832], [832, 1216],
+        [1344, 768], [768, 1344], [1536, 640], [640, 1536]
+      ],
+      // Edits are drawn at the size of `image`, which must also be one of `sizes`
+      editUrls: {
+        image: 'https://api.stability.ai/v1/generation/stable-diffusion-xl-1024-v1-0/image-to-image',
+        inpaint: 'https://api.stability.ai/v1/generation/stable-diffusion-xl-1024-v1-0/image-to-image/masking'
+      },
+      cfgScale: 7,
+      steps: 30
+    },
+    huggingface: {
+      keyEnv: 'HUGGINGFACE_API_KEY',
+      url: 'https://api-inference.huggingface.co/models/stabilityai/stable-diffusion-xl-base-1.0',
+      format: 'huggingface',
+      editUrls: {
+        image: 'https://api-inference.huggingface.co/models/stabilityai/stable-diffusion-xl-refiner-1.0'
+      },
+      minSize: 256,
+      maxSize: 1024,
+      sizeStep: 8 // width and height must be multiples of this
+    }
+  },
+  limits: {
+    maxPromptLength: 2000, // the generator adds the style and prefix to the visitor's prompt
+    maxNegativePromptLength: 1000,
+    minSize: 64,
+    maxSize: 2048,
+    maxSeed: 4294967295,
+    minSteps: 10,
+    maxSteps: 50,
+    maxGuidance: 35,
+    maxImageLength: 4000000, // characters of base64; Netlify caps the whole body at 6 MB
+    maxMaskLength: 1500000,
+    defaultStrength: 0.6
+  },
+  rateLimit: {
+    max: parseInt(process.env.IMAGE_RATE_LIMIT_MAX, 10) || 10,
+    windowMs: (parseInt(process.env.IMAGE_RATE_LIMIT_WINDOW, 10) || 60) * 1000
+  },
+  // Below Netlify's 10 second function limit, so a slow provider gets a 502 instead of the platform's timeout page
+  providerTimeout: parseInt(process.env.IMAGE_PROVIDER_TIMEOUT, 10) || 9000
+};
+
+const checkRateLimit = createRateLimiter(IMAGE_PROXY_CONFIG.rateLimit);
+
+/**
+ * Error response helper
+ * @param {number} status - HTTP status
+ * @param {string} message - Error message
+ * @param {Object} headers - Extra headers
+ * @returns {Response} - JSON error response
+ */
+function errorResponse(status, message, headers = {}) {
+  return Response.json({ error: { message } }, { status, headers });
+}
+
+/**
+ * Get the modes a provider supports
+ * @param {Object} provider - Provider entry
+ * @returns {Array<string>} - "text", plus "image" and "inpaint" when it can edit
+ */
+function getModes(provider) {
+  return ['text', ...Object.keys(provider.editUrls || {})];
+}
+
+/**
+ * Read a base64 image data URL
+ * @param {string} dataUrl - data:image/...;base64,... URL
+ * @returns {Blob|null} - The image, or null if it isn't a PNG, JPEG or WebP data URL
+ */
+function parseDataUrl(dataUrl) {
+  const match = typeof dataUrl === 'string' && dataUrl.match(/^data:(image\/(?:png|jpeg|webp));base64,([A-Za-z0-9+/]+={0,2})$/);
+  return match ? new Blob([Buffer.from(match[2], 'base64')], { type: match[1] }) : null;
+}
+
+/**
+ * Validate and normalize a request body
+ * @param {Object} body - Parsed request body
+ * @returns {Object} - { request } with the checked fields, or { error } with a message
+ */
+function parseRequest(body) {
+  const { maxPromptLength, maxNegativePromptLength, minSize, maxSize, maxSeed, minSteps, maxSteps, maxGuidance, maxImageLength, maxMaskLength, defaultStrength } = IMAGE_PROXY_CONFIG.limits;
+
+  if (!body || !Object.hasOwn(IMAGE_PROXY_CONFIG.providers, body.provider)) {
+    return { error: `\`provider\` must be one of ${Object.keys(IMAGE_PROXY_CONFIG.providers).join(', ')}` };
+  }
+
+  if (typeof body.prompt !== 'string' || !body.prompt.trim() || body.prompt.length > maxPromptLength) {
+    return { error: `\`prompt\` must be 1 to ${maxPromptLength} characters` };
+  }
+
+  if (body.negativePrompt !== undefined && (typeof body.negativePrompt !== 'string' || body.negativePrompt.length > maxNegativePromptLength)) {
+    return { error: `\`negativePrompt\` must be at most ${maxNegativePromptLength} characters` };
+  }
+
+  const width = Number(body.width);
+  const height = Number(body.height);
+
+  if (![width, height].every(size => Number.isInteger(size) && size >= minSize && size <= maxSize)) {
+    return { error: `\`width\` and \`height\` must be whole numbers from ${minSize} to ${maxSize}` };
+  }
+
+  if (body.seed !== undefined && !(Number.isInteger(body.seed) && body.seed >= 0 && body.seed <= maxSeed)) {
+    return { error: `\`seed\` must be a whole number from 0 to ${maxSeed}` };
+  }
+
+  if (body.steps !== undefined && !(Number.isInteger(body.steps) && body.steps >= minSteps && body.steps <= maxSteps)) {
+    return { error: `\`steps\` must be a whole number from ${minSteps} to ${maxSteps}` };
+  }
+
+  if (body.guidance !== undefined && !(typeof body.guidance === 'number' && body.guidance >= 0 && body.guidance <= maxGuidance)) {
+    return { error: `\`guidance\` must be a number from 0 to ${maxGuidance}` };
+  }
+
+  const provider = IMAGE_PROXY_CONFIG.providers[body.provider];
+  const mode = body.mode === undefined ? 'text' : body.mode;
+
+  if (!getModes(provider).includes(mode)) {
+    return { error: `${body.provider} can't handle \`mode\` ${JSON.stringify(mode)}; it supports ${getModes(provider).join(', ')}` };
+  }
+
+  const request = {
+    provider: body.provider,
+    mode,
+    prompt: body.prompt.trim(),
+    negativePrompt: (body.negativePrompt || '').trim(),
+    width,
+    height,
+    seed: body.seed,
+    steps: body.steps,
+    guidance: body.guidance
+  };
+
+  if (mode === 'text') {
+    return { request };
+  }
+
+  if (provider.sizes && !provider.sizes.some(([w, h]) => w === width && h === height)) {
+    return { error: `${body.provider} edits must be one of ${provider.sizes.map(size => size.join('x')).join(', ')}` };
+  }
+
+  request.image = body.image && body.image.length <= maxImageLength ? parseDataUrl(body.image) : null;
+  if (!request.image) {
+    return { error: `\`image\` must be a PNG, JPEG or WebP data URL of at most ${maxImageLength} characters` };
+  }
+
+  if (mode === 'inpaint') {
+    request.mask = body.mask && body.mask.length <= maxMaskLength ? parseDataUrl(body.mask) : null;
+    if (!request.mask) {
+      return { error: `\`mask\` must be a PNG, JPEG or WebP data URL of at most ${maxMaskLength} characters` };
+    }
+  }
+
+  request.strength = body.strength === undefined ? defaultStrength : Number(body.strength);
+  if (!(request.strength >= 0 && request.strength <= 1)) {
+    return { error: '`strength` must be a number from 0 to 1' };
+  }
+
+  return { request };
+}
+
+/**
+ * Fit a size to what a provider accepts
+ * @param {Object} provider - Provider entry
+ * @param {number} width - Requested width
+ * @param {number} height - Requested height
+ * @returns {Object} - { width, height }
+ */
+function fitSize(provider, width, height) {
+  if (provider.sizes) {
+    const ratio = width / height;
+    const [fitWidth, fitHeight] = provider.sizes.reduce((best, size) => (
+      Math.abs(Math.log(size[0] / size[1] / ratio)) < Math.abs(Math.log(best[0] / best[1] / ratio)) ? size : best
+    ));
+    return { width: fitWidth, height: fitHeight };
+  }
+
+  // Scale down to fit, keeping the shape, then round to the provider's step
+  const scale = Math.min(1, provider.maxSize / Math.max(width, height));
+  const fit = size => Math.min(provider.maxSize, Math.max(provider.minSize, Math.round(size * scale / provider.sizeStep) * provider.sizeStep));
+
+  return { width: fit(width), height: fit(height) };
+}
+
+/**
+ * Get the seed, steps and guidance in a provider's parameter names
+ * Settings the request leaves out use the provider's defaults
+ * @param {Object} provider - Provider entry
+ * @param {Object} request - Checked request from parseRequest()
+ * @returns {Object} - Parameters to add to the provider body
+ */
+function getSettings(provider, request) {
+  const names = provider.format === 'stability'
+    ? { seed: 'seed', steps: 'steps', guidance: 'cfg_scale' }
+    : { seed: 'seed', steps: 'num_inference_steps', guidance: 'guidance_scale' };
+  const values = {
+    seed: request.seed,
+    steps: request.steps === undefined ? provider.steps : request.steps,
+    guidance: request.guidance === undefined ? provider.cfgScale : request.guidance
+  };
+  const settings = {};
+
+  Object.entries(values).forEach(([key, value]) => {
+    if (value !== undefined) {
+      settings[names[key]] = value;
+    }
+  });
+
+  return settings;
+}
+
+/**
+ * Build the provider request body for a text request
+ * @param {Object} provider - Provider entry
+ * @param {Object} request - Checked "text" request from parseRequest()
+ * @returns {Object} - JSON body for the provider
+ */
+function buildProviderBody(provider, request) {
+  const { width, height } = fitSize(provider, request.width, request.height);
+
+  if (provider.format === 'stability') {
+    const textPrompts = [{ text: request.prompt, weight: 1 }];
+
+    if (request.negativePrompt) {
+      textPrompts.push({ text: request.negativePrompt, weight: -1 });
+    }
+
+    return {
+      text_prompts: textPrompts,
+      width,
+      height,
+      ...getSettings(provider, request),
+      samples: 1
+    };
+  }
+
+  return {
+    inputs: request.prompt,
+    parameters: {
+      ...(request.negativePrompt ? { negative_prompt: request.negativePrompt } : {}),
+      width,
+      height,
+      ...getSettings(provider, request)
+    }
+  };
+}
+
+/**
+ * Build the provider request body for an edit
+ * Stability takes the images as multipart form fields; Hugging Face takes the
+ * image as base64 with the prompt in its parameters
+ * @param {Object} provider - Provider entry
+ * @param {Object} request - Checked "image" or "inpaint" request from parseRequest()
+ * @returns {Promise<FormData|Object>} - Form data, or a JSON body
+ */
+async function buildEditBody(provider, request) {
+  if (provider.format === 'stability') {
+    const form = new FormData();
+    form.append('init_image', request.image, 'image');
+    form.append('text_prompts[0][text]', request.prompt);
+    form.append('text_prompts[0][weight]', '1');
+
+    if (request.negativePrompt) {
+      form.append('text_prompts[1][text]', request.negativePrompt);
+      form.append('text_prompts[1][weight]', '-1');
+    }
+
+    if (request.mode === 'inpaint') {
+      // White in the mask is redrawn, black is kept
+      form.append('mask_source', 'MASK_IMAGE_WHITE');
+      form.append('mask_image', request.mask, 'mask');
+    } else {
+      // Stability's strength is how much of the image to keep
+      form.append('init_image_mode', 'IMAGE_STRENGTH');
+      form.append('image_strength', String(Math.round((1 - request.strength) * 100) / 100));
+    }
+
+    Object.entries(getSettings(provider, request)).forEach(([name, value]) => {
+      form.append(name, String(value));
+    });
+    form.append('samples', '1');
+    return form;
+  }
+
+  return {
+    inputs: Buffer.from(await request.image.arrayBuffer()).toString('base64'),
+    parameters: {
+      prompt: request.prompt,
+      ...(request.negativePrompt ? { negative_prompt: request.negativePrompt } : {}),
+      strength: request.strength,
+      ...getSettings(provider, request)
+    }
+  };
+}
+
+/**
+ * Call a provider
+ * @param {string} name - Provider name
+ * @param {Object} request - Checked request from parseRequest()
+ * @returns {Promise<Response>} - The image
+ */
+async function callProvider(name, request) {
+  const provider = IMAGE_PROXY_CONFIG.providers[name];
+  const body = request.mode === 'text' ? buildProviderBody(provider, request) : await buildEditBody(provider, request);
+  const isForm = body instanceof FormData;
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), IMAGE_PROXY_CONFIG.providerTimeout);
+
+  try {
+    const response = await fetch(request.mode === 'text' ? provider.url : provider.editUrls[request.mode], {
+      method: 'POST',
+      headers: {
+        // fetch sets the multipart boundary itself
+        ...(isForm ? {} : { 'Content-Type': 'application/json' }),
+        'Accept': 'image/png',
+        'Authorization': `Bearer ${process.env[provider.keyEnv]}`
+      },
+      body: isForm ? body : JSON.stringify(body),
+      signal: controller.signal
+    });
+
+    if (!response.ok) {
+      throw new Error(`API error: ${response.status}`);
+    }
+
+    // Errors such as a model that's still loading come back as JSON
+    const type = response.headers.get('Content-Type') || '';
+    if (!type.startsWith('image/')) {
+      throw new Error(`Expected an image, got ${type || 'no content type'}`);
+    }
+
+    const image = await response.arrayBuffer();
+
+    return new Response(image, {
+      headers: {
+        'Content-Type': type,
+        'Cache-Control': 'no-store',
+        'X-Image-Provider': name
+      }
+    });
+  } finally {
+    // The timeout covers the whole image, which only arrives once it's generated
+    clearTimeout(timer);
+  }
+}
+
+export default async (req, context) => {
+  if (req.method !== 'POST') {
+    return errorResponse(405, 'Method not allowed', { 'Allow': 'POST' });
+  }
+
+  if (!process.env.HANDOFF_STAFF_PASSWORD) {
+    return errorResponse(503, 'The image proxy is not configured (set HANDOFF_STAFF_PASSWORD)');
+  }
+
+  if (!isStaff(req, process.env.HANDOFF_STAFF_PASSWORD)) {
+    return errorResponse(401, 'Wrong password', { 'WWW-Authenticate': 'Bearer' });
+  }
+
+  const retryAfter = checkRateLimit(getClientIp(req, context));
+
+  if (retryAfter) {
+    return errorResponse(429, 'Too many requests. Please slow down.', { 'Retry-After': String(retryAfter) });
+  }
+
+  let body;
+
+  try {
+    body = await req.json();
+  } catch (error) {
+    return errorResponse(400, 'Invalid JSON body');
+  }
+
+  const { request, error } = parseRequest(body);
+  if (error) {
+    return errorResponse(400, error);
+  }
+
+  // Without a key the browser moves straight on to its next provider
+  if (!process.env[IMAGE_PROXY_CONFIG.providers[request.provider].keyEnv]) {
+    return errorResponse(503, `${request.provider} is not configured`);
+  }
+
+  try {
+    return await callProvider(request.provider, request);
+  } catch (providerError) {
+    console.warn(`Error with image provider ${request.provider}:`, providerError);
+    return errorResponse(502, `${request.provider} failed`);
+  }
+};
+
+export const config = {
+  path: '/api/image'
+};
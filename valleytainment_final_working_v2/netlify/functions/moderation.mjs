@@ -0,0 +1,202 @@
+/**
+ * =====================================================================
+ * | VALLEYTAINMENT PRODUCTIONS - CHATBOT MODERATION FUNCTION          |
+ * | Version: 1.0.0                                                    |
+ * | Last Updated: October 19, 2026                                    |
+ * =====================================================================
+ * | Netlify Function behind /api/moderation. ValleyBot reports what   |
+ * | its guardrails caught (js/chatbot-moderation.js): blocked         |
+ * | questions and answers, and answers with unverified prices or      |
+ * | dates. Staff review them on the dashboard (staff/analytics.html). |
+ * | The log lives in Netlify Blobs, shared by every instance of the   |
+ * | function and kept across cold starts.                             |
+ * =====================================================================
+ *
+ * Visitor routes:
+ *   POST /api/moderation                  - Store one violation { stage, reason, rule, text, conversation }
+ *
+ * Staff routes (Authorization: Bearer <ANALYTICS_STAFF_PASSWORD>):
+ *   GET  /api/moderation?days=30          - Counts and recent violations for the last `days` days
+ *
+ * Environment variables:
+ *   ANALYTICS_STAFF_PASSWORD - Password for the dashboard (default: HANDOFF_STAFF_PASSWORD;
+ *                              the log is off when neither is set)
+ *   ALLOWED_ORIGINS          - Partner sites that may call these routes (see netlify/lib/cors.mjs)
+ */
+
+import { createBlobStore } from '../lib/blob-store.mjs';
+import { withCors } from '../lib/cors.mjs';
+import { createRateLimiter, getClientIp } from '../lib/rate-limit.mjs';
+import { scrubSensitiveData } from '../lib/sensitive-data.mjs';
+import { isStaff } from '../lib/staff-auth.mjs';
+
+// Configuration object - Edit these values to customize the moderation log
+const MODERATION_CONFIG = {
+  limits: {
+    maxTextLength: 200,
+    maxRuleLength: 100,
+    maxViolations: 5000, // oldest violations are deleted beyond this
+    retentionDays: 30 // violations older than this are deleted
+  },
+  stages: ['input', 'output'],
+  reasons: ['injection', 'toxic', 'explicit', 'attack', 'unverified'],
+  // Reports a single IP may send per 10 minutes
+  rateLimit: {
+    max: 20,
+    windowMs: 10 * 60 * 1000
+  },
+  recent: 50 // violations listed on the dashboard
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const store = createBlobStore('moderation', { violations: [] });
+const checkRateLimit = createRateLimiter(MODERATION_CONFIG.rateLimit);
+
+/**
+ * Get the dashboard password
+ * @returns {string|undefined}
+ */
+function getStaffPassword() {
+  return process.env.ANALYTICS_STAFF_PASSWORD || process.env.HANDOFF_STAFF_PASSWORD;
+}
+
+/**
+ * Error response helper
+ * @param {number} status - HTTP status
+ * @param {string} message - Error message
+ * @param {Object} headers - Extra headers
+ * @returns {Response} - JSON error response
+ */
+function errorResponse(status, message, headers = {}) {
+  return Response.json({ error: { message } }, { status, headers });
+}
+
+/**
+ * Read a JSON body
+ * @param {Request} req - Incoming request
+ * @returns {Promise<Object|null>} - Parsed body, or null when it isn't valid JSON
+ */
+async function readBody(req) {
+  try {
+    return await req.json();
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Validate a report
+ * The excerpt is scrubbed again in case the browser missed something
+ * @param {Object} report - Report from ValleyBot
+ * @returns {Object|null} - Violation to store, or null when it's invalid
+ */
+function parseViolation(report) {
+  const { maxTextLength, maxRuleLength } = MODERATION_CONFIG.limits;
+
+  if (!report || !MODERATION_CONFIG.stages.includes(report.stage) || !MODERATION_CONFIG.reasons.includes(report.reason)) {
+    return null;
+  }
+
+  return {
+    stage: report.stage,
+    reason: report.reason,
+    rule: typeof report.rule === 'string' ? report.rule.slice(0, maxRuleLength) : null,
+    text: typeof report.text === 'string'
+      ? scrubSensitiveData(report.text).replace(/\s+/g, ' ').trim().slice(0, maxTextLength)
+      : '',
+    conversation: typeof report.conversation === 'string' && /^[a-z0-9-]{1,40}$/.test(report.conversation)
+      ? report.conversation
+      : null,
+    timestamp: new Date().toISOString()
+  };
+}
+
+/**
+ * Store a violation
+ * @param {Request} req - Incoming request
+ * @param {Object} context - Netlify function context
+ * @returns {Promise<Response>} - { accepted }
+ */
+async function storeViolation(req, context) {
+  const retryAfter = checkRateLimit(getClientIp(req, context));
+  if (retryAfter) {
+    return errorResponse(429, 'Too many requests', { 'Retry-After': String(retryAfter) });
+  }
+
+  const violation = parseViolation(await readBody(req));
+
+  if (!violation) {
+    return errorResponse(400, `Send { stage, reason } with a stage of ${MODERATION_CONFIG.stages.join('/')} and a reason of ${MODERATION_CONFIG.reasons.join('/')}`);
+  }
+
+  const { maxViolations, retentionDays } = MODERATION_CONFIG.limits;
+  const cutoff = new Date(Date.now() - retentionDays * DAY_MS).toISOString();
+
+  try {
+    await store.update(data => {
+      data.violations = data.violations
+        .concat(violation)
+        .filter(item => item.timestamp >= cutoff)
+        .slice(-maxViolations);
+    });
+  } catch (error) {
+    console.error('Error saving violation:', error);
+    return errorResponse(503, 'The moderation log is busy right now. Please try again.', { 'Retry-After': '5' });
+  }
+
+  return Response.json({ accepted: 1 }, { status: 202 });
+}
+
+/**
+ * Count values, most common first
+ * @param {Array<string>} values - Values to count
+ * @returns {Array<Object>} - { value, count }
+ */
+function countAll(values) {
+  const counts = new Map();
+  values.forEach(value => counts.set(value, (counts.get(value) || 0) + 1));
+
+  return [...counts]
+    .map(([value, count]) => ({ value, count }))
+    .sort((a, b) => b.count - a.count);
+}
+
+const handleRequest = async (req, context) => {
+  if (req.method === 'POST') {
+    return storeViolation(req, context);
+  }
+
+  if (req.method !== 'GET') {
+    return errorResponse(405, 'Method not allowed', { 'Allow': 'GET, POST' });
+  }
+
+  if (!getStaffPassword()) {
+    return errorResponse(503, 'The moderation log is not configured (set ANALYTICS_STAFF_PASSWORD)');
+  }
+
+  if (!isStaff(req, getStaffPassword())) {
+    return errorResponse(401, 'Wrong password', { 'WWW-Authenticate': 'Bearer' });
+  }
+
+  const { retentionDays } = MODERATION_CONFIG.limits;
+  const days = Math.min(Math.max(parseInt(new URL(req.url).searchParams.get('days'), 10) || 30, 1), retentionDays);
+  const from = new Date(Date.now() - days * DAY_MS).toISOString();
+  const { violations } = await store.read();
+  const inRange = violations.filter(item => item.timestamp >= from);
+
+  return Response.json({
+    days,
+    from,
+    total: inRange.length,
+    reasons: countAll(inRange.map(item => item.reason)),
+    stages: countAll(inRange.map(item => item.stage)),
+    recent: inRange.slice(-MODERATION_CONFIG.recent).reverse()
+  });
+};
+
+export default withCors(handleRequest, 'GET, POST');
+
+export const config = {
+  path: '/api/moderation'
+};
@@ -0,0 +1,100 @@
+/**
+ * =====================================================================
+ * | VALLEYTAINMENT PRODUCTIONS - BLOB STORE                           |
+ * | Version: 1.0.0                                                    |
+ * | Last Updated: October 19, 2026                                    |
+ * =====================================================================
+ * | JSON storage in Netlify Blobs, shared by every function instance  |
+ * | and kept across cold starts. Every function that stores data uses |
+ * | it through read() and update(). Updates are conditional writes on |
+ * | the entry's ETag, so when two instances change it at once, one    |
+ * | starts over on the fresh value instead of overwriting the other.  |
+ * =====================================================================
+ *
+ * Run locally with `netlify dev`, which provides a Blobs sandbox.
+ */
+
+import { getStore } from '@netlify/blobs';
+
+// Configuration object - Edit these values to change where and how the data is stored
+const BLOB_STORE_CONFIG = {
+  storeName: 'valleytainment',
+  maxAttempts: 5 // updates that keep losing to other writers give up after this many tries
+};
+
+// Pending updates per entry, so concurrent updates in one instance never race each other
+const writeQueues = new Map();
+
+/**
+ * Create a store backed by one Netlify Blobs entry
+ * @param {string} name - Entry key
+ * @param {*} initialValue - Value returned when the entry does not exist yet
+ * @returns {Object} - Store with read() and update(fn)
+ */
+export function createBlobStore(name, initialValue) {
+  // Opened per call: Netlify only provides the Blobs credentials while a request is handled
+  const open = () => getStore({ name: BLOB_STORE_CONFIG.storeName, consistency: 'strong' });
+
+  /**
+   * Read the stored value
+   * @returns {Promise<*>} - Parsed entry
+   */
+  async function read() {
+    const data = await open().get(name, { type: 'json' });
+    return data === null ? structuredClone(initialValue) : data;
+  }
+
+  /**
+   * Update the stored value
+   * fn can run more than once when another instance writes first, so it must
+   * only change the value it's given
+   * @param {Function} fn - Receives the current value and returns the result to hand back;
+   *   mutate the value in place to change what is saved
+   * @returns {Promise<*>} - Whatever the last call to fn returned
+   */
+  function update(fn) {
+    const previous = writeQueues.get(name) || Promise.resolve();
+    const next = previous.catch(() => {}).then(() => write(fn));
+
+    writeQueues.set(name, next);
+    return next;
+  }
+
+  /**
+   * Apply fn and save, starting over when another instance wrote first
+   * @param {Function} fn - See update()
+   * @returns {Promise<*>} - Whatever the last call to fn returned
+   */
+  async function write(fn) {
+    const store = open();
+
+    for (let attempt = 1; attempt <= BLOB_STORE_CONFIG.maxAttempts; attempt++) {
+      const entry = await store.getWithMetadata(name, { type: 'json' });
+      const data = entry ? entry.data : structuredClone(initialValue);
+      const before = JSON.stringify(data);
+      const result = await fn(data);
+
+      // Nothing changed (e.g. a refused booking), so there's nothing to write
+      if (JSON.stringify(data) === before) {
+        return result;
+      }
+
+      // The local sandbox (netlify dev) sends no ETag; it runs a single instance, so the queue is enough there
+      let condition = { onlyIfNew: true };
+      if (entry) {
+        condition = entry.etag ? { onlyIfMatch: entry.etag } : {};
+      }
+
+      // set() rather than setJSON(): @netlify/blobs 10.x drops the onlyIf* conditions in setJSON()
+      const { modified } = await store.set(name, JSON.stringify(data), condition);
+
+      if (modified) {
+        return result;
+      }
+    }
+
+    throw new Error(`Too many concurrent updates to ${name}`);
+  }
+
+  return { read, update };
+}
@@ -0,0 +1,70 @@
+/**
+ * =====================================================================
+ * | VALLEYTAINMENT PRODUCTIONS - CORS                                 |
+ * | Version: 1.0.0                                                    |
+ * | Last Updated: October 19, 2026                                    |
+ * =====================================================================
+ * | Cross-origin access for the visitor routes of the Netlify         |
+ * | Functions, so the <valley-bot> embed works on partner sites.      |
+ * | Only the origins listed in ALLOWED_ORIGINS get CORS headers, and  |
+ * | only Content-Type may be sent: the Bearer-protected staff routes  |
+ * | stay same-origin.                                                 |
+ * =====================================================================
+ */
+
+/**
+ * Read the partner origins allowed to call the functions
+ * @returns {Array<string>} - Origins like https://partner.example, without a trailing slash
+ */
+export function getAllowedOrigins() {
+  return (process.env.ALLOWED_ORIGINS || '')
+    .split(',')
+    .map(origin => origin.trim().replace(/\/+$/, ''))
+    .filter(Boolean);
+}
+
+/**
+ * Build the CORS headers for a request
+ * @param {Request} req - Incoming request
+ * @param {string} methods - Methods the route accepts, e.g. 'GET, POST'
+ * @returns {Object} - Headers to add; empty when the origin isn't allowed
+ */
+export function getCorsHeaders(req, methods) {
+  const origin = req.headers.get('origin');
+
+  if (!origin || !getAllowedOrigins().includes(origin)) {
+    return {};
+  }
+
+  return {
+    'Access-Control-Allow-Origin': origin,
+    'Access-Control-Allow-Methods': methods,
+    'Access-Control-Allow-Headers': 'Content-Type',
+    'Access-Control-Max-Age': '86400'
+  };
+}
+
+/**
+ * Wrap a function handler with CORS: answer preflights and tag every response
+ * @param {Function} handler - (req, context) => Response
+ * @param {string} methods - Methods the route accepts, e.g. 'GET, POST'
+ * @returns {Function} - Wrapped handler
+ */
+export function withCors(handler, methods) {
+  return async (req, context) => {
+    const corsHeaders = getCorsHeaders(req, methods);
+
+    if (req.method === 'OPTIONS') {
+      return new Response(null, { status: 204, headers: { ...corsHeaders, 'Allow': `${methods}, OPTIONS`, 'Vary': 'Origin' } });
+    }
+
+    const response = await handler(req, context);
+    // Proxied fetch() responses have immutable headers, so copy before tagging
+    const tagged = new Response(response.body, response);
+
+    Object.entries(corsHeaders).forEach(([name, value]) => tagged.headers.set(name, value));
+    tagged.headers.append('Vary', 'Origin');
+
+    return tagged;
+  };
+}
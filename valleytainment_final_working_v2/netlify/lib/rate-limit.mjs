@@ -0,0 +1,55 @@
+/**
+ * =====================================================================
+ * | VALLEYTAINMENT PRODUCTIONS - RATE LIMITER                         |
+ * | Version: 1.0.0                                                    |
+ * | Last Updated: October 19, 2026                                    |
+ * =====================================================================
+ * | In-memory, per-IP sliding window rate limiting for the Netlify    |
+ * | Functions. Counts live as long as the function instance stays     |
+ * | warm, so the limit is per instance rather than global.            |
+ * =====================================================================
+ */
+
+/**
+ * Create a rate limiter
+ * @param {Object} options - max requests per windowMs milliseconds
+ * @returns {Function} - check(ip): seconds until the client may retry, or 0 if allowed
+ */
+export function createRateLimiter({ max, windowMs }) {
+  // Request timestamps per client IP
+  const buckets = new Map();
+
+  return function checkRateLimit(ip) {
+    const now = Date.now();
+    const bucket = (buckets.get(ip) || []).filter(time => now - time < windowMs);
+
+    if (bucket.length >= max) {
+      buckets.set(ip, bucket);
+      return Math.ceil((bucket[0] + windowMs - now) / 1000);
+    }
+
+    bucket.push(now);
+    buckets.set(ip, bucket);
+
+    // Drop idle IPs so the map does not grow for the life of the instance
+    if (buckets.size > 1000) {
+      for (const [key, times] of buckets) {
+        if (!times.length || now - times[times.length - 1] >= windowMs) {
+          buckets.delete(key);
+        }
+      }
+    }
+
+    return 0;
+  };
+}
+
+/**
+ * Get the client IP for a request
+ * @param {Request} req - Incoming request
+ * @param {Object} context - Netlify function context
+ * @returns {string} - Client IP, or 'unknown'
+ */
+export function getClientIp(req, context) {
+  return (context && context.ip) || req.headers.get('x-nf-client-connection-ip') || 'unknown';
+}
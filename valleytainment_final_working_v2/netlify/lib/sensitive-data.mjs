@@ -0,0 +1,29 @@
+/**
+ * =====================================================================
+ * | VALLEYTAINMENT PRODUCTIONS - SENSITIVE DATA SCRUBBER              |
+ * | Version: 1.0.0                                                    |
+ * | Last Updated: October 19, 2026                                    |
+ * =====================================================================
+ * | Server-side copy of the email and phone patterns in               |
+ * | js/security-features.js (SENSITIVE_DATA_PATTERNS), so text the    |
+ * | browser was meant to scrub is checked again before it's stored.   |
+ * | Keep the two in sync.                                             |
+ * =====================================================================
+ */
+
+// Same patterns as SecurityManager.maskSensitiveData()
+export const SENSITIVE_DATA_PATTERNS = {
+  email: /([a-zA-Z0-9._%+-]+@[a-zA-Z0-9.-]+\.[a-zA-Z]{2,})/g,
+  phone: /(\+?[0-9]{1,3}[-\s]?)?(\([0-9]{3}\)|[0-9]{3})[-\s]?[0-9]{3}[-\s]?[0-9]{4}/g
+};
+
+/**
+ * Remove email addresses and phone numbers from text
+ * @param {string} text - Text to scrub
+ * @returns {string} - Text with [email] and [phone] in place of personal data
+ */
+export function scrubSensitiveData(text) {
+  return String(text)
+    .replace(SENSITIVE_DATA_PATTERNS.email, '[email]')
+    .replace(SENSITIVE_DATA_PATTERNS.phone, '[phone]');
+}
@@ -0,0 +1,37 @@
+/**
+ * =====================================================================
+ * | VALLEYTAINMENT PRODUCTIONS - STAFF AUTHENTICATION                 |
+ * | Version: 1.0.0                                                    |
+ * | Last Updated: October 19, 2026                                    |
+ * =====================================================================
+ * | Password checks for the team-only routes of the Netlify           |
+ * | Functions (staff/inbox.html, staff/analytics.html). Staff send    |
+ * | the password as a Bearer token.                                   |
+ * =====================================================================
+ */
+
+import crypto from 'node:crypto';
+
+/**
+ * Compare two secrets without leaking where they differ
+ * @param {string} a - First value
+ * @param {string} b - Second value
+ * @returns {boolean} - Whether they match
+ */
+export function safeEqual(a, b) {
+  const hashA = crypto.createHash('sha256').update(String(a)).digest();
+  const hashB = crypto.createHash('sha256').update(String(b)).digest();
+  return crypto.timingSafeEqual(hashA, hashB);
+}
+
+/**
+ * Check a staff password
+ * @param {Request} req - Incoming request
+ * @param {string} password - Expected password; staff routes are off when it's empty
+ * @returns {boolean} - Whether the request carries the password
+ */
+export function isStaff(req, password) {
+  const header = req.headers.get('authorization') || '';
+
+  return Boolean(password) && header.startsWith('Bearer ') && safeEqual(header.slice(7), password);
+}
@@ -1,16 +1,207 @@
-// service-worker.js
+/**
+ * =====================================================================
+ * | VALLEYTAINMENT PRODUCTIONS - SERVICE WORKER                       |
+ * | Version: 1.0.0                                                    |
+ * | Last Updated: October 19, 2026                                    |
+ * =====================================================================
+ * | This file lets the site, and ValleyBot with it, work offline as a |
+ * | PWA. It precaches the pages, the <valley-bot> scripts and styles, |
+ * | and every document in content/knowledge/index.json. Pages and     |
+ * | content/ are fetched from the network first, other files are      |
+ * | served from the cache and refreshed in the background, and /api/  |
+ * | is never cached.                                                  |
+ * =====================================================================
+ */
+
+// Cache settings - `version` is stamped with the commit on every deploy (dev/stamp-service-worker.js),
+// so each deploy gets new caches and throws away everything older workers cached
+const SERVICE_WORKER_CONFIG = {
+  version: 'dev',
+  // Relative to this file; keep the scripts in step with VALLEY_BOT_ELEMENT_CONFIG.scripts (js/valley-bot-element.js)
+  precache: [
+    './',
+    'index.html',
+    'manifest.json',
+    'css/valley-bot.css',
+    'js/valley-bot-element.js',
+    'js/security-features.js',
+    'js/chatbot-knowledge.js',
+    'js/chatbot-intents.js',
+    'js/chatbot-leads.js',
+    'js/chatbot-booking.js',
+    'js/chatbot-voice.js',
+    'js/chatbot-i18n.js',
+    'js/chatbot-markdown.js',
+    'js/chatbot-cards.js',
+    'js/chatbot-threads.js',
+    'js/chatbot-analytics.js',
+    'js/chatbot-suggestions.js',
+    'js/chatbot-offline.js',
+    'js/chatbot-moderation.js',
+    'js/chatbot-config.js',
+    'js/advanced-chatbot.js',
+    'content/chatbot-config.json',
+    'content/events.json'
+  ],
+  // Every document it lists (all languages) is precached too
+  knowledgeManifest: 'content/knowledge/index.json',
+  // Other sites whose files are cached as they're used (Font Awesome and Google Fonts)
+  runtimeOrigins: [
+    'https://cdnjs.cloudflare.com',
+    'https://fonts.googleapis.com',
+    'https://fonts.gstatic.com'
+  ],
+  // Never answered from the cache: chat, leads, handoff, bookings, analytics and moderation need the server
+  networkOnly: ['/api/', '/.netlify/'],
+  // Relative to this file; staff edit these without touching code, so the cache is only used offline
+  networkFirst: ['content/']
+};
+
+const PRECACHE = `valleytainment-precache-${SERVICE_WORKER_CONFIG.version}`;
+const RUNTIME_CACHE = `valleytainment-runtime-${SERVICE_WORKER_CONFIG.version}`;
+
+/**
+ * Get the knowledge manifest and the documents it lists
+ * @returns {Promise<Array<string>>} - Absolute URLs
+ */
+async function getKnowledgeUrls() {
+  const manifestUrl = new URL(SERVICE_WORKER_CONFIG.knowledgeManifest, self.location).href;
+  const response = await fetch(manifestUrl, { cache: 'no-cache' });
+
+  if (!response.ok) {
+    throw new Error(`Knowledge manifest error: ${response.status}`);
+  }
+
+  const manifest = await response.json();
+  const documents = [
+    ...(manifest.documents || []),
+    ...Object.values(manifest.translations || {}).flat()
+  ];
+
+  // Documents are listed relative to the manifest, as js/chatbot-knowledge.js reads them
+  return [manifestUrl, ...documents.map(document => new URL(document, manifestUrl).href)];
+}
+
+/**
+ * Whether a request must go to the network
+ * @param {URL} url - Request URL
+ * @returns {boolean}
+ */
+function isNetworkOnly(url) {
+  return url.origin === self.location.origin &&
+    SERVICE_WORKER_CONFIG.networkOnly.some(path => url.pathname.startsWith(path));
+}
+
+/**
+ * Whether a request should try the network before the cache
+ * @param {URL} url - Request URL
+ * @returns {boolean}
+ */
+function isNetworkFirst(url) {
+  return url.origin === self.location.origin &&
+    SERVICE_WORKER_CONFIG.networkFirst.some(path => url.pathname.startsWith(new URL(path, self.location).pathname));
+}
+
+/**
+ * Store a fresh response
+ * Precached files are refreshed in place, so the copy caches.match() finds first is the new one
+ * @param {Request} request - The request
+ * @param {Response} response - A copy of the response
+ */
+async function updateCache(request, response) {
+  const precache = await caches.open(PRECACHE);
+  const cache = await precache.match(request) ? precache : await caches.open(RUNTIME_CACHE);
+  await cache.put(request, response);
+}
+
+/**
+ * Serve from the cache and refresh it in the background
+ * Falls back to the network when nothing is cached
+ * @param {Request} request - The request
+ * @param {FetchEvent} event - Kept alive until the refresh is stored
+ * @returns {Promise<Response>}
+ */
+async function staleWhileRevalidate(request, event) {
+  const cached = await caches.match(request);
+
+  const refresh = fetch(request).then(async response => {
+    // Opaque responses (cross-origin without CORS) are stored too, so icon fonts work offline
+    if (response.ok || response.type === 'opaque') {
+      await updateCache(request, response.clone());
+    }
+    return response;
+  });
+
+  if (cached) {
+    event.waitUntil(refresh.catch(() => {}));
+    return cached;
+  }
+
+  return refresh;
+}
+
+/**
+ * Fetch from the network, falling back to the cached copy offline
+ * Pages without a cached copy fall back to the home page
+ * @param {Request} request - A page or content/ request
+ * @returns {Promise<Response>}
+ */
+async function networkFirst(request) {
+  try {
+    // content/ skips the HTTP cache too, so an edit is seen as soon as it's deployed
+    // (navigations are passed through untouched; rebuilding them would break redirects)
+    const response = await fetch(request, request.mode === 'navigate' ? undefined : { cache: 'no-cache' });
+
+    if (response.ok) {
+      await updateCache(request, response.clone());
+    }
+    return response;
+  } catch (error) {
+    const cached = await caches.match(request) ||
+      (request.mode === 'navigate' && await caches.match(new URL('index.html', self.location).href));
+
+    if (cached) return cached;
+    throw error;
+  }
+}
 
 self.addEventListener('install', function(event) {
-  // you could pre-cache assets here
-  self.skipWaiting();
+  event.waitUntil((async () => {
+    const cache = await caches.open(PRECACHE);
+    const urls = SERVICE_WORKER_CONFIG.precache.map(path => new URL(path, self.location).href);
+
+    // A missing knowledge document fails the install, like any other precached file, so the bot is never half cached.
+    // Bypass the HTTP cache, or a new deploy could precache the files the last one served
+    await cache.addAll([...urls, ...await getKnowledgeUrls()].map(url => new Request(url, { cache: 'reload' })));
+    await self.skipWaiting();
+  })());
 });
 
 self.addEventListener('activate', function(event) {
-  // you could clean up old caches here
-  return self.clients.claim();
+  event.waitUntil((async () => {
+    const names = await caches.keys();
+
+    await Promise.all(names
+      .filter(name => name.startsWith('valleytainment-') && ![PRECACHE, RUNTIME_CACHE].includes(name))
+      .map(name => caches.delete(name)));
+
+    await self.clients.claim();
+  })());
 });
 
 self.addEventListener('fetch', function(event) {
-  // simple network‐first strategy (no caching)
-  event.respondWith(fetch(event.request));
+  const { request } = event;
+  const url = new URL(request.url);
+
+  // Posts (chat, leads, handoff) and server endpoints always go to the network
+  if (request.method !== 'GET' || isNetworkOnly(url)) return;
+
+  if (request.mode === 'navigate' || isNetworkFirst(url)) {
+    event.respondWith(networkFirst(request));
+    return;
+  }
+
+  if (url.origin === self.location.origin || SERVICE_WORKER_CONFIG.runtimeOrigins.includes(url.origin)) {
+    event.respondWith(staleWhileRevalidate(request, event));
+  }
 });